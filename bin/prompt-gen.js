@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// Command-line prompt generator (src/cli/promptCli.ts). Runs the compiled
+// CLI from dist/cli, so build it first with `npm run build:cli`.
+//
+// Usage: prompt-gen --help
+
+const path = require('path');
+
+const entry = path.join(__dirname, '..', 'dist', 'cli', 'cli', 'promptCli.js');
+
+let cli;
+try {
+  cli = require(entry);
+} catch (error) {
+  if (error.code !== 'MODULE_NOT_FOUND' || !error.message.includes(entry)) throw error;
+  console.error('prompt-gen is not built yet. Run `npm run build:cli` first.');
+  process.exit(1);
+}
+
+// Stop quietly when the reader goes away (e.g. piped into `head`)
+process.stdout.on('error', (error) => {
+  if (error.code === 'EPIPE') process.exit(0);
+  throw error;
+});
+
+cli.runCli(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    console.error(error);
+    process.exitCode = 1;
+  }
+);
@@ -1,8 +1,13 @@
+// Variables are read through the same specs as config/env.ts (see src/config/buildEnv.js)
+const { readBuildEnv } = require('./src/config/buildEnv');
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   experimental: {
     // Enable React 18 features
     serverComponentsExternalPackages: [],
+    // Runs src/instrumentation.ts on boot to validate the environment
+    instrumentationHook: true,
   },
   // Environment variables configuration
   env: {
@@ -39,7 +44,8 @@ const nextConfig = {
             value: (() => {
               const isDev = process.env.NODE_ENV !== 'production';
               const connect = ["'self'", 'https://openrouter.ai'];
-              if (process.env.VERCEL_URL) connect.push(`https://${process.env.VERCEL_URL}`);
+              const vercelUrl = readBuildEnv('VERCEL_URL');
+              if (vercelUrl) connect.push(`https://${vercelUrl}`);
               const script = isDev
                 ? ["'self'", "'unsafe-inline'", "'unsafe-eval'"]
                 : ["'self'", "'unsafe-inline'"]; // avoid 'unsafe-eval' in prod
@@ -74,7 +80,7 @@ const nextConfig = {
   // Enable SWC minification
   swcMinify: true,
   // Bundle analyzer (optional)
-  ...(process.env.ANALYZE === 'true' && {
+  ...(readBuildEnv('ANALYZE') && {
     webpack: (config, { isServer }) => {
       if (!isServer) {
         const { BundleAnalyzerPlugin } = require('@next/bundle-analyzer');
@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+// Creates an API key for the /api/v1 endpoints (src/cli/apiKeyCli.ts). Runs
+// the compiled CLI from dist/cli, which `npm run api-key` builds first.
+//
+// Usage: npm run api-key -- --name "nightly batch" [--points 120 --duration 60] [--daily-budget 5]
+
+const path = require('path');
+
+const entry = path.join(__dirname, '..', 'dist', 'cli', 'cli', 'apiKeyCli.js');
+
+let cli;
+try {
+  cli = require(entry);
+} catch (error) {
+  if (error.code !== 'MODULE_NOT_FOUND' || !error.message.includes(entry)) throw error;
+  console.error('The API key CLI is not built yet. Run `npm run build:cli` first.');
+  process.exit(1);
+}
+
+cli.runApiKeyCli(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    console.error(error);
+    process.exitCode = 1;
+  }
+);
@@ -0,0 +1,63 @@
+/**
+ * @jest-environment node
+ */
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseApiKeyArgs, runApiKeyCli } from '../cli/apiKeyCli';
+import { CLI_EXIT_CODES, CliUsageError } from '../cli/promptCli';
+import { findApiKey, loadApiKeys } from '../services/apiKeys';
+
+describe('parseApiKeyArgs', () => {
+  it('should read the name, quota and daily budget', () => {
+    expect(parseApiKeyArgs(['--name', 'nightly', '--points=120', '--daily-budget', '2.5'])).toEqual({
+      name: 'nightly',
+      help: false,
+      quota: { points: 120, duration: 60 },
+      dailyBudget: 2.5,
+    });
+  });
+
+  it('should reject a missing name and invalid limits', () => {
+    expect(() => parseApiKeyArgs(['--points', '5'])).toThrow(CliUsageError);
+    expect(() => parseApiKeyArgs(['--name', 'x', '--points', '1.5'])).toThrow('--points must be a positive whole number');
+    expect(() => parseApiKeyArgs(['--name', 'x', '--duration', '30'])).toThrow('--duration needs --points');
+    expect(() => parseApiKeyArgs(['--name', 'x', '--daily-budget', '0'])).toThrow(CliUsageError);
+  });
+});
+
+describe('runApiKeyCli', () => {
+  const originalEnv = process.env;
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pg-api-key-cli-'));
+    process.env = { ...originalEnv, API_KEYS_FILE: path.join(dir, 'api-keys.json') };
+    delete process.env.API_KEYS;
+  });
+
+  afterEach(async () => {
+    process.env = originalEnv;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should store a key the server can authenticate', async () => {
+    const out: string[] = [];
+    const code = await runApiKeyCli(['--name', 'ci', '--daily-budget', '5'], {
+      stdout: (text) => out.push(text),
+      stderr: () => undefined,
+    });
+
+    expect(code).toBe(CLI_EXIT_CODES.OK);
+    const record = findApiKey(await loadApiKeys(), out[out.length - 1]);
+    expect(record).toMatchObject({ name: 'ci', dailyBudget: 5 });
+  });
+
+  it('should exit with the usage code on invalid arguments', async () => {
+    const err: string[] = [];
+    const code = await runApiKeyCli([], { stdout: () => undefined, stderr: (text) => err.push(text) });
+
+    expect(code).toBe(CLI_EXIT_CODES.USAGE);
+    expect(err[0]).toContain('--name is required');
+  });
+});
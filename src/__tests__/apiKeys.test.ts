@@ -0,0 +1,106 @@
+/**
+ * @jest-environment node
+ */
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import type { NextApiRequest } from 'next';
+import {
+  createApiKey,
+  findApiKey,
+  hashApiKey,
+  loadApiKeys,
+  parseApiKeyRecords,
+  readRequestApiKey,
+  saveApiKey,
+} from '../services/apiKeys';
+
+const request = (headers: Record<string, string>) => ({ headers }) as unknown as NextApiRequest;
+
+describe('createApiKey', () => {
+  it('should store only the hash of the generated key', () => {
+    const { key, record } = createApiKey('ci', { quota: { points: 100, duration: 60 }, dailyBudget: 5 });
+    expect(key.startsWith('pgk_')).toBe(true);
+    expect(record.hash).toBe(hashApiKey(key));
+    expect(JSON.stringify(record)).not.toContain(key);
+    expect(record.quota).toEqual({ points: 100, duration: 60 });
+    expect(record.dailyBudget).toBe(5);
+  });
+});
+
+describe('findApiKey', () => {
+  it('should match keys by hash', () => {
+    const first = createApiKey('first');
+    const second = createApiKey('second');
+    const records = [first.record, second.record];
+    expect(findApiKey(records, second.key)).toBe(second.record);
+    expect(findApiKey(records, 'pgk_unknown')).toBeNull();
+  });
+});
+
+describe('parseApiKeyRecords', () => {
+  it('should reject malformed stores', () => {
+    expect(() => parseApiKeyRecords({})).toThrow('must be a JSON array');
+    expect(() => parseApiKeyRecords([{ id: 'a', hash: 'plain-text-key' }])).toThrow('hex SHA-256');
+    expect(() => parseApiKeyRecords([{ id: 'a', hash: hashApiKey('k'), quota: { points: 0, duration: 60 } }])).toThrow(
+      'invalid quota'
+    );
+  });
+
+  it('should default the name to the id', () => {
+    expect(parseApiKeyRecords([{ id: 'a', hash: hashApiKey('k') }])[0].name).toBe('a');
+  });
+});
+
+describe('loadApiKeys', () => {
+  const originalEnv = process.env;
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pg-api-keys-'));
+    process.env = { ...originalEnv, API_KEYS_FILE: path.join(dir, 'api-keys.json') };
+    delete process.env.API_KEYS;
+  });
+
+  afterEach(async () => {
+    process.env = originalEnv;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should return no keys when the key file does not exist', async () => {
+    await expect(loadApiKeys()).resolves.toEqual([]);
+  });
+
+  it('should read keys from the key file', async () => {
+    const { record } = createApiKey('file');
+    await fs.writeFile(process.env.API_KEYS_FILE as string, JSON.stringify([record]));
+    await expect(loadApiKeys()).resolves.toEqual([record]);
+  });
+
+  it('should append created keys to the key file', async () => {
+    const first = createApiKey('first');
+    const second = createApiKey('second', { dailyBudget: 2 });
+    process.env.API_KEYS_FILE = path.join(dir, 'nested', 'api-keys.json');
+
+    await expect(saveApiKey(first.record)).resolves.toBe(process.env.API_KEYS_FILE);
+    await saveApiKey(second.record);
+
+    await expect(loadApiKeys()).resolves.toEqual([first.record, second.record]);
+    expect((await fs.stat(process.env.API_KEYS_FILE)).mode & 0o777).toBe(0o600);
+  });
+
+  it('should prefer the API_KEYS variable over the file', async () => {
+    const { record } = createApiKey('env');
+    process.env.API_KEYS = JSON.stringify([record]);
+    await expect(loadApiKeys()).resolves.toEqual([record]);
+  });
+});
+
+describe('readRequestApiKey', () => {
+  it('should read bearer tokens and the X-API-Key header', () => {
+    expect(readRequestApiKey(request({ authorization: 'Bearer pgk_abc' }))).toBe('pgk_abc');
+    expect(readRequestApiKey(request({ 'x-api-key': ' pgk_def ' }))).toBe('pgk_def');
+    expect(readRequestApiKey(request({ authorization: 'Basic dXNlcjpwYXNz' }))).toBeNull();
+    expect(readRequestApiKey(request({}))).toBeNull();
+  });
+});
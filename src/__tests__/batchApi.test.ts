@@ -0,0 +1,54 @@
+/**
+ * @jest-environment node
+ */
+import { EventEmitter } from 'events';
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { ERROR_CODES, RATE_LIMIT_BUCKETS } from '../config/constants';
+import handler from '../pages/api/batch';
+
+/** Sends one POST /api/batch through the route and returns the status and JSON body */
+const callBatch = async (body: Record<string, unknown>) => {
+  const res = Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    body: undefined as unknown,
+    writableFinished: false,
+    setHeader: () => undefined,
+  });
+  const status = (code: number) => {
+    res.statusCode = code;
+    return response;
+  };
+  const json = (payload: unknown) => {
+    res.body = payload;
+    res.writableFinished = true;
+    res.emit('finish');
+    return response;
+  };
+  const response = Object.assign(res, { status, json });
+  const req = { method: 'POST', url: '/api/batch', headers: {}, socket: { remoteAddress: '127.0.0.1' }, body };
+  await handler(req as unknown as NextApiRequest, response as unknown as NextApiResponse);
+  return { status: res.statusCode, body: res.body as Record<string, unknown> };
+};
+
+describe('POST /api/batch', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, OPENROUTER_API_KEY: 'sk-test' };
+    ['LLM_PROVIDER', 'RATE_LIMIT_STORE'].forEach((name) => delete process.env[name]);
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('should charge the GENERATE bucket for every submission', async () => {
+    for (let attempt = 0; attempt < RATE_LIMIT_BUCKETS.GENERATE.points; attempt++) {
+      expect((await callBatch({ content: '' })).status).toBe(400);
+    }
+
+    const result = await callBatch({ content: '' });
+
+    expect(result).toMatchObject({ status: 429, body: { code: ERROR_CODES.RATE_LIMITED } });
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * @jest-environment node
+ */
+import { BATCH_CONFIG, BATCH_FORMATS, ERROR_CODES, PROMPT_MODES } from '../config/constants';
+import {
+  BatchFileError,
+  BatchLimitError,
+  createBatchQueue,
+  detectBatchFormat,
+  exportBatchResults,
+  parseBatchFile,
+  toBatchJobResponse,
+  type BatchJob,
+  type BatchQueueDeps,
+  type BatchRow,
+} from '../services/batchJobs';
+import type { GeneratedPrompt } from '../config/promptModes';
+import { parseCsv } from '../utils/csv';
+
+const LIMITS = { ...BATCH_CONFIG, ROW_CONCURRENCY: 2, MAX_RUNNING_JOBS: 1, MAX_ACTIVE_JOBS_PER_CLIENT: 1 };
+
+const rowsFor = (...ideas: string[]): BatchRow[] =>
+  parseBatchFile(ideas.map((idea) => JSON.stringify({ idea })).join('\n'), BATCH_FORMATS.JSONL);
+
+describe('parseBatchFile', () => {
+  it('should read CSV columns by header name and default the mode', () => {
+    const rows = parseBatchFile(
+      'Mode,IDEA,directions\njson,a red fox,"snow, dusk"\n,a lighthouse,\n',
+      BATCH_FORMATS.CSV,
+      PROMPT_MODES.VIDEO
+    );
+    expect(rows.map(({ row, idea, directions, mode, status }) => ({ row, idea, directions, mode, status }))).toEqual([
+      { row: 1, idea: 'a red fox', directions: 'snow, dusk', mode: 'json', status: 'pending' },
+      { row: 2, idea: 'a lighthouse', directions: '', mode: PROMPT_MODES.VIDEO, status: 'pending' },
+    ]);
+  });
+
+  it('should keep invalid rows as failed rows', () => {
+    const rows = parseBatchFile(
+      ['{"idea":"ok"}', 'not json', '{"idea":""}', '{"idea":"x","mode":"bogus"}'].join('\n'),
+      BATCH_FORMATS.JSONL
+    );
+    expect(rows.map((row) => row.status)).toEqual(['pending', 'failed', 'failed', 'failed']);
+    expect(rows.slice(1).map((row) => row.error?.code)).toEqual([
+      ERROR_CODES.INVALID_REQUEST,
+      ERROR_CODES.INVALID_REQUEST,
+      ERROR_CODES.INVALID_REQUEST,
+    ]);
+  });
+
+  it('should reject files without an idea column, without rows or with too many rows', () => {
+    expect(() => parseBatchFile('prompt\nx', BATCH_FORMATS.CSV)).toThrow(BatchFileError);
+    expect(() => parseBatchFile('idea\n', BATCH_FORMATS.CSV)).toThrow('The file has no rows.');
+    const tooMany = ['idea', ...Array.from({ length: BATCH_CONFIG.MAX_ROWS + 1 }, (_, i) => `idea ${i}`)].join('\n');
+    expect(() => parseBatchFile(tooMany, BATCH_FORMATS.CSV)).toThrow(BatchFileError);
+  });
+
+  it('should detect the format from the extension, then the content', () => {
+    expect(detectBatchFormat('{"idea":"x"}', 'shots.csv')).toBe(BATCH_FORMATS.CSV);
+    expect(detectBatchFormat('idea\nx', 'shots.ndjson')).toBe(BATCH_FORMATS.JSONL);
+    expect(detectBatchFormat('  {"idea":"x"}')).toBe(BATCH_FORMATS.JSONL);
+    expect(detectBatchFormat('idea\nx')).toBe(BATCH_FORMATS.CSV);
+  });
+});
+
+describe('createBatchQueue', () => {
+  const makeDeps = (overrides: Partial<BatchQueueDeps> = {}): BatchQueueDeps => ({
+    generateRow: jest.fn(async (row) => ({ ok: true as const, prompt: `prompt for ${row.idea}`, model: 'm' })),
+    consumeQuota: jest.fn(async () => 0),
+    sleep: jest.fn(async () => undefined),
+    ...overrides,
+  });
+
+  it('should generate every pending row and complete the job', async () => {
+    const deps = makeDeps({
+      generateRow: jest.fn(async (row) =>
+        row.idea === 'bad'
+          ? { ok: false as const, code: ERROR_CODES.SCHEMA_INVALID, message: 'Invalid output' }
+          : { ok: true as const, prompt: `prompt for ${row.idea}`, model: 'm' }
+      ),
+    });
+    const queue = createBatchQueue(deps, LIMITS);
+    const job = queue.submit({ clientKey: 'client', filename: 'shots.jsonl', rows: rowsFor('a', 'bad', 'c') });
+    await queue.settled(job.id);
+
+    expect(job.status).toBe('completed');
+    expect(job.rows.map((row) => row.status)).toEqual(['succeeded', 'failed', 'succeeded']);
+    expect(job.rows[1].error).toEqual({ code: ERROR_CODES.SCHEMA_INVALID, message: 'Invalid output' });
+    expect(deps.consumeQuota).toHaveBeenCalledTimes(3);
+    expect(deps.consumeQuota).toHaveBeenCalledWith('client');
+  });
+
+  it('should not run more rows at once than the row concurrency', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const queue = createBatchQueue(
+      makeDeps({
+        generateRow: async () => {
+          inFlight++;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          await new Promise((resolve) => setTimeout(resolve, 1));
+          inFlight--;
+          return { ok: true, prompt: 'p', model: 'm' };
+        },
+      }),
+      LIMITS
+    );
+    const job = queue.submit({ clientKey: 'client', filename: null, rows: rowsFor('a', 'b', 'c', 'd', 'e') });
+    await queue.settled(job.id);
+
+    expect(maxInFlight).toBe(LIMITS.ROW_CONCURRENCY);
+    expect(job.rows.every((row) => row.status === 'succeeded')).toBe(true);
+  });
+
+  it('should wait for the quota to reset instead of failing rows', async () => {
+    const consumeQuota = jest.fn().mockResolvedValueOnce(0).mockResolvedValueOnce(5000).mockResolvedValue(0);
+    const sleep = jest.fn(async () => undefined);
+    const queue = createBatchQueue(makeDeps({ consumeQuota, sleep }), { ...LIMITS, ROW_CONCURRENCY: 1 });
+    const job = queue.submit({ clientKey: 'client', filename: null, rows: rowsFor('a', 'b') });
+    await queue.settled(job.id);
+
+    expect(sleep).toHaveBeenCalledWith(5000);
+    expect(job.rows.every((row) => row.status === 'succeeded')).toBe(true);
+    expect(job.waitingUntil).toBeNull();
+  });
+
+  it('should queue jobs past the running limit and allow one unfinished job per client', async () => {
+    const queue = createBatchQueue(makeDeps(), LIMITS);
+    const first = queue.submit({ clientKey: 'a', filename: null, rows: rowsFor('x') });
+    const second = queue.submit({ clientKey: 'b', filename: null, rows: rowsFor('y') });
+
+    expect(second.status).toBe('queued');
+    expect(queue.queuePosition(second.id)).toBe(0);
+    expect(() => queue.submit({ clientKey: 'a', filename: null, rows: rowsFor('z') })).toThrow(BatchLimitError);
+
+    await queue.settled(first.id);
+    await queue.settled(second.id);
+    expect(second.status).toBe('completed');
+    expect(queue.submit({ clientKey: 'a', filename: null, rows: rowsFor('z') }).status).toBe('running');
+  });
+
+  it('should cancel pending rows and let rows in flight finish', async () => {
+    let release: () => void = () => undefined;
+    const queue = createBatchQueue(
+      makeDeps({
+        generateRow: () =>
+          new Promise((resolve) => {
+            release = () => resolve({ ok: true, prompt: 'p', model: 'm' });
+          }),
+      }),
+      { ...LIMITS, ROW_CONCURRENCY: 1 }
+    );
+    const job = queue.submit({ clientKey: 'client', filename: null, rows: rowsFor('a', 'b', 'c') });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    queue.cancel(job.id, 'client');
+    release();
+    await queue.settled(job.id);
+
+    expect(job.status).toBe('cancelled');
+    expect(job.rows.map((row) => row.status)).toEqual(['succeeded', 'cancelled', 'cancelled']);
+  });
+
+  it('should only let the submitting client cancel a job', async () => {
+    const queue = createBatchQueue(makeDeps({ generateRow: () => new Promise(() => undefined) }), LIMITS);
+    const job = queue.submit({ clientKey: 'client', filename: null, rows: rowsFor('a', 'b', 'c') });
+
+    expect(queue.cancel(job.id, 'someone-else')).toBeNull();
+    expect(job.status).toBe('running');
+    expect(queue.cancel(job.id, 'client')?.status).toBe('cancelled');
+  });
+
+  it('should drop finished jobs after the result TTL', async () => {
+    let now = 1000;
+    const queue = createBatchQueue(makeDeps({ now: () => now }), LIMITS);
+    const job = queue.submit({ clientKey: 'client', filename: null, rows: rowsFor('a') });
+    await queue.settled(job.id);
+
+    expect(queue.get(job.id)).toBe(job);
+    now += LIMITS.RESULT_TTL;
+    expect(queue.get(job.id)).toBeNull();
+  });
+});
+
+describe('batch results', () => {
+  // Structured prompts are exported as-is, whatever their shape
+  const structuredPrompt = { scene: 'x' } as unknown as GeneratedPrompt;
+  const job: BatchJob = {
+    id: 'job-1',
+    clientKey: 'client',
+    filename: 'shots.csv',
+    status: 'completed',
+    createdAt: 0,
+    startedAt: 1000,
+    finishedAt: 2000,
+    waitingUntil: null,
+    rows: [
+      { ...rowsFor('=cmd')[0], status: 'succeeded', prompt: structuredPrompt, model: 'm' },
+      {
+        ...rowsFor('b')[0],
+        row: 2,
+        status: 'failed',
+        error: { code: ERROR_CODES.SCHEMA_INVALID, message: 'Invalid output' },
+      },
+    ],
+  };
+
+  it('should export CSV with per-row status and errors', () => {
+    const [header, first, second] = parseCsv(exportBatchResults(job, BATCH_FORMATS.CSV));
+    expect(header).toEqual([
+      'row',
+      'idea',
+      'directions',
+      'mode',
+      'status',
+      'prompt',
+      'model',
+      'error_code',
+      'error_message',
+    ]);
+    expect(first).toEqual(['1', "'=cmd", '', 'default', 'succeeded', '{"scene":"x"}', 'm', '', '']);
+    expect(second.slice(4)).toEqual(['failed', '', '', 'SCHEMA_INVALID', 'Invalid output']);
+  });
+
+  it('should export JSONL with structured prompts as objects', () => {
+    const lines = exportBatchResults(job, BATCH_FORMATS.JSONL).trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines[0]).toMatchObject({ row: 1, status: 'succeeded', prompt: { scene: 'x' }, error: null });
+    expect(lines[1]).toMatchObject({ row: 2, status: 'failed', prompt: null, error: { code: 'SCHEMA_INVALID' } });
+  });
+
+  it('should summarize progress without the prompts', () => {
+    const { job: summary, rows } = toBatchJobResponse(job, null);
+    expect(summary.counts).toEqual({ pending: 0, running: 0, succeeded: 1, failed: 1, cancelled: 0, total: 2 });
+    expect(summary.finishedAt).toBe(new Date(2000).toISOString());
+    expect(rows[0]).toEqual({ row: 1, status: 'succeeded', error: null });
+  });
+});
@@ -0,0 +1,39 @@
+import { parseCsv, toCsv } from '../utils/csv';
+
+describe('parseCsv', () => {
+  it('should split rows and fields with quoted commas, quotes and newlines', () => {
+    const text = 'idea,directions\r\n"a cat, sleeping","say ""hi""\nsoftly"\nplain,\n';
+    expect(parseCsv(text)).toEqual([
+      ['idea', 'directions'],
+      ['a cat, sleeping', 'say "hi"\nsoftly'],
+      ['plain', ''],
+    ]);
+  });
+
+  it('should skip a byte order mark and blank lines', () => {
+    expect(parseCsv('﻿idea\n\n  \nlighthouse')).toEqual([['idea'], ['lighthouse']]);
+  });
+
+  it('should throw on an unterminated quoted field', () => {
+    expect(() => parseCsv('idea\n"never closed')).toThrow('Unterminated quoted field');
+  });
+});
+
+describe('toCsv', () => {
+  it('should quote fields that need it and round-trip through parseCsv', () => {
+    const rows = [
+      ['row', 'prompt'],
+      ['1', 'A "quoted", multi\nline prompt'],
+    ];
+    const csv = toCsv(rows);
+    expect(csv).toBe('row,prompt\r\n1,"A ""quoted"", multi\nline prompt"\r\n');
+    expect(parseCsv(csv)).toEqual(rows);
+  });
+
+  it('should neutralize values a spreadsheet would run as formulas', () => {
+    expect(toCsv([['=HYPERLINK("x")', '+1', '-2', '@cmd', 'safe']])).toBe(
+      `"'=HYPERLINK(""x"")",'+1,'-2,'@cmd,safe\r\n`
+    );
+    expect(toCsv([['  =1+1', '\tcmd', 'a = b']])).toBe(`'  =1+1,'\tcmd,a = b\r\n`);
+  });
+});
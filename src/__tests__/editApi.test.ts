@@ -0,0 +1,123 @@
+/**
+ * @jest-environment node
+ */
+import { EventEmitter } from 'events';
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { ERROR_CODES, PROMPT_MODES } from '../config/constants';
+import handler from '../pages/api/edit';
+
+const jsonResponse = (status: number, body: unknown) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+const completion = (content: unknown) =>
+  jsonResponse(200, { choices: [{ message: { content: JSON.stringify(content) } }], usage: { total_tokens: 1 } });
+
+/** Sends one POST /api/edit through the route and returns the status and JSON body */
+const callEdit = async (body: Record<string, unknown>) => {
+  const res = Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    body: undefined as unknown,
+    writableFinished: false,
+    setHeader: () => undefined,
+  });
+  const status = (code: number) => {
+    res.statusCode = code;
+    return response;
+  };
+  const json = (payload: unknown) => {
+    res.body = payload;
+    res.writableFinished = true;
+    res.emit('finish');
+    return response;
+  };
+  const response = Object.assign(res, { status, json });
+  const req = { method: 'POST', url: '/api/edit', headers: {}, socket: { remoteAddress: '127.0.0.1' }, body };
+  await handler(req as unknown as NextApiRequest, response as unknown as NextApiResponse);
+  return { status: res.statusCode, body: res.body as Record<string, unknown> };
+};
+
+describe('POST /api/edit moderation', () => {
+  const originalFetch = global.fetch;
+  const originalEnv = process.env;
+  let fetchMock: jest.Mock;
+
+  const edit = {
+    mode: PROMPT_MODES.TEST,
+    idea: 'A lighthouse keeper',
+    prompt: 'A weathered lighthouse keeper watches the storm from the lantern room.',
+    instruction: 'make it night',
+  };
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, OPENROUTER_API_KEY: 'sk-test' };
+    ['LLM_PROVIDER', 'MODERATION_BLOCKLIST', 'MODERATION_MODEL', 'MODERATION_MODEL_ACTION'].forEach(
+      (name) => delete process.env[name]
+    );
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+    process.env = originalEnv;
+  });
+
+  it('should block an instruction that breaks a blocklist rule before calling the model', async () => {
+    process.env.MODERATION_BLOCKLIST = JSON.stringify([
+      { pattern: '\\b(1[0-7]|[1-9])[- ]?years?[- ]?old\\b', action: 'block', reason: 'No real minors' },
+    ]);
+
+    const result = await callEdit({ ...edit, instruction: 'make the keeper my neighbour, 12 years old' });
+
+    expect(result).toEqual({
+      status: 422,
+      body: expect.objectContaining({
+        code: ERROR_CODES.CONTENT_BLOCKED,
+        message: 'This request breaks the content policy: No real minors.',
+      }),
+    });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('should block an earlier prompt the blocklist would rewrite, since it is replayed as it is', async () => {
+    process.env.MODERATION_BLOCKLIST = JSON.stringify([
+      { pattern: 'lighthouse keeper', action: 'rewrite', reason: 'Testing rewrites', replacement: 'sailor' },
+    ]);
+
+    const result = await callEdit({ ...edit, idea: '' });
+
+    expect(result.body).toMatchObject({ code: ERROR_CODES.CONTENT_BLOCKED });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('should send the instruction and earlier prompt to the moderation model', async () => {
+    process.env.MODERATION_MODEL = 'true';
+    fetchMock
+      .mockResolvedValueOnce(
+        completion({
+          flagged: false,
+          policy: 0,
+          reason: '',
+          imageFlagged: false,
+          promptFlagged: false,
+          idea: '',
+          directions: '',
+          brief: '',
+          instruction: '',
+        })
+      )
+      .mockResolvedValueOnce(completion({ prompt: 'The keeper watches the storm under a starless night sky.' }));
+
+    const result = await callEdit(edit);
+
+    expect(result).toMatchObject({ status: 200, body: { success: true } });
+    const moderationRequest = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(JSON.parse(moderationRequest.messages[1].content)).toEqual({
+      idea: edit.idea,
+      directions: '',
+      brief: '',
+      instruction: edit.instruction,
+      prompt: JSON.stringify({ prompt: edit.prompt }),
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * @jest-environment node
+ */
+import { API_CONFIG, RATE_LIMIT_STORES } from '../config/constants';
+import { readBuildEnv } from '../config/buildEnv';
+import { EnvValidationError, assertValidEnv, getApiConfig, readEnv, readRedisEnv, validateEnv } from '../config/env';
+
+describe('readEnv', () => {
+  it('should return defaults for unset or empty variables', () => {
+    expect(readEnv('RATE_LIMIT_STORE', {})).toBe(RATE_LIMIT_STORES.MEMORY);
+    expect(readEnv('API_MAX_RETRIES', { API_MAX_RETRIES: '  ' })).toBe(API_CONFIG.MAX_RETRIES);
+    expect(readEnv('METRICS_TOKEN', {})).toBeUndefined();
+    expect(readEnv('TRUST_PROXY', {})).toBe(false);
+  });
+
+  it('should parse typed values', () => {
+    expect(readEnv('RATE_LIMIT_STORE', { RATE_LIMIT_STORE: ' Redis ' })).toBe(RATE_LIMIT_STORES.REDIS);
+    expect(readEnv('API_REQUEST_TIMEOUT', { API_REQUEST_TIMEOUT: '5000' })).toBe(5000);
+    expect(readEnv('TRUST_PROXY', { TRUST_PROXY: '1' })).toBe(true);
+    expect(readEnv('LOG_TRANSPORTS', { LOG_TRANSPORTS: 'stdout, FILE' })).toEqual(['stdout', 'file']);
+    expect(readEnv('USAGE_DAILY_BUDGET', { USAGE_DAILY_BUDGET: '2.5' })).toBe(2.5);
+  });
+
+  it('should throw readable errors for invalid values', () => {
+    expect(() => readEnv('RATE_LIMIT_STORE', { RATE_LIMIT_STORE: 'sqlite' })).toThrow(
+      'Unknown RATE_LIMIT_STORE "sqlite" (expected memory, redis or file)'
+    );
+    expect(() => readEnv('API_MAX_RETRIES', { API_MAX_RETRIES: '0' })).toThrow(
+      'API_MAX_RETRIES must be a whole number of at least 1 (got "0")'
+    );
+    expect(() => readEnv('TRUST_PROXY', { TRUST_PROXY: 'yes' })).toThrow('TRUST_PROXY must be true or false');
+    expect(() => readEnv('NEXT_PUBLIC_SITE_URL', { NEXT_PUBLIC_SITE_URL: 'example.com' })).toThrow('http(s) URL');
+    expect(() => readEnv('API_KEYS', { API_KEYS: '{"secret"' })).toThrow('API_KEYS must be valid JSON');
+    expect(() => readEnv('LOG_TRANSPORTS', { LOG_TRANSPORTS: 'stdout,syslog' })).toThrow('"syslog"');
+    expect(() => readEnv('LLM_MODEL', { LLM_MODEL: 'llama 3.1' })).toThrow(
+      'LLM_MODEL must be a model ID for openai-compatible (got "llama 3.1")'
+    );
+    expect(() => readEnv('MODEL_PRICES', { MODEL_PRICES: '{"grok fast":{"prompt":1,"completion":2}}' })).toThrow(
+      'MODEL_PRICES is invalid: "grok fast" is not a model ID'
+    );
+  });
+
+  it('should read the next.config.js variables the same way as readBuildEnv', () => {
+    const source = { VERCEL_URL: ' app.vercel.app ', ANALYZE: 'TRUE' };
+    expect(readEnv('VERCEL_URL', source)).toBe(readBuildEnv('VERCEL_URL', source));
+    expect(readEnv('ANALYZE', source)).toBe(true);
+    expect(readBuildEnv('ANALYZE', source)).toBe(true);
+    expect(readBuildEnv('ANALYZE', {})).toBe(false);
+    expect(() => readBuildEnv('ANALYZE', { ANALYZE: 'yes' })).toThrow('ANALYZE must be true or false (got "yes")');
+  });
+});
+
+describe('getApiConfig', () => {
+  it('should override API_CONFIG limits per deployment', () => {
+    expect(getApiConfig({})).toEqual(API_CONFIG);
+    expect(
+      getApiConfig({
+        API_REQUEST_TIMEOUT: '15000',
+        API_REQUEST_DEADLINE: '55000',
+        API_MAX_RETRIES: '1',
+        API_RETRY_BASE_DELAY: '0',
+      })
+    ).toMatchObject({
+      REQUEST_TIMEOUT: 15000,
+      REQUEST_DEADLINE: 55000,
+      MAX_RETRIES: 1,
+      RETRY_BASE_DELAY: 0,
+      MAX_JSON_BODY_SIZE: API_CONFIG.MAX_JSON_BODY_SIZE,
+    });
+  });
+});
+
+describe('readRedisEnv', () => {
+  it('should prefer store credentials and fall back to the shared Upstash ones', () => {
+    const shared = { UPSTASH_REDIS_REST_URL: 'https://shared.upstash.io', UPSTASH_REDIS_REST_TOKEN: 'shared' };
+
+    expect(readRedisEnv('JOB_STORE', shared)).toEqual({ url: 'https://shared.upstash.io', token: 'shared' });
+    expect(
+      readRedisEnv('JOB_STORE', { ...shared, JOB_STORE_REDIS_URL: 'https://jobs.upstash.io', JOB_STORE_REDIS_TOKEN: 'jobs' })
+    ).toEqual({ url: 'https://jobs.upstash.io', token: 'jobs' });
+    expect(() => readRedisEnv('USAGE_STORE', {})).toThrow(
+      'USAGE_STORE=redis requires USAGE_STORE_REDIS_URL and USAGE_STORE_REDIS_TOKEN'
+    );
+  });
+});
+
+describe('validateEnv', () => {
+  it('should accept a minimal configuration', () => {
+    expect(validateEnv({ OPENROUTER_API_KEY: 'sk-or-test' })).toEqual([]);
+    expect(validateEnv({ LLM_PROVIDER: 'mock' })).toEqual([]);
+  });
+
+  it('should report every problem at once', () => {
+    const problems = validateEnv({ LOG_LEVEL: 'verbose', RATE_LIMIT_STORE: 'redis', API_REQUEST_TIMEOUT: 'soon' });
+
+    expect(problems).toEqual([
+      'API_REQUEST_TIMEOUT must be a whole number of at least 1000 (got "soon")',
+      'Unknown LOG_LEVEL "verbose" (expected debug, info, warn, error or silent)',
+      'OPENROUTER_API_KEY is required when LLM_PROVIDER is openrouter',
+      'RATE_LIMIT_STORE=redis requires RATE_LIMIT_REDIS_URL and RATE_LIMIT_REDIS_TOKEN',
+    ]);
+  });
+
+  it('should throw an EnvValidationError listing the problems', () => {
+    expect(() => assertValidEnv({ OPENROUTER_API_KEY: 'sk-or-test' })).not.toThrow();
+
+    const invalid = () => assertValidEnv({ LLM_PROVIDER: 'anthropic' });
+    expect(invalid).toThrow(EnvValidationError);
+    expect(invalid).toThrow(
+      'Invalid environment configuration:\n  - Unknown LLM_PROVIDER "anthropic" (expected openrouter, openai-compatible or mock)'
+    );
+  });
+});
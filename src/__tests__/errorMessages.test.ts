@@ -1,5 +1,8 @@
 import {
+  ApiError,
   getErrorMessage,
+  getErrorRecovery,
+  toApiError,
   isAbortError,
   isRateLimitError,
   isNetworkError,
@@ -60,6 +63,43 @@ describe('getErrorMessage', () => {
   });
 });
 
+describe('API error codes', () => {
+  it('should map codes to messages without reading the server text', () => {
+    expect(getErrorMessage(new ApiError('UPSTREAM_TIMEOUT', 'anything', 504))).toBe(ERROR_MESSAGES.TIMEOUT);
+    expect(getErrorMessage(new ApiError('RATE_LIMITED', 'Image rate limit', 429))).toBe(ERROR_MESSAGES.RATE_LIMITED);
+  });
+
+  it('should show the server message for input errors', () => {
+    const error = new ApiError('INPUT_TOO_LONG', 'Idea must be under 1000 characters.', 400);
+    expect(getErrorMessage(error)).toBe('Idea must be under 1000 characters.');
+  });
+
+  it('should pick a recovery action per code', () => {
+    expect(getErrorRecovery(new ApiError('SCHEMA_INVALID', 'x', 500))).toBe('retry');
+    expect(getErrorRecovery(new ApiError('RATE_LIMITED', 'x', 429))).toBe('wait');
+    expect(getErrorRecovery(new ApiError('INVALID_REQUEST', 'x', 400))).toBe('edit-input');
+    expect(getErrorRecovery(new ApiError('UPSTREAM_AUTH', 'x', 500))).toBe('none');
+    expect(getErrorRecovery(new Error('Failed to fetch'))).toBe('retry');
+  });
+
+  it('should build an ApiError from the error envelope', () => {
+    const error = toApiError(
+      { code: 'RATE_LIMITED', error: 'Too many requests', message: 'Wait 12 seconds.', retryAfter: 12 },
+      429,
+      'Failed'
+    );
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({ code: 'RATE_LIMITED', status: 429, retryAfter: 12, message: 'Wait 12 seconds.' });
+    expect(isRateLimitError(error)).toBe(true);
+  });
+
+  it('should fall back to a plain Error for bodies without a known code', () => {
+    const error = toApiError({ code: 'SOMETHING_ELSE' }, 502, 'Failed to generate prompt');
+    expect(error).not.toBeInstanceOf(ApiError);
+    expect(error.message).toBe('Failed to generate prompt');
+  });
+});
+
 describe('isAbortError', () => {
   it('should return true for AbortError', () => {
     const error = new Error('Aborted');
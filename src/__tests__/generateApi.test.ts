@@ -0,0 +1,118 @@
+/**
+ * @jest-environment node
+ */
+import { EventEmitter } from 'events';
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { ERROR_CODES, RATE_LIMIT_HEADERS } from '../config/constants';
+import handler from '../pages/api/generate';
+import { STREAM_EVENTS, formatSseEvent } from '../utils/sse';
+
+/**
+ * Sends one JSON POST /api/generate through the route and returns the status,
+ * headers, JSON body and streamed text. Each test uses its own client address
+ * so rate limits do not carry over.
+ */
+const callGenerate = async (body: Record<string, unknown>, remoteAddress: string) => {
+  const headers: Record<string, unknown> = {};
+  const res = Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    body: undefined as unknown,
+    streamed: '',
+    destroyed: false,
+    writableEnded: false,
+    writableFinished: false,
+    setHeader: (name: string, value: unknown) => {
+      headers[name] = value;
+    },
+    writeHead: (code: number) => {
+      res.statusCode = code;
+    },
+    flushHeaders: () => undefined,
+    write: (chunk: string) => {
+      res.streamed += chunk;
+      return true;
+    },
+    end: () => {
+      res.writableEnded = true;
+      res.writableFinished = true;
+      res.emit('finish');
+    },
+  });
+  const status = (code: number) => {
+    res.statusCode = code;
+    return response;
+  };
+  const json = (payload: unknown) => {
+    res.body = payload;
+    res.writableFinished = true;
+    res.emit('finish');
+    return response;
+  };
+  const response = Object.assign(res, { status, json });
+  const req = {
+    method: 'POST',
+    url: '/api/generate',
+    headers: { 'content-type': 'application/json' },
+    socket: { remoteAddress },
+    body,
+  };
+  await handler(req as unknown as NextApiRequest, response as unknown as NextApiResponse);
+  return { status: res.statusCode, headers, body: res.body as Record<string, unknown>, streamed: res.streamed };
+};
+
+describe('POST /api/generate', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, LLM_PROVIDER: 'mock' };
+    delete process.env.RATE_LIMIT_STORE;
+  });
+
+  afterEach(() => {
+    (global.fetch as jest.Mock).mockReset();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('should charge a request its full weight once and nothing when it is rejected', async () => {
+    // The GENERATE bucket holds 10 points; each request below weighs 1 + 3 variants
+    const first = await callGenerate({ idea: 'a lighthouse', variants: 4 }, '127.0.0.2');
+    expect(first.status).toBe(200);
+    expect(first.headers[RATE_LIMIT_HEADERS.REMAINING]).toBe(6);
+
+    expect((await callGenerate({ idea: 'a lighthouse', variants: 4 }, '127.0.0.2')).status).toBe(200);
+
+    const rejected = await callGenerate({ idea: 'a lighthouse', variants: 4 }, '127.0.0.2');
+    expect(rejected).toMatchObject({ status: 429, body: { code: ERROR_CODES.RATE_LIMITED } });
+
+    // The rejected request took nothing, so the last two points are still there
+    const last = await callGenerate({ idea: 'a lighthouse', variants: 2 }, '127.0.0.2');
+    expect(last.status).toBe(200);
+    expect(last.headers[RATE_LIMIT_HEADERS.REMAINING]).toBe(0);
+  });
+
+  it('should end a stream that is still open at the request deadline with a timeout event', async () => {
+    process.env = { ...process.env, OPENROUTER_API_KEY: 'sk-test', API_REQUEST_DEADLINE: '1000' };
+    delete process.env.LLM_PROVIDER;
+    // One token arrives, then the upstream stream stalls without closing
+    const stalled = new ReadableStream<Uint8Array>({
+      start: (controller) => {
+        controller.enqueue(
+          new TextEncoder().encode(`data: ${JSON.stringify({ choices: [{ delta: { content: 'A lighthouse' } }] })}\n\n`)
+        );
+      },
+    });
+    (global.fetch as jest.Mock).mockResolvedValue(
+      new Response(stalled, { status: 200, headers: { 'Content-Type': 'text/event-stream' } })
+    );
+
+    const result = await callGenerate({ idea: 'a lighthouse', stream: true }, '127.0.0.3');
+
+    expect(result.status).toBe(200);
+    expect(result.streamed).toContain(formatSseEvent(STREAM_EVENTS.DELTA, { text: 'A lighthouse' }));
+    expect(result.streamed).toContain(`event: ${STREAM_EVENTS.ERROR}\ndata: {"code":"${ERROR_CODES.UPSTREAM_TIMEOUT}"`);
+    expect(result.streamed).not.toContain(`event: ${STREAM_EVENTS.DONE}`);
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * @jest-environment node
+ */
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { ERROR_CODES, JOB_CONFIG } from '../config/constants';
+import {
+  createFileJobStore,
+  createJobQueue,
+  createMemoryJobStore,
+  createRedisJobStore,
+  deliverWebhook,
+  JobQueueFullError,
+  signWebhookBody,
+  toJobResponse,
+  validateWebhookUrl,
+  WEBHOOK_HEADERS,
+  type JobOutcome,
+  type JobRecord,
+  type JobResult,
+} from '../services/generationJobs';
+import { buildApiError } from '../utils/apiErrors';
+
+const RESULT: JobResult = {
+  success: true,
+  prompt: 'A lighthouse at dusk',
+  mode: 'default',
+  usage: null,
+  model: 'm',
+  refinementModel: null,
+  refinedBrief: null,
+  formatted: null,
+};
+
+const record = (overrides: Partial<JobRecord> = {}): JobRecord => ({
+  id: '123e4567-e89b-42d3-a456-426614174000',
+  status: 'queued',
+  result: null,
+  error: null,
+  webhook: null,
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-01T00:00:00.000Z',
+  finishedAt: null,
+  webhookUrl: null,
+  ...overrides,
+});
+
+/** A task that resolves when `finish` is called */
+const deferredTask = () => {
+  let finish: (outcome: JobOutcome) => void = () => undefined;
+  const task = jest.fn(() => new Promise<JobOutcome>((resolve) => (finish = resolve)));
+  return { task, finish: (outcome: JobOutcome) => finish(outcome) };
+};
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('job stores', () => {
+  it('should expire memory jobs after their TTL', async () => {
+    const store = createMemoryJobStore();
+    const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(1_000);
+    try {
+      await store.save(record(), 500);
+      await expect(store.get(record().id)).resolves.toEqual(record());
+
+      nowSpy.mockReturnValue(1_500);
+      await expect(store.get(record().id)).resolves.toBeNull();
+    } finally {
+      nowSpy.mockRestore();
+    }
+  });
+
+  it('should keep one file per job and ignore ids that are not job ids', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pg-jobs-'));
+    try {
+      const store = createFileJobStore(dir);
+      await store.save(record(), 60_000);
+      await store.save(record({ status: 'running' }), 60_000);
+
+      await expect(store.get(record().id)).resolves.toMatchObject({ status: 'running' });
+      await expect(fs.readdir(dir)).resolves.toEqual([`${record().id}.json`]);
+      await expect(store.get('../secrets')).resolves.toBeNull();
+      await expect(createFileJobStore(dir).get(record().id)).resolves.toMatchObject({ status: 'running' });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should read and write Redis strings with a TTL', async () => {
+    const originalFetch = global.fetch;
+    const fetchMock = jest
+      .fn()
+      .mockResolvedValueOnce(new Response(JSON.stringify({ result: 'OK' })))
+      .mockResolvedValueOnce(new Response(JSON.stringify({ result: JSON.stringify(record()) })))
+      .mockResolvedValueOnce(new Response(JSON.stringify({ error: 'WRONGPASS' }), { status: 401 }));
+    global.fetch = fetchMock;
+    try {
+      const store = createRedisJobStore('https://redis.example.com/', 'token');
+      await store.save(record(), 1_000);
+      await expect(store.get(record().id)).resolves.toEqual(record());
+      await expect(store.get(record().id)).rejects.toThrow('WRONGPASS');
+
+      const [url, init] = fetchMock.mock.calls[0];
+      expect(url).toBe('https://redis.example.com');
+      expect(init.headers.Authorization).toBe('Bearer token');
+      expect(JSON.parse(init.body)).toEqual(['SET', `pg_job:${record().id}`, JSON.stringify(record()), 'PX', '1000']);
+      expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toEqual(['GET', `pg_job:${record().id}`]);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+});
+
+describe('createJobQueue', () => {
+  it('should record the result of a job', async () => {
+    const queue = createJobQueue(createMemoryJobStore());
+    const { task, finish } = deferredTask();
+
+    const job = await queue.submit(task);
+    expect(toJobResponse(job)).not.toHaveProperty('webhookUrl');
+    await flush();
+    await expect(queue.get(job.id)).resolves.toMatchObject({ status: 'running', result: null });
+
+    finish({ ok: true, result: RESULT });
+    await queue.settled(job.id);
+    const finished = await queue.get(job.id);
+    expect(finished).toMatchObject({ status: 'succeeded', result: RESULT, error: null });
+    expect(finished?.finishedAt).toEqual(expect.any(String));
+  });
+
+  it('should record failures and thrown errors as error envelopes', async () => {
+    const queue = createJobQueue(createMemoryJobStore());
+    const rejected = buildApiError(ERROR_CODES.SCHEMA_INVALID, 'Unusable output');
+    const abort = Object.assign(new Error('aborted'), { name: 'AbortError' });
+
+    const failed = await queue.submit(async () => ({ ok: false, error: rejected }));
+    const aborted = await queue.submit(() => Promise.reject(abort));
+    const crashed = await queue.submit(() => Promise.reject(new Error('boom')));
+    await Promise.all([failed, aborted, crashed].map((job) => queue.settled(job.id)));
+
+    await expect(queue.get(failed.id)).resolves.toMatchObject({ status: 'failed', error: rejected });
+    await expect(queue.get(aborted.id)).resolves.toMatchObject({ error: { code: ERROR_CODES.UPSTREAM_TIMEOUT } });
+    await expect(queue.get(crashed.id)).resolves.toMatchObject({ error: { code: ERROR_CODES.INTERNAL_ERROR } });
+  });
+
+  it('should run at most MAX_RUNNING jobs and refuse more than MAX_QUEUED waiting', async () => {
+    const queue = createJobQueue(createMemoryJobStore(), { limits: { ...JOB_CONFIG, MAX_RUNNING: 1, MAX_QUEUED: 1 } });
+    const first = deferredTask();
+    const second = deferredTask();
+
+    const firstJob = await queue.submit(first.task);
+    const secondJob = await queue.submit(second.task);
+    await expect(queue.submit(deferredTask().task)).rejects.toThrow(JobQueueFullError);
+    await flush();
+    expect(second.task).not.toHaveBeenCalled();
+    await expect(queue.get(secondJob.id)).resolves.toMatchObject({ status: 'queued' });
+
+    first.finish({ ok: true, result: RESULT });
+    await queue.settled(firstJob.id);
+    await flush();
+    expect(second.task).toHaveBeenCalledTimes(1);
+    second.finish({ ok: true, result: RESULT });
+    await queue.settled(secondJob.id);
+  });
+
+  it('should report jobs of another instance as failed once they stop changing', async () => {
+    const store = createMemoryJobStore();
+    let now = Date.parse('2026-01-01T00:00:00.000Z');
+    const owner = createJobQueue(store, { now: () => now });
+    const observer = createJobQueue(store, { now: () => now });
+    const { task, finish } = deferredTask();
+
+    const job = await owner.submit(task);
+    await flush();
+    now += JOB_CONFIG.STALE_AFTER - 1;
+    await expect(observer.get(job.id)).resolves.toMatchObject({ status: 'running' });
+
+    now += 1;
+    await expect(observer.get(job.id)).resolves.toMatchObject({
+      status: 'failed',
+      error: { code: ERROR_CODES.INTERNAL_ERROR },
+    });
+    await expect(owner.get(job.id)).resolves.toMatchObject({ status: 'running' });
+
+    finish({ ok: true, result: RESULT });
+    await owner.settled(job.id);
+  });
+
+  it('should deliver the webhook once the job finished and record the delivery', async () => {
+    const deliver = jest.fn().mockResolvedValue({ status: 'delivered', attempts: 2 });
+    const queue = createJobQueue(createMemoryJobStore(), { deliver });
+
+    const job = await queue.submit(async () => ({ ok: true, result: RESULT }), {
+      webhookUrl: 'https://hooks.example.com/done',
+    });
+    expect(job.webhook).toEqual({ status: 'pending', attempts: 0 });
+    await queue.settled(job.id);
+
+    expect(deliver).toHaveBeenCalledWith(
+      'https://hooks.example.com/done',
+      expect.objectContaining({ id: job.id, status: 'succeeded' })
+    );
+    await expect(queue.get(job.id)).resolves.toMatchObject({ webhook: { status: 'delivered', attempts: 2 } });
+  });
+});
+
+describe('deliverWebhook', () => {
+  const originalFetch = global.fetch;
+  const originalSecret = process.env.JOB_WEBHOOK_SECRET;
+  const fetchMock = jest.fn();
+  const sleep = jest.fn().mockResolvedValue(undefined);
+  const resolvePublic = async () => ['93.184.216.34'];
+  const job = record({ status: 'succeeded', result: RESULT, webhookUrl: 'https://hooks.example.com/done' });
+
+  beforeEach(() => {
+    fetchMock.mockReset();
+    sleep.mockClear();
+    global.fetch = fetchMock;
+    process.env.JOB_WEBHOOK_SECRET = 'shh';
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    if (originalSecret === undefined) delete process.env.JOB_WEBHOOK_SECRET;
+    else process.env.JOB_WEBHOOK_SECRET = originalSecret;
+  });
+
+  it('should post the signed job without its webhook URL', async () => {
+    fetchMock.mockResolvedValue(new Response(null, { status: 204 }));
+
+    await expect(deliverWebhook('https://hooks.example.com/done', job, sleep, resolvePublic)).resolves.toEqual({
+      status: 'delivered',
+      attempts: 1,
+    });
+    const [, init] = fetchMock.mock.calls[0];
+    expect(JSON.parse(init.body)).toEqual({ event: 'job.finished', job: toJobResponse(job) });
+    expect(init.headers[WEBHOOK_HEADERS.SIGNATURE]).toBe(signWebhookBody(init.body, 'shh'));
+    expect(init.headers[WEBHOOK_HEADERS.JOB_ID]).toBe(job.id);
+    expect(init.redirect).toBe('manual');
+  });
+
+  it('should retry server errors and network failures, but not client errors', async () => {
+    fetchMock
+      .mockRejectedValueOnce(new TypeError('fetch failed'))
+      .mockResolvedValueOnce(new Response(null, { status: 503 }))
+      .mockResolvedValueOnce(new Response(null, { status: 200 }));
+    await expect(deliverWebhook('https://hooks.example.com/done', job, sleep, resolvePublic)).resolves.toEqual({
+      status: 'delivered',
+      attempts: 3,
+    });
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([
+      JOB_CONFIG.WEBHOOK_RETRY_DELAY,
+      JOB_CONFIG.WEBHOOK_RETRY_DELAY * 2,
+    ]);
+
+    fetchMock.mockReset().mockResolvedValue(new Response(null, { status: 410 }));
+    await expect(deliverWebhook('https://hooks.example.com/done', job, sleep, resolvePublic)).resolves.toEqual({
+      status: 'failed',
+      attempts: 1,
+    });
+  });
+
+  it('should refuse hosts that resolve to a private address', async () => {
+    const rebound = jest.fn().mockResolvedValueOnce(['93.184.216.34', '169.254.169.254']);
+    await expect(deliverWebhook('https://metadata.example.com/hook', job, sleep, rebound)).resolves.toEqual({
+      status: 'failed',
+      attempts: 1,
+    });
+    await expect(
+      deliverWebhook('https://hooks.example.com/done', job, sleep, async () => ['127.0.0.1'])
+    ).resolves.toEqual({ status: 'failed', attempts: 1 });
+    expect(rebound).toHaveBeenCalledWith('metadata.example.com');
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
+
+describe('validateWebhookUrl', () => {
+  it('should accept public https URLs only', () => {
+    expect(validateWebhookUrl('https://hooks.example.com/done')).toBeNull();
+    expect(validateWebhookUrl('http://hooks.example.com/done')).toBe('"webhookUrl" must use https.');
+    expect(validateWebhookUrl('not a url')).toBe('"webhookUrl" must be an absolute URL.');
+    expect(validateWebhookUrl(`https://example.com/${'a'.repeat(2048)}`)).toMatch(/must be under/);
+  });
+
+  it('should reject private and loopback hosts', () => {
+    ['localhost', '127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '[::1]', 'db.internal'].forEach(
+      (host) => expect(validateWebhookUrl(`https://${host}/hook`)).toBe('"webhookUrl" must point to a public host.')
+    );
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * @jest-environment node
+ */
+import { HEALTH_STATUSES } from '../config/constants';
+import { buildLivenessReport, buildReadinessReport, runHealthCheck } from '../services/healthChecks';
+import { createMemoryStore, probeRateLimitStore } from '../services/rateLimit';
+import { isValidModelId } from '../utils/modelIds';
+
+describe('isValidModelId', () => {
+  it('should accept vendor/model IDs with an optional variant', () => {
+    ['x-ai/grok-4.1-fast', 'google/gemini-2.5-flash-lite-preview-06-17', 'meta-llama/llama-3.1-8b-instruct:free'].forEach(
+      (model) => expect(isValidModelId(model)).toBe(true)
+    );
+  });
+
+  it('should reject malformed IDs', () => {
+    ['grok-4', 'x-ai/', '/grok', 'x-ai/grok 4', 'x-ai/grok-4/fast', '', undefined].forEach((model) =>
+      expect(isValidModelId(model)).toBe(false)
+    );
+  });
+
+  it('should also accept bare names and tags for openai-compatible servers', () => {
+    ['llama3.1', 'llama3.1:8b', 'meta-llama/Llama-3.1-8B-Instruct', 'x-ai/grok-4.1-fast'].forEach((model) =>
+      expect(isValidModelId(model, 'openai-compatible')).toBe(true)
+    );
+    ['', 'llama 3', ':8b', 'llama3/', 'http://host/model'].forEach((model) =>
+      expect(isValidModelId(model, 'openai-compatible')).toBe(false)
+    );
+  });
+});
+
+describe('runHealthCheck', () => {
+  it('should report the message of a passing check', async () => {
+    await expect(runHealthCheck('sync', () => 'fine')).resolves.toMatchObject({
+      name: 'sync',
+      status: HEALTH_STATUSES.OK,
+      message: 'fine',
+    });
+  });
+
+  it('should fail checks that throw or time out', async () => {
+    await expect(
+      runHealthCheck('broken', () => {
+        throw new Error('OPENROUTER_API_KEY is not set');
+      })
+    ).resolves.toMatchObject({ status: HEALTH_STATUSES.FAIL, message: 'OPENROUTER_API_KEY is not set' });
+    await expect(runHealthCheck('slow', () => new Promise<string>(() => undefined), 20)).resolves.toMatchObject({
+      status: HEALTH_STATUSES.FAIL,
+      message: 'Timed out after 20ms',
+    });
+  });
+});
+
+describe('buildReadinessReport', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.RATE_LIMIT_STORE;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('should pass when the provider, store, models and prompts are configured', async () => {
+    process.env.LLM_PROVIDER = 'openrouter';
+    process.env.OPENROUTER_API_KEY = 'sk-or-test';
+
+    const report = await buildReadinessReport();
+    expect(report.status).toBe(HEALTH_STATUSES.OK);
+    expect(report.checks.map(({ name, status }) => [name, status])).toEqual([
+      ['environment', HEALTH_STATUSES.OK],
+      ['provider', HEALTH_STATUSES.OK],
+      ['rateLimitStore', HEALTH_STATUSES.OK],
+      ['models', HEALTH_STATUSES.OK],
+      ['systemPrompts', HEALTH_STATUSES.OK],
+    ]);
+  });
+
+  it('should fail when the OpenRouter key is missing or the store is misconfigured', async () => {
+    process.env.LLM_PROVIDER = 'openrouter';
+    delete process.env.OPENROUTER_API_KEY;
+    process.env.RATE_LIMIT_STORE = 'redis';
+    delete process.env.RATE_LIMIT_REDIS_URL;
+    delete process.env.UPSTASH_REDIS_REST_URL;
+
+    const report = await buildReadinessReport();
+    expect(report.status).toBe(HEALTH_STATUSES.FAIL);
+    expect(report.checks.find(({ name }) => name === 'provider')).toMatchObject({
+      status: HEALTH_STATUSES.FAIL,
+      message: 'OPENROUTER_API_KEY is not set',
+    });
+    expect(report.checks.find(({ name }) => name === 'rateLimitStore')?.message).toContain('RATE_LIMIT_REDIS_URL');
+  });
+
+  it('should not need a key for the mock provider', async () => {
+    process.env.LLM_PROVIDER = 'mock';
+    delete process.env.OPENROUTER_API_KEY;
+
+    const report = await buildReadinessReport();
+    expect(report.checks[1]).toMatchObject({ status: HEALTH_STATUSES.OK, message: 'Using the mock provider' });
+  });
+});
+
+describe('probes', () => {
+  it('should report liveness and probe a store without consuming points', async () => {
+    const store = createMemoryStore();
+
+    expect(buildLivenessReport()).toMatchObject({ status: HEALTH_STATUSES.OK, uptimeSeconds: expect.any(Number) });
+    await expect(probeRateLimitStore(store)).resolves.toBe('memory');
+    await expect(store.increment('pg_rl:health', 0, 1000)).resolves.toMatchObject({ consumed: 0 });
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * @jest-environment node
+ */
+import { LLM_PROVIDERS } from '../config/constants';
+import { buildMockCompletion, getLlmProvider } from '../services/llmProvider';
+import {
+  ensureJsonPrompt,
+  ensureTextPrompt,
+  ensureVideoStoryboard,
+  parseStructuredContent,
+} from '../utils/openRouterParsers';
+import { PROMPT_MODE_REGISTRY } from '../config/promptModes';
+import type { OpenRouterRequestBody } from '../services/openRouterService';
+import { buildUserPrompt } from '../services/promptPipeline';
+import { detectPromptInjection } from '../utils/promptGuard';
+
+const promptSchema = {
+  name: 'prompt_response',
+  schema: {
+    type: 'object' as const,
+    additionalProperties: false,
+    properties: { prompt: { type: 'string' } },
+    required: ['prompt'],
+  },
+  strict: true,
+};
+
+const jsonSchema = {
+  name: 'json_prompt_response',
+  schema: {
+    type: 'object' as const,
+    additionalProperties: false,
+    properties: {
+      scene: { type: 'string' },
+      subjects: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            description: { type: 'string' },
+            position: { type: 'string' },
+            action: { type: 'string' },
+            color_palette: { type: 'array', items: { type: 'string' } },
+          },
+        },
+      },
+      style: { type: 'string' },
+      color_palette: { type: 'array', items: { type: 'string' } },
+      lighting: { type: 'string' },
+      mood: { type: 'string' },
+      background: { type: 'string' },
+      composition: { type: 'string' },
+      camera: {
+        type: 'object',
+        properties: {
+          angle: { type: 'string' },
+          lens: { type: 'string' },
+          'f-number': { type: 'string' },
+          ISO: { type: 'number' },
+          depth_of_field: { type: 'string' },
+        },
+      },
+    },
+    required: [],
+  },
+  strict: true,
+};
+
+const makeBody = (overrides: Partial<OpenRouterRequestBody> = {}): OpenRouterRequestBody => ({
+  model: 'x-ai/grok-4.1-fast',
+  messages: [
+    { role: 'system', content: 'system prompt' },
+    { role: 'user', content: 'Idea: a lighthouse in a storm' },
+  ],
+  ...overrides,
+});
+
+describe('getLlmProvider', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('should default to OpenRouter', () => {
+    delete process.env.LLM_PROVIDER;
+    process.env.OPENROUTER_API_KEY = 'sk-test';
+    const provider = getLlmProvider();
+    expect(provider.name).toBe(LLM_PROVIDERS.OPENROUTER);
+    expect(provider.apiKey).toBe('sk-test');
+  });
+
+  it('should report a missing OpenRouter key as null', () => {
+    delete process.env.LLM_PROVIDER;
+    delete process.env.OPENROUTER_API_KEY;
+    expect(getLlmProvider().apiKey).toBeNull();
+  });
+
+  it('should not require a key for OpenAI-compatible or mock providers', () => {
+    process.env.LLM_PROVIDER = 'openai-compatible';
+    delete process.env.LLM_API_KEY;
+    expect(getLlmProvider().apiKey).toBe('');
+
+    process.env.LLM_PROVIDER = 'mock';
+    expect(getLlmProvider().apiKey).toBe('mock');
+  });
+
+  it('should throw for unknown providers', () => {
+    process.env.LLM_PROVIDER = 'carrier-pigeon';
+    expect(() => getLlmProvider()).toThrow('Unknown LLM_PROVIDER "carrier-pigeon"');
+  });
+
+  it('should send OpenAI-compatible requests to the configured base URL with the model override', async () => {
+    process.env.LLM_PROVIDER = 'openai-compatible';
+    process.env.LLM_BASE_URL = 'http://127.0.0.1:8080/v1/';
+    process.env.LLM_MODEL = 'llama3';
+    const fetchMock = jest.fn().mockResolvedValue(new Response('{}'));
+    const originalFetch = global.fetch;
+    global.fetch = fetchMock;
+
+    try {
+      await getLlmProvider().chatCompletion({
+        apiKey: '',
+        body: makeBody({ usage: { include: true } }),
+        title: 'test',
+        signal: new AbortController().signal,
+      });
+    } finally {
+      global.fetch = originalFetch;
+    }
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://127.0.0.1:8080/v1/chat/completions');
+    expect(init.headers.Authorization).toBeUndefined();
+    const sent = JSON.parse(init.body);
+    expect(sent.model).toBe('llama3');
+    expect(sent.usage).toBeUndefined();
+  });
+});
+
+describe('mock provider', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, LLM_PROVIDER: 'mock' };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('should be deterministic for the same input', () => {
+    const body = makeBody({ response_format: { type: 'json_schema', json_schema: promptSchema } });
+    expect(buildMockCompletion(body)).toBe(buildMockCompletion(body));
+  });
+
+  it('should return a text prompt between 500 and 1200 characters', () => {
+    const content = buildMockCompletion(
+      makeBody({ response_format: { type: 'json_schema', json_schema: promptSchema } })
+    );
+    const prompt = ensureTextPrompt(parseStructuredContent(content));
+    expect(prompt.length).toBeGreaterThanOrEqual(500);
+    expect(prompt.length).toBeLessThanOrEqual(1200);
+  });
+
+  it('should return JSON that satisfies the JSON mode validator', () => {
+    const content = buildMockCompletion(
+      makeBody({ response_format: { type: 'json_schema', json_schema: jsonSchema } })
+    );
+    const payload = ensureJsonPrompt(parseStructuredContent(content));
+    expect(payload.subjects).toHaveLength(1);
+    expect(typeof payload.camera.ISO).toBe('number');
+  });
+
+  it('should return a storyboard that satisfies the VIDEO mode validator', () => {
+    const content = buildMockCompletion(
+      makeBody({
+        response_format: { type: 'json_schema', json_schema: PROMPT_MODE_REGISTRY.video.responseSchema },
+      })
+    );
+    const storyboard = ensureVideoStoryboard(parseStructuredContent(content));
+    expect(storyboard.shots).toHaveLength(1);
+    expect(storyboard.shots[0].transition).toBe('cut');
+  });
+
+  it('should return plain text when no schema is requested', () => {
+    expect(buildMockCompletion(makeBody())).toMatch(/^Refined brief: Idea: a lighthouse/);
+  });
+
+  it('should quote the delimited user text without its markup', () => {
+    const userPrompt = buildUserPrompt({
+      idea: 'a cat on a roof <3',
+      directions: 'at night',
+      hasImage: false,
+      mode: PROMPT_MODE_REGISTRY.default,
+    });
+    const prompt = ensureTextPrompt(
+      parseStructuredContent(
+        buildMockCompletion(
+          makeBody({
+            messages: [{ role: 'user', content: userPrompt }],
+            response_format: { type: 'json_schema', json_schema: promptSchema },
+          })
+        )
+      )
+    );
+    const brief = buildMockCompletion(makeBody({ messages: [{ role: 'user', content: userPrompt }] }));
+
+    expect(prompt).toContain('inspired by: a cat on a roof <3 at night.');
+    expect(brief).toBe('Refined brief: a cat on a roof <3 at night');
+    [prompt, brief].forEach((output) => {
+      expect(output).not.toContain('<user_');
+      expect(detectPromptInjection(output)).toEqual([]);
+    });
+  });
+
+  it('should return a chat completion response', async () => {
+    const response = await getLlmProvider().chatCompletion({
+      apiKey: 'mock',
+      body: makeBody(),
+      title: 'test',
+      signal: new AbortController().signal,
+    });
+    const data = await response.json();
+    expect(response.ok).toBe(true);
+    expect(data.choices[0].message.content).toMatch(/^Refined brief/);
+    expect(data.usage.total_tokens).toBeGreaterThan(0);
+  });
+
+  it('should stream the completion as SSE chunks', async () => {
+    const body = makeBody({ stream: true });
+    const response = await getLlmProvider().chatCompletion({
+      apiKey: 'mock',
+      body,
+      title: 'test',
+      signal: new AbortController().signal,
+    });
+    const text = await response.text();
+    expect(response.headers.get('content-type')).toContain('text/event-stream');
+    expect(text.trim().endsWith('data: [DONE]')).toBe(true);
+
+    const streamed = text
+      .split('\n\n')
+      .filter((event) => event.startsWith('data: {'))
+      .map((event) => JSON.parse(event.slice(6)).choices[0].delta.content || '')
+      .join('');
+    expect(streamed).toBe(buildMockCompletion(body));
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * @jest-environment node
+ */
+import { EventEmitter } from 'events';
+import type { NextApiRequest, NextApiResponse } from 'next';
+import {
+  createMetricsRegistry,
+  isMetricsRequestAuthorized,
+  observeApiRequest,
+  recordTokenUsage,
+  renderMetrics,
+} from '../services/metrics';
+import { callWithModelFallback } from '../services/openRouterService';
+
+/** Value of one series in rendered metrics (0 when it is not there yet) */
+const metricValue = (name: string, labels: string) => {
+  const line = renderMetrics()
+    .split('\n')
+    .find((entry) => entry.startsWith(`${name}{${labels}} `));
+  return line ? Number(line.slice(line.lastIndexOf(' ') + 1)) : 0;
+};
+
+describe('createMetricsRegistry', () => {
+  it('should render counters with escaped labels', () => {
+    const registry = createMetricsRegistry();
+    const counter = registry.counter('app_requests_total', 'Requests.');
+    counter.inc({ route: '/a', mode: 'x"y' });
+    counter.inc({ mode: 'x"y', route: '/a' }, 2);
+
+    expect(registry.render()).toBe(
+      [
+        '# HELP app_requests_total Requests.',
+        '# TYPE app_requests_total counter',
+        'app_requests_total{route="/a",mode="x\\"y"} 3',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('should render cumulative histogram buckets', () => {
+    const registry = createMetricsRegistry();
+    const histogram = registry.histogram('app_latency_seconds', 'Latency.', [0.5, 1]);
+    [0.2, 0.7, 3].forEach((value) => histogram.observe({ model: 'm' }, value));
+
+    expect(registry.render()).toContain(
+      [
+        'app_latency_seconds_bucket{model="m",le="0.5"} 1',
+        'app_latency_seconds_bucket{model="m",le="1"} 2',
+        'app_latency_seconds_bucket{model="m",le="+Inf"} 3',
+        'app_latency_seconds_sum{model="m"} 3.9',
+        'app_latency_seconds_count{model="m"} 3',
+      ].join('\n')
+    );
+  });
+});
+
+describe('application metrics', () => {
+  it('should count a request once its response is sent', () => {
+    const res = Object.assign(new EventEmitter(), { statusCode: 200 }) as unknown as NextApiResponse;
+    const labels = 'route="/api/test",mode="json",status="200"';
+    const before = metricValue('prompt_generator_requests_total', labels);
+
+    observeApiRequest(res, '/api/test').mode = 'json';
+    expect(metricValue('prompt_generator_requests_total', labels)).toBe(before);
+    res.emit('finish');
+    expect(metricValue('prompt_generator_requests_total', labels)).toBe(before + 1);
+  });
+
+  it('should add prompt and completion tokens by model', () => {
+    recordTokenUsage('model/tokens', { prompt_tokens: 12, completion_tokens: 30, total_tokens: 42 });
+    recordTokenUsage('model/tokens', { prompt_tokens: 3 });
+    recordTokenUsage('model/tokens', null);
+
+    expect(metricValue('prompt_generator_tokens_total', 'model="model/tokens",type="prompt"')).toBe(15);
+    expect(metricValue('prompt_generator_tokens_total', 'model="model/tokens",type="completion"')).toBe(30);
+  });
+
+  describe('model calls', () => {
+    const originalFetch = global.fetch;
+    const originalEnv = process.env;
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, OPENROUTER_API_KEY: 'sk-test' };
+      delete process.env.LLM_PROVIDER;
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+      process.env = originalEnv;
+    });
+
+    it('should record latency, fallbacks and tokens', async () => {
+      global.fetch = jest
+        .fn()
+        .mockResolvedValueOnce(new Response('{}', { status: 429 }))
+        .mockResolvedValueOnce(
+          new Response(
+            JSON.stringify({ choices: [{ message: { content: 'ok' } }], usage: { prompt_tokens: 5, completion_tokens: 7 } })
+          )
+        );
+
+      await callWithModelFallback({
+        apiKey: 'sk-test',
+        body: { messages: [{ role: 'user', content: 'hi' }] },
+        models: ['metrics/a', 'metrics/b'],
+        validate: (data) => data.choices?.[0]?.message?.content,
+      });
+
+      expect(metricValue('prompt_generator_model_fallbacks_total', 'model="metrics/a",reason="rate_limited"')).toBe(1);
+      expect(metricValue('prompt_generator_tokens_total', 'model="metrics/b",type="completion"')).toBe(7);
+      expect(
+        metricValue(
+          'prompt_generator_upstream_request_duration_seconds_count',
+          'provider="openrouter",model="metrics/a",outcome="4xx"'
+        )
+      ).toBe(1);
+      expect(
+        metricValue(
+          'prompt_generator_upstream_request_duration_seconds_count',
+          'provider="openrouter",model="metrics/b",outcome="2xx"'
+        )
+      ).toBe(1);
+    });
+  });
+});
+
+describe('isMetricsRequestAuthorized', () => {
+  const originalToken = process.env.METRICS_TOKEN;
+  const request = (authorization?: string) => ({ headers: { authorization } }) as NextApiRequest;
+
+  afterEach(() => {
+    if (originalToken === undefined) delete process.env.METRICS_TOKEN;
+    else process.env.METRICS_TOKEN = originalToken;
+  });
+
+  it('should accept only the configured bearer token', () => {
+    process.env.METRICS_TOKEN = 'scrape-me';
+    expect(isMetricsRequestAuthorized(request('Bearer scrape-me'))).toBe(true);
+    expect(isMetricsRequestAuthorized(request('Bearer scrape-you'))).toBe(false);
+    expect(isMetricsRequestAuthorized(request())).toBe(false);
+  });
+
+  it('should reject every request while no token is configured', () => {
+    delete process.env.METRICS_TOKEN;
+    expect(isMetricsRequestAuthorized(request('Bearer '))).toBe(false);
+    expect(isMetricsRequestAuthorized(request('Bearer undefined'))).toBe(false);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * @jest-environment node
+ */
+import { ERROR_CODES, PROMPT_MODES, VARIANT_CONFIG } from '../config/constants';
+import { PROMPT_MODE_REGISTRY } from '../config/promptModes';
+import { buildOpenApiDocument } from '../services/openApi';
+
+describe('buildOpenApiDocument', () => {
+  const document = buildOpenApiDocument();
+  const { schemas } = document.components;
+
+  it('should describe the prompt routes as OpenAPI 3.1', () => {
+    expect(document.openapi).toBe('3.1.0');
+    expect(Object.keys(document.paths)).toEqual([
+      '/api/generate',
+      '/api/jobs/{id}',
+      '/api/edit',
+      '/api/surprise',
+      '/api/batch',
+      '/api/batch/{id}',
+      '/api/batch/{id}/results',
+      '/api/usage',
+    ]);
+  });
+
+  it('should use the response schemas of the structured modes', () => {
+    expect(schemas.JsonPromptResponse).toEqual(PROMPT_MODE_REGISTRY[PROMPT_MODES.JSON].responseSchema.schema);
+    expect(schemas.VideoStoryboardResponse).toEqual(PROMPT_MODE_REGISTRY[PROMPT_MODES.VIDEO].responseSchema.schema);
+    expect(schemas.GeneratedPrompt.oneOf).toEqual([
+      { type: 'string' },
+      { $ref: '#/components/schemas/JsonPromptResponse' },
+      { $ref: '#/components/schemas/VideoStoryboardResponse' },
+    ]);
+  });
+
+  it('should take limits and error codes from the shared constants', () => {
+    const { variants } = schemas.GenerateRequest.properties as Record<string, Record<string, unknown>>;
+    expect(variants).toMatchObject({ minimum: VARIANT_CONFIG.MIN, maximum: VARIANT_CONFIG.MAX });
+    expect((schemas.Error.properties as Record<string, { enum?: string[] }>).code.enum).toEqual(
+      Object.values(ERROR_CODES)
+    );
+  });
+
+  it('should group error responses by status and only reference existing schemas', () => {
+    const responses = (document.paths['/api/surprise'].post as { responses: Record<string, { description: string }> })
+      .responses;
+    expect(Object.keys(responses).sort()).toEqual(['200', '405', '429', '500', '504']);
+    expect(responses['429'].description).toContain('`RATE_LIMITED`');
+    expect(responses['429'].description).toContain('`BUDGET_EXCEEDED`');
+
+    const refs = JSON.stringify(document).match(/#\/components\/schemas\/\w+/g) ?? [];
+    refs.forEach((ref) => expect(schemas).toHaveProperty(ref.split('/').pop() as string));
+  });
+});
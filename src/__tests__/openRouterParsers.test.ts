@@ -5,8 +5,14 @@ import {
   ensureJsonPrompt,
   isTextPrompt,
   isJsonPrompt,
+  isVideoStoryboard,
+  ensureVideoStoryboard,
+  parseStreamChunk,
+  extractStreamDelta,
+  extractPartialPrompt,
   type PromptTextPayload,
   type JsonPromptPayload,
+  type VideoStoryboardPayload,
 } from '../utils/openRouterParsers';
 
 describe('extractMessageText', () => {
@@ -71,6 +77,12 @@ describe('parseStructuredContent', () => {
   it('should throw error for invalid JSON', () => {
     expect(() => parseStructuredContent('not valid json')).toThrow();
   });
+
+  it('should strip markdown fences and surrounding text', () => {
+    const content = 'Sure!\n```json\n{"prompt": "fenced"}\n```\nEnjoy.';
+    expect(parseStructuredContent<PromptTextPayload>(content).prompt).toBe('fenced');
+    expect(parseStructuredContent<PromptTextPayload>('Result: {"prompt": "bare"}').prompt).toBe('bare');
+  });
 });
 
 describe('ensureTextPrompt', () => {
@@ -126,6 +138,96 @@ describe('ensureJsonPrompt', () => {
   });
 });
 
+describe('parseStreamChunk', () => {
+  it('should parse a JSON chunk', () => {
+    const chunk = parseStreamChunk('{"choices":[{"delta":{"content":"Hi"}}]}');
+    expect(extractStreamDelta(chunk)).toBe('Hi');
+  });
+
+  it('should return null for the DONE marker and invalid data', () => {
+    expect(parseStreamChunk('[DONE]')).toBeNull();
+    expect(parseStreamChunk('not json')).toBeNull();
+  });
+
+  it('should return empty delta for chunks without content', () => {
+    expect(extractStreamDelta(parseStreamChunk('{"choices":[{"delta":{}}],"usage":{}}'))).toBe('');
+    expect(extractStreamDelta(null)).toBe('');
+  });
+});
+
+describe('extractPartialPrompt', () => {
+  it('should return empty string before the prompt value starts', () => {
+    expect(extractPartialPrompt('')).toBe('');
+    expect(extractPartialPrompt('{"pro')).toBe('');
+  });
+
+  it('should extract an incomplete prompt value', () => {
+    expect(extractPartialPrompt('{"prompt": "A misty valley at da')).toBe('A misty valley at da');
+  });
+
+  it('should stop at the closing quote of a complete value', () => {
+    expect(extractPartialPrompt('{"prompt":"Done."}')).toBe('Done.');
+  });
+
+  it('should decode JSON escapes', () => {
+    expect(extractPartialPrompt('{"prompt":"say \\"hi\\"\\nnext \\u00e9')).toBe('say "hi"\nnext é');
+  });
+
+  it('should ignore a dangling escape at the end of the buffer', () => {
+    expect(extractPartialPrompt('{"prompt":"abc\\')).toBe('abc');
+    expect(extractPartialPrompt('{"prompt":"abc\\u00')).toBe('abc');
+  });
+});
+
+describe('ensureVideoStoryboard', () => {
+  const makeStoryboard = (overrides: Partial<VideoStoryboardPayload> = {}): VideoStoryboardPayload => ({
+    scene: 'A drone glides over a misty valley at dawn',
+    duration_seconds: 8,
+    fps: 24,
+    aspect_ratio: '16:9',
+    style: 'cinematic 8K',
+    camera_motion: 'slow forward glide',
+    shots: [
+      { shot: 1, start_seconds: 0, end_seconds: 4, description: 'Wide valley', camera_motion: 'push in', transition: 'dissolve' },
+      { shot: 2, start_seconds: 4, end_seconds: 8, description: 'Sun breaks through', camera_motion: 'tilt up', transition: 'none' },
+    ],
+    ...overrides,
+  });
+
+  it('should return a valid storyboard', () => {
+    const storyboard = makeStoryboard();
+    expect(ensureVideoStoryboard(storyboard)).toEqual(storyboard);
+  });
+
+  it('should reject missing clip settings', () => {
+    expect(() => ensureVideoStoryboard(makeStoryboard({ fps: 0 }))).toThrow('Invalid video storyboard payload');
+    expect(() => ensureVideoStoryboard(makeStoryboard({ shots: [] }))).toThrow('Invalid video storyboard payload');
+    expect(() => ensureVideoStoryboard({ prompt: 'A paragraph' })).toThrow('Invalid video storyboard payload');
+  });
+
+  it('should reject overlapping or reversed shots', () => {
+    const overlapping = makeStoryboard();
+    overlapping.shots[1].start_seconds = 3;
+    expect(() => ensureVideoStoryboard(overlapping)).toThrow('Shot 2 timing overlaps or is out of order');
+
+    const reversed = makeStoryboard();
+    reversed.shots[0].end_seconds = 0;
+    expect(() => ensureVideoStoryboard(reversed)).toThrow('Shot 1 timing overlaps or is out of order');
+  });
+
+  it('should reject shots that run past the duration', () => {
+    expect(() => ensureVideoStoryboard(makeStoryboard({ duration_seconds: 6 }))).toThrow(
+      'Video storyboard shots run past the clip duration'
+    );
+  });
+
+  it('should be told apart from JSON prompts by the type guards', () => {
+    const storyboard = makeStoryboard();
+    expect(isVideoStoryboard(storyboard)).toBe(true);
+    expect(isJsonPrompt(storyboard)).toBe(false);
+  });
+});
+
 describe('type guards', () => {
   it('isTextPrompt should return true for text prompts', () => {
     expect(isTextPrompt({ prompt: 'test' })).toBe(true);
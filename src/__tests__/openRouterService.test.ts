@@ -0,0 +1,167 @@
+/**
+ * @jest-environment node
+ */
+import { callWithModelFallback, connectWithModelFallback } from '../services/openRouterService';
+
+const jsonResponse = (status: number, body: unknown) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+const completion = (content: string) => jsonResponse(200, { choices: [{ message: { content } }], usage: { total_tokens: 1 } });
+
+const baseOptions = {
+  apiKey: 'sk-test',
+  body: { messages: [{ role: 'user' as const, content: 'hi' }] },
+  models: ['model/a', 'model/b', 'model/c'],
+};
+
+const requestedModels = (fetchMock: jest.Mock) =>
+  fetchMock.mock.calls.map(([, init]) => JSON.parse(init.body).model);
+
+describe('model fallback', () => {
+  const originalFetch = global.fetch;
+  const originalEnv = process.env;
+  let fetchMock: jest.Mock;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, OPENROUTER_API_KEY: 'sk-test' };
+    delete process.env.LLM_PROVIDER;
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+    process.env = originalEnv;
+  });
+
+  it('should use the first model when it succeeds', async () => {
+    fetchMock.mockResolvedValueOnce(completion('ok'));
+    const result = await callWithModelFallback({ ...baseOptions, validate: (data) => data.choices?.[0]?.message?.content });
+    expect(result).toMatchObject({ ok: true, value: 'ok', model: 'model/a' });
+    expect(requestedModels(fetchMock)).toEqual(['model/a']);
+  });
+
+  it('should fall back when a model is rate limited or missing', async () => {
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse(429, { error: 'rate limited' }))
+      .mockResolvedValueOnce(jsonResponse(404, { error: 'no such model' }))
+      .mockResolvedValueOnce(completion('third time lucky'));
+    const result = await callWithModelFallback({ ...baseOptions, validate: (data) => data.choices?.[0]?.message?.content });
+    expect(result).toMatchObject({ ok: true, value: 'third time lucky', model: 'model/c' });
+    expect(requestedModels(fetchMock)).toEqual(['model/a', 'model/b', 'model/c']);
+  });
+
+  it('should fall back when the output fails validation', async () => {
+    fetchMock.mockResolvedValueOnce(completion('not json')).mockResolvedValueOnce(completion('{"prompt":"valid"}'));
+    const result = await callWithModelFallback({
+      ...baseOptions,
+      validate: (data) => JSON.parse(String(data.choices?.[0]?.message?.content)).prompt as string,
+    });
+    expect(result).toMatchObject({ ok: true, value: 'valid', model: 'model/b' });
+  });
+
+  it('should report invalid output when every model fails validation', async () => {
+    fetchMock.mockImplementation(async () => completion('not json'));
+    const result = await callWithModelFallback({
+      ...baseOptions,
+      validate: (data) => JSON.parse(String(data.choices?.[0]?.message?.content)),
+    });
+    expect(result.ok).toBe(false);
+    if (!result.ok) {
+      expect(result.errorInfo.error).toBe('Invalid response');
+      expect(result.errorInfo.code).toBe('SCHEMA_INVALID');
+      expect(result.model).toBe('model/c');
+    }
+  });
+
+  it('should stop on non-transient client errors', async () => {
+    fetchMock.mockResolvedValueOnce(jsonResponse(401, { error: 'bad key' }));
+    const result = await connectWithModelFallback(baseOptions);
+    expect(result.ok).toBe(false);
+    if (!result.ok) {
+      expect(result.errorInfo.error).toBe('Authentication error');
+      expect(result.errorInfo.code).toBe('UPSTREAM_AUTH');
+    }
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('should return the last error when every model is unavailable', async () => {
+    fetchMock.mockImplementation(async () => jsonResponse(429, { error: 'rate limited' }));
+    const result = await connectWithModelFallback(baseOptions);
+    expect(result.ok).toBe(false);
+    if (!result.ok) {
+      expect(result.errorInfo.status).toBe(429);
+      expect(result.errorInfo.code).toBe('UPSTREAM_RATE_LIMITED');
+      expect(result.model).toBe('model/c');
+    }
+  });
+
+  it('should cancel the body of a failed attempt before retrying', async () => {
+    process.env.API_RETRY_BASE_DELAY = '0';
+    const cancel = jest.fn();
+    const overloaded = new Response(new ReadableStream({ cancel }), { status: 503 });
+    fetchMock.mockResolvedValueOnce(overloaded).mockResolvedValueOnce(completion('ok'));
+
+    const result = await connectWithModelFallback(baseOptions);
+
+    expect(result).toMatchObject({ ok: true, model: 'model/a' });
+    expect(cancel).toHaveBeenCalled();
+  });
+
+  it('should start from the given index', async () => {
+    fetchMock.mockResolvedValueOnce(completion('ok'));
+    const result = await connectWithModelFallback(baseOptions, 2);
+    expect(result).toMatchObject({ ok: true, model: 'model/c', index: 2 });
+  });
+});
+
+describe('request deadline', () => {
+  const originalFetch = global.fetch;
+  const originalEnv = process.env;
+  let fetchMock: jest.Mock;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, OPENROUTER_API_KEY: 'sk-test' };
+    delete process.env.LLM_PROVIDER;
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+    process.env = originalEnv;
+  });
+
+  it('should not call any model once the deadline has passed', async () => {
+    const result = await connectWithModelFallback({ ...baseOptions, deadline: Date.now() - 1 });
+    expect(result).toMatchObject({ ok: false, errorInfo: { code: 'UPSTREAM_TIMEOUT' } });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('should cut a slow call off at the deadline and not fall back after it', async () => {
+    // Answers only by failing once the call is aborted
+    fetchMock.mockImplementation(
+      (_url: string, init: RequestInit) =>
+        new Promise((_resolve, reject) => init.signal?.addEventListener('abort', () => reject(init.signal?.reason)))
+    );
+    const startedAt = Date.now();
+    const result = await callWithModelFallback({
+      ...baseOptions,
+      deadline: startedAt + 100,
+      validate: (data) => data.choices?.[0]?.message?.content,
+    });
+
+    expect(result).toMatchObject({ ok: false, errorInfo: { code: 'UPSTREAM_TIMEOUT' } });
+    expect(requestedModels(fetchMock)).toEqual(['model/a']);
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+  });
+
+  it('should skip a retry whose backoff would pass the deadline', async () => {
+    process.env.API_RETRY_BASE_DELAY = '5000';
+    fetchMock.mockImplementation(async () => jsonResponse(503, { error: 'overloaded' }));
+    const result = await connectWithModelFallback({ ...baseOptions, deadline: Date.now() + 1000 });
+
+    expect(result).toMatchObject({ ok: false, errorInfo: { code: 'UPSTREAM_UNAVAILABLE', sourceStatus: 503 } });
+    expect(requestedModels(fetchMock)).toEqual(['model/a', 'model/b', 'model/c']);
+  });
+});
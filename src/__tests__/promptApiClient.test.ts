@@ -0,0 +1,184 @@
+/**
+ * @jest-environment node
+ */
+import { ApiError } from '../utils/errorMessages';
+import { createPromptApiClient, hasVariants, type GenerateResponse } from '../utils/promptApiClient';
+
+const jsonResponse = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+const streamResponse = (events: string) =>
+  new Response(events, { status: 200, headers: { 'Content-Type': 'text/event-stream; charset=utf-8' } });
+
+const doneEvent: GenerateResponse = {
+  success: true,
+  prompt: 'A lighthouse at dusk',
+  mode: 'default',
+  usage: null,
+  model: 'm',
+  refinementModel: null,
+  refinedBrief: null,
+  formatted: null,
+};
+
+describe('createPromptApiClient', () => {
+  const fetchMock = jest.fn();
+  const client = createPromptApiClient();
+
+  beforeEach(() => {
+    fetchMock.mockReset();
+    global.fetch = fetchMock;
+  });
+
+  it('should post JSON without an image and multipart with one', async () => {
+    fetchMock.mockImplementation(async () => jsonResponse(doneEvent));
+
+    await client.generate({ idea: 'lighthouse', directions: undefined, mode: 'default' });
+    const [url, jsonInit] = fetchMock.mock.calls[0];
+    expect(url).toBe('/api/generate');
+    expect(JSON.parse(jsonInit.body)).toEqual({ idea: 'lighthouse', mode: 'default' });
+
+    await client.generate({ idea: 'lighthouse', variants: 2, image: new Blob(['x'], { type: 'image/png' }) });
+    const body = fetchMock.mock.calls[1][1].body as FormData;
+    expect(body).toBeInstanceOf(FormData);
+    expect(body.get('variants')).toBe('2');
+    expect(body.get('image')).toBeInstanceOf(Blob);
+  });
+
+  it('should report every response before reading it', async () => {
+    const response = jsonResponse({ prompt: 'surprise', usage: null, model: 'm' });
+    fetchMock.mockResolvedValue(response);
+    const onResponse = jest.fn();
+
+    await expect(client.surprise({ onResponse })).resolves.toMatchObject({ prompt: 'surprise' });
+    expect(onResponse).toHaveBeenCalledWith(response);
+  });
+
+  it('should reject with the error code of the envelope', async () => {
+    fetchMock.mockResolvedValue(
+      jsonResponse({ code: 'RATE_LIMITED', error: 'Too many requests', message: 'Slow down', retryAfter: 12 }, 429)
+    );
+
+    const error = await client.edit({ prompt: 'p', instruction: 'make it night' }).catch((err) => err);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({ code: 'RATE_LIMITED', status: 429, retryAfter: 12, message: 'Slow down' });
+  });
+
+  it('should reject non-JSON error pages with their text', async () => {
+    fetchMock.mockResolvedValue(new Response('Bad gateway', { status: 502 }));
+    await expect(client.generate({ idea: 'x' })).rejects.toThrow('Bad gateway');
+  });
+
+  it('should stream deltas and resolve with the done event', async () => {
+    fetchMock.mockResolvedValue(
+      streamResponse(
+        'event: delta\ndata: {"text":"{\\"prompt\\":\\"A light"}\n\n' +
+          'event: delta\ndata: {"text":"house"}\n\n' +
+          `event: done\ndata: ${JSON.stringify(doneEvent)}\n\n`
+      )
+    );
+    const onOpen = jest.fn();
+    const onDelta = jest.fn();
+
+    await expect(client.generateStream({ idea: 'lighthouse' }, { onOpen, onDelta })).resolves.toEqual(doneEvent);
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toMatchObject({ stream: true });
+    expect(onOpen).toHaveBeenCalledTimes(1);
+    expect(onDelta).toHaveBeenLastCalledWith('{"prompt":"A lighthouse');
+  });
+
+  it('should reject when the stream reports an error', async () => {
+    fetchMock.mockResolvedValue(
+      streamResponse('event: error\ndata: {"code":"STREAM_INTERRUPTED","error":"x","message":"Cut off"}\n\n')
+    );
+    await expect(client.generateStream({ idea: 'x' })).rejects.toMatchObject({ code: 'STREAM_INTERRUPTED' });
+  });
+
+  it('should request the refine stage and require a brief', async () => {
+    const refined = { success: true, refinedBrief: 'Brief', refinementModel: 'r', usage: null };
+    fetchMock.mockResolvedValueOnce(jsonResponse(refined));
+    await expect(client.refine({ idea: 'x' })).resolves.toMatchObject({ refinedBrief: 'Brief' });
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toMatchObject({ stage: 'refine' });
+
+    fetchMock.mockResolvedValueOnce(jsonResponse({ ...refined, refinedBrief: '' }));
+    await expect(client.refine({ idea: 'x' })).rejects.toThrow('Failed to refine prompt');
+  });
+
+  it('should address batch jobs by id', async () => {
+    fetchMock.mockImplementation(async () => jsonResponse({ code: 'NOT_FOUND', error: 'Not found', message: 'Gone' }, 404));
+
+    await expect(client.getBatch('a/b')).rejects.toMatchObject({ code: 'NOT_FOUND', message: 'Gone' });
+    await expect(client.cancelBatch('job-1')).rejects.toBeInstanceOf(ApiError);
+    expect(fetchMock.mock.calls.map(([url, init]) => [url, init.method])).toEqual([
+      ['/api/batch/a%2Fb', 'GET'],
+      ['/api/batch/job-1', 'DELETE'],
+    ]);
+    expect(client.batchResultsUrl('job-1', 'jsonl')).toBe('/api/batch/job-1/results?format=jsonl');
+  });
+
+  describe('async jobs', () => {
+    const job = {
+      id: 'job-1',
+      status: 'queued',
+      result: null,
+      error: null,
+      webhook: null,
+      createdAt: '2026-01-01T00:00:00.000Z',
+      updatedAt: '2026-01-01T00:00:00.000Z',
+      finishedAt: null,
+    };
+
+    it('should start a job with the async flag and the webhook', async () => {
+      fetchMock.mockResolvedValue(jsonResponse(job, 202));
+
+      await expect(
+        client.generateAsync({ idea: 'x', variants: 2, webhookUrl: 'https://hooks.example.com/done' })
+      ).resolves.toEqual(job);
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({
+        idea: 'x',
+        variants: 2,
+        async: true,
+        webhookUrl: 'https://hooks.example.com/done',
+      });
+    });
+
+    it('should poll until the job succeeds', async () => {
+      fetchMock
+        .mockResolvedValueOnce(jsonResponse(job))
+        .mockResolvedValueOnce(jsonResponse({ ...job, status: 'running' }))
+        .mockResolvedValueOnce(jsonResponse({ ...job, status: 'succeeded', result: doneEvent }));
+      const onUpdate = jest.fn();
+
+      await expect(client.waitForJob('job-1', { interval: 1, onUpdate })).resolves.toEqual(doneEvent);
+      expect(onUpdate.mock.calls.map(([update]) => update.status)).toEqual(['queued', 'running', 'succeeded']);
+      expect(fetchMock.mock.calls[0][0]).toBe('/api/jobs/job-1');
+    });
+
+    it('should reject with the error of a failed job', async () => {
+      const error = { code: 'UPSTREAM_TIMEOUT', error: 'Upstream timeout', message: 'Too slow' };
+      fetchMock.mockResolvedValue(jsonResponse({ ...job, status: 'failed', error }));
+
+      const failure = await client.waitForJob('job-1', { interval: 1 }).catch((err) => err);
+      expect(failure).toBeInstanceOf(ApiError);
+      expect(failure).toMatchObject({ code: 'UPSTREAM_TIMEOUT', status: 504, message: 'Too slow' });
+    });
+
+    it('should stop polling when aborted', async () => {
+      fetchMock.mockImplementation(async () => jsonResponse(job));
+      const controller = new AbortController();
+
+      const waiting = client.waitForJob('job-1', { interval: 10_000, signal: controller.signal });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      controller.abort();
+      await expect(waiting).rejects.toMatchObject({ name: 'AbortError' });
+    });
+  });
+});
+
+describe('hasVariants', () => {
+  it('should tell variant responses from single results', () => {
+    expect(hasVariants(doneEvent)).toBe(false);
+    expect(hasVariants({ ...doneEvent, variants: ['a', 'b'], usage: [], models: ['m', 'm'], formatted: null })).toBe(
+      true
+    );
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * @jest-environment node
+ */
+import { CLI_EXIT_CODES, CliUsageError, parseCliArgs, parseIdeasFile, runCli, type CliIo } from '../cli/promptCli';
+
+const createIo = (stdin = '') => {
+  const out: string[] = [];
+  const err: string[] = [];
+  const io: CliIo = {
+    stdout: (text) => out.push(text),
+    stderr: (text) => err.push(text),
+    readStdin: async () => stdin,
+  };
+  return { io, out, err };
+};
+
+describe('parseCliArgs', () => {
+  it('should read long, short and inline flags', () => {
+    const options = parseCliArgs([
+      '-i',
+      'a lighthouse',
+      'a fox',
+      '--directions=at dusk',
+      '-m',
+      'json',
+      '-s',
+      'cinematic',
+      '--style',
+      'Oil Painting',
+      '-n',
+      '3',
+      '--refine',
+      '-f',
+      'midjourney',
+      '-o',
+      'json',
+    ]);
+    expect(options).toMatchObject({
+      ideas: ['a lighthouse', 'a fox'],
+      directions: 'at dusk',
+      mode: 'json',
+      styles: ['Cinematic', 'Oil Painting'],
+      variants: 3,
+      refine: true,
+      outputFormat: 'midjourney',
+      output: 'json',
+    });
+  });
+
+  it('should reject unknown flags, missing values and invalid values', () => {
+    expect(() => parseCliArgs(['--nope'])).toThrow(CliUsageError);
+    expect(() => parseCliArgs(['--idea'])).toThrow('--idea needs a value');
+    expect(() => parseCliArgs(['-m', 'poster'])).toThrow('--mode must be one of');
+    expect(() => parseCliArgs(['-n', '7'])).toThrow('--variants must be a whole number');
+    expect(() => parseCliArgs(['-s', 'Baroque'])).toThrow('Unknown style "Baroque"');
+    expect(() => parseCliArgs(['-f', 'gif'])).toThrow('--format must be one of');
+  });
+});
+
+describe('parseIdeasFile', () => {
+  it('should skip blank lines and comments', () => {
+    expect(parseIdeasFile('# batch\na lighthouse\r\n\n  a fox  \n#skip\n')).toEqual(['a lighthouse', 'a fox']);
+  });
+});
+
+describe('runCli', () => {
+  const originalProvider = process.env.LLM_PROVIDER;
+
+  beforeEach(() => {
+    process.env.LLM_PROVIDER = 'mock';
+  });
+
+  afterAll(() => {
+    if (originalProvider === undefined) delete process.env.LLM_PROVIDER;
+    else process.env.LLM_PROVIDER = originalProvider;
+  });
+
+  it('should print one prompt per idea separated by a blank line', async () => {
+    const { io, out, err } = createIo('a fox\n');
+    await expect(runCli(['a lighthouse', '--file', '-'], io)).resolves.toBe(CLI_EXIT_CODES.OK);
+    expect(out).toHaveLength(2);
+    expect(out[0]).toContain('a lighthouse');
+    expect(out[1]).toMatch(/^\n.*a fox/);
+    expect(err).toEqual([]);
+  });
+
+  it('should print JSON lines with variants and formatted prompts', async () => {
+    const { io, out } = createIo();
+    await expect(runCli(['a lighthouse', '-n', '2', '-f', 'flux', '-o', 'json'], io)).resolves.toBe(
+      CLI_EXIT_CODES.OK
+    );
+    const result = JSON.parse(out[0]);
+    expect(result).toMatchObject({ idea: 'a lighthouse', mode: 'default', refinedBrief: null });
+    expect(result.prompts).toHaveLength(2);
+    expect(result.prompts[0].formatted).toMatchObject({ format: 'flux' });
+  });
+
+  it('should report usage errors with exit code 2', async () => {
+    const { io, out, err } = createIo();
+    await expect(runCli([], io)).resolves.toBe(CLI_EXIT_CODES.USAGE);
+    expect(out).toEqual([]);
+    expect(err[0]).toContain('Give an idea, --file or --image');
+
+    await expect(runCli(['x', '--image', 'photo.bmp'], createIo().io)).resolves.toBe(CLI_EXIT_CODES.USAGE);
+  });
+
+  it('should fail when the provider is not configured', async () => {
+    const { io, err } = createIo();
+    await expect(runCli(['a lighthouse', '--provider', 'carrier-pigeon'], io)).resolves.toBe(CLI_EXIT_CODES.USAGE);
+    expect(err[0]).toContain('"carrier-pigeon" provider is not configured');
+  });
+});
@@ -0,0 +1,144 @@
+import { OUTPUT_FORMATS } from '../config/constants';
+import {
+  DEFAULT_NEGATIVE_TERMS,
+  describeJsonPrompt,
+  describeStoryboard,
+  formatPrompt,
+  formattedPromptToText,
+  isOutputFormat,
+} from '../utils/promptFormatters';
+import type { JsonPromptPayload } from '../utils/openRouterParsers';
+
+const JSON_PROMPT: JsonPromptPayload = {
+  scene: 'A quiet harbor at dawn',
+  subjects: [
+    {
+      description: 'an old fisherman',
+      position: 'foreground left',
+      action: 'mending a net',
+      color_palette: ['navy'],
+    },
+  ],
+  style: 'cinematic photography',
+  color_palette: ['teal', 'amber'],
+  lighting: 'soft golden hour light',
+  mood: 'calm',
+  background: 'fog over the water',
+  composition: 'rule of thirds, 16:9 frame',
+  camera: {
+    angle: 'eye level',
+    lens: '35mm',
+    'f-number': 'f/2.8',
+    ISO: 200,
+    depth_of_field: 'shallow depth of field',
+  },
+};
+
+const TEXT_PROMPT = 'A clockwork fox (brass) in a snowy forest, soft rim light, shot at 3:2.';
+
+describe('describeJsonPrompt', () => {
+  it('should turn the payload into prose sentences', () => {
+    const prose = describeJsonPrompt(JSON_PROMPT);
+    expect(prose).toContain('A quiet harbor at dawn.');
+    expect(prose).toContain('an old fisherman, mending a net, foreground left.');
+    expect(prose).toContain('Camera: eye level, 35mm lens, shallow depth of field.');
+    expect(prose).toContain('Color palette: teal, amber.');
+  });
+});
+
+describe('formatPrompt', () => {
+  it('should append Midjourney parameters', () => {
+    const formatted = formatPrompt(JSON_PROMPT, OUTPUT_FORMATS.MIDJOURNEY);
+    expect(formatted.prompt).toMatch(/--ar 16:9 --stylize 250 --no text, watermark/);
+    expect(formatted.negativePrompt).toBeUndefined();
+  });
+
+  it('should honor Midjourney options and strip model-written parameters', () => {
+    const formatted = formatPrompt('A red kite over dunes --v 6', OUTPUT_FORMATS.MIDJOURNEY, {
+      aspectRatio: '2:3',
+      stylize: 50,
+      negativeTerms: [],
+    });
+    expect(formatted.prompt).toBe('A red kite over dunes --ar 2:3 --stylize 50');
+  });
+
+  it('should ignore ratios that are not aspect ratios', () => {
+    const formatted = formatPrompt('A diner at 5:30 in the morning', OUTPUT_FORMATS.MIDJOURNEY);
+    expect(formatted.prompt).not.toContain('--ar');
+  });
+
+  it('should weight Stable Diffusion tokens and return a negative prompt', () => {
+    const formatted = formatPrompt(JSON_PROMPT, OUTPUT_FORMATS.STABLE_DIFFUSION);
+    expect(formatted.prompt).toContain('(A quiet harbor at dawn:1.2)');
+    expect(formatted.prompt).toContain('(an old fisherman:1.2)');
+    expect(formatted.prompt).toContain('(cinematic photography:1.1)');
+    expect(formatted.negativePrompt).toBe(DEFAULT_NEGATIVE_TERMS.join(', '));
+  });
+
+  it('should escape attention syntax in Stable Diffusion text prompts', () => {
+    const formatted = formatPrompt(TEXT_PROMPT, OUTPUT_FORMATS.STABLE_DIFFUSION);
+    expect(formatted.prompt.startsWith('(A clockwork fox \\(brass\\) in a snowy forest:1.2)')).toBe(true);
+    expect(formatted.prompt).toContain('soft rim light');
+  });
+
+  it('should return plain prose for Flux and DALL·E', () => {
+    expect(formatPrompt(JSON_PROMPT, OUTPUT_FORMATS.FLUX).prompt).toBe(describeJsonPrompt(JSON_PROMPT));
+    const dalle = formatPrompt(TEXT_PROMPT, OUTPUT_FORMATS.DALLE);
+    expect(dalle.prompt).toBe(TEXT_PROMPT);
+    expect(dalle.negativePrompt).toBeUndefined();
+  });
+
+  it('should cap DALL·E prompts at a word boundary', () => {
+    const dalle = formatPrompt('word '.repeat(1000), OUTPUT_FORMATS.DALLE);
+    expect(dalle.prompt.length).toBeLessThanOrEqual(4000);
+    expect(dalle.prompt.endsWith('word')).toBe(true);
+  });
+
+  it('should return raw output unchanged', () => {
+    expect(formatPrompt(TEXT_PROMPT, OUTPUT_FORMATS.RAW).prompt).toBe(TEXT_PROMPT);
+    expect(formatPrompt(JSON_PROMPT, OUTPUT_FORMATS.RAW).prompt).toBe(JSON.stringify(JSON_PROMPT, null, 2));
+  });
+});
+
+describe('storyboard formatting', () => {
+  const storyboard = {
+    scene: 'A paper boat drifts down a rain-soaked street',
+    duration_seconds: 6,
+    fps: 24,
+    aspect_ratio: '9:16',
+    style: 'stop motion',
+    camera_motion: 'tracking',
+    shots: [
+      { shot: 1, start_seconds: 0, end_seconds: 3, description: 'Boat launches', camera_motion: 'low angle', transition: 'cut' },
+      { shot: 2, start_seconds: 3, end_seconds: 6, description: 'Boat reaches a drain', camera_motion: 'crane up', transition: 'none' },
+    ],
+  };
+
+  it('should describe every shot in order', () => {
+    expect(describeStoryboard(storyboard)).toBe(
+      'A paper boat drifts down a rain-soaked street. stop motion style. Shot 1 (0-3s): Boat launches, low angle. Shot 2 (3-6s): Boat reaches a drain, crane up.'
+    );
+  });
+
+  it('should use the storyboard aspect ratio for Midjourney', () => {
+    expect(formatPrompt(storyboard, OUTPUT_FORMATS.MIDJOURNEY).prompt).toContain('--ar 9:16');
+  });
+});
+
+describe('formattedPromptToText', () => {
+  it('should add a negative prompt line when present', () => {
+    expect(formattedPromptToText({ format: OUTPUT_FORMATS.STABLE_DIFFUSION, prompt: 'a', negativePrompt: 'b' })).toBe(
+      'a\nNegative prompt: b'
+    );
+    expect(formattedPromptToText({ format: OUTPUT_FORMATS.FLUX, prompt: 'a' })).toBe('a');
+  });
+});
+
+describe('isOutputFormat', () => {
+  it('should accept known formats only', () => {
+    expect(isOutputFormat('midjourney')).toBe(true);
+    expect(isOutputFormat('stable-diffusion')).toBe(true);
+    expect(isOutputFormat('imagen')).toBe(false);
+    expect(isOutputFormat(null)).toBe(false);
+  });
+});
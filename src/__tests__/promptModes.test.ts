@@ -0,0 +1,87 @@
+import { COPY_TARGETS, PROMPT_MODES } from '../config/constants';
+import {
+  PROMPT_MODE_LIST,
+  PROMPT_MODE_REGISTRY,
+  PROMPT_OUTPUT_KINDS,
+  getPromptModeDefinition,
+  isPromptMode,
+  modeFromLegacyFlags,
+} from '../config/promptModes';
+
+describe('PROMPT_MODE_REGISTRY', () => {
+  it('should define every mode id declared in PROMPT_MODES', () => {
+    Object.values(PROMPT_MODES).forEach((id) => {
+      expect(PROMPT_MODE_REGISTRY[id]).toBeDefined();
+      expect(PROMPT_MODE_REGISTRY[id].id).toBe(id);
+    });
+    expect(PROMPT_MODE_LIST).toHaveLength(Object.values(PROMPT_MODES).length);
+  });
+
+  it('should give every mode a system prompt, strict schema and copy target', () => {
+    PROMPT_MODE_LIST.forEach((mode) => {
+      expect(mode.systemPrompt.length).toBeGreaterThan(0);
+      expect(mode.label.length).toBeGreaterThan(0);
+      expect(mode.responseSchema.strict).toBe(true);
+      expect(mode.copyTargets.length).toBeGreaterThan(0);
+    });
+  });
+
+  it('should offer JSON and scene copy targets for the JSON mode', () => {
+    const jsonMode = PROMPT_MODE_REGISTRY[PROMPT_MODES.JSON];
+    expect(jsonMode.output).toBe(PROMPT_OUTPUT_KINDS.JSON);
+    expect(jsonMode.copyTargets).toEqual([COPY_TARGETS.JSON, COPY_TARGETS.SCENE]);
+    expect(jsonMode.userInstruction).toMatch(/raw JSON/);
+  });
+});
+
+describe('mode validators', () => {
+  it('should return the trimmed prompt for text modes', () => {
+    const mode = PROMPT_MODE_REGISTRY[PROMPT_MODES.DEFAULT];
+    expect(mode.validate({ prompt: '  A misty valley  ' })).toBe('A misty valley');
+  });
+
+  it('should reject an empty text prompt', () => {
+    const mode = PROMPT_MODE_REGISTRY[PROMPT_MODES.TEST];
+    expect(() => mode.validate({ prompt: '   ' })).toThrow('Empty prompt in AI response');
+  });
+
+  it('should reject a text payload in JSON mode', () => {
+    const mode = PROMPT_MODE_REGISTRY[PROMPT_MODES.JSON];
+    expect(() => mode.validate({ prompt: 'A misty valley' })).toThrow('Invalid structured JSON payload');
+  });
+
+  it('should validate storyboards in VIDEO mode', () => {
+    const mode = PROMPT_MODE_REGISTRY[PROMPT_MODES.VIDEO];
+    expect(mode.output).toBe(PROMPT_OUTPUT_KINDS.STORYBOARD);
+    expect(() => mode.validate({ prompt: 'A paragraph' })).toThrow('Invalid video storyboard payload');
+  });
+});
+
+describe('isPromptMode', () => {
+  it('should accept registered mode ids', () => {
+    expect(isPromptMode('json')).toBe(true);
+    expect(isPromptMode('video')).toBe(true);
+  });
+
+  it('should reject unknown values and inherited keys', () => {
+    expect(isPromptMode('midjourney')).toBe(false);
+    expect(isPromptMode('toString')).toBe(false);
+    expect(isPromptMode(undefined)).toBe(false);
+  });
+});
+
+describe('getPromptModeDefinition', () => {
+  it('should fall back to the default mode', () => {
+    expect(getPromptModeDefinition(null).id).toBe(PROMPT_MODES.DEFAULT);
+    expect(getPromptModeDefinition(PROMPT_MODES.TEST).id).toBe(PROMPT_MODES.TEST);
+  });
+});
+
+describe('modeFromLegacyFlags', () => {
+  it('should keep the JSON > Video > Test priority', () => {
+    expect(modeFromLegacyFlags({ isJsonMode: true, isVideoPrompt: true, isTestMode: true })).toBe(PROMPT_MODES.JSON);
+    expect(modeFromLegacyFlags({ isVideoPrompt: true, isTestMode: true })).toBe(PROMPT_MODES.VIDEO);
+    expect(modeFromLegacyFlags({ isTestMode: true })).toBe(PROMPT_MODES.TEST);
+    expect(modeFromLegacyFlags({})).toBe(PROMPT_MODES.DEFAULT);
+  });
+});
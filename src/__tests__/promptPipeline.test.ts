@@ -0,0 +1,251 @@
+/**
+ * @jest-environment node
+ */
+import { ERROR_CODES, MODEL_FALLBACKS, PROMPT_MODES } from '../config/constants';
+import { DEFAULT_SYSTEM_PROMPT } from '../config/prompts';
+import { PROMPT_MODE_REGISTRY } from '../config/promptModes';
+import {
+  buildUserPrompt,
+  checkFinalContent,
+  enforcePromptLength,
+  generatePrompts,
+  runFinalStage,
+  trimToLength,
+} from '../services/promptPipeline';
+
+const jsonResponse = (status: number, body: unknown) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+const completion = (content: string) => jsonResponse(200, { choices: [{ message: { content } }], usage: { total_tokens: 1 } });
+
+const sentence = (n: number) => `Sentence number ${n} describes the glowing harbor in careful detail.`;
+const paragraph = (count: number) => Array.from({ length: count }, (_, i) => sentence(i + 1)).join(' ');
+
+const defaultMode = PROMPT_MODE_REGISTRY[PROMPT_MODES.DEFAULT];
+const testMode = PROMPT_MODE_REGISTRY[PROMPT_MODES.TEST];
+
+describe('trimToLength', () => {
+  it('should leave prompts within the limit untouched', () => {
+    expect(trimToLength('Short prompt.', 5, 100)).toBe('Short prompt.');
+  });
+
+  it('should cut at the last full sentence that fits', () => {
+    const trimmed = trimToLength(paragraph(30), 500, 1200);
+    expect(trimmed.length).toBeLessThanOrEqual(1200);
+    expect(trimmed.length).toBeGreaterThanOrEqual(500);
+    expect(trimmed.endsWith('detail.')).toBe(true);
+  });
+
+  it('should cut at a word boundary when no sentence ends late enough', () => {
+    const trimmed = trimToLength('word '.repeat(300), 500, 1200);
+    expect(trimmed.length).toBeLessThanOrEqual(1200);
+    expect(trimmed.endsWith('word.')).toBe(true);
+  });
+});
+
+describe('enforcePromptLength', () => {
+  it('should reject prompts shorter than the mode allows', () => {
+    expect(() => enforcePromptLength('Too short.', defaultMode)).toThrow('must be between 500 and 1200');
+  });
+
+  it('should skip modes without a length rule', () => {
+    expect(enforcePromptLength('Too short.', testMode)).toBe('Too short.');
+  });
+});
+
+describe('checkFinalContent', () => {
+  it('should recover JSON wrapped in markdown fences', () => {
+    const content = `Here you go:\n\`\`\`json\n${JSON.stringify({ prompt: paragraph(10) })}\n\`\`\``;
+    expect(checkFinalContent(content, defaultMode)).toEqual({ ok: true, prompt: paragraph(10) });
+  });
+
+  it('should return the content and reason when validation fails', () => {
+    const content = JSON.stringify({ prompt: 'Too short.' });
+    expect(checkFinalContent(content, defaultMode)).toEqual({
+      ok: false,
+      content,
+      reason: 'Prompt is 10 characters but must be between 500 and 1200',
+    });
+  });
+});
+
+describe('buildUserPrompt', () => {
+  it('should describe an image-only request', () => {
+    expect(buildUserPrompt({ idea: '', directions: '', hasImage: true, mode: testMode })).toContain(
+      'recreate it as closely as possible'
+    );
+  });
+
+  it('should delimit the idea and directions and append the mode instruction', () => {
+    const jsonMode = PROMPT_MODE_REGISTRY[PROMPT_MODES.JSON];
+    const prompt = buildUserPrompt({ idea: 'A harbor', directions: 'at dusk', hasImage: false, mode: jsonMode });
+    expect(prompt).toBe(
+      'Idea:\n<user_idea>\nA harbor\n</user_idea>\n\n' +
+        'Additional directions:\n<user_directions>\nat dusk\n</user_directions>\n\n' +
+        jsonMode.userInstruction
+    );
+  });
+});
+
+describe('runFinalStage repair', () => {
+  const originalFetch = global.fetch;
+  const originalEnv = process.env;
+  const body = { messages: [{ role: 'user' as const, content: 'A harbor at night' }] };
+  let fetchMock: jest.Mock;
+
+  const requests = () => fetchMock.mock.calls.map(([, init]) => JSON.parse(init.body));
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, OPENROUTER_API_KEY: 'sk-test' };
+    delete process.env.LLM_PROVIDER;
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+    process.env = originalEnv;
+  });
+
+  it('should re-ask the same model with the validation error attached', async () => {
+    fetchMock
+      .mockResolvedValueOnce(completion(JSON.stringify({ prompt: 'Too short.' })))
+      .mockResolvedValueOnce(completion(JSON.stringify({ prompt: paragraph(10) })));
+
+    const result = await runFinalStage('sk-test', body, defaultMode);
+
+    expect(result).toMatchObject({ ok: true, prompt: paragraph(10), repaired: true, model: MODEL_FALLBACKS.PRIMARY[0] });
+    const [, repair] = requests();
+    expect(repair.model).toBe(MODEL_FALLBACKS.PRIMARY[0]);
+    expect(repair.messages.slice(-2)).toEqual([
+      { role: 'assistant', content: JSON.stringify({ prompt: 'Too short.' }) },
+      expect.objectContaining({ role: 'user', content: expect.stringContaining('must be between 500 and 1200') }),
+    ]);
+  });
+
+  it('should move down the chain when the repair also fails', async () => {
+    fetchMock
+      .mockResolvedValueOnce(completion('not json'))
+      .mockResolvedValueOnce(completion('still not json'))
+      .mockResolvedValueOnce(completion(JSON.stringify({ prompt: paragraph(10) })));
+
+    const result = await runFinalStage('sk-test', body, defaultMode);
+
+    expect(result).toMatchObject({ ok: true, repaired: false, model: MODEL_FALLBACKS.PRIMARY[1] });
+    expect(requests().map((request) => request.model)).toEqual([
+      MODEL_FALLBACKS.PRIMARY[0],
+      MODEL_FALLBACKS.PRIMARY[0],
+      MODEL_FALLBACKS.PRIMARY[1],
+    ]);
+  });
+
+  it('should stop a prompt that repeats a system prompt without repairing it', async () => {
+    fetchMock.mockResolvedValueOnce(completion(JSON.stringify({ prompt: DEFAULT_SYSTEM_PROMPT })));
+
+    const result = await runFinalStage('sk-test', body, testMode);
+
+    expect(result).toMatchObject({ ok: false, code: ERROR_CODES.CONTENT_BLOCKED, status: 422 });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('should trim overlong prompts without another request', async () => {
+    fetchMock.mockResolvedValueOnce(completion(JSON.stringify({ prompt: paragraph(30) })));
+
+    const result = await runFinalStage('sk-test', body, defaultMode);
+
+    expect(result.ok && typeof result.prompt === 'string' && result.prompt.length).toBeLessThanOrEqual(1200);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('generatePrompts', () => {
+  const originalFetch = global.fetch;
+  const originalEnv = process.env;
+  let fetchMock: jest.Mock;
+
+  const requests = () => fetchMock.mock.calls.map(([, init]) => JSON.parse(init.body));
+  const image = { base64: 'aGVsbG8=', mimeType: 'image/png' };
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, OPENROUTER_API_KEY: 'sk-test' };
+    delete process.env.LLM_PROVIDER;
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+    process.env = originalEnv;
+  });
+
+  it('should send the refined brief without the image to the final stage', async () => {
+    fetchMock
+      .mockResolvedValueOnce(completion('A detailed brief'))
+      .mockResolvedValueOnce(completion(JSON.stringify({ prompt: 'A harbor at night' })));
+
+    const result = await generatePrompts('sk-test', {
+      idea: 'A harbor',
+      directions: '',
+      mode: testMode,
+      image,
+      refine: true,
+      variants: 1,
+    });
+
+    expect(result).toMatchObject({ ok: true, refinedBrief: 'A detailed brief', refinementModel: MODEL_FALLBACKS.REFINEMENT[0] });
+    const [refinement, final] = requests();
+    expect(refinement.messages[1].content[1].image_url.url).toBe('data:image/png;base64,aGVsbG8=');
+    expect(final.messages[1].content).toBe('Brief:\n<user_brief>\nA detailed brief\n</user_brief>');
+  });
+
+  it('should fall back to the original prompt when the brief repeats a system prompt', async () => {
+    fetchMock
+      .mockResolvedValueOnce(completion(DEFAULT_SYSTEM_PROMPT))
+      .mockResolvedValueOnce(completion(JSON.stringify({ prompt: 'A harbor at night' })));
+
+    const result = await generatePrompts('sk-test', {
+      idea: 'A harbor',
+      directions: '',
+      mode: testMode,
+      image: null,
+      refine: true,
+      variants: 1,
+    });
+
+    expect(result).toMatchObject({ ok: true, refinedBrief: null, refinementModel: null });
+    expect(requests()[1].messages[1].content).toContain('<user_idea>\nA harbor\n</user_idea>');
+  });
+
+  it('should generate from a reviewed brief without refining again', async () => {
+    fetchMock.mockResolvedValueOnce(completion(JSON.stringify({ prompt: 'A harbor at night' })));
+
+    const result = await generatePrompts('sk-test', {
+      idea: 'A harbor',
+      directions: '',
+      mode: testMode,
+      image,
+      refine: true,
+      refinedBrief: 'An edited brief',
+      variants: 1,
+    });
+
+    expect(result).toMatchObject({ ok: true, refinedBrief: null, refinementModel: null });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(requests()[0].messages[1].content).toBe('Brief:\n<user_brief>\nAn edited brief\n</user_brief>');
+  });
+
+  it('should return every variant that succeeded', async () => {
+    fetchMock.mockImplementation(async () => completion(JSON.stringify({ prompt: 'A harbor at night' })));
+
+    const result = await generatePrompts('sk-test', {
+      idea: 'A harbor',
+      directions: '',
+      mode: testMode,
+      image: null,
+      refine: false,
+      variants: 3,
+    });
+
+    expect(result.ok && result.prompts).toHaveLength(3);
+  });
+});
@@ -0,0 +1,20 @@
+/**
+ * @jest-environment node
+ */
+import { sumUsage } from '../services/publicApi';
+
+describe('sumUsage', () => {
+  it('should add up numeric usage fields across calls', () => {
+    expect(
+      sumUsage([
+        { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15, cost: 0.25 },
+        null,
+        { prompt_tokens: 20, completion_tokens: 7, total_tokens: 27, cost: 0.5, model: 'x' },
+      ])
+    ).toEqual({ prompt_tokens: 30, completion_tokens: 12, total_tokens: 42, cost: 0.75 });
+  });
+
+  it('should return null when no call reported usage', () => {
+    expect(sumUsage([null, undefined, 'n/a'])).toBeNull();
+  });
+});
@@ -0,0 +1,297 @@
+/**
+ * @jest-environment node
+ */
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { RateLimiterRes } from 'rate-limiter-flexible';
+import { RATE_LIMIT_BUCKETS } from '../config/constants';
+import {
+  createFileStore,
+  createMemoryStore,
+  createRateLimiter,
+  createRateLimitStoreFromEnv,
+  createRedisStore,
+  getGenerationSurcharge,
+  setRateLimitHeaders,
+  type RateLimitStore,
+} from '../services/rateLimit';
+
+describe('file rate limit store', () => {
+  let dir: string;
+  let filePath: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pg-rate-limit-'));
+    filePath = path.join(dir, 'nested', 'limits.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should count points within a window and persist them to disk', async () => {
+    const store = createFileStore(filePath);
+    await store.increment('client', 2, 60000);
+    const window = await store.increment('client', 3, 60000);
+
+    expect(window.consumed).toBe(5);
+    expect(window.msBeforeReset).toBeGreaterThan(59000);
+    const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    expect(saved.client.consumed).toBe(5);
+  });
+
+  it('should share counters between store instances on the same file', async () => {
+    await createFileStore(filePath).increment('client', 1, 60000);
+    const window = await createFileStore(filePath).increment('client', 1, 60000);
+    expect(window.consumed).toBe(2);
+  });
+
+  it('should not lose concurrent increments', async () => {
+    const store = createFileStore(filePath);
+    await Promise.all(Array.from({ length: 8 }, () => store.increment('client', 1, 60000)));
+    expect((await store.increment('client', 0, 60000)).consumed).toBe(8);
+  });
+
+  it('should start a new window once the previous one expires', async () => {
+    const store = createFileStore(filePath);
+    await store.increment('client', 4, 1);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    expect((await store.increment('client', 1, 60000)).consumed).toBe(1);
+  });
+});
+
+/**
+ * Redis stand-in speaking the Upstash REST protocol, installed as `fetch`.
+ * EVAL runs the commands of the increment script (INCRBY, PTTL, PEXPIRE)
+ * against in-memory keys. A hanging stand-in only answers an abort.
+ */
+const createRedisStandIn = (token: string) => {
+  const keys = new Map<string, { value: number; expiresAt: number | null }>();
+  const commands: string[][] = [];
+  let hang = false;
+
+  const live = (key: string) => {
+    const entry = keys.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) keys.delete(key);
+    return keys.get(key);
+  };
+  const redis = {
+    INCRBY: (key: string, by: string) => {
+      const entry = live(key) ?? { value: 0, expiresAt: null };
+      keys.set(key, { ...entry, value: entry.value + Number(by) });
+      return entry.value + Number(by);
+    },
+    PTTL: (key: string) => {
+      const entry = live(key);
+      if (!entry) return -2;
+      return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+    },
+    PEXPIRE: (key: string, ms: string) => {
+      const entry = live(key);
+      if (entry) entry.expiresAt = Date.now() + Number(ms);
+      return entry ? 1 : 0;
+    },
+  };
+
+  const reply = (status: number, body: unknown) =>
+    new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+  const fetch = jest.fn(async (_url: string, init: RequestInit) => {
+    if (hang) {
+      return new Promise<Response>((_, reject) =>
+        init.signal?.addEventListener('abort', () => reject(init.signal?.reason))
+      );
+    }
+    if ((init.headers as Record<string, string>).Authorization !== `Bearer ${token}`) {
+      return reply(401, { error: 'Unauthorized' });
+    }
+
+    const command = JSON.parse(String(init.body)) as string[];
+    commands.push(command);
+    const [name, script, , key, points, durationMs] = command;
+    if (name !== 'EVAL' || !['INCRBY', 'PTTL', 'PEXPIRE'].every((call) => script.includes(`'${call}'`))) {
+      return reply(400, { error: `ERR unsupported command ${name}` });
+    }
+    const consumed = redis.INCRBY(key, points);
+    let ttl = redis.PTTL(key);
+    if (ttl < 0) {
+      redis.PEXPIRE(key, durationMs);
+      ttl = Number(durationMs);
+    }
+    return reply(200, { result: [consumed, ttl] });
+  });
+
+  return {
+    fetch,
+    commands,
+    hangRequests: () => {
+      hang = true;
+    },
+  };
+};
+
+describe('redis rate limit store', () => {
+  const originalFetch = global.fetch;
+  const url = 'https://redis.example.com/';
+  let standIn: ReturnType<typeof createRedisStandIn>;
+
+  beforeEach(() => {
+    standIn = createRedisStandIn('secret');
+    global.fetch = standIn.fetch as unknown as typeof fetch;
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should count points in an expiring window through EVAL', async () => {
+    const store = createRedisStore(url, 'secret');
+
+    await expect(store.increment('pg:test', 2, 60_000)).resolves.toMatchObject({ consumed: 2 });
+    const second = await store.increment('pg:test', 1, 60_000);
+    expect(second.consumed).toBe(3);
+    expect(second.msBeforeReset).toBeGreaterThan(59_000);
+    expect(standIn.commands[0].slice(2)).toEqual(['1', 'pg:test', '2', '60000']);
+  });
+
+  it('should start a new window once the key expires', async () => {
+    const store = createRedisStore(url, 'secret');
+    await store.increment('pg:test', 5, 20);
+    await new Promise((resolve) => setTimeout(resolve, 40));
+
+    await expect(store.increment('pg:test', 1, 20)).resolves.toMatchObject({ consumed: 1 });
+  });
+
+  it('should fail on error answers', async () => {
+    await expect(createRedisStore(url, 'wrong').increment('pg:test', 1, 1000)).rejects.toThrow(
+      'Redis rate limit store failed (status 401): Unauthorized'
+    );
+  });
+
+  it('should time out a store that hangs and let the insurance store take over', async () => {
+    standIn.hangRequests();
+    const limiter = createRateLimiter(createRedisStore(url, 'secret', 50), createMemoryStore());
+
+    const started = Date.now();
+    await expect(limiter.consume('GENERATE', 'client')).resolves.toBeInstanceOf(RateLimiterRes);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
+
+describe('createRateLimiter', () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pg-rate-limit-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should reject with the limiter state once a bucket is exhausted', async () => {
+    const limiter = createRateLimiter(createFileStore(path.join(dir, 'limits.json')));
+    const limit = RATE_LIMIT_BUCKETS.SURPRISE.points;
+
+    const first = await limiter.consume('SURPRISE', 'client', limit - 1);
+    expect(first.remainingPoints).toBe(1);
+
+    const rejection = await limiter.consume('SURPRISE', 'client', 2).catch((error) => error);
+    expect(rejection).toBeInstanceOf(RateLimiterRes);
+    expect(rejection.remainingPoints).toBe(0);
+    expect(rejection.msBeforeNext).toBeGreaterThan(0);
+  });
+
+  it('should not charge a rejected request', async () => {
+    const limiter = createRateLimiter(createMemoryStore());
+    const limit = RATE_LIMIT_BUCKETS.SURPRISE.points;
+    await limiter.consume('SURPRISE', 'client', limit - 1);
+
+    await expect(limiter.consume('SURPRISE', 'client', 2)).rejects.toBeInstanceOf(RateLimiterRes);
+    await expect(limiter.consume('SURPRISE', 'client', 1)).resolves.toMatchObject({ remainingPoints: 0 });
+  });
+
+  it('should keep a separate bucket per endpoint', async () => {
+    const limiter = createRateLimiter(createFileStore(path.join(dir, 'limits.json')));
+    await limiter.consume('SURPRISE', 'client', RATE_LIMIT_BUCKETS.SURPRISE.points);
+
+    await expect(limiter.consume('SURPRISE', 'client')).rejects.toBeInstanceOf(RateLimiterRes);
+    await expect(limiter.consume('GENERATE', 'client')).resolves.toBeInstanceOf(RateLimiterRes);
+  });
+
+  it('should apply a per-client rule in place of the bucket limit', async () => {
+    const limiter = createRateLimiter(createMemoryStore());
+    const rule = { points: 2, duration: 60 };
+
+    await limiter.consume('API', 'key:abc', 2, rule);
+    await expect(limiter.consume('API', 'key:abc', 1, rule)).rejects.toBeInstanceOf(RateLimiterRes);
+    await expect(limiter.consume('API', 'key:def', 2)).resolves.toBeInstanceOf(RateLimiterRes);
+  });
+
+  it('should fall back to the insurance store when the primary store fails', async () => {
+    const failing: RateLimitStore = {
+      name: 'redis',
+      increment: jest.fn().mockRejectedValue(new Error('connection refused')),
+    };
+    const limiter = createRateLimiter(failing, createMemoryStore());
+
+    const result = await limiter.consume('EDIT', 'client', 3);
+    expect(result.consumedPoints).toBe(3);
+  });
+});
+
+describe('createRateLimitStoreFromEnv', () => {
+  const originalEnv = process.env;
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  it('should default to the memory store', () => {
+    process.env = { ...originalEnv };
+    delete process.env.RATE_LIMIT_STORE;
+    expect(createRateLimitStoreFromEnv().name).toBe('memory');
+  });
+
+  it('should require Redis credentials and reject unknown stores', () => {
+    process.env = { ...originalEnv, RATE_LIMIT_STORE: 'redis' };
+    delete process.env.RATE_LIMIT_REDIS_URL;
+    delete process.env.UPSTASH_REDIS_REST_URL;
+    expect(() => createRateLimitStoreFromEnv()).toThrow('RATE_LIMIT_REDIS_URL');
+
+    process.env = { ...originalEnv, RATE_LIMIT_STORE: 'sqlite' };
+    expect(() => createRateLimitStoreFromEnv()).toThrow('Unknown RATE_LIMIT_STORE "sqlite"');
+  });
+});
+
+describe('getGenerationSurcharge', () => {
+  it('should charge extra for refinement, images and additional variants', () => {
+    expect(getGenerationSurcharge({ refinement: false, image: false, variants: 1 })).toBe(0);
+    expect(getGenerationSurcharge({ refinement: true, image: true, variants: 1 })).toBe(2);
+    expect(getGenerationSurcharge({ refinement: false, image: false, variants: 4 })).toBe(3);
+  });
+});
+
+describe('setRateLimitHeaders', () => {
+  const makeRes = () => {
+    const headers: Record<string, unknown> = {};
+    return { headers, res: { setHeader: (name: string, value: unknown) => (headers[name] = value) } };
+  };
+
+  it('should report the bucket limit, remaining points and reset in seconds', () => {
+    const { headers, res } = makeRes();
+    setRateLimitHeaders(res as never, 'GENERATE', new RateLimiterRes(7, 41200, 3));
+    expect(headers).toEqual({
+      'RateLimit-Limit': RATE_LIMIT_BUCKETS.GENERATE.points,
+      'RateLimit-Remaining': 7,
+      'RateLimit-Reset': 42,
+    });
+  });
+
+  it('should add Retry-After for rejected requests', () => {
+    const { headers, res } = makeRes();
+    expect(setRateLimitHeaders(res as never, 'SURPRISE', new RateLimiterRes(0, 900, 6), true)).toBe(1);
+    expect(headers['Retry-After']).toBe(1);
+  });
+});
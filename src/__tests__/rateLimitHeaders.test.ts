@@ -0,0 +1,32 @@
+import { getCooldownSeconds, readRateLimitHeaders } from '../utils/rateLimitHeaders';
+
+const headers = (values: Record<string, string>) => ({
+  get: (name: string) => values[name] ?? null,
+}) as unknown as Headers;
+
+describe('readRateLimitHeaders', () => {
+  it('should read the limit, remaining points and reset time', () => {
+    expect(
+      readRateLimitHeaders(headers({ 'RateLimit-Limit': '10', 'RateLimit-Remaining': '7', 'RateLimit-Reset': '42' }))
+    ).toEqual({ limit: 10, remaining: 7, resetSeconds: 42, retryAfterSeconds: null });
+  });
+
+  it('should return null when the headers are missing or invalid', () => {
+    expect(readRateLimitHeaders(headers({}))).toBeNull();
+    expect(readRateLimitHeaders(headers({ 'RateLimit-Limit': '10', 'RateLimit-Remaining': 'lots' }))).toBeNull();
+  });
+});
+
+describe('getCooldownSeconds', () => {
+  const info = { limit: 10, remaining: 0, resetSeconds: 30, retryAfterSeconds: 12 };
+
+  it('should use Retry-After for rejected requests', () => {
+    expect(getCooldownSeconds(429, info)).toBe(12);
+    expect(getCooldownSeconds(429, { ...info, retryAfterSeconds: null })).toBe(30);
+  });
+
+  it('should wait for the reset only when the quota is used up', () => {
+    expect(getCooldownSeconds(200, info)).toBe(30);
+    expect(getCooldownSeconds(200, { ...info, remaining: 3 })).toBe(0);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * @jest-environment node
+ */
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { LOG_CONFIG } from '../config/constants';
+import logger, {
+  configureLogger,
+  createRotatingFileTransport,
+  getRequestId,
+  redact,
+  redactString,
+  withRequestLogging,
+  type LogEntry,
+} from '../services/serverLogger';
+
+describe('redact', () => {
+  it('should remove keys, tokens and secrets', () => {
+    expect(
+      redact({
+        apiKey: 'anything',
+        headers: { Authorization: 'Bearer abc', 'x-api-key': 'k' },
+        webhookUrl: 'https://hooks.example.com/T000/secret',
+        message: 'OpenRouter rejected sk-or-v1-0123456789abcdef0123 and pgk_abcdefghijkl',
+      })
+    ).toEqual({
+      apiKey: '[REDACTED]',
+      headers: { Authorization: '[REDACTED]', 'x-api-key': '[REDACTED]' },
+      webhookUrl: '[REDACTED]',
+      message: 'OpenRouter rejected sk-[REDACTED] and pgk_[REDACTED]',
+    });
+    expect(redactString('auth: Bearer eyJhbGciOi.x.y')).toBe('auth: Bearer [REDACTED]');
+  });
+
+  it('should replace base64 images by their size', () => {
+    const base64 = 'A'.repeat(300);
+    expect(redact({ url: `data:image/png;base64,${base64}`, image: { base64, mimeType: 'image/png' } })).toEqual({
+      url: `data:image/png;base64,[${'data:image/png;base64,'.length + 300} chars]`,
+      image: { base64: '[base64 300 chars]', mimeType: 'image/png' },
+    });
+  });
+
+  it('should keep only a prefix of user text', () => {
+    const idea = 'x'.repeat(LOG_CONFIG.USER_TEXT_PREFIX + 20);
+    const redacted = redact({ idea, variants: [], prompt: ['short', idea], model: 'm' }) as Record<string, unknown>;
+
+    expect(redacted.idea).toBe(`${'x'.repeat(LOG_CONFIG.USER_TEXT_PREFIX)}… [${idea.length} chars]`);
+    expect(redacted.prompt).toEqual(['short', redacted.idea]);
+    expect(redacted.model).toBe('m');
+  });
+
+  it('should serialize errors and survive cycles', () => {
+    const cyclic: Record<string, unknown> = { name: 'loop' };
+    cyclic.self = cyclic;
+    const error = Object.assign(new Error('failed with Bearer secret-token'), { code: 'ECONNRESET' });
+
+    expect(redact(cyclic)).toEqual({ name: 'loop', self: '[Circular]' });
+    expect(redact(error)).toMatchObject({ name: 'Error', message: 'failed with Bearer [REDACTED]', code: 'ECONNRESET' });
+  });
+});
+
+describe('logger', () => {
+  const entries: LogEntry[] = [];
+
+  beforeEach(() => {
+    entries.length = 0;
+    configureLogger({ level: 'info', transports: [(_line, entry) => entries.push(entry)] });
+  });
+
+  afterAll(() => {
+    configureLogger({ level: 'silent' });
+  });
+
+  it('should write JSON entries at or above the configured level', () => {
+    const lines: string[] = [];
+    configureLogger({ transports: [(line) => lines.push(line)] });
+
+    logger.debug('hidden');
+    logger.warn('Model m unavailable', { status: 503 });
+    logger.error('Failed:', new Error('boom'), { idea: 'a lighthouse' });
+
+    expect(lines).toHaveLength(2);
+    expect(JSON.parse(lines[0])).toEqual({
+      time: expect.any(String),
+      level: 'warn',
+      msg: 'Model m unavailable',
+      data: { status: 503 },
+    });
+    expect(JSON.parse(lines[1]).data).toEqual([
+      expect.objectContaining({ name: 'Error', message: 'boom' }),
+      { idea: 'a lighthouse' },
+    ]);
+  });
+
+  it('should tag entries with the request ID and return it in a header', async () => {
+    const res = Object.assign(new EventEmitter(), {
+      statusCode: 200,
+      writableFinished: true,
+      headers: {} as Record<string, string>,
+      setHeader(name: string, value: string) {
+        this.headers[name] = value;
+      },
+    });
+    const handler = withRequestLogging(async () => {
+      await Promise.resolve();
+      logger.info('Handling', { requestId: getRequestId() });
+    });
+
+    await handler({ method: 'POST', url: '/api/generate?x=1', headers: {} } as NextApiRequest, res as unknown as NextApiResponse);
+    res.emit('close');
+
+    const requestId = res.headers[LOG_CONFIG.REQUEST_ID_HEADER];
+    expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(entries.map(({ msg, requestId: id }) => [msg, id])).toEqual([
+      ['Handling', requestId],
+      ['Request completed', requestId],
+    ]);
+    expect(entries[1].data).toMatchObject({ method: 'POST', path: '/api/generate', status: 200 });
+    expect(getRequestId()).toBeUndefined();
+  });
+
+  it('should keep a well-formed incoming request ID', () => {
+    const headers: Record<string, string> = {};
+    const res = Object.assign(new EventEmitter(), { setHeader: (name: string, value: string) => (headers[name] = value) });
+    const handler = withRequestLogging(() => undefined);
+    const send = (requestId: string) =>
+      handler({ headers: { 'x-request-id': requestId } } as unknown as NextApiRequest, res as unknown as NextApiResponse);
+
+    send('edge-1234abcd');
+    expect(headers[LOG_CONFIG.REQUEST_ID_HEADER]).toBe('edge-1234abcd');
+
+    send('bad id\n');
+    expect(headers[LOG_CONFIG.REQUEST_ID_HEADER]).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
+
+describe('createRotatingFileTransport', () => {
+  it('should rotate the file once it is full and keep a bounded number of old files', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pg-logs-'));
+    const file = path.join(dir, 'logs', 'server.log');
+    try {
+      const transport = createRotatingFileTransport({ file, maxBytes: 20, maxFiles: 2 });
+      ['line-0000001', 'line-0000002', 'line-0000003', 'line-0000004'].forEach((line) =>
+        transport(line, { time: '', level: 'info', msg: line })
+      );
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      expect((await fs.readdir(path.dirname(file))).sort()).toEqual(['server.log', 'server.log.1', 'server.log.2']);
+      await expect(fs.readFile(file, 'utf8')).resolves.toBe('line-0000004\n');
+      await expect(fs.readFile(`${file}.1`, 'utf8')).resolves.toBe('line-0000003\n');
+      await expect(fs.readFile(`${file}.2`, 'utf8')).resolves.toBe('line-0000002\n');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
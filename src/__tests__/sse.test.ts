@@ -0,0 +1,69 @@
+import { createSseParser, formatSseEvent, type SseEvent } from '../utils/sse';
+
+const collect = () => {
+  const events: SseEvent[] = [];
+  const parser = createSseParser((event) => events.push(event));
+  return { events, parser };
+};
+
+describe('createSseParser', () => {
+  it('should parse a complete named event', () => {
+    const { events, parser } = collect();
+    parser.push('event: delta\ndata: {"text":"hi"}\n\n');
+    expect(events).toEqual([{ event: 'delta', data: '{"text":"hi"}' }]);
+  });
+
+  it('should default the event name to message', () => {
+    const { events, parser } = collect();
+    parser.push('data: hello\n\n');
+    expect(events).toEqual([{ event: 'message', data: 'hello' }]);
+  });
+
+  it('should handle events split across chunks', () => {
+    const { events, parser } = collect();
+    parser.push('event: del');
+    parser.push('ta\ndata: {"te');
+    parser.push('xt":"a"}\n');
+    expect(events).toHaveLength(0);
+    parser.push('\n');
+    expect(events).toEqual([{ event: 'delta', data: '{"text":"a"}' }]);
+  });
+
+  it('should join multi-line data fields', () => {
+    const { events, parser } = collect();
+    parser.push('data: line one\ndata: line two\n\n');
+    expect(events[0].data).toBe('line one\nline two');
+  });
+
+  it('should ignore comment lines', () => {
+    const { events, parser } = collect();
+    parser.push(': OPENROUTER PROCESSING\n\ndata: [DONE]\n\n');
+    expect(events).toEqual([{ event: 'message', data: '[DONE]' }]);
+  });
+
+  it('should accept CRLF line endings', () => {
+    const { events, parser } = collect();
+    parser.push('event: done\r\ndata: {}\r\n\r\n');
+    expect(events).toEqual([{ event: 'done', data: '{}' }]);
+  });
+
+  it('should emit a trailing unterminated event on flush', () => {
+    const { events, parser } = collect();
+    parser.push('data: tail');
+    expect(events).toHaveLength(0);
+    parser.flush();
+    expect(events).toEqual([{ event: 'message', data: 'tail' }]);
+  });
+});
+
+describe('formatSseEvent', () => {
+  it('should serialize a named JSON event', () => {
+    expect(formatSseEvent('delta', { text: 'a' })).toBe('event: delta\ndata: {"text":"a"}\n\n');
+  });
+
+  it('should round-trip through the parser', () => {
+    const { events, parser } = collect();
+    parser.push(formatSseEvent('done', { prompt: 'line\nbreak' }));
+    expect(JSON.parse(events[0].data)).toEqual({ prompt: 'line\nbreak' });
+  });
+});
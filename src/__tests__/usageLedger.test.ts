@@ -0,0 +1,152 @@
+/**
+ * @jest-environment node
+ */
+import type { NextApiResponse } from 'next';
+import { ERROR_CODES, USAGE_BUDGET_MODES } from '../config/constants';
+import {
+  buildUsageReport,
+  createMemoryUsageStore,
+  createUsageLedger,
+  enforceUsageBudget,
+  getUsageBudget,
+  recordModelUsage,
+  summarizeUsageFields,
+  trackUsage,
+} from '../services/usageLedger';
+import { countModelCall, parsePriceTable } from '../utils/usageCost';
+
+const PRICES = { 'model-a': { prompt: 1, completion: 2 } };
+
+const createMockRes = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined as unknown,
+    status(code: number) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body: unknown) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+};
+
+describe('countModelCall', () => {
+  it('should estimate the cost from the price table', () => {
+    expect(countModelCall('model-a', { prompt_tokens: 1000, completion_tokens: 500, cost: 9 }, PRICES)).toEqual({
+      calls: 1,
+      promptTokens: 1000,
+      completionTokens: 500,
+      cost: 0.002,
+    });
+  });
+
+  it('should fall back to the reported cost and skip calls without usage', () => {
+    expect(countModelCall('other', { prompt_tokens: 10, cost: 0.5 }, PRICES)).toMatchObject({ promptTokens: 10, cost: 0.5 });
+    expect(countModelCall('model-a', null, PRICES)).toBeNull();
+  });
+});
+
+describe('parsePriceTable', () => {
+  it('should accept prompt and completion prices', () => {
+    expect(parsePriceTable({ m: { prompt: 0.1, completion: 0 } })).toEqual({ m: { prompt: 0.1, completion: 0 } });
+  });
+
+  it('should reject invalid tables', () => {
+    expect(() => parsePriceTable([])).toThrow('JSON object');
+    expect(() => parsePriceTable({ m: { prompt: -1, completion: 1 } })).toThrow('"m"');
+  });
+});
+
+describe('usage ledger', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    global.__pgUsageLedger = createUsageLedger(createMemoryUsageStore(), PRICES, () => Date.parse('2026-03-01T10:00:00Z'));
+    delete process.env.USAGE_DAILY_BUDGET;
+    delete process.env.USAGE_BUDGET_MODE;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    global.__pgUsageLedger = undefined;
+  });
+
+  it('should add up calls per client, day and model', async () => {
+    const ledger = global.__pgUsageLedger!;
+    await ledger.record('client', 'model-a', { calls: 1, promptTokens: 1000, completionTokens: 0, cost: 0.001 });
+    await ledger.record('client', 'model-a', { calls: 1, promptTokens: 0, completionTokens: 1000, cost: 0.002 });
+    await ledger.record('client', 'vendor/b|x', { calls: 1, promptTokens: 5, completionTokens: 5, cost: 0 });
+
+    const today = await ledger.getDay('client');
+    expect(today.day).toBe('2026-03-01');
+    expect(today.models['model-a']).toMatchObject({ calls: 2, promptTokens: 1000, completionTokens: 1000 });
+    expect(today.models['model-a'].cost).toBeCloseTo(0.003);
+    expect(today.models['vendor/b|x']).toMatchObject({ calls: 1 });
+    expect(today.totals).toMatchObject({ calls: 3, promptTokens: 1005, completionTokens: 1005 });
+    await expect(ledger.getDay('other')).resolves.toEqual(summarizeUsageFields('2026-03-01', {}));
+  });
+
+  it('should record model calls for the tracked client only', async () => {
+    recordModelUsage('model-a', { prompt_tokens: 100, completion_tokens: 100 });
+    await trackUsage({ key: 'client' }, async () => {
+      await Promise.resolve();
+      recordModelUsage('model-a', { prompt_tokens: 1000, completion_tokens: 1000 });
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const report = await buildUsageReport({ key: 'client' });
+    expect(report.totals).toEqual({ calls: 1, promptTokens: 1000, completionTokens: 1000, cost: 0.003 });
+    expect(report.budget).toBeNull();
+    expect(report.prices).toEqual(PRICES);
+  });
+
+  it('should compute the budget from the environment or the client', () => {
+    const today = summarizeUsageFields('2026-03-01', { 'model-a|cost': 0.75 });
+    const now = Date.parse('2026-03-01T10:00:00Z');
+
+    expect(getUsageBudget({ key: 'client' }, today, now)).toBeNull();
+
+    process.env.USAGE_DAILY_BUDGET = '1';
+    expect(getUsageBudget({ key: 'client' }, today, now)).toEqual({
+      limit: 1,
+      spent: 0.75,
+      remaining: 0.25,
+      exceeded: false,
+      mode: USAGE_BUDGET_MODES.BLOCK,
+      resetsAt: '2026-03-02T00:00:00.000Z',
+    });
+    expect(getUsageBudget({ key: 'client', dailyBudget: 0.5 }, today, now)).toMatchObject({ exceeded: true, remaining: 0 });
+  });
+
+  it('should reject requests once a blocking budget is spent', async () => {
+    process.env.USAGE_DAILY_BUDGET = '0.002';
+    await global.__pgUsageLedger!.record('client', 'model-a', { calls: 1, promptTokens: 0, completionTokens: 0, cost: 0.002 });
+
+    const res = createMockRes();
+    await expect(enforceUsageBudget(res as unknown as NextApiResponse, { key: 'client' })).resolves.toBe(false);
+    expect(res.statusCode).toBe(429);
+    expect(res.body).toMatchObject({ code: ERROR_CODES.BUDGET_EXCEEDED, retryAfter: expect.any(Number) });
+
+    await expect(enforceUsageBudget(createMockRes() as unknown as NextApiResponse, { key: 'other' })).resolves.toBe(true);
+  });
+
+  it('should only warn in warn mode and fail open when the store fails', async () => {
+    process.env.USAGE_DAILY_BUDGET = '0.001';
+    process.env.USAGE_BUDGET_MODE = 'warn';
+    await global.__pgUsageLedger!.record('client', 'model-a', { calls: 1, promptTokens: 0, completionTokens: 0, cost: 1 });
+    const res = createMockRes();
+
+    await expect(enforceUsageBudget(res as unknown as NextApiResponse, { key: 'client' })).resolves.toBe(true);
+    expect(res.body).toBeUndefined();
+
+    global.__pgUsageLedger = createUsageLedger({
+      name: 'memory',
+      increment: () => Promise.reject(new Error('down')),
+      read: () => Promise.reject(new Error('down')),
+    });
+    await expect(enforceUsageBudget(res as unknown as NextApiResponse, { key: 'client' })).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Creates an API key for the /api/v1 endpoints and adds its record to the key
+ * file through services/apiKeys, so keys made here hash, validate and land in
+ * the same file as the server reads. The key itself is printed once and never
+ * stored.
+ *
+ * Compiled to dist/cli by `npm run build:cli` and started by
+ * scripts/create-api-key.js (`npm run api-key`).
+ */
+import { createApiKey, saveApiKey, type ApiKeyLimits } from '../services/apiKeys';
+import { CLI_EXIT_CODES, CliUsageError, type CliIo } from './promptCli';
+
+export const API_KEY_CLI_USAGE = `Usage: npm run api-key -- --name <name> [options]
+
+Creates an API key and adds its hash to API_KEYS_FILE (default .data/api-keys.json).
+
+Options:
+      --name <name>            Label shown in logs and usage records (required)
+      --points <n>             Requests allowed per window, instead of the GENERATE bucket
+      --duration <seconds>     Window length for --points (default: 60)
+      --daily-budget <usd>     Spend allowed per UTC day, instead of DAILY_BUDGET_USD
+  -h, --help                   Show this help`;
+
+export interface ApiKeyCliOptions extends ApiKeyLimits {
+  name: string;
+  help: boolean;
+}
+
+const parsePositive = (flag: string, value: string, integer: boolean): number => {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0 || (integer && !Number.isInteger(parsed))) {
+    throw new CliUsageError(`${flag} must be a positive ${integer ? 'whole number' : 'number'}`);
+  }
+  return parsed;
+};
+
+/**
+ * Parses command-line arguments (without the node and script paths).
+ * Accepts `--flag value` and `--flag=value`.
+ * @throws CliUsageError for unknown flags, missing values and invalid values
+ */
+export const parseApiKeyArgs = (argv: string[]): ApiKeyCliOptions => {
+  let name = '';
+  let points: number | undefined;
+  let duration: number | undefined;
+  let dailyBudget: number | undefined;
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (arg === '-h' || arg === '--help') return { name, help: true };
+
+    const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=') ? arg.split(/=(.*)/s) : [arg];
+    if (!['--name', '--points', '--duration', '--daily-budget'].includes(flag)) {
+      throw new CliUsageError(`Unknown option ${flag}`);
+    }
+    const value = inlineValue ?? argv[++index];
+    if (value === undefined) throw new CliUsageError(`${flag} needs a value`);
+
+    if (flag === '--name') name = value.trim();
+    else if (flag === '--points') points = parsePositive(flag, value, true);
+    else if (flag === '--duration') duration = parsePositive(flag, value, true);
+    else dailyBudget = parsePositive(flag, value, false);
+  }
+
+  if (!name) throw new CliUsageError('--name is required');
+  if (duration !== undefined && points === undefined) throw new CliUsageError('--duration needs --points');
+
+  return {
+    name,
+    help: false,
+    ...(points !== undefined ? { quota: { points, duration: duration ?? 60 } } : {}),
+    ...(dailyBudget !== undefined ? { dailyBudget } : {}),
+  };
+};
+
+const processIo: Pick<CliIo, 'stdout' | 'stderr'> = {
+  stdout: (text) => process.stdout.write(`${text}\n`),
+  stderr: (text) => process.stderr.write(`${text}\n`),
+};
+
+/**
+ * Runs the CLI and resolves with its exit code.
+ */
+export const runApiKeyCli = async (
+  argv: string[],
+  io: Pick<CliIo, 'stdout' | 'stderr'> = processIo
+): Promise<number> => {
+  let options: ApiKeyCliOptions;
+  try {
+    options = parseApiKeyArgs(argv);
+  } catch (error) {
+    if (!(error instanceof CliUsageError)) throw error;
+    io.stderr(`api-key: ${error.message}\nRun npm run api-key -- --help for usage.`);
+    return CLI_EXIT_CODES.USAGE;
+  }
+  if (options.help) {
+    io.stdout(API_KEY_CLI_USAGE);
+    return CLI_EXIT_CODES.OK;
+  }
+
+  const { key, record } = createApiKey(options.name, { quota: options.quota, dailyBudget: options.dailyBudget });
+  let filePath: string;
+  try {
+    filePath = await saveApiKey(record);
+  } catch (error) {
+    io.stderr(`api-key: could not update the key file: ${(error as Error).message}`);
+    return CLI_EXIT_CODES.FAILED;
+  }
+
+  io.stdout(`Created API key "${record.name}" (id ${record.id}) in ${filePath}`);
+  io.stdout('Store it now, it cannot be shown again:\n');
+  io.stdout(key);
+  return CLI_EXIT_CODES.OK;
+};
@@ -0,0 +1,432 @@
+/**
+ * Command-line prompt generator. Runs the same pipeline as /api/generate
+ * (services/promptPipeline) directly against the configured LLM provider, so
+ * shell scripts and batch jobs can generate prompts without the web server.
+ *
+ * Compiled to dist/cli by `npm run build:cli` and started by bin/prompt-gen.js.
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+import he from 'he';
+import {
+  INPUT_LIMITS,
+  LLM_PROVIDERS,
+  OUTPUT_FORMATS,
+  PROMPT_MODES,
+  REFINEMENT_MODEL_OPTIONS,
+  VARIANT_CONFIG,
+  type ErrorCode,
+  type OutputFormat,
+  type PromptMode,
+} from '../config/constants';
+import { PROMPT_MODE_LIST, PROMPT_MODE_REGISTRY, isPromptMode, type GeneratedPrompt } from '../config/promptModes';
+import { STYLE_PRESETS, joinDirectionsWithStyles } from '../config/styles';
+import { resolveProviderApiKey } from '../services/openRouterService';
+import { generatePrompts, type PromptImage } from '../services/promptPipeline';
+import { sumUsage, type UsageTotals } from '../services/publicApi';
+import { configureLogger } from '../services/serverLogger';
+import { formatPrompt, formattedPromptToText, isOutputFormat, type FormattedPrompt } from '../utils/promptFormatters';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export const CLI_OUTPUTS = {
+  /** Prompts only, separated by blank lines */
+  TEXT: 'text',
+  /** One JSON object per idea (JSON Lines) */
+  JSON: 'json',
+} as const;
+
+export type CliOutput = typeof CLI_OUTPUTS[keyof typeof CLI_OUTPUTS];
+
+export interface CliOptions {
+  /** Ideas from --idea, positional arguments and --file, in that order */
+  ideas: string[];
+  /** File with one idea per line ("-" reads stdin) */
+  ideasFile: string | null;
+  directions: string;
+  mode: PromptMode;
+  /** Style preset names (keys of STYLE_PRESETS) */
+  styles: string[];
+  imagePath: string | null;
+  variants: number;
+  refine: boolean;
+  refinementModel: string;
+  outputFormat: OutputFormat | null;
+  output: CliOutput;
+  /** Overrides LLM_PROVIDER */
+  provider: string | null;
+  help: boolean;
+}
+
+/** Where the CLI writes; replaced in tests */
+export interface CliIo {
+  stdout: (text: string) => void;
+  stderr: (text: string) => void;
+  readStdin: () => Promise<string>;
+}
+
+/** One line of `--output json` */
+export type CliResult =
+  | {
+      idea: string;
+      mode: PromptMode;
+      prompts: Array<{ prompt: GeneratedPrompt; model: string; formatted: FormattedPrompt | null }>;
+      refinedBrief: string | null;
+      refinementModel: string | null;
+      usage: UsageTotals | null;
+    }
+  | { idea: string; error: { code: ErrorCode | null; message: string } };
+
+/** Invalid arguments or input files; reported with the usage hint and exit code 2 */
+export class CliUsageError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'CliUsageError';
+  }
+}
+
+export const CLI_EXIT_CODES = {
+  OK: 0,
+  /** At least one idea failed to generate */
+  FAILED: 1,
+  USAGE: 2,
+} as const;
+
+const IMAGE_MIME_TYPES: Record<string, string> = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+};
+
+export const CLI_USAGE = `Usage: prompt-gen [options] [idea...]
+
+Generates prompts with the same pipeline as the web app.
+
+Options:
+  -i, --idea <text>            Idea to generate a prompt for (repeatable)
+      --file <path>            Read ideas from a file, one per line ("-" for stdin);
+                               blank lines and lines starting with # are skipped
+  -d, --directions <text>      Additional directions applied to every idea
+  -m, --mode <mode>            ${PROMPT_MODE_LIST.map((mode) => mode.id).join(' | ')} (default: ${PROMPT_MODES.DEFAULT})
+  -s, --style <preset>         Style preset, e.g. "Cinematic" (repeatable)
+      --image <path>           Reference image (${Object.keys(IMAGE_MIME_TYPES).join(', ')})
+  -n, --variants <n>           Prompts per idea, ${VARIANT_CONFIG.MIN}-${VARIANT_CONFIG.MAX} (default: 1)
+      --refine                 Run the refinement stage first
+      --refinement-model <id>  Model leading the refinement chain
+  -f, --format <target>        Rewrite prompts for ${Object.values(OUTPUT_FORMATS).join(' | ')}
+  -o, --output <kind>          ${Object.values(CLI_OUTPUTS).join(' | ')} (default: ${CLI_OUTPUTS.TEXT})
+      --provider <name>        ${Object.values(LLM_PROVIDERS).join(' | ')} (default: LLM_PROVIDER)
+  -h, --help                   Show this help
+
+Exit codes: 0 success, 1 some ideas failed, 2 invalid arguments.`;
+
+// ============================================================================
+// Argument Parsing
+// ============================================================================
+
+const SHORT_FLAGS: Record<string, string> = {
+  '-i': '--idea',
+  '-d': '--directions',
+  '-m': '--mode',
+  '-s': '--style',
+  '-n': '--variants',
+  '-f': '--format',
+  '-o': '--output',
+  '-h': '--help',
+};
+
+const BOOLEAN_FLAGS = new Set(['--refine', '--help']);
+
+const findStylePreset = (name: string): string | undefined =>
+  Object.keys(STYLE_PRESETS).find((preset) => preset.toLowerCase() === name.trim().toLowerCase());
+
+/**
+ * Parses command-line arguments (without the node and script paths).
+ * Accepts `--flag value` and `--flag=value`; other arguments are ideas.
+ * @throws CliUsageError for unknown flags, missing values and invalid values
+ */
+export const parseCliArgs = (argv: string[]): CliOptions => {
+  const options: CliOptions = {
+    ideas: [],
+    ideasFile: null,
+    directions: '',
+    mode: PROMPT_MODES.DEFAULT,
+    styles: [],
+    imagePath: null,
+    variants: 1,
+    refine: false,
+    refinementModel: REFINEMENT_MODEL_OPTIONS[0],
+    outputFormat: null,
+    output: CLI_OUTPUTS.TEXT,
+    provider: null,
+    help: false,
+  };
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (!arg.startsWith('-') || arg === '-') {
+      options.ideas.push(arg);
+      continue;
+    }
+
+    const [rawFlag, inlineValue] = arg.startsWith('--') && arg.includes('=') ? arg.split(/=(.*)/s) : [arg];
+    const flag = SHORT_FLAGS[rawFlag] ?? rawFlag;
+    if (BOOLEAN_FLAGS.has(flag)) {
+      if (flag === '--refine') options.refine = true;
+      else options.help = true;
+      continue;
+    }
+
+    const value = inlineValue ?? argv[++index];
+    if (value === undefined) throw new CliUsageError(`${rawFlag} needs a value`);
+
+    switch (flag) {
+      case '--idea':
+        options.ideas.push(value);
+        break;
+      case '--file':
+        options.ideasFile = value;
+        break;
+      case '--directions':
+        options.directions = value;
+        break;
+      case '--mode':
+        if (!isPromptMode(value)) {
+          throw new CliUsageError(`--mode must be one of: ${PROMPT_MODE_LIST.map((mode) => mode.id).join(', ')}`);
+        }
+        options.mode = value;
+        break;
+      case '--style': {
+        const preset = findStylePreset(value);
+        if (!preset) {
+          throw new CliUsageError(`Unknown style "${value}". Available: ${Object.keys(STYLE_PRESETS).join(', ')}`);
+        }
+        options.styles.push(preset);
+        break;
+      }
+      case '--image':
+        options.imagePath = value;
+        break;
+      case '--variants': {
+        const count = Number(value);
+        if (!Number.isInteger(count) || count < VARIANT_CONFIG.MIN || count > VARIANT_CONFIG.MAX) {
+          throw new CliUsageError(
+            `--variants must be a whole number between ${VARIANT_CONFIG.MIN} and ${VARIANT_CONFIG.MAX}`
+          );
+        }
+        options.variants = count;
+        break;
+      }
+      case '--refinement-model':
+        if (!REFINEMENT_MODEL_OPTIONS.includes(value)) {
+          throw new CliUsageError(`--refinement-model must be one of: ${REFINEMENT_MODEL_OPTIONS.join(', ')}`);
+        }
+        options.refinementModel = value;
+        break;
+      case '--format':
+        if (!isOutputFormat(value)) {
+          throw new CliUsageError(`--format must be one of: ${Object.values(OUTPUT_FORMATS).join(', ')}`);
+        }
+        options.outputFormat = value;
+        break;
+      case '--output':
+        if (!Object.values<string>(CLI_OUTPUTS).includes(value)) {
+          throw new CliUsageError(`--output must be one of: ${Object.values(CLI_OUTPUTS).join(', ')}`);
+        }
+        options.output = value as CliOutput;
+        break;
+      case '--provider':
+        options.provider = value;
+        break;
+      default:
+        throw new CliUsageError(`Unknown option ${rawFlag}`);
+    }
+  }
+
+  return options;
+};
+
+/**
+ * Reads ideas from a file: one per line, skipping blank lines and # comments.
+ */
+export const parseIdeasFile = (content: string): string[] =>
+  content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+
+/**
+ * Reads the reference image and checks its type and size.
+ * @throws CliUsageError if the file is missing, not an image or too large
+ */
+const readImageFile = async (imagePath: string): Promise<PromptImage> => {
+  const mimeType = IMAGE_MIME_TYPES[path.extname(imagePath).toLowerCase()];
+  if (!mimeType) {
+    throw new CliUsageError(`--image must be one of: ${Object.keys(IMAGE_MIME_TYPES).join(', ')}`);
+  }
+  let data: Buffer;
+  try {
+    data = await fs.readFile(imagePath);
+  } catch (error) {
+    throw new CliUsageError(`Cannot read image ${imagePath}: ${(error as Error).message}`);
+  }
+  if (data.length > INPUT_LIMITS.IMAGE_MAX_SIZE) {
+    throw new CliUsageError(`Image must be under ${INPUT_LIMITS.IMAGE_MAX_SIZE / (1024 * 1024)}MB`);
+  }
+  return { base64: data.toString('base64'), mimeType };
+};
+
+/**
+ * Collects the ideas to run and checks their length.
+ * @throws CliUsageError if there is nothing to generate or an idea is too long
+ */
+const collectIdeas = async (options: CliOptions, io: CliIo): Promise<string[]> => {
+  const ideas = options.ideas.map((idea) => idea.trim()).filter(Boolean);
+  if (options.ideasFile) {
+    let content: string;
+    try {
+      content = options.ideasFile === '-' ? await io.readStdin() : await fs.readFile(options.ideasFile, 'utf8');
+    } catch (error) {
+      throw new CliUsageError(`Cannot read ${options.ideasFile}: ${(error as Error).message}`);
+    }
+    ideas.push(...parseIdeasFile(content));
+  }
+
+  // An image alone is a valid request: the prompt recreates the image
+  if (ideas.length === 0 && options.imagePath) return [''];
+  if (ideas.length === 0) throw new CliUsageError('Give an idea, --file or --image');
+
+  const tooLong = ideas.find((idea) => idea.length > INPUT_LIMITS.IDEA_MAX_LENGTH);
+  if (tooLong) {
+    throw new CliUsageError(
+      `Ideas must be under ${INPUT_LIMITS.IDEA_MAX_LENGTH} characters: "${tooLong.slice(0, 40)}..."`
+    );
+  }
+  return ideas;
+};
+
+// ============================================================================
+// Output
+// ============================================================================
+
+const promptToText = (prompt: GeneratedPrompt, formatted: FormattedPrompt | null): string => {
+  if (formatted) return formattedPromptToText(formatted);
+  return typeof prompt === 'string' ? prompt : JSON.stringify(prompt, null, 2);
+};
+
+/**
+ * Renders one result for the chosen output. Text output only carries the
+ * prompts; failures go to stderr instead.
+ */
+export const renderCliResult = (result: CliResult, output: CliOutput): string | null => {
+  if (output === CLI_OUTPUTS.JSON) return JSON.stringify(result);
+  if ('error' in result) return null;
+  return result.prompts.map(({ prompt, formatted }) => promptToText(prompt, formatted)).join('\n\n');
+};
+
+// ============================================================================
+// Main
+// ============================================================================
+
+const processIo: CliIo = {
+  stdout: (text) => process.stdout.write(`${text}\n`),
+  stderr: (text) => process.stderr.write(`${text}\n`),
+  readStdin: async () => {
+    const chunks: Buffer[] = [];
+    for await (const chunk of process.stdin) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks).toString('utf8');
+  },
+};
+
+/**
+ * Runs the CLI and resolves with its exit code. Ideas run one after another
+ * so a long file does not burst through the provider's rate limits.
+ */
+export const runCli = async (argv: string[], io: CliIo = processIo): Promise<number> => {
+  // Server logs would mix with the prompts on stdout; they are off unless LOG_LEVEL asks for them
+  configureLogger({ level: process.env.LOG_LEVEL ? undefined : 'silent', transports: [io.stderr] });
+
+  let options: CliOptions;
+  let ideas: string[];
+  let image: PromptImage | null = null;
+  try {
+    options = parseCliArgs(argv);
+    if (options.help) {
+      io.stdout(CLI_USAGE);
+      return CLI_EXIT_CODES.OK;
+    }
+    if (options.directions.length > INPUT_LIMITS.DIRECTIONS_MAX_LENGTH) {
+      throw new CliUsageError(`Directions must be under ${INPUT_LIMITS.DIRECTIONS_MAX_LENGTH} characters`);
+    }
+    ideas = await collectIdeas(options, io);
+    if (options.imagePath) image = await readImageFile(options.imagePath);
+  } catch (error) {
+    if (!(error instanceof CliUsageError)) throw error;
+    io.stderr(`prompt-gen: ${error.message}\nRun prompt-gen --help for usage.`);
+    return CLI_EXIT_CODES.USAGE;
+  }
+
+  if (options.provider) process.env.LLM_PROVIDER = options.provider;
+  const apiKey = resolveProviderApiKey();
+  if (apiKey === null) {
+    io.stderr(
+      `prompt-gen: the "${process.env.LLM_PROVIDER || LLM_PROVIDERS.OPENROUTER}" provider is not configured ` +
+        '(check LLM_PROVIDER and its API key).'
+    );
+    return CLI_EXIT_CODES.USAGE;
+  }
+
+  const mode = PROMPT_MODE_REGISTRY[options.mode];
+  // Same encoding as /api/generate, so the model sees identical input
+  const directions = he.encode(joinDirectionsWithStyles(options.directions, options.styles));
+  let failures = 0;
+  let printed = 0;
+
+  for (const idea of ideas) {
+    let result: CliResult;
+    try {
+      const generation = await generatePrompts(apiKey, {
+        idea: he.encode(idea),
+        directions,
+        mode,
+        image,
+        refine: options.refine,
+        refinementModel: options.refinementModel,
+        variants: options.variants,
+        title: 'Prompt Generator - CLI',
+      });
+      result = generation.ok
+        ? {
+            idea,
+            mode: mode.id,
+            prompts: generation.prompts.map(({ prompt, model }) => ({
+              prompt,
+              model,
+              formatted: options.outputFormat ? formatPrompt(prompt, options.outputFormat) : null,
+            })),
+            refinedBrief: generation.refinedBrief,
+            refinementModel: generation.refinementModel,
+            usage: sumUsage([generation.refinementUsage, ...generation.prompts.map(({ usage }) => usage)]),
+          }
+        : { idea, error: { code: generation.code, message: generation.message } };
+    } catch (error) {
+      result = { idea, error: { code: null, message: (error as Error).message } };
+    }
+
+    if ('error' in result) {
+      failures++;
+      io.stderr(`prompt-gen: failed "${idea.slice(0, 60) || '(image)'}": ${result.error.message}`);
+    }
+    const rendered = renderCliResult(result, options.output);
+    if (rendered === null) continue;
+    // Text output separates ideas with a blank line, like variants
+    io.stdout(printed > 0 && options.output === CLI_OUTPUTS.TEXT ? `\n${rendered}` : rendered);
+    printed++;
+  }
+
+  return failures > 0 ? CLI_EXIT_CODES.FAILED : CLI_EXIT_CODES.OK;
+};
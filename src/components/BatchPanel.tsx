@@ -0,0 +1,146 @@
+import React, { useRef, useState } from 'react';
+import { BATCH_CONFIG, BATCH_FORMATS, BATCH_JOB_STATUSES, BATCH_ROW_STATUSES, type PromptMode } from '../config/constants';
+import { CloseIcon, LightningIcon, TrashIcon, UploadIcon } from './IconComponents';
+import type { UseBatchJobReturn } from '../hooks/useBatchJob';
+
+export interface BatchPanelProps extends UseBatchJobReturn {
+  /** Mode applied to rows that do not name one */
+  mode: PromptMode;
+}
+
+/** Failed rows listed under the progress bar; the downloads have all of them */
+const MAX_LISTED_FAILURES = 10;
+
+/**
+ * Upload of a CSV or JSONL shot list, progress of the resulting server-side
+ * job and download of its results.
+ */
+const BatchPanel: React.FC<BatchPanelProps> = ({
+  mode,
+  job,
+  rows,
+  error,
+  isSubmitting,
+  submit,
+  cancel,
+  clear,
+  resultsUrl,
+}) => {
+  const inputRef = useRef<HTMLInputElement>(null);
+  const [file, setFile] = useState<File | null>(null);
+  const isActive = job !== null && (job.status === BATCH_JOB_STATUSES.QUEUED || job.status === BATCH_JOB_STATUSES.RUNNING);
+
+  const start = async () => {
+    if (!file) return;
+    await submit(file, mode);
+    setFile(null);
+    if (inputRef.current) inputRef.current.value = '';
+  };
+
+  const done = job ? job.counts.succeeded + job.counts.failed + job.counts.cancelled : 0;
+  const percent = job && job.counts.total > 0 ? Math.round((done / job.counts.total) * 100) : 0;
+  const failures = rows.filter((row) => row.status === BATCH_ROW_STATUSES.FAILED && row.error);
+
+  return (
+    <div className="space-y-4 mt-4 text-sm text-neural-muted">
+      <p className="leading-relaxed">
+        Upload a CSV with an <code>idea</code> column (optional <code>directions</code> and <code>mode</code>) or a
+        JSONL file with one <code>{'{ "idea": ... }'}</code> object per line, up to {BATCH_CONFIG.MAX_ROWS} rows. Rows
+        use your generation quota and wait for it to reset when it runs out. Rows without a mode use the current one.
+      </p>
+
+      {!isActive && (
+        <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+          <input
+            ref={inputRef}
+            type="file"
+            accept=".csv,.jsonl,.ndjson,text/csv,application/x-ndjson"
+            onChange={(e) => setFile(e.target.files?.[0] ?? null)}
+            className="hidden"
+            aria-label="Batch file"
+          />
+          <button type="button" onClick={() => inputRef.current?.click()} className="neural-btn">
+            <UploadIcon />
+            {file ? file.name : 'SELECT_FILE'}
+          </button>
+          <button
+            type="button"
+            onClick={start}
+            disabled={!file || isSubmitting}
+            aria-busy={isSubmitting}
+            className={`neural-btn-primary ${isSubmitting ? 'loading' : ''}`}
+          >
+            {isSubmitting ? (
+              <div className="loading-spinner" />
+            ) : (
+              <>
+                <LightningIcon />
+                START_BATCH
+              </>
+            )}
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <p className="text-red-400 text-xs font-mono" role="alert">
+          {error}
+        </p>
+      )}
+
+      {job && (
+        <div className="border border-white/10 bg-black/30 p-3 space-y-3" role="status" aria-live="polite">
+          <div className="flex flex-wrap items-center justify-between gap-2 text-xs font-mono uppercase tracking-wider">
+            <span className="text-neural-accent">{job.filename || 'BATCH'}</span>
+            <span>
+              {job.status} · {done}/{job.counts.total} · {job.counts.succeeded} OK · {job.counts.failed} FAILED
+            </span>
+          </div>
+          <div className="h-1 bg-white/10" aria-hidden="true">
+            <div className="h-1 bg-neural-accent transition-all" style={{ width: `${percent}%` }} />
+          </div>
+          {job.queuePosition !== null && (
+            <p className="text-xs font-mono">QUEUED · {job.queuePosition} JOB(S) AHEAD</p>
+          )}
+          {job.waitingSeconds !== null && (
+            <p className="text-xs font-mono">WAITING_FOR_QUOTA · RESUMES IN {job.waitingSeconds}s</p>
+          )}
+
+          {failures.length > 0 && (
+            <ul className="text-xs font-mono space-y-1">
+              {failures.slice(0, MAX_LISTED_FAILURES).map((row) => (
+                <li key={row.row}>
+                  ROW_{row.row}: {row.error?.message}
+                </li>
+              ))}
+              {failures.length > MAX_LISTED_FAILURES && (
+                <li>+{failures.length - MAX_LISTED_FAILURES} more in the results file</li>
+              )}
+            </ul>
+          )}
+
+          <div className="flex flex-col sm:flex-row justify-end gap-2">
+            {Object.values(BATCH_FORMATS).map((format) => (
+              <a key={format} href={resultsUrl(format) ?? undefined} download className="neural-btn">
+                DOWNLOAD_{format.toUpperCase()}
+              </a>
+            ))}
+            {isActive ? (
+              <button type="button" onClick={cancel} className="neural-btn">
+                <CloseIcon />
+                CANCEL
+              </button>
+            ) : (
+              <button type="button" onClick={clear} className="neural-btn">
+                <TrashIcon />
+                CLEAR
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchPanel;
@@ -1,63 +1,108 @@
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { CopyIcon, CheckIcon } from './IconComponents';
-import { COPY_TARGETS, type CopyTarget } from '../config/constants';
+import { COPY_TARGETS, OUTPUT_FORMATS, type CopyTarget, type OutputFormat } from '../config/constants';
+import { OUTPUT_FORMAT_LABELS } from '../utils/promptFormatters';
 
 export interface CopyButtonsProps {
-  /** Whether JSON mode is active (shows JSON + Scene buttons) */
-  isJsonMode: boolean;
+  /** Copy targets offered by the active prompt mode */
+  copyTargets: CopyTarget[];
   /** Current copied button type */
   copiedType: CopyTarget;
-  /** Handler for copying default text */
-  onCopyDefault: () => void;
-  /** Handler for copying JSON */
-  onCopyJson: () => void;
-  /** Handler for copying scene field */
-  onCopyScene: () => void;
+  /** Handler for copying the given target */
+  onCopy: (target: CopyTarget) => void;
+  /** Handler for copying the prompt formatted for a target generator */
+  onCopyAs?: (format: OutputFormat) => void;
 }
 
+const COPY_BUTTONS: Partial<Record<CopyTarget, { label: string; title: string }>> = {
+  [COPY_TARGETS.DEFAULT]: { label: 'COPY', title: 'Copy to clipboard' },
+  [COPY_TARGETS.JSON]: { label: 'COPY_JSON', title: 'Copy full JSON' },
+  [COPY_TARGETS.SCENE]: { label: 'COPY_SCENE', title: 'Copy only the scene field' },
+};
+
+/** Formats listed in the "copy as" menu (raw output is covered by the plain buttons) */
+const COPY_AS_FORMATS = (Object.values(OUTPUT_FORMATS) as OutputFormat[]).filter(
+  (format) => format !== OUTPUT_FORMATS.RAW
+);
+
 /**
- * Copy button variants for the output section.
- * Shows either a single copy button or JSON + Scene buttons depending on mode.
+ * Copy buttons for the output section.
+ * Renders one button per copy target declared by the active prompt mode,
+ * plus a "copy as" menu that formats the prompt for a specific generator.
  */
-const CopyButtons: React.FC<CopyButtonsProps> = ({
-  isJsonMode,
-  copiedType,
-  onCopyDefault,
-  onCopyJson,
-  onCopyScene,
-}) => {
-  if (isJsonMode) {
-    return (
-      <>
-        <button
-          onClick={onCopyJson}
-          className={`copy-button ${copiedType === COPY_TARGETS.JSON ? 'copied' : ''}`}
-          title="Copy full JSON"
-        >
-          {copiedType === COPY_TARGETS.JSON ? <CheckIcon /> : <CopyIcon />}
-          <span>COPY_JSON</span>
-        </button>
-        <button
-          onClick={onCopyScene}
-          className={`copy-button ${copiedType === COPY_TARGETS.SCENE ? 'copied' : ''}`}
-          title="Copy only the scene field"
-        >
-          {copiedType === COPY_TARGETS.SCENE ? <CheckIcon /> : <CopyIcon />}
-          <span>COPY_SCENE</span>
-        </button>
-      </>
-    );
-  }
+const CopyButtons: React.FC<CopyButtonsProps> = ({ copyTargets, copiedType, onCopy, onCopyAs }) => {
+  const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const menuRef = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    if (!isMenuOpen) return undefined;
+
+    const handlePointerDown = (e: MouseEvent) => {
+      if (menuRef.current && !menuRef.current.contains(e.target as Node)) setIsMenuOpen(false);
+    };
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.key === 'Escape') setIsMenuOpen(false);
+    };
+    document.addEventListener('mousedown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isMenuOpen]);
 
   return (
-    <button
-      onClick={onCopyDefault}
-      className={`copy-button ${copiedType === COPY_TARGETS.DEFAULT ? 'copied' : ''}`}
-      title="Copy to clipboard"
-    >
-      {copiedType === COPY_TARGETS.DEFAULT ? <CheckIcon /> : <CopyIcon />}
-      <span>COPY</span>
-    </button>
+    <>
+      {copyTargets.map((target) => {
+        const button = COPY_BUTTONS[target];
+        if (!button) return null;
+        return (
+          <button
+            key={target}
+            onClick={() => onCopy(target)}
+            className={`copy-button ${copiedType === target ? 'copied' : ''}`}
+            title={button.title}
+          >
+            {copiedType === target ? <CheckIcon /> : <CopyIcon />}
+            <span>{button.label}</span>
+          </button>
+        );
+      })}
+      {onCopyAs && (
+        <div ref={menuRef} className="relative">
+          <button
+            onClick={() => setIsMenuOpen((open) => !open)}
+            className={`copy-button ${copiedType === COPY_TARGETS.FORMATTED ? 'copied' : ''}`}
+            title="Copy formatted for another image generator"
+            aria-haspopup="menu"
+            aria-expanded={isMenuOpen}
+          >
+            {copiedType === COPY_TARGETS.FORMATTED ? <CheckIcon /> : <CopyIcon />}
+            <span>COPY_AS ▾</span>
+          </button>
+          {isMenuOpen && (
+            <div
+              role="menu"
+              className="absolute right-0 z-20 mt-1 min-w-[180px] border border-neural-border bg-neural-bg shadow-lg"
+            >
+              {COPY_AS_FORMATS.map((format) => (
+                <button
+                  key={format}
+                  role="menuitem"
+                  onClick={() => {
+                    setIsMenuOpen(false);
+                    onCopyAs(format);
+                  }}
+                  className="block w-full px-3 py-2 text-left text-xs font-mono uppercase tracking-wider text-neural-muted hover:bg-neural-accent hover:text-neural-bg transition-colors"
+                >
+                  {OUTPUT_FORMAT_LABELS[format]}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </>
   );
 };
 
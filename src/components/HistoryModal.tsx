@@ -63,6 +63,12 @@ const HistoryModal: React.FC<HistoryModalProps> = ({
     });
   }, [entries]);
 
+  // Lookup for labelling revisions with the entry they were made from
+  const parentTimestamps = useMemo(
+    () => new Map(entries.map((entry) => [entry.id, entry.timestamp])),
+    [entries]
+  );
+
   if (!isOpen) return null;
 
   const handleOverlayClick = (e: React.MouseEvent<HTMLDivElement>) => {
@@ -147,6 +153,15 @@ const HistoryModal: React.FC<HistoryModalProps> = ({
                     </button>
                   </div>
                 </div>
+                {item.parentId && (
+                  <div className="mt-2 text-xs text-neural-muted">
+                    <span className="text-neural-accent uppercase tracking-wider">REVISION</span>
+                    {parentTimestamps.has(item.parentId) && (
+                      <> OF {new Date(parentTimestamps.get(item.parentId) as number).toLocaleString()}</>
+                    )}
+                    {item.instruction && <>: {item.instruction}</>}
+                  </div>
+                )}
                 <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-3 text-xs">
                   <div className="md:col-span-1">
                     <div className="text-neural-accent mb-1 uppercase tracking-wider">INPUT_DATA</div>
@@ -1,6 +1,9 @@
-import React, { forwardRef } from 'react';
+import React, { forwardRef, useMemo } from 'react';
 import CopyButtons from './CopyButtons';
-import type { CopyTarget } from '../config/constants';
+import StoryboardDisplay from './StoryboardDisplay';
+import type { CopyTarget, OutputFormat } from '../config/constants';
+import { PROMPT_OUTPUT_KINDS, type PromptOutputKind } from '../config/promptModes';
+import { ensureVideoStoryboard, type VideoStoryboardPayload } from '../utils/openRouterParsers';
 
 export interface OutputDisplayProps {
   /** Whether to show the output section */
@@ -9,16 +12,20 @@ export interface OutputDisplayProps {
   generatedPrompt: string;
   /** Current error message */
   error: string;
-  /** Whether JSON mode is active */
-  isJsonMode: boolean;
+  /** Whether the prompt is still streaming in */
+  isStreaming?: boolean;
+  /** How the active prompt mode's output is rendered */
+  outputKind?: PromptOutputKind;
+  /** Copy targets offered by the active prompt mode */
+  copyTargets: CopyTarget[];
   /** Current copied button type */
   copiedType: CopyTarget;
-  /** Handler for copying default text */
-  onCopyDefault: () => void;
-  /** Handler for copying JSON */
-  onCopyJson: () => void;
-  /** Handler for copying scene field */
-  onCopyScene: () => void;
+  /** Handler for copying the given target */
+  onCopy: (target: CopyTarget) => void;
+  /** Handler for copying the prompt formatted for a target generator */
+  onCopyAs?: (format: OutputFormat) => void;
+  /** Re-run the failed request; a RETRY button is shown with the error when set */
+  onRetry?: () => void;
 }
 
 /**
@@ -31,14 +38,26 @@ const OutputDisplay = forwardRef<HTMLDivElement, OutputDisplayProps>(
       showOutput,
       generatedPrompt,
       error,
-      isJsonMode,
+      isStreaming = false,
+      outputKind = PROMPT_OUTPUT_KINDS.TEXT,
+      copyTargets,
       copiedType,
-      onCopyDefault,
-      onCopyJson,
-      onCopyScene,
+      onCopy,
+      onCopyAs,
+      onRetry,
     },
     ref
   ) => {
+    // Storyboards render as a shot list once complete; partial JSON stays raw
+    const storyboard = useMemo((): VideoStoryboardPayload | null => {
+      if (outputKind !== PROMPT_OUTPUT_KINDS.STORYBOARD || isStreaming || !generatedPrompt) return null;
+      try {
+        return ensureVideoStoryboard(JSON.parse(generatedPrompt));
+      } catch {
+        return null;
+      }
+    }, [outputKind, isStreaming, generatedPrompt]);
+
     if (!showOutput) {
       return null;
     }
@@ -50,28 +69,43 @@ const OutputDisplay = forwardRef<HTMLDivElement, OutputDisplayProps>(
         className="neural-output mt-6"
         role="region"
         aria-live="polite"
+        aria-busy={isStreaming}
         aria-label="Generated prompt output"
       >
         <div className="neural-output-header flex-wrap gap-2">
           <span className="neural-output-title">OUTPUT_STREAM</span>
-          {!error && generatedPrompt && (
+          {isStreaming && !error && (
+            <span className="text-xs text-neural-dim font-mono uppercase tracking-wider animate-pulse">
+              RECEIVING...
+            </span>
+          )}
+          {!error && !isStreaming && generatedPrompt && (
             <div className="flex items-center gap-2 flex-wrap">
               <CopyButtons
-                isJsonMode={isJsonMode}
+                copyTargets={copyTargets}
                 copiedType={copiedType}
-                onCopyDefault={onCopyDefault}
-                onCopyJson={onCopyJson}
-                onCopyScene={onCopyScene}
+                onCopy={onCopy}
+                onCopyAs={onCopyAs}
               />
             </div>
           )}
         </div>
         <div className="neural-output-content">
           {error ? (
-            <div className="error-content">{error}</div>
+            <div className="error-content">
+              {error}
+              {onRetry && (
+                <button type="button" onClick={onRetry} className="neural-btn mt-3">
+                  RETRY
+                </button>
+              )}
+            </div>
+          ) : storyboard ? (
+            <StoryboardDisplay storyboard={storyboard} />
           ) : (
             <pre className="text-sm leading-relaxed text-neural-white whitespace-pre-wrap overflow-auto font-mono">
               <code>{generatedPrompt}</code>
+              {isStreaming && <span className="animate-pulse text-neural-accent">▍</span>}
             </pre>
           )}
         </div>
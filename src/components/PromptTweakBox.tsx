@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { LightningIcon } from './IconComponents';
+import { INPUT_LIMITS } from '../config/constants';
+
+export interface PromptTweakBoxProps {
+  /** Whether a request is in flight */
+  isLoading: boolean;
+  /** Apply a follow-up instruction; resolves true when the prompt was revised */
+  onRevise: (instruction: string) => Promise<boolean>;
+}
+
+/**
+ * Follow-up instruction box shown under the output.
+ * Revises the current prompt ("make it night", "remove the people") instead of
+ * regenerating from scratch.
+ */
+const PromptTweakBox: React.FC<PromptTweakBoxProps> = ({ isLoading, onRevise }) => {
+  const [instruction, setInstruction] = useState('');
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!instruction.trim() || isLoading) return;
+    if (await onRevise(instruction)) setInstruction('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 flex flex-col sm:flex-row gap-2" aria-label="Tweak prompt">
+      <input
+        type="text"
+        value={instruction}
+        onChange={(e) => setInstruction(e.target.value)}
+        placeholder="e.g. make it night, remove the people"
+        maxLength={INPUT_LIMITS.EDIT_INSTRUCTION_MAX_LENGTH}
+        className="neural-input font-mono text-xs flex-1"
+        aria-label="Follow-up instruction"
+        disabled={isLoading}
+      />
+      <button
+        type="submit"
+        disabled={isLoading || !instruction.trim()}
+        aria-busy={isLoading}
+        className={`neural-btn-primary ${isLoading ? 'loading' : ''}`}
+      >
+        {isLoading ? (
+          <div className="loading-spinner" />
+        ) : (
+          <>
+            <LightningIcon />
+            APPLY_TWEAK
+          </>
+        )}
+      </button>
+    </form>
+  );
+};
+
+export default PromptTweakBox;
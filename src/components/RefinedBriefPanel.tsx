@@ -0,0 +1,78 @@
+import React from 'react';
+import { LightningIcon, TrashIcon } from './IconComponents';
+
+export interface RefinedBriefPanelProps {
+  /** Brief returned by the refinement stage (null hides the panel) */
+  refinedBrief: string | null;
+  /** Model that produced the brief */
+  refinementModel: string | null;
+  /** Whether a request is in flight */
+  isLoading: boolean;
+  /** Update the brief as the user edits it */
+  onChange: (value: string) => void;
+  /** Run the final generation from the edited brief */
+  onGenerate: () => void;
+  /** Drop the brief without generating */
+  onDiscard: () => void;
+}
+
+/**
+ * Review step between refinement and final generation.
+ * The brief is editable so users can steer the final prompt before it is written.
+ */
+const RefinedBriefPanel: React.FC<RefinedBriefPanelProps> = ({
+  refinedBrief,
+  refinementModel,
+  isLoading,
+  onChange,
+  onGenerate,
+  onDiscard,
+}) => {
+  if (refinedBrief === null) {
+    return null;
+  }
+
+  return (
+    <div className="neural-output mt-6" role="region" aria-label="Refined brief">
+      <div className="neural-output-header flex-wrap gap-2">
+        <span className="neural-output-title">REFINED_BRIEF</span>
+        {refinementModel && (
+          <span className="text-xs text-neural-dim font-mono uppercase tracking-wider">{refinementModel}</span>
+        )}
+      </div>
+      <div className="neural-output-content space-y-3">
+        <textarea
+          value={refinedBrief}
+          onChange={(e) => onChange(e.target.value)}
+          className="neural-input font-mono text-xs leading-relaxed min-h-[180px] resize-y"
+          aria-label="Edit refined brief"
+          disabled={isLoading}
+        />
+        <div className="flex flex-col sm:flex-row justify-end gap-2">
+          <button type="button" onClick={onDiscard} disabled={isLoading} className="neural-btn">
+            <TrashIcon />
+            DISCARD
+          </button>
+          <button
+            type="button"
+            onClick={onGenerate}
+            disabled={isLoading || !refinedBrief.trim()}
+            aria-busy={isLoading}
+            className={`neural-btn-primary ${isLoading ? 'loading' : ''}`}
+          >
+            {isLoading ? (
+              <div className="loading-spinner" />
+            ) : (
+              <>
+                <LightningIcon />
+                GENERATE_FROM_BRIEF
+              </>
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RefinedBriefPanel;
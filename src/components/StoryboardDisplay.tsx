@@ -0,0 +1,57 @@
+import React from 'react';
+import type { VideoStoryboardPayload } from '../utils/openRouterParsers';
+
+export interface StoryboardDisplayProps {
+  /** Validated video storyboard */
+  storyboard: VideoStoryboardPayload;
+}
+
+/**
+ * Renders a VIDEO mode storyboard as clip settings followed by a timed shot list.
+ */
+const StoryboardDisplay: React.FC<StoryboardDisplayProps> = ({ storyboard }) => {
+  const settings = [
+    ['DURATION', `${storyboard.duration_seconds}s`],
+    ['FPS', String(storyboard.fps)],
+    ['ASPECT', storyboard.aspect_ratio],
+    ['STYLE', storyboard.style],
+    ['CAMERA', storyboard.camera_motion],
+  ];
+
+  return (
+    <div className="space-y-4 font-mono">
+      <p className="text-sm leading-relaxed text-neural-white whitespace-pre-wrap">{storyboard.scene}</p>
+
+      <dl className="grid grid-cols-2 sm:grid-cols-3 gap-x-4 gap-y-2 text-xs">
+        {settings.map(([label, value]) => (
+          <div key={label}>
+            <dt className="text-neural-dim uppercase tracking-wider">{label}</dt>
+            <dd className="text-neural-white">{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <ol className="space-y-2" aria-label="Shot list">
+        {storyboard.shots.map((shot, index) => (
+          <li key={`${shot.shot}-${index}`} className="border border-white/10 bg-black/30 p-3 text-xs">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-1">
+              <span className="text-neural-accent uppercase tracking-wider">
+                SHOT_{String(index + 1).padStart(2, '0')}
+              </span>
+              <span className="text-neural-dim">
+                {shot.start_seconds}s – {shot.end_seconds}s
+              </span>
+            </div>
+            <p className="text-neural-white leading-relaxed">{shot.description}</p>
+            <p className="text-neural-muted mt-1">
+              CAMERA: {shot.camera_motion}
+              {shot.transition && shot.transition !== 'none' && <> · TRANSITION: {shot.transition.toUpperCase()}</>}
+            </p>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default StoryboardDisplay;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { USAGE_BUDGET_MODES, USAGE_CONFIG } from '../config/constants';
+import type { UsageBudget } from '../utils/promptApiClient';
+import type { UsageCounts } from '../utils/usageCost';
+
+export interface UsageMeterProps {
+  /** Tokens and estimated cost of this browser session */
+  session: UsageCounts;
+  /** Today's budget (null when none is configured) */
+  budget: UsageBudget | null;
+}
+
+const formatTokens = (tokens: number): string =>
+  tokens >= 1000 ? `${(tokens / 1000).toFixed(tokens >= 10000 ? 0 : 1)}K` : String(tokens);
+
+// Single calls cost fractions of a cent, so small amounts keep more digits
+const formatCost = (usd: number): string => `$${usd.toFixed(usd > 0 && usd < 0.01 ? 4 : 2)}`;
+
+const budgetNote = (budget: UsageBudget, isWarning: boolean): string => {
+  if (budget.exceeded) return budget.mode === USAGE_BUDGET_MODES.BLOCK ? ' // SPENT_UNTIL_00:00_UTC' : ' // OVER_BUDGET';
+  return isWarning ? ' // RUNNING_LOW' : '';
+};
+
+/**
+ * Session token usage and estimated cost under the action bar, plus today's
+ * budget when the server enforces one. Warns once most of the budget is spent.
+ */
+const UsageMeter: React.FC<UsageMeterProps> = ({ session, budget }) => {
+  if (session.calls === 0 && !budget) {
+    return null;
+  }
+
+  const share = budget ? Math.min(1, budget.spent / budget.limit) : 0;
+  const isWarning = budget !== null && share >= USAGE_CONFIG.WARNING_RATIO;
+
+  return (
+    <div className="flex flex-col items-stretch sm:items-end gap-1 text-xs font-mono uppercase tracking-wider text-neural-dim">
+      {session.calls > 0 && (
+        <span className="text-center sm:text-right">
+          SESSION: {formatTokens(session.promptTokens + session.completionTokens)}_TOKENS{' // ~'}
+          {formatCost(session.cost)}
+        </span>
+      )}
+      {budget && (
+        <>
+          <span className={`text-center sm:text-right ${isWarning ? 'text-red-400' : ''}`} aria-live="polite">
+            BUDGET: {formatCost(budget.spent)}/{formatCost(budget.limit)}
+            {budgetNote(budget, isWarning)}
+          </span>
+          <div className="h-1 w-full sm:w-40 bg-white/10" aria-hidden="true">
+            <div
+              className={`h-1 transition-all ${isWarning ? 'bg-red-400' : 'bg-neural-accent'}`}
+              style={{ width: `${share * 100}%` }}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default UsageMeter;
@@ -0,0 +1,103 @@
+import React from 'react';
+import { CheckIcon, StarIcon, StarSolidIcon, TrashIcon } from './IconComponents';
+import type { PromptVariant } from '../hooks/usePromptGenerator';
+
+export interface VariantsDisplayProps {
+  /** Variants from the last multi-variant generation */
+  variants: PromptVariant[];
+  /** Id of the variant currently shown in the main output */
+  selectedVariantId: string | null;
+  /** Show a variant in the main output */
+  onPick: (id: string) => void;
+  /** Toggle favorite on a variant */
+  onToggleFav: (id: string) => void;
+  /** Discard a variant */
+  onDiscard: (id: string) => void;
+}
+
+/**
+ * Side-by-side compare view for multi-variant generations.
+ * Each card can be picked into the main output, favorited or discarded.
+ */
+const VariantsDisplay: React.FC<VariantsDisplayProps> = ({
+  variants,
+  selectedVariantId,
+  onPick,
+  onToggleFav,
+  onDiscard,
+}) => {
+  if (variants.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="neural-output mt-6" role="region" aria-label="Generated prompt variants">
+      <div className="neural-output-header flex-wrap gap-2">
+        <span className="neural-output-title">VARIANT_MATRIX</span>
+        <span className="text-xs text-neural-dim font-mono uppercase tracking-wider">
+          {variants.length} KEPT
+        </span>
+      </div>
+      <div className="neural-output-content grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-3">
+        {variants.map((variant, index) => {
+          const isSelected = variant.id === selectedVariantId;
+          return (
+            <div
+              key={variant.id}
+              className={`flex flex-col bg-black/30 border p-3 ${
+                isSelected ? 'border-neural-accent' : 'border-white/10'
+              }`}
+            >
+              <div className="flex items-center justify-between gap-2 mb-2">
+                <span className="text-xs text-neural-accent font-mono uppercase tracking-wider">
+                  VAR_{String(index + 1).padStart(2, '0')}
+                </span>
+                <div className="flex items-center gap-1">
+                  <button
+                    type="button"
+                    onClick={() => onPick(variant.id)}
+                    className={`w-8 h-8 flex items-center justify-center border transition-colors ${
+                      isSelected
+                        ? 'bg-neural-accent border-neural-accent text-neural-bg'
+                        : 'border-white/10 text-neural-muted hover:border-neural-accent hover:text-neural-accent'
+                    }`}
+                    aria-label={`Pick variant ${index + 1}`}
+                    aria-pressed={isSelected}
+                  >
+                    <CheckIcon />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onToggleFav(variant.id)}
+                    className={`w-8 h-8 flex items-center justify-center border transition-colors ${
+                      variant.fav
+                        ? 'bg-neural-accent border-neural-accent text-neural-bg'
+                        : 'border-white/10 text-neural-muted hover:border-neural-accent hover:text-neural-accent'
+                    }`}
+                    aria-label={variant.fav ? 'Remove variant from favorites' : 'Add variant to favorites'}
+                    aria-pressed={variant.fav}
+                  >
+                    {variant.fav ? <StarSolidIcon /> : <StarIcon />}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onDiscard(variant.id)}
+                    className="w-8 h-8 flex items-center justify-center border border-red-600/50 text-red-400 hover:bg-red-600/20 transition-colors"
+                    aria-label={`Discard variant ${index + 1}`}
+                  >
+                    <TrashIcon />
+                  </button>
+                </div>
+              </div>
+              <pre className="text-xs leading-relaxed text-neural-white whitespace-pre-wrap overflow-auto font-mono max-h-72">
+                <code>{variant.prompt}</code>
+              </pre>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default VariantsDisplay;
@@ -0,0 +1,55 @@
+/**
+ * Environment variables next.config.js reads. Node loads next.config.js as
+ * CommonJS before any TypeScript is compiled, so their specs live in this
+ * CommonJS module and config/env.ts adds them to ENV_SCHEMA: the build, the
+ * boot check and `readEnv` parse them the same way.
+ */
+
+/**
+ * Parses a boolean variable: "true"/"1" or "false"/"0", in any case.
+ * @param {string} value Trimmed, non-empty value
+ * @param {string} name Variable name, for the error
+ * @returns {boolean}
+ * @throws Error for any other value
+ */
+const parseFlag = (value, name) => {
+  const normalized = value.toLowerCase();
+  if (['true', '1'].includes(normalized)) return true;
+  if (['false', '0'].includes(normalized)) return false;
+  throw new Error(`${name} must be true or false (got "${value}")`);
+};
+
+/**
+ * @type {{
+ *   VERCEL_URL: import('./env').EnvVarSpec<string | undefined>;
+ *   ANALYZE: import('./env').EnvVarSpec<boolean>;
+ * }}
+ */
+const BUILD_ENV_SCHEMA = {
+  VERCEL_URL: {
+    description: 'Deployment host set by Vercel, sent as the OpenRouter referer and allowed by the CSP',
+    fallback: undefined,
+    parse: (value) => value,
+  },
+  ANALYZE: {
+    description: 'Write a bundle analyzer report on build (next.config.js)',
+    fallback: false,
+    parse: parseFlag,
+  },
+};
+
+/**
+ * Reads one variable of BUILD_ENV_SCHEMA like `readEnv` does.
+ * @template {keyof typeof BUILD_ENV_SCHEMA} N
+ * @param {N} name
+ * @param {Record<string, string | undefined>} [source]
+ * @returns {ReturnType<typeof BUILD_ENV_SCHEMA[N]['parse']> | typeof BUILD_ENV_SCHEMA[N]['fallback']}
+ * @throws Error if the value is invalid
+ */
+const readBuildEnv = (name, source = process.env) => {
+  const spec = BUILD_ENV_SCHEMA[name];
+  const value = source[name]?.trim();
+  return value ? spec.parse(value, name) : spec.fallback;
+};
+
+module.exports = { BUILD_ENV_SCHEMA, parseFlag, readBuildEnv };
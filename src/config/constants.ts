@@ -24,6 +24,12 @@ export const INPUT_LIMITS = {
   IDEA_MAX_LENGTH: 1000,
   /** Maximum character length for the directions/modifiers input */
   DIRECTIONS_MAX_LENGTH: 500,
+  /** Maximum character length for a user-edited refined brief */
+  REFINED_BRIEF_MAX_LENGTH: 4000,
+  /** Maximum character length for a follow-up edit instruction */
+  EDIT_INSTRUCTION_MAX_LENGTH: 500,
+  /** Maximum character length of the (serialized) prompt being edited */
+  EDIT_PROMPT_MAX_LENGTH: 8000,
   /** Maximum file size for image uploads (in bytes) - 10MB */
   IMAGE_MAX_SIZE: 10 * 1024 * 1024,
   /** Target size for image compression (in bytes) - 1.5MB */
@@ -41,12 +47,10 @@ export const INPUT_LIMITS = {
 // ============================================================================
 
 export const API_CONFIG = {
-  /** Rate limit: maximum requests allowed per window */
-  RATE_LIMIT_POINTS: 5,
-  /** Rate limit: time window in seconds */
-  RATE_LIMIT_DURATION: 60,
   /** API request timeout in milliseconds */
   REQUEST_TIMEOUT: 20000,
+  /** Time budget for every model call of one API request, retries and fallbacks included (ms) */
+  REQUEST_DEADLINE: 25000,
   /** Maximum retries for transient failures */
   MAX_RETRIES: 3,
   /** Base delay for exponential backoff in milliseconds */
@@ -55,6 +59,273 @@ export const API_CONFIG = {
   MAX_JSON_BODY_SIZE: 1024 * 1024,
 } as const;
 
+// ============================================================================
+// Rate Limiting
+// ============================================================================
+
+/** Limit of one bucket: `points` may be consumed per `duration` seconds */
+export type RateLimitRule = { points: number; duration: number };
+
+/** Per-endpoint rate limit buckets */
+export const RATE_LIMIT_BUCKETS = {
+  GENERATE: { points: 10, duration: 60 },
+  SURPRISE: { points: 5, duration: 60 },
+  EDIT: { points: 10, duration: 60 },
+  /** Default per-key quota shared by the /api/v1 endpoints; keys may set their own */
+  API: { points: 60, duration: 60 },
+} as const satisfies Record<string, RateLimitRule>;
+
+export type RateLimitBucket = keyof typeof RATE_LIMIT_BUCKETS;
+
+/** Points a request consumes from its bucket */
+export const RATE_LIMIT_COSTS = {
+  /** Every request */
+  BASE: 1,
+  /** Extra for a refinement call in front of the final one */
+  REFINEMENT: 1,
+  /** Extra for an uploaded image (vision input) */
+  IMAGE: 1,
+  /** Extra for each variant beyond the first */
+  VARIANT: 1,
+} as const;
+
+/** Response headers carrying the limiter state (IETF RateLimit header fields) */
+export const RATE_LIMIT_HEADERS = {
+  /** Points per window for the endpoint's bucket */
+  LIMIT: 'RateLimit-Limit',
+  /** Points left in the current window */
+  REMAINING: 'RateLimit-Remaining',
+  /** Seconds until the window resets */
+  RESET: 'RateLimit-Reset',
+  /** Seconds to wait before retrying (429 responses only) */
+  RETRY_AFTER: 'Retry-After',
+} as const;
+
+// ============================================================================
+// Output Repair
+// ============================================================================
+
+export const OUTPUT_REPAIR = {
+  /** Times a model is re-asked with the validation error before moving down the chain */
+  MAX_ATTEMPTS: 1,
+  /** Shortest image prompt accepted from length-checked modes (see DEFAULT_SYSTEM_PROMPT) */
+  PROMPT_MIN_LENGTH: 500,
+  /** Longest image prompt accepted from length-checked modes; longer ones are trimmed */
+  PROMPT_MAX_LENGTH: 1200,
+} as const;
+
+// ============================================================================
+// Variant Generation
+// ============================================================================
+
+export const VARIANT_CONFIG = {
+  /** Minimum number of variants per request (1 = a single regular result) */
+  MIN: 1,
+  /** Maximum number of variants generated in one request */
+  MAX: 6,
+} as const;
+
+// ============================================================================
+// Batch Jobs
+// ============================================================================
+
+export const BATCH_CONFIG = {
+  /** Maximum rows in one uploaded file */
+  MAX_ROWS: 200,
+  /** Maximum size of an uploaded file (in bytes) - 512KB */
+  MAX_FILE_SIZE: 512 * 1024,
+  /** Rows of one job generated at the same time */
+  ROW_CONCURRENCY: 2,
+  /** Jobs processed at the same time per server instance; later jobs wait in line */
+  MAX_RUNNING_JOBS: 2,
+  /** Unfinished jobs one client may have */
+  MAX_ACTIVE_JOBS_PER_CLIENT: 1,
+  /** How long finished jobs and their results are kept (in milliseconds) - 1 hour */
+  RESULT_TTL: 60 * 60 * 1000,
+  /** Client polling interval while a job runs (in milliseconds) */
+  POLL_INTERVAL: 2000,
+  /** LocalStorage key for the job shown in the UI */
+  STORAGE_KEY: 'pg_batch_job',
+} as const;
+
+/** File formats accepted for batch uploads and offered for result downloads */
+export const BATCH_FORMATS = {
+  /** Header row naming the columns, then one row per idea */
+  CSV: 'csv',
+  /** One JSON object per line */
+  JSONL: 'jsonl',
+} as const;
+
+export type BatchFormat = typeof BATCH_FORMATS[keyof typeof BATCH_FORMATS];
+
+export const BATCH_JOB_STATUSES = {
+  /** Waiting for a free slot (BATCH_CONFIG.MAX_RUNNING_JOBS) */
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  /** Every row finished, successfully or not */
+  COMPLETED: 'completed',
+  /** Stopped by the client; rows not yet started are skipped */
+  CANCELLED: 'cancelled',
+} as const;
+
+export type BatchJobStatus = typeof BATCH_JOB_STATUSES[keyof typeof BATCH_JOB_STATUSES];
+
+export const BATCH_ROW_STATUSES = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+} as const;
+
+export type BatchRowStatus = typeof BATCH_ROW_STATUSES[keyof typeof BATCH_ROW_STATUSES];
+
+// ============================================================================
+// Async Generation Jobs
+// ============================================================================
+
+export const JOB_CONFIG = {
+  /** Jobs generated at the same time per server instance */
+  MAX_RUNNING: 4,
+  /** Jobs waiting for a slot per server instance; further async requests are rejected */
+  MAX_QUEUED: 50,
+  /** How long job records are kept in the store (in milliseconds) - 1 hour */
+  RESULT_TTL: 60 * 60 * 1000,
+  /** A queued or running job not updated for this long is reported as interrupted (in milliseconds) - 10 minutes */
+  STALE_AFTER: 10 * 60 * 1000,
+  /** Client polling interval while waiting for a job (in milliseconds) */
+  POLL_INTERVAL: 1500,
+  /** Timeout of one webhook delivery attempt (in milliseconds) */
+  WEBHOOK_TIMEOUT: 5000,
+  /** Delivery attempts before a webhook is marked failed */
+  WEBHOOK_MAX_ATTEMPTS: 3,
+  /** Base delay between webhook attempts, doubled after each one (in milliseconds) */
+  WEBHOOK_RETRY_DELAY: 1000,
+} as const;
+
+export const JOB_STATUSES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  /** The job ran (or was interrupted) and `error` says why it failed */
+  FAILED: 'failed',
+} as const;
+
+export type JobStatus = typeof JOB_STATUSES[keyof typeof JOB_STATUSES];
+
+export const WEBHOOK_STATUSES = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  /** Every attempt failed or the receiver answered with a non-2xx status */
+  FAILED: 'failed',
+} as const;
+
+export type WebhookStatus = typeof WEBHOOK_STATUSES[keyof typeof WEBHOOK_STATUSES];
+
+// ============================================================================
+// Metrics
+// ============================================================================
+
+export const METRICS_CONFIG = {
+  /** Prefix of every metric name */
+  PREFIX: 'prompt_generator',
+  /** Upper bounds (in seconds) of the upstream latency histogram buckets */
+  LATENCY_BUCKETS: [0.25, 0.5, 1, 2.5, 5, 10, 15, 20, 30],
+} as const;
+
+// ============================================================================
+// Providers and Stores
+// ============================================================================
+
+/** LLM providers selectable with LLM_PROVIDER (see services/llmProvider) */
+export const LLM_PROVIDERS = {
+  OPENROUTER: 'openrouter',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  MOCK: 'mock',
+} as const;
+
+export type LlmProviderName = typeof LLM_PROVIDERS[keyof typeof LLM_PROVIDERS];
+
+/** Rate limit counter stores selectable with RATE_LIMIT_STORE (see services/rateLimit) */
+export const RATE_LIMIT_STORES = {
+  MEMORY: 'memory',
+  REDIS: 'redis',
+  FILE: 'file',
+} as const;
+
+export type RateLimitStoreName = typeof RATE_LIMIT_STORES[keyof typeof RATE_LIMIT_STORES];
+
+export const RATE_LIMIT_CONFIG = {
+  /** Milliseconds a remote store may take before the limiter falls back to its insurance store */
+  STORE_TIMEOUT: 1500,
+} as const;
+
+/** Async job stores selectable with JOB_STORE (see services/generationJobs) */
+export const JOB_STORES = {
+  MEMORY: 'memory',
+  FILE: 'file',
+  REDIS: 'redis',
+} as const;
+
+export type JobStoreName = typeof JOB_STORES[keyof typeof JOB_STORES];
+
+/** Usage ledger stores selectable with USAGE_STORE (see services/usageLedger) */
+export const USAGE_STORES = {
+  MEMORY: 'memory',
+  FILE: 'file',
+  REDIS: 'redis',
+} as const;
+
+export type UsageStoreName = typeof USAGE_STORES[keyof typeof USAGE_STORES];
+
+// ============================================================================
+// Server Logging
+// ============================================================================
+
+export const LOG_LEVELS = {
+  DEBUG: 'debug',
+  INFO: 'info',
+  WARN: 'warn',
+  ERROR: 'error',
+  /** Logs nothing */
+  SILENT: 'silent',
+} as const;
+
+export type LogLevel = typeof LOG_LEVELS[keyof typeof LOG_LEVELS];
+
+export const LOG_CONFIG = {
+  /** Header carrying the request ID on every API response */
+  REQUEST_ID_HEADER: 'X-Request-Id',
+  /** Characters of user text (ideas, directions, prompts...) kept in log entries */
+  USER_TEXT_PREFIX: 80,
+  /** Longest other string kept whole in a log entry */
+  MAX_STRING_LENGTH: 2000,
+  /** Nesting depth below which logged values are replaced */
+  MAX_DEPTH: 6,
+  /** Default log file of the file transport */
+  FILE_PATH: '.data/logs/server.log',
+  /** Size at which the log file is rotated (in bytes) - 10MB */
+  FILE_MAX_BYTES: 10 * 1024 * 1024,
+  /** Rotated log files kept next to the current one */
+  FILE_MAX_FILES: 5,
+} as const;
+
+// ============================================================================
+// Health Checks
+// ============================================================================
+
+export const HEALTH_STATUSES = {
+  OK: 'ok',
+  FAIL: 'fail',
+} as const;
+
+export type HealthStatus = typeof HEALTH_STATUSES[keyof typeof HEALTH_STATUSES];
+
+export const HEALTH_CONFIG = {
+  /** Time one readiness check may take before it fails (in milliseconds) */
+  CHECK_TIMEOUT: 3000,
+} as const;
+
 // ============================================================================
 // Copy Target Types
 // ============================================================================
@@ -63,11 +334,30 @@ export const COPY_TARGETS = {
   DEFAULT: 'default',
   JSON: 'json',
   SCENE: 'scene',
+  /** Any "copy as" target format */
+  FORMATTED: 'formatted',
   NONE: '',
 } as const;
 
 export type CopyTarget = typeof COPY_TARGETS[keyof typeof COPY_TARGETS];
 
+// ============================================================================
+// Target Output Formats
+// ============================================================================
+
+/** Image generators a prompt can be formatted for (see utils/promptFormatters) */
+export const OUTPUT_FORMATS = {
+  /** Prompt exactly as generated */
+  RAW: 'raw',
+  MIDJOURNEY: 'midjourney',
+  /** Stable Diffusion / ComfyUI weighted tokens with a negative prompt */
+  STABLE_DIFFUSION: 'stable-diffusion',
+  FLUX: 'flux',
+  DALLE: 'dalle',
+} as const;
+
+export type OutputFormat = typeof OUTPUT_FORMATS[keyof typeof OUTPUT_FORMATS];
+
 // ============================================================================
 // Prompt Generation Modes
 // ============================================================================
@@ -103,17 +393,179 @@ export const OPENROUTER_MODELS = {
   REFINEMENT: 'google/gemini-2.5-flash-lite-preview-06-17',
 } as const;
 
+/**
+ * Ordered fallback chains per pipeline stage. Each model is retried with backoff
+ * for transient failures; the next model is used when one is down, rate limited,
+ * or returns output that fails schema validation.
+ */
+export const MODEL_FALLBACKS = {
+  /** Final prompt generation */
+  PRIMARY: [OPENROUTER_MODELS.PRIMARY, 'x-ai/grok-4-fast', 'google/gemini-2.5-flash'],
+  /** Refinement (multi-prompt) stage */
+  REFINEMENT: [OPENROUTER_MODELS.REFINEMENT, 'google/gemini-2.5-flash-lite', 'openai/gpt-4o-mini'],
+  /** Surprise Me prompts */
+  SURPRISE: [OPENROUTER_MODELS.PRIMARY, 'x-ai/grok-4-fast', 'google/gemini-2.5-flash'],
+  /** Input moderation (when MODERATION_MODEL is enabled) */
+  MODERATION: ['openai/gpt-4o-mini', 'google/gemini-2.5-flash-lite'],
+} as const;
+
+export type ModelStage = keyof typeof MODEL_FALLBACKS;
+
+/** Models a client may choose for the refinement stage (the first is the default) */
+export const REFINEMENT_MODEL_OPTIONS: readonly string[] = MODEL_FALLBACKS.REFINEMENT;
+
+/** Generation stages a client can request from /api/generate */
+export const GENERATION_STAGES = {
+  /** Refinement (when enabled) followed by final generation */
+  FULL: 'full',
+  /** Refinement only; returns the brief for review before final generation */
+  REFINE: 'refine',
+} as const;
+
+export type GenerationStage = typeof GENERATION_STAGES[keyof typeof GENERATION_STAGES];
+
+// ============================================================================
+// Usage Ledger
+// ============================================================================
+
+export const USAGE_CONFIG = {
+  /**
+   * Estimated price of each model in USD per million tokens (list prices when
+   * this was written). MODEL_PRICES overrides or extends the table.
+   */
+  DEFAULT_PRICES: {
+    'x-ai/grok-4.1-fast': { prompt: 0.2, completion: 0.5 },
+    'x-ai/grok-4-fast': { prompt: 0.2, completion: 0.5 },
+    'google/gemini-2.5-flash': { prompt: 0.3, completion: 2.5 },
+    'google/gemini-2.5-flash-lite': { prompt: 0.1, completion: 0.4 },
+    'google/gemini-2.5-flash-lite-preview-06-17': { prompt: 0.1, completion: 0.4 },
+    'openai/gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  } as Record<string, { prompt: number; completion: number }>,
+  /** How long a client's daily totals are kept in the ledger (in milliseconds) - 2 days */
+  RETENTION: 2 * 24 * 60 * 60 * 1000,
+  /** Share of the daily budget after which the UI warns */
+  WARNING_RATIO: 0.8,
+  /** SessionStorage key for the usage of the current browser session */
+  SESSION_STORAGE_KEY: 'pg_usage_session',
+} as const;
+
+/** What happens to a client's requests once its daily budget is spent */
+export const USAGE_BUDGET_MODES = {
+  /** Reject generation requests until the budget resets at midnight UTC */
+  BLOCK: 'block',
+  /** Keep serving and report the overrun */
+  WARN: 'warn',
+} as const;
+
+export type UsageBudgetMode = typeof USAGE_BUDGET_MODES[keyof typeof USAGE_BUDGET_MODES];
+
+// ============================================================================
+// Moderation
+// ============================================================================
+
+/** What happens to a request that breaks a moderation rule or policy */
+export const MODERATION_ACTIONS = {
+  /** Reject the request with CONTENT_BLOCKED */
+  BLOCK: 'block',
+  /** Generate anyway and log the match */
+  WARN: 'warn',
+  /** Remove or replace the offending text, then generate */
+  REWRITE: 'rewrite',
+} as const;
+
+export type ModerationAction = typeof MODERATION_ACTIONS[keyof typeof MODERATION_ACTIONS];
+
+export const MODERATION_CONFIG = {
+  /** Policies the moderation model checks requests against. MODERATION_POLICIES replaces them. */
+  DEFAULT_POLICIES: [
+    'No real minors: never depict an identifiable real child or teenager, and never request photorealistic images of a named person under 18',
+    'No named private individuals: real people may only be named when they are public figures, such as celebrities, politicians or historical figures',
+    'No sexual or sexually suggestive content involving anyone who is or appears to be under 18',
+  ],
+  /** Maximum tokens of the moderation model's verdict */
+  MAX_TOKENS: 600,
+} as const;
+
+// ============================================================================
+// Prompt Injection
+// ============================================================================
+
+/** What happens to a request whose text looks like a prompt injection attempt */
+export const PROMPT_INJECTION_ACTIONS = {
+  /** Generate anyway and log the attempt */
+  WARN: MODERATION_ACTIONS.WARN,
+  /** Reject the request with CONTENT_BLOCKED */
+  BLOCK: MODERATION_ACTIONS.BLOCK,
+} as const;
+
+export type PromptInjectionAction = typeof PROMPT_INJECTION_ACTIONS[keyof typeof PROMPT_INJECTION_ACTIONS];
+
+export const PROMPT_GUARD_CONFIG = {
+  /** Words per run of text compared between model output and the system prompts */
+  ECHO_SHINGLE_WORDS: 8,
+  /** Runs of text an output must share with one system prompt to count as echoing it */
+  ECHO_MIN_MATCHES: 2,
+} as const;
+
+// ============================================================================
+// Error Codes
+// ============================================================================
+
+/** Machine-readable codes returned in the `code` field of every API error */
+export const ERROR_CODES = {
+  /** HTTP method not supported by the route */
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  /** Missing or malformed request fields */
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  /** A text field exceeds its maximum length */
+  INPUT_TOO_LONG: 'INPUT_TOO_LONG',
+  /** Request body or upload exceeds the size limit */
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  /** Uploaded image could not be read */
+  IMAGE_PROCESSING_FAILED: 'IMAGE_PROCESSING_FAILED',
+  /** Missing, unknown or disabled API key */
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  /** Requested resource (e.g. a batch job) does not exist or has expired */
+  NOT_FOUND: 'NOT_FOUND',
+  /** Client exhausted its rate limit bucket */
+  RATE_LIMITED: 'RATE_LIMITED',
+  /** Client spent its daily usage budget */
+  BUDGET_EXCEEDED: 'BUDGET_EXCEEDED',
+  /** Request breaks a moderation rule or policy, or the response repeated a system prompt */
+  CONTENT_BLOCKED: 'CONTENT_BLOCKED',
+  /** Server is missing required configuration */
+  SERVER_MISCONFIGURED: 'SERVER_MISCONFIGURED',
+  /** Upstream provider rejected our credentials */
+  UPSTREAM_AUTH: 'UPSTREAM_AUTH',
+  /** Upstream provider rate limited us */
+  UPSTREAM_RATE_LIMITED: 'UPSTREAM_RATE_LIMITED',
+  /** Upstream provider failed or could not be reached */
+  UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+  /** Upstream provider did not answer in time */
+  UPSTREAM_TIMEOUT: 'UPSTREAM_TIMEOUT',
+  /** Model output did not match the expected schema */
+  SCHEMA_INVALID: 'SCHEMA_INVALID',
+  /** Streaming response ended before completion */
+  STREAM_INTERRUPTED: 'STREAM_INTERRUPTED',
+  /** Unexpected server error */
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+} as const;
+
+export type ErrorCode = typeof ERROR_CODES[keyof typeof ERROR_CODES];
+
 // ============================================================================
 // Error Messages
 // ============================================================================
 
 export const ERROR_MESSAGES = {
-  RATE_LIMITED: 'You have made too many requests. Please wait 60 seconds before trying again.',
+  RATE_LIMITED: 'You have made too many requests. Please wait for the cooldown to finish before trying again.',
   TIMEOUT: 'The request took too long. Try with a simpler prompt or smaller image.',
   NETWORK: 'Network error. Please check your internet connection and try again.',
   SERVER: 'Our servers are experiencing issues. Please try again in a few minutes.',
   IMAGE: 'There was a problem with your image. Try a different image or remove it.',
   INPUT_TOO_LONG: 'Input exceeds maximum length. Please shorten your text.',
+  INVALID_OUTPUT: 'The AI returned a response that could not be used. Please try again.',
+  STREAM_INTERRUPTED: 'The response was cut off before it finished. Please try again.',
   GENERIC: 'Something went wrong. Please try again or refresh the page.',
   CLIPBOARD_FAILED: 'Failed to copy to clipboard. Try selecting and copying manually.',
 } as const;
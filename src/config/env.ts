@@ -0,0 +1,361 @@
+import {
+  API_CONFIG,
+  JOB_STORES,
+  LLM_PROVIDERS,
+  LOG_CONFIG,
+  LOG_LEVELS,
+  MODERATION_ACTIONS,
+  PROMPT_INJECTION_ACTIONS,
+  RATE_LIMIT_STORES,
+  USAGE_BUDGET_MODES,
+  USAGE_STORES,
+  type LlmProviderName,
+} from './constants';
+import { BUILD_ENV_SCHEMA, parseFlag } from './buildEnv';
+import { isValidModelId } from '../utils/modelIds';
+import { parseModerationRules } from '../utils/moderationRules';
+import { parsePriceTable } from '../utils/usageCost';
+
+/**
+ * Typed server configuration. Every environment variable the server reads is
+ * declared once in ENV_SCHEMA with its type, default and allowed values, and
+ * read through `readEnv`. Values are parsed on every read, so tests and the
+ * CLI can change `process.env`; a bad value throws a readable error.
+ *
+ * `validateEnv` checks every variable plus the settings that depend on each
+ * other (the OpenRouter key, Redis credentials). The server runs it on boot
+ * (src/instrumentation.ts) and refuses to start, printing every problem.
+ *
+ * NEXT_PUBLIC_* variables are declared so they are validated too, but browser
+ * code keeps reading them as literal `process.env.NEXT_PUBLIC_*` expressions,
+ * the only form Next.js inlines into the client bundle.
+ */
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/** Environment to read from (process.env by default) */
+export type EnvSource = Record<string, string | undefined>;
+
+export interface EnvVarSpec<T> {
+  description: string;
+  /** Value when the variable is unset or empty */
+  fallback: T;
+  /**
+   * Parses the trimmed, non-empty value.
+   * @throws Error naming the variable and what it expects
+   */
+  parse: (value: string, name: string) => T;
+}
+
+/** Invalid configuration found by `assertValidEnv`, one entry per problem */
+export class EnvValidationError extends Error {
+  problems: string[];
+
+  constructor(problems: string[]) {
+    super(`Invalid environment configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'EnvValidationError';
+    this.problems = problems;
+  }
+}
+
+// ============================================================================
+// Variable Types
+// ============================================================================
+
+const formatChoices = (values: readonly string[]): string =>
+  values.length > 1 ? `${values.slice(0, -1).join(', ')} or ${values[values.length - 1]}` : values.join('');
+
+function text(description: string): EnvVarSpec<string | undefined>;
+function text(description: string, fallback: string): EnvVarSpec<string>;
+function text(description: string, fallback?: string): EnvVarSpec<string | undefined> {
+  return { description, fallback, parse: (value) => value };
+}
+
+function url(description: string): EnvVarSpec<string | undefined>;
+function url(description: string, fallback: string): EnvVarSpec<string>;
+function url(description: string, fallback?: string): EnvVarSpec<string | undefined> {
+  return {
+    description,
+    fallback,
+    parse: (value, name) => {
+      if (!/^https?:\/\/[^\s/]+/i.test(value)) throw new Error(`${name} must be an http(s) URL (got "${value}")`);
+      return value;
+    },
+  };
+}
+
+function oneOf<V extends string>(values: readonly V[], description: string): EnvVarSpec<V | undefined>;
+function oneOf<V extends string>(values: readonly V[], description: string, fallback: V): EnvVarSpec<V>;
+function oneOf<V extends string>(values: readonly V[], description: string, fallback?: V): EnvVarSpec<V | undefined> {
+  return {
+    description,
+    fallback,
+    parse: (value, name) => {
+      const choice = value.toLowerCase() as V;
+      if (!values.includes(choice)) throw new Error(`Unknown ${name} "${value}" (expected ${formatChoices(values)})`);
+      return choice;
+    },
+  };
+}
+
+const listOf = <V extends string>(values: readonly V[], description: string, fallback: V[]): EnvVarSpec<V[]> => ({
+  description,
+  fallback,
+  parse: (value, name) => {
+    const items = value
+      .split(',')
+      .map((item) => item.trim().toLowerCase())
+      .filter(Boolean) as V[];
+    const unknown = items.filter((item) => !values.includes(item));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown ${name} entries ${unknown.map((item) => `"${item}"`).join(', ')} (expected ${formatChoices(values)})`);
+    }
+    return items;
+  },
+});
+
+const integer = (description: string, fallback: number, min: number): EnvVarSpec<number> => ({
+  description,
+  fallback,
+  parse: (value, name) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+      throw new Error(`${name} must be a whole number of at least ${min} (got "${value}")`);
+    }
+    return number;
+  },
+});
+
+const positiveNumber = (description: string): EnvVarSpec<number | undefined> => ({
+  description,
+  fallback: undefined,
+  parse: (value, name) => {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) throw new Error(`${name} must be a number above 0 (got "${value}")`);
+    return number;
+  },
+});
+
+const flag = (description: string): EnvVarSpec<boolean> => ({ description, fallback: false, parse: parseFlag });
+
+/** Model ID in the form the provider expects (see utils/modelIds) */
+const modelId = (provider: LlmProviderName, description: string): EnvVarSpec<string | undefined> => ({
+  description,
+  fallback: undefined,
+  parse: (value, name) => {
+    if (!isValidModelId(value, provider)) throw new Error(`${name} must be a model ID for ${provider} (got "${value}")`);
+    return value;
+  },
+});
+
+/** JSON value checked by `validate`; the raw value is not echoed since it may hold secrets */
+const json = <T>(description: string, validate: (value: unknown) => T): EnvVarSpec<T | undefined> => ({
+  description,
+  fallback: undefined,
+  parse: (value, name) => {
+    let parsed: unknown;
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      throw new Error(`${name} must be valid JSON`);
+    }
+    try {
+      return validate(parsed);
+    } catch (error) {
+      throw new Error(`${name} is invalid: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  },
+});
+
+const jsonArray = (value: unknown): unknown[] => {
+  if (!Array.isArray(value)) throw new Error('expected a JSON array');
+  return value;
+};
+
+const textArray = (value: unknown): string[] => {
+  if (!Array.isArray(value) || value.length === 0 || !value.every((item) => typeof item === 'string' && item.trim())) {
+    throw new Error('expected a JSON array of non-empty strings');
+  }
+  return value.map((item: string) => item.trim());
+};
+
+// ============================================================================
+// Schema
+// ============================================================================
+
+export const ENV_SCHEMA = {
+  // LLM provider
+  LLM_PROVIDER: oneOf(Object.values(LLM_PROVIDERS), 'LLM provider for every chat completion', LLM_PROVIDERS.OPENROUTER),
+  OPENROUTER_API_KEY: text('OpenRouter API key (required with the openrouter provider)'),
+  LLM_BASE_URL: url('Base URL of the openai-compatible provider', 'http://localhost:11434/v1'),
+  LLM_API_KEY: text('API key of the openai-compatible provider (none by default)', ''),
+  LLM_MODEL: modelId(LLM_PROVIDERS.OPENAI_COMPATIBLE, 'Model replacing every model ID with the openai-compatible provider'),
+
+  // Upstream call limits (override API_CONFIG)
+  API_REQUEST_TIMEOUT: integer('Timeout of one LLM call (ms)', API_CONFIG.REQUEST_TIMEOUT, 1000),
+  API_REQUEST_DEADLINE: integer('Time budget for all LLM calls of one request (ms)', API_CONFIG.REQUEST_DEADLINE, 1000),
+  API_MAX_RETRIES: integer('Attempts per model for transient LLM failures', API_CONFIG.MAX_RETRIES, 1),
+  API_RETRY_BASE_DELAY: integer('Base backoff delay between attempts (ms)', API_CONFIG.RETRY_BASE_DELAY, 0),
+
+  // Hosting
+  VERCEL: flag('Set by Vercel; trusts its proxy headers'),
+  VERCEL_URL: BUILD_ENV_SCHEMA.VERCEL_URL,
+  TRUST_PROXY: flag('Trust X-Forwarded-For and similar headers for client IPs'),
+  NEXT_PUBLIC_SITE_URL: url('Public site URL for canonical and Open Graph URLs'),
+  NEXT_PUBLIC_GOOGLE_SITE_VERIFICATION: text('Google Search Console verification token'),
+
+  // Shared Redis REST endpoint
+  UPSTASH_REDIS_REST_URL: url('Redis REST URL shared by every store set to redis'),
+  UPSTASH_REDIS_REST_TOKEN: text('Redis REST token shared by every store set to redis'),
+
+  // Rate limiting
+  RATE_LIMIT_STORE: oneOf(Object.values(RATE_LIMIT_STORES), 'Rate limit counter store', RATE_LIMIT_STORES.MEMORY),
+  RATE_LIMIT_FILE: text('Counter file of the file store', '.data/rate-limits.json'),
+  RATE_LIMIT_REDIS_URL: url('Redis REST URL of the redis store'),
+  RATE_LIMIT_REDIS_TOKEN: text('Redis REST token of the redis store'),
+
+  // Async jobs
+  JOB_STORE: oneOf(Object.values(JOB_STORES), 'Async job store', JOB_STORES.MEMORY),
+  JOB_STORE_DIR: text('Job directory of the file store', '.data/jobs'),
+  JOB_STORE_REDIS_URL: url('Redis REST URL of the redis store'),
+  JOB_STORE_REDIS_TOKEN: text('Redis REST token of the redis store'),
+  JOB_WEBHOOK_SECRET: text('HMAC secret signing webhook deliveries'),
+
+  // Public API keys
+  API_KEYS_FILE: text('Hashed API key file', '.data/api-keys.json'),
+  API_KEYS: json('Hashed API key records, replacing API_KEYS_FILE', jsonArray),
+
+  // Usage ledger
+  USAGE_STORE: oneOf(Object.values(USAGE_STORES), 'Usage ledger store', USAGE_STORES.MEMORY),
+  USAGE_STORE_FILE: text('Ledger file of the file store', '.data/usage.json'),
+  USAGE_STORE_REDIS_URL: url('Redis REST URL of the redis store'),
+  USAGE_STORE_REDIS_TOKEN: text('Redis REST token of the redis store'),
+  USAGE_DAILY_BUDGET: positiveNumber('Estimated USD each browser may spend per UTC day'),
+  USAGE_BUDGET_MODE: oneOf(
+    Object.values(USAGE_BUDGET_MODES),
+    'What happens once the budget is spent',
+    USAGE_BUDGET_MODES.BLOCK
+  ),
+  MODEL_PRICES: json('Price overrides in USD per million tokens', parsePriceTable),
+
+  // Input moderation
+  MODERATION_BLOCKLIST: json('Pattern rules checked against every idea, direction and brief', parseModerationRules),
+  MODERATION_MODEL: flag('Check requests against the moderation policies with a model call'),
+  MODERATION_MODEL_ACTION: oneOf(
+    Object.values(MODERATION_ACTIONS),
+    'What happens to a request the moderation model flags',
+    MODERATION_ACTIONS.BLOCK
+  ),
+  MODERATION_POLICIES: json('Policies replacing MODERATION_CONFIG.DEFAULT_POLICIES', textArray),
+  MODERATION_FAIL_CLOSED: flag('Reject requests while the moderation model cannot be reached'),
+  PROMPT_INJECTION_ACTION: oneOf(
+    Object.values(PROMPT_INJECTION_ACTIONS),
+    'What happens to a request that looks like a prompt injection attempt',
+    PROMPT_INJECTION_ACTIONS.WARN
+  ),
+
+  // Observability
+  METRICS_TOKEN: text('Bearer token enabling /api/metrics'),
+  LOG_LEVEL: oneOf(Object.values(LOG_LEVELS), 'Lowest level logged (default depends on NODE_ENV)'),
+  LOG_TRANSPORTS: listOf(['stdout', 'file'], 'Comma-separated log transports', ['stdout']),
+  LOG_FILE: text('Log file of the file transport', LOG_CONFIG.FILE_PATH),
+  LOG_FILE_MAX_BYTES: integer('Size at which the log file is rotated', LOG_CONFIG.FILE_MAX_BYTES, 1),
+  LOG_FILE_MAX_FILES: integer('Rotated log files kept', LOG_CONFIG.FILE_MAX_FILES, 1),
+
+  // Build
+  ANALYZE: BUILD_ENV_SCHEMA.ANALYZE,
+} satisfies Record<string, EnvVarSpec<unknown>>;
+
+export type EnvName = keyof typeof ENV_SCHEMA;
+
+export type EnvValue<N extends EnvName> = typeof ENV_SCHEMA[N] extends EnvVarSpec<infer T> ? T : never;
+
+// ============================================================================
+// Reading
+// ============================================================================
+
+/**
+ * Reads one variable: its parsed value, or the default when unset or empty.
+ * @throws Error if the value is invalid
+ */
+export const readEnv = <N extends EnvName>(name: N, source: EnvSource = process.env): EnvValue<N> => {
+  const spec = ENV_SCHEMA[name] as EnvVarSpec<EnvValue<N>>;
+  const value = source[name]?.trim();
+  return value ? spec.parse(value, name) : spec.fallback;
+};
+
+/** API_CONFIG limits with the API_* overrides of this deployment */
+export const getApiConfig = (source: EnvSource = process.env) => ({
+  ...API_CONFIG,
+  REQUEST_TIMEOUT: readEnv('API_REQUEST_TIMEOUT', source),
+  REQUEST_DEADLINE: readEnv('API_REQUEST_DEADLINE', source),
+  MAX_RETRIES: readEnv('API_MAX_RETRIES', source),
+  RETRY_BASE_DELAY: readEnv('API_RETRY_BASE_DELAY', source),
+});
+
+/** URL and token variables of each store that can use Redis */
+const REDIS_SETTINGS = {
+  RATE_LIMIT_STORE: ['RATE_LIMIT_REDIS_URL', 'RATE_LIMIT_REDIS_TOKEN'],
+  JOB_STORE: ['JOB_STORE_REDIS_URL', 'JOB_STORE_REDIS_TOKEN'],
+  USAGE_STORE: ['USAGE_STORE_REDIS_URL', 'USAGE_STORE_REDIS_TOKEN'],
+} as const;
+
+export type RedisStoreSetting = keyof typeof REDIS_SETTINGS;
+
+/**
+ * Redis REST credentials of a store, falling back to UPSTASH_REDIS_REST_URL
+ * and UPSTASH_REDIS_REST_TOKEN.
+ * @throws Error if the URL or token is missing or invalid
+ */
+export const readRedisEnv = (store: RedisStoreSetting, source: EnvSource = process.env) => {
+  const [urlName, tokenName] = REDIS_SETTINGS[store];
+  const redisUrl = readEnv(urlName, source) ?? readEnv('UPSTASH_REDIS_REST_URL', source);
+  const token = readEnv(tokenName, source) ?? readEnv('UPSTASH_REDIS_REST_TOKEN', source);
+  if (!redisUrl || !token) throw new Error(`${store}=redis requires ${urlName} and ${tokenName}`);
+  return { url: redisUrl, token };
+};
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/** Checks between variables; each throws the problem it finds */
+const ENV_RULES: Array<(source: EnvSource) => void> = [
+  (source) => {
+    if (readEnv('LLM_PROVIDER', source) === LLM_PROVIDERS.OPENROUTER && !readEnv('OPENROUTER_API_KEY', source)) {
+      throw new Error('OPENROUTER_API_KEY is required when LLM_PROVIDER is openrouter');
+    }
+  },
+  ...(Object.keys(REDIS_SETTINGS) as RedisStoreSetting[]).map((store) => (source: EnvSource) => {
+    if (readEnv(store, source) === 'redis') readRedisEnv(store, source);
+  }),
+];
+
+/**
+ * Every problem with the configuration, or an empty list when it is valid.
+ */
+export const validateEnv = (source: EnvSource = process.env): string[] => {
+  const problems = new Set<string>();
+  const check = (task: () => void) => {
+    try {
+      task();
+    } catch (error) {
+      problems.add(error instanceof Error ? error.message : String(error));
+    }
+  };
+
+  (Object.keys(ENV_SCHEMA) as EnvName[]).forEach((name) => check(() => readEnv(name, source)));
+  ENV_RULES.forEach((rule) => check(() => rule(source)));
+  return Array.from(problems);
+};
+
+/**
+ * Fails fast on an invalid configuration.
+ * @throws EnvValidationError listing every problem
+ */
+export const assertValidEnv = (source: EnvSource = process.env): void => {
+  const problems = validateEnv(source);
+  if (problems.length > 0) throw new EnvValidationError(problems);
+};
@@ -0,0 +1,311 @@
+/**
+ * Declarative registry of prompt generation modes.
+ * Each mode owns everything that differs between modes: the system prompt,
+ * the structured response schema and its validator, sampling parameters,
+ * the UI label and which copy targets make sense for its output.
+ *
+ * Adding a mode means adding its id to PROMPT_MODES and an entry here.
+ */
+import { COPY_TARGETS, OUTPUT_REPAIR, PROMPT_MODES, type CopyTarget, type PromptMode } from './constants';
+import {
+  DEFAULT_SYSTEM_PROMPT,
+  JSON_SYSTEM_PROMPT,
+  TEST_SYSTEM_PROMPT,
+  VIDEO_SYSTEM_PROMPT,
+} from './prompts';
+import type { JsonSchemaWrapper } from '../services/openRouterService';
+import {
+  ensureJsonPrompt,
+  ensureTextPrompt,
+  ensureVideoStoryboard,
+  type JsonPromptPayload,
+  type StructuredPayload,
+  type VideoStoryboardPayload,
+} from '../utils/openRouterParsers';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/** Output produced by a mode: plain prompt text or a structured document */
+export type GeneratedPrompt = string | JsonPromptPayload | VideoStoryboardPayload;
+
+/** How the client renders and streams a mode's output */
+export const PROMPT_OUTPUT_KINDS = {
+  /** `{ prompt }` payload, shown as plain text */
+  TEXT: 'text',
+  /** Whole payload is the prompt, shown as formatted JSON */
+  JSON: 'json',
+  /** Video storyboard payload, shown as a shot list */
+  STORYBOARD: 'storyboard',
+} as const;
+
+export type PromptOutputKind = typeof PROMPT_OUTPUT_KINDS[keyof typeof PROMPT_OUTPUT_KINDS];
+
+export interface SamplingParams {
+  temperature: number;
+  max_tokens: number;
+  top_p: number;
+  frequency_penalty: number;
+  presence_penalty: number;
+}
+
+export interface PromptModeDefinition {
+  id: PromptMode;
+  /** Label shown on the mode toggle */
+  label: string;
+  /** One-line hint shown under the label */
+  description: string;
+  /** Optional attribution link shown instead of the description */
+  credit?: { label: string; href: string };
+  systemPrompt: string;
+  /** Appended to the user message of the final stage */
+  userInstruction?: string;
+  responseSchema: JsonSchemaWrapper;
+  output: PromptOutputKind;
+  sampling: SamplingParams;
+  /**
+   * Validates the parsed completion and returns the prompt to send to the client.
+   * @throws Error if the payload does not match the mode's output
+   */
+  validate: (payload: StructuredPayload) => GeneratedPrompt;
+  /** Character range for text output: longer prompts are trimmed, shorter ones sent back for repair */
+  lengthRange?: { min: number; max: number };
+  /** Copy buttons offered for this mode's output */
+  copyTargets: CopyTarget[];
+}
+
+// ============================================================================
+// Response Schemas
+// ============================================================================
+
+const TEXT_PROMPT_SCHEMA = {
+  name: 'prompt_response',
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      prompt: {
+        type: 'string',
+        description: 'Fully formatted prompt string for the user',
+      },
+    },
+    required: ['prompt'],
+  },
+  strict: true,
+} satisfies JsonSchemaWrapper;
+
+const JSON_PROMPT_SCHEMA = {
+  name: 'json_prompt_response',
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      scene: { type: 'string' },
+      subjects: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            description: { type: 'string' },
+            position: { type: 'string' },
+            action: { type: 'string' },
+            color_palette: {
+              type: 'array',
+              items: { type: 'string' },
+            },
+          },
+          required: ['description', 'position', 'action', 'color_palette'],
+        },
+      },
+      style: { type: 'string' },
+      color_palette: {
+        type: 'array',
+        items: { type: 'string' },
+      },
+      lighting: { type: 'string' },
+      mood: { type: 'string' },
+      background: { type: 'string' },
+      composition: { type: 'string' },
+      camera: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          angle: { type: 'string' },
+          lens: { type: 'string' },
+          'f-number': { type: 'string' },
+          ISO: { type: 'number' },
+          depth_of_field: { type: 'string' },
+        },
+        required: ['angle', 'lens', 'f-number', 'ISO', 'depth_of_field'],
+      },
+    },
+    required: [
+      'scene',
+      'subjects',
+      'style',
+      'color_palette',
+      'lighting',
+      'mood',
+      'background',
+      'composition',
+      'camera',
+    ],
+  },
+  strict: true,
+} satisfies JsonSchemaWrapper;
+
+/** Aspect ratios video models accept */
+export const VIDEO_ASPECT_RATIOS = ['16:9', '9:16', '1:1', '4:3', '21:9'];
+
+export const VIDEO_TRANSITIONS = ['cut', 'dissolve', 'fade', 'match cut', 'wipe', 'none'];
+
+const VIDEO_STORYBOARD_SCHEMA = {
+  name: 'video_storyboard_response',
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      scene: { type: 'string', description: 'One-paragraph summary of the whole clip' },
+      duration_seconds: { type: 'number', minimum: 1 },
+      fps: { type: 'number', minimum: 8 },
+      aspect_ratio: { type: 'string', enum: VIDEO_ASPECT_RATIOS },
+      style: { type: 'string' },
+      camera_motion: { type: 'string', description: 'Overall camera behavior across the clip' },
+      shots: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            shot: { type: 'number', minimum: 1 },
+            start_seconds: { type: 'number', minimum: 0 },
+            end_seconds: { type: 'number', minimum: 1 },
+            description: { type: 'string' },
+            camera_motion: { type: 'string' },
+            transition: {
+              type: 'string',
+              enum: VIDEO_TRANSITIONS,
+              description: 'Transition into the next shot ("none" for the last shot)',
+            },
+          },
+          required: ['shot', 'start_seconds', 'end_seconds', 'description', 'camera_motion', 'transition'],
+        },
+      },
+    },
+    required: ['scene', 'duration_seconds', 'fps', 'aspect_ratio', 'style', 'camera_motion', 'shots'],
+  },
+  strict: true,
+} satisfies JsonSchemaWrapper;
+
+// ============================================================================
+// Shared Mode Settings
+// ============================================================================
+
+const DEFAULT_SAMPLING: SamplingParams = {
+  temperature: 0.7,
+  max_tokens: 1000,
+  top_p: 1,
+  frequency_penalty: 0,
+  presence_penalty: 0,
+};
+
+/**
+ * Validator for `{ prompt }` payloads.
+ * @throws Error if the prompt is missing or empty
+ */
+const validateTextPrompt = (payload: StructuredPayload): string => {
+  const prompt = ensureTextPrompt(payload);
+  if (!prompt) throw new Error('Empty prompt in AI response');
+  return prompt;
+};
+
+const textMode = {
+  responseSchema: TEXT_PROMPT_SCHEMA,
+  output: PROMPT_OUTPUT_KINDS.TEXT,
+  sampling: DEFAULT_SAMPLING,
+  validate: validateTextPrompt,
+  copyTargets: [COPY_TARGETS.DEFAULT],
+} satisfies Partial<PromptModeDefinition>;
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+export const PROMPT_MODE_REGISTRY: Record<PromptMode, PromptModeDefinition> = {
+  [PROMPT_MODES.DEFAULT]: {
+    ...textMode,
+    id: PROMPT_MODES.DEFAULT,
+    label: 'GROK_IMAGINE',
+    description: 'Single vivid image prompt',
+    systemPrompt: DEFAULT_SYSTEM_PROMPT,
+    lengthRange: { min: OUTPUT_REPAIR.PROMPT_MIN_LENGTH, max: OUTPUT_REPAIR.PROMPT_MAX_LENGTH },
+  },
+  [PROMPT_MODES.JSON]: {
+    id: PROMPT_MODES.JSON,
+    label: 'EMILY_JSON_MODE',
+    description: 'Structured JSON prompt',
+    credit: { label: '@IamEmily2050', href: 'https://x.com/IamEmily2050' },
+    systemPrompt: JSON_SYSTEM_PROMPT,
+    userInstruction: 'Return only raw JSON. No markdown fences, no explanations, no extra text.',
+    responseSchema: JSON_PROMPT_SCHEMA,
+    output: PROMPT_OUTPUT_KINDS.JSON,
+    sampling: DEFAULT_SAMPLING,
+    validate: ensureJsonPrompt,
+    copyTargets: [COPY_TARGETS.JSON, COPY_TARGETS.SCENE],
+  },
+  [PROMPT_MODES.TEST]: {
+    ...textMode,
+    id: PROMPT_MODES.TEST,
+    label: 'TEST_ELYSIAN',
+    description: 'Elysian Visions',
+    systemPrompt: TEST_SYSTEM_PROMPT,
+  },
+  [PROMPT_MODES.VIDEO]: {
+    id: PROMPT_MODES.VIDEO,
+    label: 'VIDEO_SEQ',
+    description: 'Text-to-video storyboard',
+    systemPrompt: VIDEO_SYSTEM_PROMPT,
+    userInstruction: 'Return only raw JSON. No markdown fences, no explanations, no extra text.',
+    responseSchema: VIDEO_STORYBOARD_SCHEMA,
+    output: PROMPT_OUTPUT_KINDS.STORYBOARD,
+    sampling: { ...DEFAULT_SAMPLING, max_tokens: 1600 },
+    validate: ensureVideoStoryboard,
+    copyTargets: [COPY_TARGETS.SCENE, COPY_TARGETS.JSON],
+  },
+};
+
+/** Modes in display order */
+export const PROMPT_MODE_LIST: PromptModeDefinition[] = Object.values(PROMPT_MODE_REGISTRY);
+
+// ============================================================================
+// Lookup Helpers
+// ============================================================================
+
+/**
+ * Type guard for mode ids received from clients.
+ */
+export const isPromptMode = (value: unknown): value is PromptMode =>
+  typeof value === 'string' && Object.prototype.hasOwnProperty.call(PROMPT_MODE_REGISTRY, value);
+
+/**
+ * Returns the definition for a mode, falling back to the default mode.
+ */
+export const getPromptModeDefinition = (mode: PromptMode | null | undefined): PromptModeDefinition =>
+  (mode && PROMPT_MODE_REGISTRY[mode]) || PROMPT_MODE_REGISTRY[PROMPT_MODES.DEFAULT];
+
+/**
+ * Maps the legacy boolean flags to a mode for clients that do not send `mode`.
+ * Priority order: JSON > Video > Test > Default
+ */
+export const modeFromLegacyFlags = (flags: {
+  isJsonMode?: boolean;
+  isVideoPrompt?: boolean;
+  isTestMode?: boolean;
+}): PromptMode => {
+  if (flags.isJsonMode) return PROMPT_MODES.JSON;
+  if (flags.isVideoPrompt) return PROMPT_MODES.VIDEO;
+  if (flags.isTestMode) return PROMPT_MODES.TEST;
+  return PROMPT_MODES.DEFAULT;
+};
@@ -21,3 +21,21 @@ export const STYLE_PRESETS: Record<string, string> = {
   Documentary: 'documentary photography style with authentic moments, natural lighting, and journalistic storytelling approach',
 };
 
+
+/**
+ * Combines directions text with the descriptions of the active style presets.
+ */
+export const joinDirectionsWithStyles = (
+  directions: string,
+  activeStyles: Iterable<string>,
+  stylePresets: Record<string, string> = STYLE_PRESETS
+): string => {
+  const base = (directions || '').trim();
+  const styleText = Array.from(activeStyles || [])
+    .map((name) => stylePresets?.[name])
+    .filter(Boolean)
+    .join(', ');
+
+  if (base && styleText) return `${base}, ${styleText}`;
+  return base || styleText || '';
+};
@@ -0,0 +1,141 @@
+import { useCallback, useEffect, useState } from 'react';
+import logger from '../utils/logger';
+import { BATCH_CONFIG, BATCH_JOB_STATUSES, ERROR_CODES, type BatchFormat, type PromptMode } from '../config/constants';
+import { ApiError, getErrorMessage } from '../utils/errorMessages';
+import { promptApi, type BatchJobResponse, type BatchJobSummary, type BatchRowState } from '../utils/promptApiClient';
+
+const { STORAGE_KEY, POLL_INTERVAL, MAX_FILE_SIZE } = BATCH_CONFIG;
+
+/**
+ * Return type for the useBatchJob hook.
+ */
+export interface UseBatchJobReturn {
+  /** The current job (null when none has been started) */
+  job: BatchJobSummary | null;
+  rows: BatchRowState[];
+  error: string | null;
+  isSubmitting: boolean;
+  /** Upload a CSV or JSONL file; `mode` applies to rows without one */
+  submit: (file: File, mode: PromptMode) => Promise<void>;
+  cancel: () => Promise<void>;
+  /** Forget a finished job */
+  clear: () => void;
+  /** Download URL of the current job's results */
+  resultsUrl: (format: BatchFormat) => string | null;
+}
+
+const isActive = (job: BatchJobSummary | null) =>
+  job !== null && (job.status === BATCH_JOB_STATUSES.QUEUED || job.status === BATCH_JOB_STATUSES.RUNNING);
+
+// Server messages for batch errors name the offending file or row
+const toBatchErrorMessage = (error: unknown) => (error instanceof ApiError ? error.message : getErrorMessage(error));
+
+/**
+ * Submits batch jobs and polls their progress. The job id is kept in
+ * localStorage so a reload picks the job up again while the server still has it.
+ */
+export default function useBatchJob(): UseBatchJobReturn {
+  const [state, setState] = useState<BatchJobResponse | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const job = state?.job ?? null;
+
+  const track = useCallback((response: BatchJobResponse | null) => {
+    setState(response);
+    try {
+      if (response) localStorage.setItem(STORAGE_KEY, response.job.id);
+      else localStorage.removeItem(STORAGE_KEY);
+    } catch (storageError) {
+      logger.warn('Failed to persist batch job to storage', storageError);
+    }
+  }, []);
+
+  // Resume the job from the last visit
+  useEffect(() => {
+    if (typeof window === 'undefined') return;
+    let id: string | null = null;
+    try {
+      id = localStorage.getItem(STORAGE_KEY);
+    } catch (storageError) {
+      logger.warn('Failed to load batch job from storage', storageError);
+    }
+    if (!id) return;
+
+    promptApi
+      .getBatch(id)
+      .then(track)
+      .catch((loadError) => {
+        // Expired or from before a server restart
+        if (loadError instanceof ApiError && loadError.code === ERROR_CODES.NOT_FOUND) track(null);
+        else logger.warn('Failed to load batch job', loadError);
+      });
+  }, [track]);
+
+  // Poll while the job is queued or running
+  const jobId = job?.id ?? null;
+  const active = isActive(job);
+  useEffect(() => {
+    if (!jobId || !active) return;
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      promptApi
+        .getBatch(jobId, { signal: controller.signal })
+        .then(setState)
+        .catch((pollError) => {
+          if (pollError instanceof ApiError && pollError.code === ERROR_CODES.NOT_FOUND) {
+            track(null);
+            setError('The batch job is no longer available on the server.');
+          } else if (!controller.signal.aborted) {
+            // Try again on the next tick
+            setState((current) => current && { ...current });
+          }
+        });
+    }, POLL_INTERVAL);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [jobId, active, state, track]);
+
+  const submit = useCallback(
+    async (file: File, mode: PromptMode) => {
+      setError(null);
+      if (file.size > MAX_FILE_SIZE) {
+        setError(`Batch files must be under ${MAX_FILE_SIZE / 1024}KB.`);
+        return;
+      }
+
+      setIsSubmitting(true);
+      try {
+        const content = await file.text();
+        track(await promptApi.submitBatch({ content, filename: file.name, mode }));
+      } catch (submitError) {
+        setError(toBatchErrorMessage(submitError));
+      } finally {
+        setIsSubmitting(false);
+      }
+    },
+    [track]
+  );
+
+  const cancel = useCallback(async () => {
+    if (!jobId) return;
+    try {
+      setState(await promptApi.cancelBatch(jobId));
+    } catch (cancelError) {
+      setError(toBatchErrorMessage(cancelError));
+    }
+  }, [jobId]);
+
+  const clear = useCallback(() => {
+    setError(null);
+    track(null);
+  }, [track]);
+
+  const resultsUrl = useCallback(
+    (format: BatchFormat) => (jobId ? promptApi.batchResultsUrl(jobId, format) : null),
+    [jobId]
+  );
+
+  return { job, rows: state?.rows ?? [], error, isSubmitting, submit, cancel, clear, resultsUrl };
+}
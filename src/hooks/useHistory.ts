@@ -20,6 +20,10 @@ export interface HistoryEntry {
   prompt: string;
   /** Whether this entry is marked as favorite */
   fav: boolean;
+  /** Id of the entry this one revises, for follow-up edits */
+  parentId?: string;
+  /** The follow-up instruction that produced this revision */
+  instruction?: string;
 }
 
 /**
@@ -29,6 +33,8 @@ export interface NewEntryInput {
   idea?: string;
   directions?: string;
   prompt?: string;
+  parentId?: string;
+  instruction?: string;
 }
 
 /**
@@ -37,8 +43,8 @@ export interface NewEntryInput {
 export interface UseHistoryReturn {
   /** Array of history entries */
   history: HistoryEntry[];
-  /** Add a new entry to history */
-  addEntry: (input: NewEntryInput) => void;
+  /** Add a new entry to history, returning its id */
+  addEntry: (input: NewEntryInput) => string;
   /** Toggle favorite status for an entry */
   toggleFavorite: (id: string) => void;
   /** Delete an entry from history */
@@ -88,18 +94,21 @@ export default function useHistory(): UseHistoryReturn {
     }
   }, [history]);
 
-  const addEntry = useCallback(({ idea = '', directions = '', prompt = '' }: NewEntryInput) => {
+  const addEntry = useCallback(({ idea = '', directions = '', prompt = '', parentId, instruction }: NewEntryInput) => {
+    const id = generateId();
     setHistory((h) => [
       {
-        id: generateId(),
+        id,
         timestamp: Date.now(),
         idea,
         directions,
         prompt,
         fav: false,
+        ...(parentId ? { parentId, instruction } : {}),
       },
       ...h,
     ].slice(0, MAX_ENTRIES));
+    return id;
   }, []);
 
   const toggleFavorite = useCallback((id: string) => {
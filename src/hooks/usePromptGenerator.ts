@@ -1,12 +1,36 @@
 import { useCallback, useEffect, useRef, useState } from 'react';
 import logger from '../utils/logger';
-import { getErrorMessage, isAbortError } from '../utils/errorMessages';
+import { getErrorMessage, getErrorRecovery, isAbortError, type ErrorRecovery } from '../utils/errorMessages';
+import { extractPartialPrompt } from '../utils/openRouterParsers';
+import {
+  hasVariants,
+  promptApi,
+  type GenerateRequest,
+  type GenerateResponse,
+  type GenerateVariantsResponse,
+} from '../utils/promptApiClient';
+import type { PromptMode } from '../config/constants';
+import { joinDirectionsWithStyles } from '../config/styles';
+import { getPromptModeDefinition, PROMPT_OUTPUT_KINDS } from '../config/promptModes';
+import useRateLimit, { type RateLimitQuota } from './useRateLimit';
 
 /**
  * Style presets mapping from name to value.
  */
 export type StylePresets = Record<string, string>;
 
+/**
+ * A single generated variant shown in the compare view.
+ */
+export interface PromptVariant {
+  /** History entry id (or a local id when history is not wired up) */
+  id: string;
+  /** Display-ready prompt text */
+  prompt: string;
+  /** Whether the variant is marked as favorite */
+  fav: boolean;
+}
+
 /**
  * Configuration options for the prompt generator hook.
  */
@@ -17,18 +41,39 @@ export interface UsePromptGeneratorOptions {
   directions: string;
   /** Uploaded image file (optional) */
   uploadedImage: File | null;
-  /** Whether to generate in JSON mode */
-  isJsonMode: boolean;
-  /** Whether in test/Elysian mode */
-  isTestMode: boolean;
-  /** Whether generating video prompts */
-  isVideoPrompt: boolean;
+  /** Prompt mode id from the mode registry */
+  mode: PromptMode;
   /** Set of active style preset names */
   activeStyles: Set<string>;
   /** Style presets configuration */
   stylePresets: StylePresets;
-  /** Callback to add entry to history */
-  addHistoryEntry?: (entry: { idea: string; directions: string; prompt: string }) => void;
+  /** Number of variants to request (1 disables the compare view) */
+  variantCount?: number;
+  /** Whether to run the refinement stage first and pause for brief review */
+  isRefineMode?: boolean;
+  /** Model to use for the refinement stage (server default when omitted) */
+  refinementModel?: string;
+  /** Callback to add entry to history, optionally returning the new entry id */
+  addHistoryEntry?: (entry: HistoryEntryInput) => string | void;
+  /** Callback to toggle the favorite flag of a history entry */
+  toggleHistoryFavorite?: (id: string) => void;
+  /** Callback to delete a history entry */
+  deleteHistoryEntry?: (id: string) => void;
+  /** Callback with the token usage each response reported for its model */
+  onUsage?: (model: string | null, usage: unknown) => void;
+}
+
+/**
+ * History entry written after a generation or a follow-up edit.
+ */
+export interface HistoryEntryInput {
+  idea: string;
+  directions: string;
+  prompt: string;
+  /** Entry the prompt was revised from (follow-up edits only) */
+  parentId?: string;
+  /** Follow-up instruction that produced the revision */
+  instruction?: string;
 }
 
 /**
@@ -45,31 +90,62 @@ export interface UsePromptGeneratorReturn {
   setShowOutput: React.Dispatch<React.SetStateAction<boolean>>;
   /** Whether a request is in progress */
   isLoading: boolean;
+  /** Whether tokens are currently streaming into the output */
+  isStreaming: boolean;
   /** Current error message */
   error: string;
   /** Set error message */
   setError: React.Dispatch<React.SetStateAction<string>>;
+  /** What the user can do about the current request error (null when none) */
+  errorRecovery: ErrorRecovery | null;
+  /** Re-run the last failed request */
+  retry: () => void;
   /** Form submit handler */
   handleSubmit: (e?: React.FormEvent) => Promise<void>;
+  /** Variants from the last multi-variant generation */
+  variants: PromptVariant[];
+  /** Id of the variant currently shown in the main output */
+  selectedVariantId: string | null;
+  /** Show a variant in the main output */
+  pickVariant: (id: string) => void;
+  /** Toggle favorite on a variant (mirrored to history) */
+  toggleVariantFavorite: (id: string) => void;
+  /** Discard a variant (removed from history as well) */
+  discardVariant: (id: string) => void;
+  /** Clear the variants view */
+  clearVariants: () => void;
+  /** Brief produced by the refinement stage, awaiting review (null when none) */
+  refinedBrief: string | null;
+  /** Edit the refined brief before final generation */
+  setRefinedBrief: React.Dispatch<React.SetStateAction<string | null>>;
+  /** Model that produced the refined brief */
+  refinementModelUsed: string | null;
+  /** Run the final generation from the (edited) refined brief */
+  generateFromBrief: () => Promise<void>;
+  /** Drop the refined brief without generating */
+  discardRefinedBrief: () => void;
+  /** Whether the output on screen came from this hook and can be revised */
+  canRevise: boolean;
+  /** Revise the current output with a follow-up instruction; resolves true on success */
+  reviseOutput: (instruction: string) => Promise<boolean>;
+  /** Generation quota reported by the last /api/generate response */
+  quota: RateLimitQuota | null;
+  /** Seconds until generation is allowed again (0 when not rate limited) */
+  cooldownSeconds: number;
 }
 
-/**
- * Combines directions text with active style presets.
- */
-const joinDirectionsWithStyles = (
-  directions: string,
-  activeStyles: Set<string>,
-  stylePresets: StylePresets
-): string => {
-  const base = (directions || '').trim();
-  const styleText = Array.from(activeStyles || [])
-    .map((name) => stylePresets?.[name])
-    .filter(Boolean)
-    .join(', ');
-
-  if (base && styleText) return `${base}, ${styleText}`;
-  return base || styleText || '';
-};
+/** Request and history entry behind the output on screen */
+interface RevisionSource {
+  idea: string;
+  directions: string;
+  mode: PromptMode;
+  /** Display prompt as shown when the source was recorded */
+  prompt: string;
+  entryId: string | null;
+}
+
+/** Request a generation result was produced from */
+type ResultSource = Pick<RevisionSource, 'idea' | 'directions' | 'mode'>;
 
 /**
  * Custom hook for generating prompts via the API.
@@ -78,116 +154,333 @@ export default function usePromptGenerator({
   idea,
   directions,
   uploadedImage,
-  isJsonMode,
-  isTestMode,
-  isVideoPrompt,
+  mode,
   activeStyles,
   stylePresets,
+  variantCount = 1,
+  isRefineMode = false,
+  refinementModel,
   addHistoryEntry,
+  toggleHistoryFavorite,
+  deleteHistoryEntry,
+  onUsage,
 }: UsePromptGeneratorOptions): UsePromptGeneratorReturn {
   const [generatedPrompt, setGeneratedPrompt] = useState('');
   const [showOutput, setShowOutput] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState('');
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [error, setErrorMessage] = useState('');
+  const [errorRecovery, setErrorRecovery] = useState<ErrorRecovery | null>(null);
+  const [variants, setVariants] = useState<PromptVariant[]>([]);
+  const [selectedVariantId, setSelectedVariantId] = useState<string | null>(null);
+  const [refinedBrief, setRefinedBrief] = useState<string | null>(null);
+  const [refinementModelUsed, setRefinementModelUsed] = useState<string | null>(null);
+  // What produced the output on screen, so follow-up edits revise the right prompt
+  const [revisionSource, setRevisionSource] = useState<RevisionSource | null>(null);
+  const { quota, cooldownSeconds, recordResponse } = useRateLimit();
   const generateAbortRef = useRef<AbortController | null>(null);
+  // Last request sent through runRequest, replayed by retry()
+  const lastRequestRef = useRef<{ task: (signal: AbortSignal) => Promise<void>; preserveOutput: boolean } | null>(
+    null
+  );
+  // JSON and storyboard payloads are kept as formatted JSON text
+  const isJsonOutput = getPromptModeDefinition(mode).output !== PROMPT_OUTPUT_KINDS.TEXT;
 
   const buildDirections = useCallback(() => {
     return joinDirectionsWithStyles(directions, activeStyles, stylePresets);
   }, [directions, activeStyles, stylePresets]);
 
+  // Errors set from outside (validation, clipboard) have no recovery action
+  const setError = useCallback<React.Dispatch<React.SetStateAction<string>>>((value) => {
+    setErrorMessage(value);
+    setErrorRecovery(null);
+  }, []);
+
+  /**
+   * Runs one request against /api/generate with shared abort, loading and
+   * error handling. A new request cancels the previous one.
+   */
+  const runRequest = useCallback(async (task: (signal: AbortSignal) => Promise<void>, preserveOutput = false) => {
+    lastRequestRef.current = { task, preserveOutput };
+    if (generateAbortRef.current) {
+      generateAbortRef.current.abort();
+      generateAbortRef.current = null;
+    }
+    const controller = new AbortController();
+    generateAbortRef.current = controller;
+
+    setIsLoading(true);
+    setErrorMessage('');
+    setErrorRecovery(null);
+    if (!preserveOutput) {
+      setShowOutput(false);
+      setVariants([]);
+      setSelectedVariantId(null);
+    }
+
+    try {
+      await task(controller.signal);
+    } catch (err) {
+      // Silently ignore user-cancelled requests
+      if (isAbortError(err)) return;
+
+      logger.error('Generation error:', err);
+      // Use centralized error message utility for user-friendly messages
+      setErrorMessage(getErrorMessage(err));
+      setErrorRecovery(getErrorRecovery(err));
+      setShowOutput(true);
+    } finally {
+      setIsLoading(false);
+      setIsStreaming(false);
+      if (generateAbortRef.current === controller) generateAbortRef.current = null;
+    }
+  }, []);
+
+  /**
+   * Shows a /api/generate result and records it in history. `source` is the
+   * request that produced it.
+   */
+  const showResult = useCallback(
+    (data: GenerateResponse | GenerateVariantsResponse, source: ResultSource) => {
+      const sourceIsJson = getPromptModeDefinition(source.mode).output !== PROMPT_OUTPUT_KINDS.TEXT;
+      const toDisplay = (prompt: unknown) =>
+        sourceIsJson ? JSON.stringify(prompt, null, 2) : (prompt || '').toString();
+
+      if (hasVariants(data)) data.usage.forEach((usage, index) => onUsage?.(data.models[index] ?? data.model, usage));
+      else onUsage?.(data.model, data.usage);
+
+      if (hasVariants(data) && data.variants.length > 0) {
+        const nextVariants = data.variants.map((prompt, index) => {
+          const displayPrompt = toDisplay(prompt);
+          const historyId = addHistoryEntry?.({
+            idea: source.idea,
+            directions: source.directions,
+            prompt: displayPrompt,
+          });
+          return { id: historyId || `variant-${index}`, prompt: displayPrompt, fav: false };
+        });
+        setRevisionSource({ ...source, prompt: nextVariants[0].prompt, entryId: nextVariants[0].id });
+        setVariants(nextVariants);
+        setSelectedVariantId(nextVariants[0].id);
+        setGeneratedPrompt(nextVariants[0].prompt);
+        setShowOutput(true);
+        return;
+      }
+
+      const displayPrompt = toDisplay(data.prompt);
+
+      setGeneratedPrompt(displayPrompt);
+      setShowOutput(true);
+
+      const historyId = addHistoryEntry?.({
+        idea: source.idea,
+        directions: source.directions,
+        prompt: displayPrompt,
+      });
+      setRevisionSource({ ...source, prompt: displayPrompt, entryId: historyId || null });
+    },
+    [addHistoryEntry, onUsage]
+  );
+
+  /**
+   * Final generation. When `brief` is given the refinement stage is skipped and
+   * the (possibly edited) brief is used as-is; the image is not re-sent.
+   */
+  const runGeneration = useCallback(
+    (ideaText: string, combinedDirections: string, brief?: string) =>
+      runRequest(async (signal) => {
+        const request: GenerateRequest = {
+          idea: ideaText,
+          directions: combinedDirections || undefined,
+          mode,
+          refinedBrief: brief,
+          image: brief ? null : uploadedImage,
+        };
+        const source = { idea: ideaText, directions: combinedDirections, mode };
+
+        // Variants come back together as one JSON response; a single result streams.
+        // They stay synchronous: async jobs need a host that keeps running after
+        // the response, which serverless functions do not
+        if (variantCount > 1) {
+          const data = await promptApi.generate(
+            { ...request, variants: variantCount },
+            { signal, onResponse: recordResponse }
+          );
+          showResult(data, source);
+          return;
+        }
+
+        const data = await promptApi.generateStream(request, {
+          signal,
+          onResponse: recordResponse,
+          onOpen: () => {
+            setIsStreaming(true);
+            setGeneratedPrompt('');
+            setShowOutput(true);
+          },
+          onDelta: (raw) => setGeneratedPrompt(isJsonOutput ? raw : extractPartialPrompt(raw)),
+        });
+        showResult(data, source);
+      }),
+    [runRequest, uploadedImage, mode, isJsonOutput, variantCount, recordResponse, showResult]
+  );
+
+  /**
+   * Runs only the refinement stage and stores the brief for review.
+   */
+  const runRefinement = useCallback(
+    (ideaText: string, combinedDirections: string) =>
+      runRequest(async (signal) => {
+        const data = await promptApi.refine(
+          {
+            idea: ideaText,
+            directions: combinedDirections || undefined,
+            mode,
+            refinementModel,
+            image: uploadedImage,
+          },
+          { signal, onResponse: recordResponse }
+        );
+        onUsage?.(data.refinementModel, data.usage);
+        setRefinedBrief(data.refinedBrief);
+        setRefinementModelUsed(data.refinementModel || refinementModel || null);
+      }),
+    [runRequest, uploadedImage, mode, refinementModel, recordResponse, onUsage]
+  );
+
   const handleSubmit = useCallback(
     async (e?: React.FormEvent) => {
       e?.preventDefault?.();
+      if (cooldownSeconds > 0) return;
       const ideaText = (idea || '').trim();
       if (!ideaText && !uploadedImage) {
         setError('Please describe your idea or upload an image.');
         return;
       }
 
-      if (generateAbortRef.current) {
-        generateAbortRef.current.abort();
-        generateAbortRef.current = null;
+      const combinedDirections = buildDirections();
+      setRefinedBrief(null);
+      setRefinementModelUsed(null);
+
+      if (isRefineMode) {
+        await runRefinement(ideaText, combinedDirections);
+      } else {
+        await runGeneration(ideaText, combinedDirections);
       }
-      const controller = new AbortController();
-      generateAbortRef.current = controller;
+    },
+    [idea, uploadedImage, isRefineMode, cooldownSeconds, setError, buildDirections, runRefinement, runGeneration]
+  );
 
-      setIsLoading(true);
-      setError('');
-      setShowOutput(false);
+  const generateFromBrief = useCallback(async () => {
+    if (cooldownSeconds > 0) return;
+    const brief = (refinedBrief || '').trim();
+    if (!brief) {
+      setError('The refined brief is empty. Edit it or generate again.');
+      setShowOutput(true);
+      return;
+    }
+    await runGeneration((idea || '').trim(), buildDirections(), brief);
+  }, [refinedBrief, idea, cooldownSeconds, setError, buildDirections, runGeneration]);
 
-      const combinedDirections = buildDirections();
+  const discardRefinedBrief = useCallback(() => {
+    setRefinedBrief(null);
+    setRefinementModelUsed(null);
+  }, []);
 
-      try {
-        let response: Response;
-        if (uploadedImage) {
-          const formData = new FormData();
-          formData.append('idea', ideaText);
-          if (combinedDirections) {
-            formData.append('directions', combinedDirections);
-          }
-          formData.append('image', uploadedImage);
-          formData.append('isJsonMode', String(isJsonMode));
-          formData.append('isTestMode', String(isTestMode));
-          formData.append('isVideoPrompt', String(isVideoPrompt));
-          response = await fetch('/api/generate', { method: 'POST', body: formData, signal: controller.signal });
-        } else {
-          response = await fetch('/api/generate', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            signal: controller.signal,
-            body: JSON.stringify({
-              idea: ideaText,
-              directions: combinedDirections || undefined,
-              isJsonMode,
-              isTestMode,
-              isVideoPrompt,
-            }),
-          });
-        }
+  const pickVariant = useCallback(
+    (id: string) => {
+      const variant = variants.find((v) => v.id === id);
+      if (!variant) return;
+      setRevisionSource((source) => source && { ...source, prompt: variant.prompt, entryId: id });
+      setSelectedVariantId(id);
+      setGeneratedPrompt(variant.prompt);
+      setError('');
+      setShowOutput(true);
+    },
+    [variants, setError]
+  );
 
-        const ct = response.headers.get('content-type') || '';
-        let data: { prompt?: unknown; message?: string };
-        if (ct.includes('application/json')) {
-          data = await response.json();
-        } else {
-          const text = await response.text();
-          if (!response.ok) throw new Error(text || 'Failed to generate prompt');
-          data = { prompt: text };
-        }
-        if (!response.ok) {
-          throw new Error(data?.message || 'Failed to generate prompt');
-        }
+  /**
+   * Sends the current output and a follow-up instruction to /api/edit. The
+   * output stays visible while the revision runs and the result is saved to
+   * history linked to the entry it was revised from.
+   */
+  const reviseOutput = useCallback(
+    async (instruction: string): Promise<boolean> => {
+      const trimmed = instruction.trim();
+      const source = revisionSource;
+      if (!trimmed || !source || source.prompt !== generatedPrompt) return false;
+      const sourceIsJson = getPromptModeDefinition(source.mode).output !== PROMPT_OUTPUT_KINDS.TEXT;
 
-        const displayPrompt = isJsonMode
+      let revised = false;
+      await runRequest(async (signal) => {
+        const data = await promptApi.edit(
+          {
+            idea: source.idea,
+            directions: source.directions || undefined,
+            prompt: sourceIsJson ? JSON.parse(source.prompt) : source.prompt,
+            instruction: trimmed,
+            mode: source.mode,
+          },
+          { signal }
+        );
+        onUsage?.(data.model, data.usage);
+        const displayPrompt = sourceIsJson
           ? JSON.stringify(data.prompt, null, 2)
           : (data.prompt || '').toString();
 
         setGeneratedPrompt(displayPrompt);
+        setSelectedVariantId(null);
         setShowOutput(true);
 
-        if (addHistoryEntry) {
-          await addHistoryEntry({
-            idea: ideaText,
-            directions: combinedDirections,
-            prompt: displayPrompt,
-          });
-        }
-      } catch (err) {
-        // Silently ignore user-cancelled requests
-        if (isAbortError(err)) return;
+        const historyId = addHistoryEntry?.({
+          idea: source.idea,
+          directions: source.directions,
+          prompt: displayPrompt,
+          parentId: source.entryId || undefined,
+          instruction: trimmed,
+        });
+        setRevisionSource({ ...source, prompt: displayPrompt, entryId: historyId || null });
+        revised = true;
+      }, true);
+      return revised;
+    },
+    [runRequest, revisionSource, generatedPrompt, addHistoryEntry, onUsage]
+  );
 
-        logger.error('Generation error:', err);
-        // Use centralized error message utility for user-friendly messages
-        setError(getErrorMessage(err));
-        setShowOutput(true);
-      } finally {
-        setIsLoading(false);
-        if (generateAbortRef.current === controller) generateAbortRef.current = null;
+  const retry = useCallback(() => {
+    const last = lastRequestRef.current;
+    if (!last || cooldownSeconds > 0) return;
+    void runRequest(last.task, last.preserveOutput);
+  }, [runRequest, cooldownSeconds]);
+
+  const toggleVariantFavorite = useCallback(
+    (id: string) => {
+      setVariants((current) => current.map((v) => (v.id === id ? { ...v, fav: !v.fav } : v)));
+      toggleHistoryFavorite?.(id);
+    },
+    [toggleHistoryFavorite]
+  );
+
+  const discardVariant = useCallback(
+    (id: string) => {
+      const remaining = variants.filter((v) => v.id !== id);
+      setVariants(remaining);
+      deleteHistoryEntry?.(id);
+      if (selectedVariantId === id) {
+        setSelectedVariantId(remaining[0]?.id ?? null);
+        setGeneratedPrompt(remaining[0]?.prompt ?? '');
+        if (remaining.length === 0) setShowOutput(false);
       }
     },
-    [idea, uploadedImage, isJsonMode, isTestMode, isVideoPrompt, buildDirections, addHistoryEntry]
+    [variants, selectedVariantId, deleteHistoryEntry]
   );
 
+  const clearVariants = useCallback(() => {
+    setVariants([]);
+    setSelectedVariantId(null);
+  }, []);
+
   // Cleanup abort controller on unmount
   useEffect(() => {
     return () => {
@@ -204,8 +497,26 @@ export default function usePromptGenerator({
     showOutput,
     setShowOutput,
     isLoading,
+    isStreaming,
     error,
     setError,
+    errorRecovery,
+    retry,
     handleSubmit,
+    variants,
+    selectedVariantId,
+    pickVariant,
+    toggleVariantFavorite,
+    discardVariant,
+    clearVariants,
+    refinedBrief,
+    setRefinedBrief,
+    refinementModelUsed,
+    generateFromBrief,
+    discardRefinedBrief,
+    canRevise: !!revisionSource && revisionSource.prompt === generatedPrompt,
+    reviseOutput,
+    quota,
+    cooldownSeconds,
   };
 }
@@ -0,0 +1,72 @@
+import { useCallback, useEffect, useState } from 'react';
+import { getCooldownSeconds, readRateLimitHeaders } from '../utils/rateLimitHeaders';
+
+/**
+ * Quota reported by the last response of a rate-limited endpoint.
+ */
+export interface RateLimitQuota {
+  /** Points per window */
+  limit: number;
+  /** Points left in the current window */
+  remaining: number;
+}
+
+/**
+ * Return type for the useRateLimit hook.
+ */
+export interface UseRateLimitReturn {
+  /** Quota from the last response (null before the first request) */
+  quota: RateLimitQuota | null;
+  /** Seconds until requests are allowed again (0 when not cooling down) */
+  cooldownSeconds: number;
+  /** Read the RateLimit headers of a response from the endpoint */
+  recordResponse: (response: Response) => void;
+}
+
+/**
+ * Tracks the quota and cooldown of one rate-limited endpoint from the
+ * RateLimit headers of its responses. Use one instance per endpoint since
+ * every endpoint has its own bucket.
+ */
+export default function useRateLimit(): UseRateLimitReturn {
+  const [quota, setQuota] = useState<RateLimitQuota | null>(null);
+  const [resetAt, setResetAt] = useState<number | null>(null);
+  const [cooldownUntil, setCooldownUntil] = useState<number | null>(null);
+  const [cooldownSeconds, setCooldownSeconds] = useState(0);
+
+  // Live countdown while cooling down
+  useEffect(() => {
+    if (cooldownUntil === null) return;
+
+    const tick = () => {
+      const seconds = Math.ceil((cooldownUntil - Date.now()) / 1000);
+      setCooldownSeconds(Math.max(0, seconds));
+      if (seconds <= 0) setCooldownUntil(null);
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [cooldownUntil]);
+
+  // The full quota is available again once the window resets
+  useEffect(() => {
+    if (resetAt === null) return;
+    const timer = setTimeout(() => {
+      setQuota((current) => current && { ...current, remaining: current.limit });
+      setResetAt(null);
+    }, Math.max(0, resetAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [resetAt]);
+
+  const recordResponse = useCallback((response: Response) => {
+    const info = readRateLimitHeaders(response.headers);
+    if (!info) return;
+
+    setQuota({ limit: info.limit, remaining: info.remaining });
+    setResetAt(info.resetSeconds > 0 ? Date.now() + info.resetSeconds * 1000 : null);
+    const cooldown = getCooldownSeconds(response.status, info);
+    if (cooldown > 0) setCooldownUntil(Date.now() + cooldown * 1000);
+  }, []);
+
+  return { quota, cooldownSeconds, recordResponse };
+}
@@ -0,0 +1,93 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import logger from '../utils/logger';
+import { USAGE_CONFIG } from '../config/constants';
+import { promptApi, type UsageBudget } from '../utils/promptApiClient';
+import {
+  addUsageCounts,
+  countModelCall,
+  emptyUsageCounts,
+  type PriceTable,
+  type UsageCounts,
+} from '../utils/usageCost';
+
+/**
+ * Return type for the useUsageMeter hook.
+ */
+export interface UseUsageMeterReturn {
+  /** Tokens and estimated cost of this browser session */
+  session: UsageCounts;
+  /** Today's budget of this browser (null when none is configured) */
+  budget: UsageBudget | null;
+  /** Add the `usage` an API response reported for a model */
+  recordUsage: (model: string | null | undefined, usage: unknown) => void;
+}
+
+const readSession = (): UsageCounts => {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(USAGE_CONFIG.SESSION_STORAGE_KEY) || 'null');
+    return saved && typeof saved.calls === 'number' ? { ...emptyUsageCounts(), ...saved } : emptyUsageCounts();
+  } catch (error) {
+    logger.warn('Failed to load session usage from storage', error);
+    return emptyUsageCounts();
+  }
+};
+
+const writeSession = (session: UsageCounts) => {
+  try {
+    sessionStorage.setItem(USAGE_CONFIG.SESSION_STORAGE_KEY, JSON.stringify(session));
+  } catch (error) {
+    logger.warn('Failed to persist session usage to storage', error);
+  }
+};
+
+/**
+ * Adds up the usage reported by API responses for the current browser
+ * session (kept in sessionStorage) and follows the daily budget the server
+ * keeps for this browser. Costs use the server's price table once loaded.
+ */
+export default function useUsageMeter(): UseUsageMeterReturn {
+  const [session, setSession] = useState<UsageCounts>(emptyUsageCounts);
+  const [budget, setBudget] = useState<UsageBudget | null>(null);
+  const pricesRef = useRef<PriceTable>(USAGE_CONFIG.DEFAULT_PRICES);
+  const hasBudgetRef = useRef(false);
+  // Set when recorded usage still has to reach sessionStorage
+  const unsavedRef = useRef(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      const report = await promptApi.usage();
+      pricesRef.current = report.prices;
+      hasBudgetRef.current = report.budget !== null;
+      setBudget(report.budget);
+    } catch (error) {
+      logger.warn('Failed to load usage', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (typeof window === 'undefined') return;
+    setSession(readSession());
+    void refresh();
+  }, [refresh]);
+
+  // Persisted after render, since state updaters must stay free of side effects
+  useEffect(() => {
+    if (!unsavedRef.current) return;
+    unsavedRef.current = false;
+    writeSession(session);
+  }, [session]);
+
+  const recordUsage = useCallback(
+    (model: string | null | undefined, usage: unknown) => {
+      const counts = model ? countModelCall(model, usage, pricesRef.current) : null;
+      if (!counts) return;
+      unsavedRef.current = true;
+      setSession((current) => addUsageCounts(current, counts));
+      // The server ledger moved too; only the budget shown depends on it
+      if (hasBudgetRef.current) void refresh();
+    },
+    [refresh]
+  );
+
+  return { session, budget, recordUsage };
+}
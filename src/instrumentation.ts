@@ -0,0 +1,8 @@
+// Runs once when a Next.js server starts: refuses to boot with an invalid
+// environment (see config/env) instead of failing on a user's first request
+export async function register() {
+  if (process.env.NEXT_RUNTIME !== 'nodejs' || process.env.NEXT_PHASE === 'phase-production-build') return;
+
+  const { assertValidEnv } = await import('./config/env');
+  assertValidEnv();
+}
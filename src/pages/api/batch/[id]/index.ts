@@ -0,0 +1,26 @@
+// Progress of a batch job (GET) and cancellation of its pending rows by its submitter (DELETE)
+import type { NextApiHandler } from 'next';
+import { ERROR_CODES } from '../../../../config/constants';
+import { getBatchQueue, toBatchJobResponse } from '../../../../services/batchJobs';
+import { sendApiError, type ApiErrorBody } from '../../../../utils/apiErrors';
+import { makeRateKey } from '../../../../utils/api-helpers';
+import type { BatchJobResponse } from '../../../../utils/promptApiClient';
+import { withRequestLogging } from '../../../../services/serverLogger';
+
+const handler: NextApiHandler<BatchJobResponse | ApiErrorBody> = (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    res.setHeader('Allow', 'GET, DELETE');
+    return sendApiError(res, ERROR_CODES.METHOD_NOT_ALLOWED, 'This endpoint only accepts GET and DELETE requests');
+  }
+
+  const queue = getBatchQueue();
+  const id = String(req.query.id);
+  // Jobs are keyed like their submitter's rate limit, so other clients cannot cancel them
+  const job = req.method === 'DELETE' ? queue.cancel(id, makeRateKey(req)) : queue.get(id);
+  if (!job) return sendApiError(res, ERROR_CODES.NOT_FOUND, 'Batch job not found. Finished jobs expire after an hour.');
+
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).json(toBatchJobResponse(job, queue.queuePosition(job.id)));
+};
+
+export default withRequestLogging(handler);
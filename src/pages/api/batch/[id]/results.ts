@@ -0,0 +1,37 @@
+// Download of a batch job's results so far as CSV or JSONL
+import type { NextApiHandler } from 'next';
+import { BATCH_FORMATS, ERROR_CODES } from '../../../../config/constants';
+import { exportBatchResults, getBatchQueue, isBatchFormat } from '../../../../services/batchJobs';
+import { sendApiError, type ApiErrorBody } from '../../../../utils/apiErrors';
+import { withRequestLogging } from '../../../../services/serverLogger';
+
+const CONTENT_TYPES = {
+  [BATCH_FORMATS.CSV]: 'text/csv; charset=utf-8',
+  [BATCH_FORMATS.JSONL]: 'application/x-ndjson; charset=utf-8',
+} as const;
+
+const handler: NextApiHandler<string | ApiErrorBody> = (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return sendApiError(res, ERROR_CODES.METHOD_NOT_ALLOWED, 'This endpoint only accepts GET requests');
+  }
+
+  const format = req.query.format ?? BATCH_FORMATS.CSV;
+  if (!isBatchFormat(format)) {
+    return sendApiError(
+      res,
+      ERROR_CODES.INVALID_REQUEST,
+      `"format" must be one of: ${Object.values(BATCH_FORMATS).join(', ')}.`
+    );
+  }
+
+  const job = getBatchQueue().get(String(req.query.id));
+  if (!job) return sendApiError(res, ERROR_CODES.NOT_FOUND, 'Batch job not found. Finished jobs expire after an hour.');
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="batch-${job.id}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).send(exportBatchResults(job, format));
+};
+
+export default withRequestLogging(handler);
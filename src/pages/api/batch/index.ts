@@ -0,0 +1,93 @@
+// Starts a batch job for an uploaded CSV or JSONL file (see services/batchJobs)
+import type { NextApiHandler } from 'next';
+import logger, { withRequestLogging } from '../../../services/serverLogger';
+import { BATCH_CONFIG, BATCH_FORMATS, ERROR_CODES, PROMPT_MODES } from '../../../config/constants';
+import { PROMPT_MODE_LIST, isPromptMode } from '../../../config/promptModes';
+import {
+  BatchFileError,
+  BatchLimitError,
+  detectBatchFormat,
+  getBatchQueue,
+  isBatchFormat,
+  parseBatchFile,
+  toBatchJobResponse,
+} from '../../../services/batchJobs';
+import { resolveProviderApiKey } from '../../../services/openRouterService';
+import { enforceRateLimit } from '../../../services/rateLimit';
+import { enforceUsageBudget } from '../../../services/usageLedger';
+import { makeRateKey } from '../../../utils/api-helpers';
+import { sendApiError, type ApiErrorBody } from '../../../utils/apiErrors';
+import type { BatchJobResponse, BatchSubmitRequest } from '../../../utils/promptApiClient';
+
+// File content arrives as a JSON string, which escaping can grow past MAX_FILE_SIZE
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '2mb' },
+  },
+};
+
+const handler: NextApiHandler<BatchJobResponse | ApiErrorBody> = async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return sendApiError(res, ERROR_CODES.METHOD_NOT_ALLOWED, 'This endpoint only accepts POST requests');
+  }
+
+  // Submitting costs a point like a generation; the rows pay for themselves as they run
+  if (!(await enforceRateLimit(req, res, 'GENERATE'))) return;
+
+  const body: BatchSubmitRequest = req.body && typeof req.body === 'object' ? req.body : { content: '' };
+  const filename = typeof body.filename === 'string' && body.filename.trim() ? body.filename.trim() : null;
+  const mode = body.mode ?? PROMPT_MODES.DEFAULT;
+
+  if (typeof body.content !== 'string' || !body.content.trim()) {
+    return sendApiError(res, ERROR_CODES.INVALID_REQUEST, '"content" must be the text of a CSV or JSONL file.');
+  }
+  if (Buffer.byteLength(body.content) > BATCH_CONFIG.MAX_FILE_SIZE) {
+    return sendApiError(
+      res,
+      ERROR_CODES.PAYLOAD_TOO_LARGE,
+      `Batch files must be under ${BATCH_CONFIG.MAX_FILE_SIZE / 1024}KB.`
+    );
+  }
+  if (body.format !== undefined && !isBatchFormat(body.format)) {
+    return sendApiError(
+      res,
+      ERROR_CODES.INVALID_REQUEST,
+      `"format" must be one of: ${Object.values(BATCH_FORMATS).join(', ')}.`
+    );
+  }
+  if (!isPromptMode(mode)) {
+    return sendApiError(
+      res,
+      ERROR_CODES.INVALID_REQUEST,
+      `"mode" must be one of: ${PROMPT_MODE_LIST.map((entry) => entry.id).join(', ')}.`
+    );
+  }
+
+  if (resolveProviderApiKey() === null) {
+    return sendApiError(
+      res,
+      ERROR_CODES.SERVER_MISCONFIGURED,
+      'API key is not configured. Please contact the administrator.'
+    );
+  }
+
+  const clientKey = makeRateKey(req);
+  if (!(await enforceUsageBudget(res, { key: clientKey }))) return;
+
+  try {
+    const rows = parseBatchFile(body.content, body.format ?? detectBatchFormat(body.content, filename), mode);
+    const queue = getBatchQueue();
+    const job = queue.submit({ clientKey, filename, rows });
+
+    res.setHeader('Location', `/api/batch/${job.id}`);
+    return res.status(202).json(toBatchJobResponse(job, queue.queuePosition(job.id)));
+  } catch (error) {
+    if (error instanceof BatchFileError) return sendApiError(res, ERROR_CODES.INVALID_REQUEST, error.message);
+    if (error instanceof BatchLimitError) return sendApiError(res, ERROR_CODES.RATE_LIMITED, error.message);
+    logger.error('Batch API Error:', error);
+    return sendApiError(res, ERROR_CODES.INTERNAL_ERROR, 'An unexpected error occurred. Please try again later.');
+  }
+};
+
+export default withRequestLogging(handler);
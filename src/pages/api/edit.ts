@@ -0,0 +1,185 @@
+// Follow-up edits ("make it night", "remove the people") for a generated prompt
+// Sends the original idea, the previous prompt and the instruction as a short
+// conversation and returns the revised prompt in the same mode and schema.
+// Edits pass the same input moderation as generations, earlier prompt included
+import he from 'he';
+import type { NextApiHandler } from 'next';
+import logger, { withRequestLogging } from '../../services/serverLogger';
+import { ERROR_CODES, INPUT_LIMITS, OUTPUT_FORMATS, PROMPT_MODES } from '../../config/constants';
+import { EDIT_SYSTEM_PROMPT, USER_TEXT_SYSTEM_PROMPT } from '../../config/prompts';
+import {
+  PROMPT_MODE_LIST,
+  PROMPT_MODE_REGISTRY,
+  PROMPT_OUTPUT_KINDS,
+  isPromptMode,
+  type GeneratedPrompt,
+  type PromptModeDefinition,
+} from '../../config/promptModes';
+import { observeApiRequest } from '../../services/metrics';
+import { moderateGenerationInput } from '../../services/moderation';
+import { createRequestDeadline, resolveProviderApiKey } from '../../services/openRouterService';
+import { enforceRateLimit } from '../../services/rateLimit';
+import { runFinalStage, type FinalStageBody } from '../../services/promptPipeline';
+import { browserUsageClient, enforceUsageBudget, withUsageTracking } from '../../services/usageLedger';
+import { sendApiError, type ApiErrorBody } from '../../utils/apiErrors';
+import type { StructuredPayload } from '../../utils/openRouterParsers';
+import { formatPrompt, isOutputFormat } from '../../utils/promptFormatters';
+import { delimitUserText } from '../../utils/promptGuard';
+import type { EditRequestBody, EditResponse } from '../../utils/promptApiClient';
+
+/**
+ * Restores the structured payload the model originally returned for a prompt,
+ * so it can be replayed as the assistant turn and re-validated.
+ * @throws Error if the prompt does not match the mode's output
+ */
+const toModePayload = (prompt: GeneratedPrompt, mode: PromptModeDefinition): StructuredPayload => {
+  if (mode.output === PROMPT_OUTPUT_KINDS.TEXT) {
+    if (typeof prompt !== 'string') throw new Error('Expected a text prompt');
+    return { prompt };
+  }
+  const payload = typeof prompt === 'string' ? JSON.parse(prompt) : prompt;
+  mode.validate(payload);
+  return payload;
+};
+
+const handler: NextApiHandler<EditResponse | ApiErrorBody> = async (req, res) => {
+  const requestMetrics = observeApiRequest(res, '/api/edit');
+  const deadline = createRequestDeadline();
+
+  if (req.method !== 'POST') {
+    return sendApiError(res, ERROR_CODES.METHOD_NOT_ALLOWED, 'This endpoint only accepts POST requests');
+  }
+
+  if (!(await enforceRateLimit(req, res, 'EDIT'))) return;
+  if (!(await enforceUsageBudget(res, browserUsageClient(req)))) return;
+
+  const body: EditRequestBody = req.body && typeof req.body === 'object' ? req.body : {};
+  const ideaRaw = typeof body.idea === 'string' ? body.idea.trim() : '';
+  const directionsRaw = typeof body.directions === 'string' ? body.directions.trim() : '';
+  const instructionRaw = typeof body.instruction === 'string' ? body.instruction.trim() : '';
+  const modeId = body.mode ?? PROMPT_MODES.DEFAULT;
+
+  if (!instructionRaw) {
+    return sendApiError(res, ERROR_CODES.INVALID_REQUEST, 'An "instruction" describing the change is required.');
+  }
+  if (instructionRaw.length > INPUT_LIMITS.EDIT_INSTRUCTION_MAX_LENGTH) {
+    return sendApiError(
+      res,
+      ERROR_CODES.INPUT_TOO_LONG,
+      `Instruction must be under ${INPUT_LIMITS.EDIT_INSTRUCTION_MAX_LENGTH} characters.`
+    );
+  }
+  if (ideaRaw.length > INPUT_LIMITS.IDEA_MAX_LENGTH || directionsRaw.length > INPUT_LIMITS.DIRECTIONS_MAX_LENGTH) {
+    return sendApiError(
+      res,
+      ERROR_CODES.INPUT_TOO_LONG,
+      `Idea must be under ${INPUT_LIMITS.IDEA_MAX_LENGTH} characters and directions under ${INPUT_LIMITS.DIRECTIONS_MAX_LENGTH}.`
+    );
+  }
+  if (!isPromptMode(modeId)) {
+    return sendApiError(
+      res,
+      ERROR_CODES.INVALID_REQUEST,
+      `"mode" must be one of: ${PROMPT_MODE_LIST.map((mode) => mode.id).join(', ')}.`
+    );
+  }
+  if (body.outputFormat !== undefined && !isOutputFormat(body.outputFormat)) {
+    return sendApiError(
+      res,
+      ERROR_CODES.INVALID_REQUEST,
+      `"outputFormat" must be one of: ${Object.values(OUTPUT_FORMATS).join(', ')}.`
+    );
+  }
+
+  const mode = PROMPT_MODE_REGISTRY[modeId];
+  requestMetrics.mode = mode.id;
+  let previousPayload: StructuredPayload;
+  try {
+    if (body.prompt === undefined || body.prompt === null) throw new Error('Missing prompt');
+    previousPayload = toModePayload(body.prompt, mode);
+  } catch {
+    return sendApiError(
+      res,
+      ERROR_CODES.INVALID_REQUEST,
+      `"prompt" must be a prompt previously generated in ${mode.id} mode.`
+    );
+  }
+  const previousContent = JSON.stringify(previousPayload);
+  if (previousContent.length > INPUT_LIMITS.EDIT_PROMPT_MAX_LENGTH) {
+    return sendApiError(
+      res,
+      ERROR_CODES.INPUT_TOO_LONG,
+      `Prompt must be under ${INPUT_LIMITS.EDIT_PROMPT_MAX_LENGTH} characters.`
+    );
+  }
+
+  const apiKey = resolveProviderApiKey();
+  if (apiKey === null) {
+    return sendApiError(
+      res,
+      ERROR_CODES.SERVER_MISCONFIGURED,
+      'API key is not configured. Please contact the administrator.'
+    );
+  }
+
+  try {
+    // HTML encode to prevent XSS; the earlier prompt is moderated too since the client sends it
+    const moderation = await moderateGenerationInput(
+      apiKey,
+      {
+        idea: he.encode(ideaRaw),
+        directions: he.encode(directionsRaw),
+        instruction: he.encode(instructionRaw),
+        previousPrompt: previousContent,
+        image: null,
+      },
+      deadline
+    );
+    if (!moderation.ok) return sendApiError(res, moderation.code, moderation.message);
+    const { idea, directions, instruction = '' } = moderation.input;
+
+    let originalRequest = idea ? `Idea:\n${delimitUserText('user_idea', idea)}` : 'Create a prompt.';
+    if (directions) originalRequest += `\n\nAdditional directions:\n${delimitUserText('user_directions', directions)}`;
+    let revisionRequest = `Revise the prompt:\n${delimitUserText('user_instruction', instruction)}`;
+    if (mode.userInstruction) revisionRequest += `\n\n${mode.userInstruction}`;
+
+    const editBody: FinalStageBody = {
+      messages: [
+        { role: 'system', content: `${mode.systemPrompt}\n\n${EDIT_SYSTEM_PROMPT}\n\n${USER_TEXT_SYSTEM_PROMPT}` },
+        { role: 'user', content: originalRequest },
+        { role: 'assistant', content: previousContent },
+        { role: 'user', content: revisionRequest },
+      ],
+      ...mode.sampling,
+      usage: { include: true },
+      response_format: { type: 'json_schema', json_schema: mode.responseSchema },
+    };
+
+    const result = await runFinalStage(apiKey, editBody, mode, 'Prompt Generator - Edit', deadline);
+    if (!result.ok) {
+      return sendApiError(res, result.code, result.message);
+    }
+
+    return res.status(200).json({
+      success: true,
+      prompt: result.prompt,
+      mode: mode.id,
+      usage: result.usage,
+      model: result.model,
+      formatted: body.outputFormat ? formatPrompt(result.prompt, body.outputFormat) : null,
+    });
+  } catch (error) {
+    logger.error('Edit API Error:', error);
+    return sendApiError(res, ERROR_CODES.INTERNAL_ERROR, 'An unexpected error occurred. Please try again later.');
+  }
+};
+
+export default withRequestLogging(withUsageTracking(handler));
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '64kb',
+    },
+  },
+};
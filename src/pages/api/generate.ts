@@ -3,155 +3,89 @@
 import { IncomingForm, type Fields, type Files, type File as FormidableFile } from 'formidable';
 import { promises as fs } from 'fs';
 import he from 'he';
-import type { NextApiHandler, NextApiRequest } from 'next';
-import logger from '../../utils/logger';
-import { makeRateKey, rateLimiter } from '../../utils/api-helpers';
-import { INPUT_LIMITS, OPENROUTER_MODELS, PROMPT_MODES, type PromptMode } from '../../config/constants';
+import type { NextApiHandler, NextApiRequest, NextApiResponse } from 'next';
+import logger, { withRequestLogging } from '../../services/serverLogger';
 import {
-  DEFAULT_SYSTEM_PROMPT,
-  JSON_SYSTEM_PROMPT,
-  REFINEMENT_SYSTEM_PROMPT,
-  TEST_SYSTEM_PROMPT,
-  VIDEO_SYSTEM_PROMPT,
-} from '../../config/prompts';
+  ERROR_CODES,
+  GENERATION_STAGES,
+  INPUT_LIMITS,
+  MODEL_FALLBACKS,
+  OUTPUT_FORMATS,
+  RATE_LIMIT_COSTS,
+  REFINEMENT_MODEL_OPTIONS,
+  VARIANT_CONFIG,
+  type GenerationStage,
+  type OutputFormat,
+  type PromptMode,
+} from '../../config/constants';
 import {
-  makeOpenRouterCall,
-  mapOpenRouterError,
+  PROMPT_MODE_LIST,
+  PROMPT_MODE_REGISTRY,
+  isPromptMode,
+  modeFromLegacyFlags,
+  type GeneratedPrompt,
+  type PromptModeDefinition,
+} from '../../config/promptModes';
+import {
+  SYSTEM_PROMPT_ECHO_ERROR,
+  connectWithModelFallback,
+  createRequestDeadline,
+  resolveProviderApiKey,
   sendOpenRouterError,
-  type JsonSchemaWrapper,
-  type JsonSchemaResponseFormat,
-  type OpenRouterContent,
-  type OpenRouterRequestBody,
 } from '../../services/openRouterService';
+import { extractStreamDelta, parseStreamChunk } from '../../utils/openRouterParsers';
+import { createSseParser, formatSseEvent, SSE_HEADERS, STREAM_EVENTS } from '../../utils/sse';
+import { buildApiError, sendApiError, type ApiErrorBody } from '../../utils/apiErrors';
+import { formatPrompt, isOutputFormat } from '../../utils/promptFormatters';
+import type {
+  GenerateRequestBody,
+  GenerateResponse,
+  GenerateVariantsResponse,
+  JobResponse,
+  RefineResponse,
+} from '../../utils/promptApiClient';
 import {
-  extractMessageText,
-  parseStructuredContent,
-  ensureTextPrompt,
-  ensureJsonPrompt,
-  type JsonPromptPayload,
-  type StructuredPayload,
-  type ChatCompletionResponse,
-} from '../../utils/openRouterParsers';
-
-type GenerateRequestBody = {
-  idea?: string;
-  directions?: string;
-  isJsonMode?: boolean;
-  isTestMode?: boolean;
-  isVideoPrompt?: boolean;
-  isMultiPrompt?: boolean;
-};
-
-type GenerateResponse =
-  | { success: true; prompt: string | JsonPromptPayload; usage: unknown }
-  | { error: string; message: string };
-
-// ============================================================================
-// System Prompt Lookup (replaces nested ternary)
-// ============================================================================
-
-const SYSTEM_PROMPTS: Record<PromptMode, string> = {
-  [PROMPT_MODES.JSON]: JSON_SYSTEM_PROMPT,
-  [PROMPT_MODES.VIDEO]: VIDEO_SYSTEM_PROMPT,
-  [PROMPT_MODES.TEST]: TEST_SYSTEM_PROMPT,
-  [PROMPT_MODES.DEFAULT]: DEFAULT_SYSTEM_PROMPT,
-};
-
-/**
- * Determines which prompt mode to use based on the request flags.
- * Priority order: JSON > Video > Test > Default
- */
-const getPromptMode = (flags: {
-  isJsonMode: boolean;
-  isVideoPrompt: boolean;
-  isTestMode: boolean;
-}): PromptMode => {
-  if (flags.isJsonMode) return PROMPT_MODES.JSON;
-  if (flags.isVideoPrompt) return PROMPT_MODES.VIDEO;
-  if (flags.isTestMode) return PROMPT_MODES.TEST;
-  return PROMPT_MODES.DEFAULT;
-};
-
-// ============================================================================
-// JSON Schema Definitions
-// ============================================================================
-
-const DEFAULT_PROMPT_SCHEMA = {
-  name: 'prompt_response',
-  schema: {
-    type: 'object',
-    additionalProperties: false,
-    properties: {
-      prompt: {
-        type: 'string',
-        description: 'Fully formatted prompt string for the user',
-      },
-    },
-    required: ['prompt'],
-  },
-  strict: true,
-} satisfies JsonSchemaWrapper;
-
-const JSON_MODE_SCHEMA = {
-  name: 'json_prompt_response',
-  schema: {
-    type: 'object',
-    additionalProperties: false,
-    properties: {
-      scene: { type: 'string' },
-      subjects: {
-        type: 'array',
-        items: {
-          type: 'object',
-          additionalProperties: false,
-          properties: {
-            description: { type: 'string' },
-            position: { type: 'string' },
-            action: { type: 'string' },
-            color_palette: {
-              type: 'array',
-              items: { type: 'string' },
-            },
-          },
-          required: ['description', 'position', 'action', 'color_palette'],
-        },
-      },
-      style: { type: 'string' },
-      color_palette: {
-        type: 'array',
-        items: { type: 'string' },
-      },
-      lighting: { type: 'string' },
-      mood: { type: 'string' },
-      background: { type: 'string' },
-      composition: { type: 'string' },
-      camera: {
-        type: 'object',
-        additionalProperties: false,
-        properties: {
-          angle: { type: 'string' },
-          lens: { type: 'string' },
-          'f-number': { type: 'string' },
-          ISO: { type: 'number' },
-          depth_of_field: { type: 'string' },
-        },
-        required: ['angle', 'lens', 'f-number', 'ISO', 'depth_of_field'],
-      },
-    },
-    required: [
-      'scene',
-      'subjects',
-      'style',
-      'color_palette',
-      'lighting',
-      'mood',
-      'background',
-      'composition',
-      'camera',
-    ],
-  },
-  strict: true,
-} satisfies JsonSchemaWrapper;
+  JobQueueFullError,
+  getJobQueue,
+  toJobResponse,
+  validateWebhookUrl,
+  type JobTask,
+} from '../../services/generationJobs';
+import { observeApiRequest, recordTokenUsage } from '../../services/metrics';
+import { moderateGenerationInput } from '../../services/moderation';
+import { enforceRateLimit, getGenerationSurcharge } from '../../services/rateLimit';
+import {
+  buildBriefPrompt,
+  buildFinalStageBody,
+  buildUserPrompt,
+  checkFinalContent,
+  createStreamEchoCheck,
+  echoesSystemPrompt,
+  generatePrompts,
+  repairFinalPrompt,
+  runFinalStage,
+  runRefinementStage,
+  type FinalStageBody,
+  type FinalStageFailure,
+  type FinalStageSuccess,
+  type GenerationRequest,
+  type PromptImage,
+} from '../../services/promptPipeline';
+import {
+  browserUsageClient,
+  enforceUsageBudget,
+  recordModelUsage,
+  trackUsage,
+  withUsageTracking,
+  type UsageClient,
+} from '../../services/usageLedger';
+
+type GenerateRouteResponse =
+  | GenerateResponse
+  | GenerateVariantsResponse
+  | RefineResponse
+  | JobResponse
+  | ApiErrorBody;
 
 // Helper to read a JSON body when bodyParser is disabled
 const readJsonBody = async (req: NextApiRequest, maxBytes = 1_000_000): Promise<GenerateRequestBody> => {
@@ -196,39 +130,271 @@ const getFileValue = (file: Files[string]): FormidableFile | undefined => {
   return file as FormidableFile;
 };
 
-const buildUserContent = (text: string, imageBase64?: string | null, mimeType?: string): OpenRouterContent => {
-  if (imageBase64) {
-    return [
-      { type: 'text', text },
-      { type: 'image_url', image_url: { url: `data:${mimeType ?? 'image/png'};base64,${imageBase64}` } },
-    ];
+/**
+ * Parses the requested number of variants. An empty value means a single result.
+ * Returns null when the value is not an integer within VARIANT_CONFIG bounds.
+ */
+const parseVariantCount = (value: string): number | null => {
+  if (!value) return 1;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < VARIANT_CONFIG.MIN || count > VARIANT_CONFIG.MAX) return null;
+  return count;
+};
+
+// ============================================================================
+// Streaming Relay
+// ============================================================================
+
+/**
+ * Relays the final-stage completion to the client as Server-Sent Events.
+ * Tokens are forwarded as `delta` events while they arrive; the accumulated
+ * output is parsed and validated once the upstream stream ends and reported
+ * as a single `done` or `error` event. Failures before the first byte is
+ * streamed still return a regular JSON error response. Output that starts
+ * repeating a system prompt is cut off with a CONTENT_BLOCKED `error` event,
+ * and a stream still open at the request deadline with an UPSTREAM_TIMEOUT one.
+ */
+const streamFinalPrompt = async (
+  res: NextApiResponse<GenerateRouteResponse>,
+  {
+    apiKey,
+    body,
+    mode,
+    refinementModel,
+    refinedBrief,
+    outputFormat,
+    deadline,
+  }: {
+    apiKey: string;
+    body: FinalStageBody;
+    mode: PromptModeDefinition;
+    refinementModel: string | null;
+    refinedBrief: string | null;
+    outputFormat: OutputFormat | null;
+    deadline: number;
+  }
+): Promise<void> => {
+  // Fallback only applies until the first byte: once tokens are relayed the model is fixed
+  const connection = await connectWithModelFallback({
+    apiKey,
+    body: { ...body, stream: true },
+    models: MODEL_FALLBACKS.PRIMARY,
+    title: 'Prompt Generator',
+    deadline,
+  });
+
+  if (!connection.ok) {
+    logger.error('OpenRouter API Error (stream):', {
+      model: connection.model,
+      status: connection.errorInfo.sourceStatus,
+    });
+    return sendOpenRouterError(res, connection.errorInfo);
+  }
+
+  const { response: upstream, model } = connection;
+  if (!upstream.body) {
+    logger.error('OpenRouter stream response has no body');
+    return sendApiError(
+      res,
+      ERROR_CODES.SCHEMA_INVALID,
+      'Received an invalid response from the AI service. Please try again.'
+    );
+  }
+
+  res.writeHead(200, SSE_HEADERS);
+  res.flushHeaders();
+
+  const send = (event: string, data: unknown) => {
+    if (!res.destroyed) res.write(formatSseEvent(event, data));
+  };
+
+  const reader = upstream.body.getReader();
+  const decoder = new TextDecoder();
+  let raw = '';
+  let usage: unknown = null;
+  let echoed = false;
+  const echoesInStream = createStreamEchoCheck(model);
+
+  const parser = createSseParser(({ data }) => {
+    if (echoed) return;
+    const chunk = parseStreamChunk(data);
+    if (chunk?.usage) usage = chunk.usage;
+    const delta = extractStreamDelta(chunk);
+    if (delta) {
+      raw += delta;
+      // Checked before relaying, so the delta completing an echo never reaches the client
+      if (echoesInStream(delta)) {
+        echoed = true;
+        reader.cancel().catch(() => undefined);
+        return;
+      }
+      send(STREAM_EVENTS.DELTA, { text: delta });
+    }
+  });
+
+  // Stop reading upstream if the browser goes away mid-stream
+  const handleClose = () => {
+    if (!res.writableEnded) reader.cancel().catch(() => undefined);
+  };
+  res.on('close', handleClose);
+
+  // The request deadline covers the relay too, so a stalled stream cannot hold the function open
+  let timedOut = false;
+  const deadlineTimer = setTimeout(() => {
+    timedOut = true;
+    reader.cancel().catch(() => undefined);
+  }, Math.max(0, deadline - Date.now()));
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parser.push(decoder.decode(value, { stream: true }));
+    }
+    parser.push(decoder.decode());
+    parser.flush();
+    recordTokenUsage(model, usage);
+    recordModelUsage(model, usage);
+  } catch (error) {
+    logger.error('OpenRouter stream interrupted:', error);
+    send(
+      STREAM_EVENTS.ERROR,
+      buildApiError(ERROR_CODES.STREAM_INTERRUPTED, 'The AI service stream was interrupted. Please try again.')
+    );
+    res.end();
+    return;
+  } finally {
+    clearTimeout(deadlineTimer);
+    res.off('close', handleClose);
+  }
+
+  if (res.destroyed) return;
+  if (timedOut) {
+    logger.error('OpenRouter stream passed the request deadline:', { model });
+    send(
+      STREAM_EVENTS.ERROR,
+      buildApiError(ERROR_CODES.UPSTREAM_TIMEOUT, 'The AI service took too long to respond. Please try again.')
+    );
+    res.end();
+    return;
+  }
+  if (echoed) {
+    send(STREAM_EVENTS.ERROR, buildApiError(SYSTEM_PROMPT_ECHO_ERROR.code, SYSTEM_PROMPT_ECHO_ERROR.message));
+    res.end();
+    return;
+  }
+
+  // Streamed output that misses the spec is repaired with a regular request;
+  // the `done` event then carries the repaired prompt in place of the streamed text
+  let final: { prompt: GeneratedPrompt; usage: unknown; model: string };
+  const check = checkFinalContent(raw, mode);
+  if (check.ok) {
+    final = { prompt: check.prompt, usage, model };
+  } else {
+    logger.warn('Streamed response validation failed:', check.reason);
+    const repaired = await repairFinalPrompt(apiKey, body, mode, model, check, 'Prompt Generator', deadline);
+    if (!repaired.ok || echoesSystemPrompt(repaired.prompt, 'stream', model)) {
+      const { code, message } = repaired.ok ? SYSTEM_PROMPT_ECHO_ERROR : repaired;
+      send(STREAM_EVENTS.ERROR, buildApiError(code, message));
+      res.end();
+      return;
+    }
+    final = repaired;
+  }
+
+  const done: GenerateResponse = {
+    success: true,
+    prompt: final.prompt,
+    mode: mode.id,
+    usage: final.usage,
+    model: final.model,
+    refinementModel,
+    refinedBrief,
+    formatted: outputFormat ? formatPrompt(final.prompt, outputFormat) : null,
+  };
+  send(STREAM_EVENTS.DONE, done);
+  res.end();
+};
+
+// ============================================================================
+// Async Jobs
+// ============================================================================
+
+/**
+ * Queues the whole generation as a background job and answers 202 with the
+ * job. GET /api/jobs/{id} (and the webhook, if any) reports the same body a
+ * synchronous request would have returned. The job's model calls are charged
+ * to the client that queued it.
+ */
+const startGenerationJob = async (
+  res: NextApiResponse<GenerateRouteResponse>,
+  apiKey: string,
+  request: GenerationRequest,
+  outputFormat: OutputFormat | null,
+  webhookUrl: string | null,
+  usageClient: UsageClient
+): Promise<void> => {
+  const generate: JobTask = async () => {
+    const result = await generatePrompts(apiKey, request);
+    if (!result.ok) return { ok: false, error: buildApiError(result.code, result.message) };
+
+    const { prompts, refinementModel, refinedBrief } = result;
+    const [first] = prompts;
+    const common = { success: true as const, prompt: first.prompt, mode: request.mode.id, model: first.model };
+    if (request.variants > 1) {
+      return {
+        ok: true,
+        result: {
+          ...common,
+          variants: prompts.map(({ prompt }) => prompt),
+          usage: prompts.map(({ usage }) => usage),
+          models: prompts.map(({ model }) => model),
+          refinementModel,
+          refinedBrief,
+          formatted: outputFormat ? prompts.map(({ prompt }) => formatPrompt(prompt, outputFormat)) : null,
+        },
+      };
+    }
+    return {
+      ok: true,
+      result: {
+        ...common,
+        usage: first.usage,
+        refinementModel,
+        refinedBrief,
+        formatted: outputFormat ? formatPrompt(first.prompt, outputFormat) : null,
+      },
+    };
+  };
+  const task: JobTask = () => trackUsage(usageClient, generate);
+
+  try {
+    const job = await getJobQueue().submit(task, { webhookUrl });
+    res.setHeader('Location', `/api/jobs/${job.id}`);
+    return res.status(202).json(toJobResponse(job));
+  } catch (error) {
+    if (error instanceof JobQueueFullError) return sendApiError(res, ERROR_CODES.RATE_LIMITED, error.message);
+    throw error;
   }
-  return text;
 };
 
 // ============================================================================
 // Main Request Handler
 // ============================================================================
 
-const handler: NextApiHandler<GenerateResponse> = async (req, res) => {
+const handler: NextApiHandler<GenerateRouteResponse> = async (req, res) => {
+  const requestMetrics = observeApiRequest(res, '/api/generate');
+  // Moderation, refinement and the final stage share one time budget
+  const deadline = createRequestDeadline();
+
   // === 1. Request Method Validation ===
   if (req.method !== 'POST') {
-    return res.status(405).json({
-      error: 'Method not allowed',
-      message: 'This endpoint only accepts POST requests',
-    });
+    return sendApiError(res, ERROR_CODES.METHOD_NOT_ALLOWED, 'This endpoint only accepts POST requests');
   }
 
-  // === 2. Rate Limiting ===
-  try {
-    const key = makeRateKey(req);
-    await rateLimiter.consume(key, 1);
-  } catch {
-    return res.status(429).json({
-      error: 'Too many requests',
-      message: 'Please wait before trying again.',
-    });
-  }
+  // === 2. Daily Budget (the rate limit is charged once the request's weight is known) ===
+  const usageClient = browserUsageClient(req);
+  if (!(await enforceUsageBudget(res, usageClient))) return;
 
   const isMultipart = (req.headers['content-type'] || '').includes('multipart/form-data');
 
@@ -250,10 +416,19 @@ const handler: NextApiHandler<GenerateResponse> = async (req, res) => {
       fields = {
         idea: body.idea ? [body.idea] : [''],
         directions: body.directions ? [body.directions] : [''],
+        mode: body.mode ? [String(body.mode)] : [''],
         isJsonMode: [String(body.isJsonMode ?? 'false')],
         isTestMode: [String(body.isTestMode ?? 'false')],
         isVideoPrompt: [String(body.isVideoPrompt ?? 'false')],
         isMultiPrompt: [String(body.isMultiPrompt ?? 'false')],
+        stream: [String(body.stream ?? 'false')],
+        variants: [String(body.variants ?? '1')],
+        stage: [body.stage ?? GENERATION_STAGES.FULL],
+        refinementModel: body.refinementModel ? [body.refinementModel] : [''],
+        refinedBrief: body.refinedBrief ? [body.refinedBrief] : [''],
+        outputFormat: body.outputFormat ? [String(body.outputFormat)] : [''],
+        async: [String(body.async ?? 'false')],
+        webhookUrl: body.webhookUrl ? [String(body.webhookUrl)] : [''],
       };
       files = {};
     }
@@ -261,267 +436,311 @@ const handler: NextApiHandler<GenerateResponse> = async (req, res) => {
     // Extract and sanitize input fields
     const ideaRaw = getFieldValue(fields.idea)?.trim() || '';
     const directionsRaw = getFieldValue(fields.directions)?.trim() || '';
+    const refinedBriefRaw = getFieldValue(fields.refinedBrief)?.trim() || '';
 
     // === Input Length Validation (Security) ===
     if (ideaRaw.length > INPUT_LIMITS.IDEA_MAX_LENGTH) {
-      return res.status(400).json({
-        error: 'Input too long',
-        message: `Idea must be under ${INPUT_LIMITS.IDEA_MAX_LENGTH} characters.`,
-      });
+      return sendApiError(
+        res,
+        ERROR_CODES.INPUT_TOO_LONG,
+        `Idea must be under ${INPUT_LIMITS.IDEA_MAX_LENGTH} characters.`
+      );
     }
     if (directionsRaw.length > INPUT_LIMITS.DIRECTIONS_MAX_LENGTH) {
-      return res.status(400).json({
-        error: 'Input too long',
-        message: `Directions must be under ${INPUT_LIMITS.DIRECTIONS_MAX_LENGTH} characters.`,
-      });
+      return sendApiError(
+        res,
+        ERROR_CODES.INPUT_TOO_LONG,
+        `Directions must be under ${INPUT_LIMITS.DIRECTIONS_MAX_LENGTH} characters.`
+      );
+    }
+    if (refinedBriefRaw.length > INPUT_LIMITS.REFINED_BRIEF_MAX_LENGTH) {
+      return sendApiError(
+        res,
+        ERROR_CODES.INPUT_TOO_LONG,
+        `Refined brief must be under ${INPUT_LIMITS.REFINED_BRIEF_MAX_LENGTH} characters.`
+      );
     }
 
     // HTML encode to prevent XSS
     const idea = he.encode(ideaRaw);
     const directions = he.encode(directionsRaw);
     const imageFile = getFileValue(files.image);
-    const isJsonMode = getFieldValue(fields.isJsonMode) === 'true';
-    const isTestMode = getFieldValue(fields.isTestMode) === 'true';
-    const isVideoPrompt = getFieldValue(fields.isVideoPrompt) === 'true';
+    // `mode` wins; the boolean flags are still honored for older clients
+    const requestedMode =
+      getFieldValue(fields.mode) ||
+      modeFromLegacyFlags({
+        isJsonMode: getFieldValue(fields.isJsonMode) === 'true',
+        isVideoPrompt: getFieldValue(fields.isVideoPrompt) === 'true',
+        isTestMode: getFieldValue(fields.isTestMode) === 'true',
+      });
     const isMultiPrompt = getFieldValue(fields.isMultiPrompt) === 'true';
+    const isStreaming = getFieldValue(fields.stream) === 'true';
+    const variantCount = parseVariantCount(getFieldValue(fields.variants));
+    const stage = getFieldValue(fields.stage) || GENERATION_STAGES.FULL;
+    const requestedRefinementModel = getFieldValue(fields.refinementModel) || REFINEMENT_MODEL_OPTIONS[0];
+    const refinedBrief = refinedBriefRaw ? he.encode(refinedBriefRaw) : '';
+    const isAsync = getFieldValue(fields.async) === 'true';
+    const webhookUrl = getFieldValue(fields.webhookUrl).trim() || null;
+
+    if (!isPromptMode(requestedMode)) {
+      return sendApiError(
+        res,
+        ERROR_CODES.INVALID_REQUEST,
+        `"mode" must be one of: ${PROMPT_MODE_LIST.map((mode) => mode.id).join(', ')}.`
+      );
+    }
+    const promptMode = PROMPT_MODE_REGISTRY[requestedMode];
+    requestMetrics.mode = promptMode.id;
+
+    const requestedFormat = getFieldValue(fields.outputFormat) || null;
+    if (requestedFormat !== null && !isOutputFormat(requestedFormat)) {
+      return sendApiError(
+        res,
+        ERROR_CODES.INVALID_REQUEST,
+        `"outputFormat" must be one of: ${Object.values(OUTPUT_FORMATS).join(', ')}.`
+      );
+    }
+    const outputFormat = requestedFormat;
+
+    if (!Object.values<string>(GENERATION_STAGES).includes(stage)) {
+      return sendApiError(
+        res,
+        ERROR_CODES.INVALID_REQUEST,
+        `"stage" must be one of: ${Object.values(GENERATION_STAGES).join(', ')}.`
+      );
+    }
+    if (!REFINEMENT_MODEL_OPTIONS.includes(requestedRefinementModel)) {
+      return sendApiError(
+        res,
+        ERROR_CODES.INVALID_REQUEST,
+        `"refinementModel" must be one of: ${REFINEMENT_MODEL_OPTIONS.join(', ')}.`
+      );
+    }
+    if (stage === GENERATION_STAGES.REFINE && refinedBrief) {
+      return sendApiError(
+        res,
+        ERROR_CODES.INVALID_REQUEST,
+        'A refined brief cannot be refined again. Omit "stage" to generate from it.'
+      );
+    }
 
-    if ((!idea || idea.length === 0) && !imageFile) {
-      return res.status(400).json({
-        error: 'Bad request',
-        message: 'Either an "idea" or an image must be provided',
-      });
+    if (variantCount === null) {
+      return sendApiError(
+        res,
+        ERROR_CODES.INVALID_REQUEST,
+        `"variants" must be a whole number between ${VARIANT_CONFIG.MIN} and ${VARIANT_CONFIG.MAX}.`
+      );
+    }
+
+    if (isAsync && (isStreaming || stage === GENERATION_STAGES.REFINE)) {
+      return sendApiError(
+        res,
+        ERROR_CODES.INVALID_REQUEST,
+        '"async" cannot be combined with "stream" or the "refine" stage.'
+      );
+    }
+    if (webhookUrl !== null) {
+      const webhookError = isAsync ? validateWebhookUrl(webhookUrl) : '"webhookUrl" requires "async".';
+      if (webhookError) return sendApiError(res, ERROR_CODES.INVALID_REQUEST, webhookError);
+    }
+
+    if ((!idea || idea.length === 0) && !imageFile && !refinedBrief) {
+      return sendApiError(res, ERROR_CODES.INVALID_REQUEST, 'Either an "idea" or an image must be provided');
     }
 
-    const apiKey = process.env.OPENROUTER_API_KEY;
-    if (!apiKey) {
-      logger.error('OPENROUTER_API_KEY environment variable is not set');
-      return res.status(500).json({
-        error: 'Server configuration error',
-        message: 'API key is not configured. Please contact the administrator.',
+    const apiKey = resolveProviderApiKey();
+    if (apiKey === null) {
+      return sendApiError(
+        res,
+        ERROR_CODES.SERVER_MISCONFIGURED,
+        'API key is not configured. Please contact the administrator.'
+      );
+    }
+
+    // One charge for the whole request, so a rejected one costs nothing
+    const isRefineOnly = stage === GENERATION_STAGES.REFINE;
+    const points =
+      RATE_LIMIT_COSTS.BASE +
+      getGenerationSurcharge({
+        refinement: isMultiPrompt && !refinedBrief && !isRefineOnly,
+        image: Boolean(imageFile?.filepath),
+        variants: isRefineOnly ? 1 : variantCount,
       });
+    if (!(await enforceRateLimit(req, res, 'GENERATE', points))) {
+      if (imageFile?.filepath) await fs.unlink(imageFile.filepath).catch(() => undefined);
+      return;
     }
 
-    let imageBase64: string | null = null;
-    const imageMimeType = imageFile?.mimetype || 'image/png';
+    let image: PromptImage | null = null;
     if (imageFile?.filepath) {
       try {
         const imageBuffer = await fs.readFile(imageFile.filepath);
-        imageBase64 = imageBuffer.toString('base64');
+        image = { base64: imageBuffer.toString('base64'), mimeType: imageFile.mimetype || 'image/png' };
         await fs.unlink(imageFile.filepath);
       } catch (error) {
         logger.error('Error processing image:', error);
-        return res.status(500).json({
-          error: 'Image processing error',
-          message: 'Failed to process the uploaded image. Please try again.',
-        });
+        return sendApiError(
+          res,
+          ERROR_CODES.IMAGE_PROCESSING_FAILED,
+          'Failed to process the uploaded image. Please try again.'
+        );
       }
     }
 
-    let userPrompt = '';
-    if (imageFile && (!idea || idea.length === 0) && (!directions || directions.length === 0)) {
-      userPrompt =
-        'Please analyze this image and create a detailed prompt to recreate it as closely as possible for AI image generation.';
-    } else if (imageFile && (idea || directions)) {
-      userPrompt = 'Please analyze this image and create a prompt for AI image generation';
-      if (idea && idea.length > 0) {
-        userPrompt += ` incorporating this idea: ${idea}`;
-      }
-      if (directions && directions.length > 0) {
-        userPrompt += ` with these additional directions: ${directions}`;
-      }
-    } else {
-      userPrompt = `Idea: ${idea}`;
-      if (directions && directions.length > 0) {
-        userPrompt += `\n\nAdditional directions: ${directions}`;
-      }
-    }
-    if (isJsonMode) {
-      userPrompt += '\n\nReturn only raw JSON. No markdown fences, no explanations, no extra text.';
+    if (isAsync) {
+      return startGenerationJob(
+        res,
+        apiKey,
+        {
+          idea,
+          directions,
+          mode: promptMode,
+          image,
+          refine: isMultiPrompt && !refinedBrief,
+          refinedBrief: refinedBrief || undefined,
+          refinementModel: requestedRefinementModel,
+          variants: variantCount,
+          title: 'Prompt Generator',
+        },
+        outputFormat,
+        webhookUrl,
+        usageClient
+      );
     }
 
-    // === 4. Optional Refinement Stage ===
+    // === 4. Input Moderation (async jobs are moderated by the pipeline) ===
+    const moderation = await moderateGenerationInput(apiKey, { idea, directions, refinedBrief, image }, deadline);
+    if (!moderation.ok) return sendApiError(res, moderation.code, moderation.message);
+    const moderated = moderation.input;
+
+    const userPrompt = buildUserPrompt({
+      idea: moderated.idea,
+      directions: moderated.directions,
+      hasImage: Boolean(imageFile),
+      mode: promptMode,
+    });
+
+    // === 5. Optional Refinement Stage ===
     let refinedPrompt = userPrompt;
 
-    if (isMultiPrompt) {
-      try {
-        const refinementBody: OpenRouterRequestBody = {
-          model: OPENROUTER_MODELS.REFINEMENT,
-          messages: [
-            { role: 'system', content: REFINEMENT_SYSTEM_PROMPT },
-            {
-              role: 'user',
-              content: buildUserContent(userPrompt, imageBase64, imageMimeType),
-            },
-          ],
-          temperature: 0.7,
-          max_tokens: 1000,
-          top_p: 1,
-          frequency_penalty: 0,
-          presence_penalty: 0,
-          usage: { include: true },
-        };
-
-        const stage1Response = await makeOpenRouterCall({
-          apiKey,
-          body: refinementBody,
-          title: 'Prompt Generator - Refinement',
+    let refinementModel: string | null = null;
+    let refinedBriefOutput: string | null = null;
+    const wantsRefinement = stage === GENERATION_STAGES.REFINE || (isMultiPrompt && !refinedBrief);
+
+    if (moderated.refinedBrief) {
+      // The client already reviewed (and possibly edited) the stage 1 brief
+      refinedPrompt = buildBriefPrompt(moderated.refinedBrief);
+    } else if (wantsRefinement) {
+      const refinement = await runRefinementStage(apiKey, userPrompt, image, requestedRefinementModel, deadline);
+
+      if (refinement.ok) {
+        refinedPrompt = buildBriefPrompt(refinement.value);
+        refinedBriefOutput = refinement.value;
+        refinementModel = refinement.model;
+        logger.info('Stage 1 refinement completed:', {
+          model: refinement.model,
+          refinedPrompt: `${refinement.value.substring(0, 100)}...`,
         });
 
-        if (!stage1Response.ok) {
-          const errorInfo = await mapOpenRouterError(stage1Response);
-          logger.error('Stage 1 (refinement) API Error:', {
-            status: stage1Response.status,
-            details: errorInfo.details,
+        if (stage === GENERATION_STAGES.REFINE) {
+          return res.status(200).json({
+            success: true,
+            refinedBrief: refinement.value,
+            refinementModel: refinement.model,
+            usage: refinement.data.usage || null,
           });
-          refinedPrompt = userPrompt;
-        } else {
-          const stage1Data = (await stage1Response.json()) as ChatCompletionResponse;
-          const refined = extractMessageText(stage1Data.choices?.[0]?.message?.content);
-          if (refined) {
-            refinedPrompt = refined;
-            logger.info('Stage 1 refinement completed:', {
-              refinedPrompt: `${refinedPrompt.substring(0, 100)}...`,
-            });
-          } else {
-            logger.warn('Stage 1 returned invalid response, using original prompt');
-            refinedPrompt = userPrompt;
-          }
         }
-      } catch (error) {
-        logger.error('Stage 1 (refinement) failed:', error);
-        refinedPrompt = userPrompt;
+      } else if (stage === GENERATION_STAGES.REFINE) {
+        return sendOpenRouterError(res, refinement.errorInfo);
+      } else {
+        logger.error('Stage 1 (refinement) failed on every model, using original prompt:', {
+          status: refinement.errorInfo.sourceStatus,
+        });
       }
     }
 
-    // === 5. Select System Prompt and Response Format ===
-    const promptMode = getPromptMode({ isJsonMode, isVideoPrompt, isTestMode });
-    const finalSystemPrompt = SYSTEM_PROMPTS[promptMode];
+    // === 6. Build the Final Stage Request from the Mode Definition ===
+    // A refined brief already describes the image, so it is only sent with the raw prompt
+    const finalBody = buildFinalStageBody(promptMode, refinedPrompt, isMultiPrompt || refinedBrief ? null : image);
 
-    const responseFormat: JsonSchemaResponseFormat = {
-      type: 'json_schema',
-      json_schema: isJsonMode ? JSON_MODE_SCHEMA : DEFAULT_PROMPT_SCHEMA,
-    };
-
-    const finalModel = OPENROUTER_MODELS.PRIMARY;
-    const includeImage = Boolean(imageBase64 && !isMultiPrompt);
-
-    const finalBody: OpenRouterRequestBody = {
-      model: finalModel,
-      messages: [
-        { role: 'system', content: finalSystemPrompt },
-        {
-          role: 'user',
-          content: buildUserContent(refinedPrompt, includeImage ? imageBase64 : null, imageMimeType),
-        },
-      ],
-      temperature: 0.7,
-      max_tokens: 1000,
-      top_p: 1,
-      frequency_penalty: 0,
-      presence_penalty: 0,
-      usage: { include: true },
-      response_format: responseFormat,
-    };
-
-    let openRouterResponse: Response;
-    try {
-      openRouterResponse = await makeOpenRouterCall({
+    // Variants are returned together as one JSON array, so they are never streamed
+    if (isStreaming && variantCount === 1) {
+      return streamFinalPrompt(res, {
         apiKey,
         body: finalBody,
-        title: 'Prompt Generator',
-      });
-    } catch (error) {
-      logger.error('OpenRouter API call failed:', error);
-      return res.status(500).json({
-        error: 'External service error',
-        message: 'The AI service is currently unavailable. Please try again later.',
+        mode: promptMode,
+        refinementModel,
+        refinedBrief: refinedBriefOutput,
+        outputFormat,
+        deadline,
       });
     }
 
-    if (!openRouterResponse.ok) {
-      const errorInfo = await mapOpenRouterError(openRouterResponse);
-      logger.error('OpenRouter API Error:', {
-        status: openRouterResponse.status,
-        details: errorInfo.details,
-      });
-      return sendOpenRouterError(res, errorInfo);
-    }
-
-    const data = (await openRouterResponse.json()) as ChatCompletionResponse;
-
-    if (!data?.choices?.[0]?.message?.content) {
-      logger.error('Invalid OpenRouter API response structure:', data);
-      return res.status(500).json({
-        error: 'Invalid response',
-        message: 'Received an invalid response from the AI service. Please try again.',
-      });
-    }
-
-    let parsedPayload: StructuredPayload;
-    try {
-      parsedPayload = parseStructuredContent(data.choices[0].message?.content);
-    } catch (parseError) {
-      logger.error('Failed to parse structured response from OpenRouter:', parseError);
-      return res.status(500).json({
-        error: 'Invalid response',
-        message: 'The AI service returned a malformed response. Please try again.',
-      });
-    }
+    if (variantCount > 1) {
+      const results = await Promise.all(
+        Array.from({ length: variantCount }, () => runFinalStage(apiKey, finalBody, promptMode, 'Prompt Generator', deadline))
+      );
+      const successes = results.filter((result): result is FinalStageSuccess => result.ok);
+      if (successes.length === 0) {
+        const [failure] = results as FinalStageFailure[];
+        return sendApiError(res, failure.code, failure.message);
+      }
+      if (successes.length < variantCount) {
+        logger.warn(`Only ${successes.length}/${variantCount} variants succeeded`);
+      }
 
-    let finalPrompt: string | JsonPromptPayload;
-    try {
-      finalPrompt = isJsonMode ? ensureJsonPrompt(parsedPayload) : ensureTextPrompt(parsedPayload);
-    } catch (validationError) {
-      logger.error('Structured response validation failed:', validationError);
-      return res.status(500).json({
-        error: 'Invalid response',
-        message: 'The AI service returned an invalid response. Please try again.',
+      return res.status(200).json({
+        success: true,
+        prompt: successes[0].prompt,
+        variants: successes.map((result) => result.prompt),
+        mode: promptMode.id,
+        usage: successes.map((result) => result.usage),
+        model: successes[0].model,
+        models: successes.map((result) => result.model),
+        refinementModel,
+        refinedBrief: refinedBriefOutput,
+        formatted: outputFormat ? successes.map((result) => formatPrompt(result.prompt, outputFormat)) : null,
       });
     }
 
-    if (!isJsonMode && !finalPrompt) {
-      return res.status(500).json({
-        error: 'Empty response',
-        message: 'The AI service returned an empty response. Please try again with different input.',
-      });
+    const result = await runFinalStage(apiKey, finalBody, promptMode, 'Prompt Generator', deadline);
+    if (!result.ok) {
+      return sendApiError(res, result.code, result.message);
     }
 
     return res.status(200).json({
       success: true,
-      prompt: finalPrompt,
-      usage: data.usage || null,
+      prompt: result.prompt,
+      mode: promptMode.id,
+      usage: result.usage,
+      model: result.model,
+      refinementModel,
+      refinedBrief: refinedBriefOutput,
+      formatted: outputFormat ? formatPrompt(result.prompt, outputFormat) : null,
     });
   } catch (error: any) {
     logger.error('API Route Error:', error);
 
     if (error?.statusCode === 413 || error?.code === 'PAYLOAD_TOO_LARGE') {
-      return res.status(413).json({
-        error: 'Payload too large',
-        message: 'JSON body exceeds 1MB limit.',
-      });
+      return sendApiError(res, ERROR_CODES.PAYLOAD_TOO_LARGE, 'JSON body exceeds 1MB limit.');
     }
 
     if (error?.name === 'AbortError') {
-      return res.status(504).json({
-        error: 'Gateway timeout',
-        message: 'The AI service took too long to respond. Please try again.',
-      });
+      return sendApiError(res, ERROR_CODES.UPSTREAM_TIMEOUT, 'The AI service took too long to respond. Please try again.');
     }
     if (error?.name === 'TypeError' && error?.message?.includes('fetch')) {
-      return res.status(500).json({
-        error: 'Network error',
-        message: 'Unable to connect to the AI service. Please check your internet connection and try again.',
-      });
+      return sendApiError(
+        res,
+        ERROR_CODES.UPSTREAM_UNAVAILABLE,
+        'Unable to connect to the AI service. Please check your internet connection and try again.'
+      );
     }
 
-    return res.status(500).json({
-      error: 'Internal server error',
-      message: 'An unexpected error occurred. Please try again later.',
-    });
+    return sendApiError(res, ERROR_CODES.INTERNAL_ERROR, 'An unexpected error occurred. Please try again later.');
   }
 };
 
-export default handler;
+export default withRequestLogging(withUsageTracking(handler));
 
 export const config = {
   api: {
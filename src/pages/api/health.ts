@@ -0,0 +1,18 @@
+// Liveness probe: answers as long as the server process does (see services/healthChecks)
+import type { NextApiHandler } from 'next';
+import { ERROR_CODES } from '../../config/constants';
+import { buildLivenessReport, type LivenessReport } from '../../services/healthChecks';
+import { sendApiError, type ApiErrorBody } from '../../utils/apiErrors';
+import { withRequestLogging } from '../../services/serverLogger';
+
+const handler: NextApiHandler<LivenessReport | ApiErrorBody> = (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return sendApiError(res, ERROR_CODES.METHOD_NOT_ALLOWED, 'This endpoint only accepts GET requests');
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).json(buildLivenessReport());
+};
+
+export default withRequestLogging(handler);
@@ -0,0 +1,32 @@
+// Status and result of an async generation job (see services/generationJobs)
+import type { NextApiHandler } from 'next';
+import logger, { withRequestLogging } from '../../../services/serverLogger';
+import { ERROR_CODES } from '../../../config/constants';
+import { getJobQueue, isJobId, toJobResponse } from '../../../services/generationJobs';
+import { sendApiError, type ApiErrorBody } from '../../../utils/apiErrors';
+import type { JobResponse } from '../../../utils/promptApiClient';
+
+const handler: NextApiHandler<JobResponse | ApiErrorBody> = async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return sendApiError(res, ERROR_CODES.METHOD_NOT_ALLOWED, 'This endpoint only accepts GET requests');
+  }
+
+  const { id } = req.query;
+  try {
+    const job = isJobId(id) ? await getJobQueue().get(id) : null;
+    if (!job) return sendApiError(res, ERROR_CODES.NOT_FOUND, 'Job not found. Jobs expire an hour after they were last updated.');
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json(toJobResponse(job));
+  } catch (error) {
+    logger.error('Job store error:', error);
+    return sendApiError(
+      res,
+      ERROR_CODES.SERVER_MISCONFIGURED,
+      'The job store is not configured correctly. Please contact the administrator.'
+    );
+  }
+};
+
+export default withRequestLogging(handler);
@@ -0,0 +1,26 @@
+// Prometheus scrape endpoint (see services/metrics), protected by METRICS_TOKEN
+import type { NextApiHandler } from 'next';
+import { ERROR_CODES } from '../../config/constants';
+import { readEnv } from '../../config/env';
+import { METRICS_CONTENT_TYPE, isMetricsRequestAuthorized, renderMetrics } from '../../services/metrics';
+import { sendApiError, type ApiErrorBody } from '../../utils/apiErrors';
+import { withRequestLogging } from '../../services/serverLogger';
+
+const handler: NextApiHandler<string | ApiErrorBody> = (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return sendApiError(res, ERROR_CODES.METHOD_NOT_ALLOWED, 'This endpoint only accepts GET requests');
+  }
+
+  // Without a token the endpoint does not exist
+  if (!readEnv('METRICS_TOKEN')) return sendApiError(res, ERROR_CODES.NOT_FOUND, 'Metrics are not enabled.');
+  if (!isMetricsRequestAuthorized(req)) {
+    return sendApiError(res, ERROR_CODES.UNAUTHORIZED, 'Invalid metrics token. Send it as "Authorization: Bearer <token>".');
+  }
+
+  res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).send(renderMetrics());
+};
+
+export default withRequestLogging(handler);
@@ -0,0 +1,21 @@
+// OpenAPI 3.1 description of the prompt API (see services/openApi)
+import type { NextApiHandler } from 'next';
+import { ERROR_CODES } from '../../config/constants';
+import { buildOpenApiDocument, type OpenApiDocument } from '../../services/openApi';
+import { sendApiError, type ApiErrorBody } from '../../utils/apiErrors';
+import { withRequestLogging } from '../../services/serverLogger';
+
+// The document only changes with a deploy
+const document = buildOpenApiDocument();
+
+const handler: NextApiHandler<OpenApiDocument | ApiErrorBody> = (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return sendApiError(res, ERROR_CODES.METHOD_NOT_ALLOWED, 'This endpoint only accepts GET requests');
+  }
+
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  return res.status(200).json(document);
+};
+
+export default withRequestLogging(handler);
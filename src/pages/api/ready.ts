@@ -0,0 +1,20 @@
+// Readiness probe: runs the configuration self-check (see services/healthChecks)
+// and answers 503 until every check passes
+import type { NextApiHandler } from 'next';
+import { ERROR_CODES, HEALTH_STATUSES } from '../../config/constants';
+import { buildReadinessReport, type ReadinessReport } from '../../services/healthChecks';
+import { sendApiError, type ApiErrorBody } from '../../utils/apiErrors';
+import { withRequestLogging } from '../../services/serverLogger';
+
+const handler: NextApiHandler<ReadinessReport | ApiErrorBody> = async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return sendApiError(res, ERROR_CODES.METHOD_NOT_ALLOWED, 'This endpoint only accepts GET requests');
+  }
+
+  const report = await buildReadinessReport();
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(report.status === HEALTH_STATUSES.OK ? 200 : 503).json(report);
+};
+
+export default withRequestLogging(handler);
@@ -0,0 +1,30 @@
+// Today's token usage, estimated cost and daily budget of the requesting browser
+// (see services/usageLedger); the UI's usage meter reads it
+import type { NextApiHandler } from 'next';
+import logger, { withRequestLogging } from '../../services/serverLogger';
+import { ERROR_CODES } from '../../config/constants';
+import { browserUsageClient, buildUsageReport } from '../../services/usageLedger';
+import { sendApiError, type ApiErrorBody } from '../../utils/apiErrors';
+import type { UsageResponse } from '../../utils/promptApiClient';
+
+const handler: NextApiHandler<UsageResponse | ApiErrorBody> = async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return sendApiError(res, ERROR_CODES.METHOD_NOT_ALLOWED, 'This endpoint only accepts GET requests');
+  }
+
+  try {
+    const report = await buildUsageReport(browserUsageClient(req));
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json(report);
+  } catch (error) {
+    logger.error('Usage ledger error:', error);
+    return sendApiError(
+      res,
+      ERROR_CODES.SERVER_MISCONFIGURED,
+      'The usage ledger is not configured correctly. Please contact the administrator.'
+    );
+  }
+};
+
+export default withRequestLogging(handler);
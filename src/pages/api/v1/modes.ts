@@ -0,0 +1,39 @@
+// Public prompt mode listing (API key required, free of quota)
+// Lets API clients discover valid "mode" and "outputFormat" values
+import type { NextApiHandler } from 'next';
+import { OUTPUT_FORMATS, type OutputFormat, type PromptMode } from '../../../config/constants';
+import { PROMPT_MODE_LIST, type PromptOutputKind } from '../../../config/promptModes';
+import { authorizeV1Request, sendV1Result } from '../../../services/publicApi';
+import { withRequestLogging } from '../../../services/serverLogger';
+
+export type ModesResponseData = {
+  modes: Array<{
+    id: PromptMode;
+    label: string;
+    description: string;
+    /** Shape of the generated prompt: text, a JSON prompt or a video storyboard */
+    output: PromptOutputKind;
+    /** Character range enforced for text output, when the mode has one */
+    lengthRange: { min: number; max: number } | null;
+  }>;
+  outputFormats: OutputFormat[];
+};
+
+const handler: NextApiHandler = async (req, res) => {
+  const startedAt = Date.now();
+  if (!(await authorizeV1Request(req, res, 'GET'))) return;
+
+  const data: ModesResponseData = {
+    modes: PROMPT_MODE_LIST.map((mode) => ({
+      id: mode.id,
+      label: mode.label,
+      description: mode.description,
+      output: mode.output,
+      lengthRange: mode.lengthRange ?? null,
+    })),
+    outputFormats: Object.values(OUTPUT_FORMATS),
+  };
+  return sendV1Result(res, startedAt, data, { model: null, usage: [] });
+};
+
+export default withRequestLogging(handler);
@@ -0,0 +1,203 @@
+// Public prompt generation endpoint (API key required)
+// JSON-only counterpart of /api/generate: one request shape, no streaming,
+// images sent inline as base64, results in the v1 { data, meta } envelope
+import he from 'he';
+import type { NextApiHandler } from 'next';
+import logger, { withRequestLogging } from '../../../services/serverLogger';
+import {
+  ERROR_CODES,
+  INPUT_LIMITS,
+  OUTPUT_FORMATS,
+  PROMPT_MODES,
+  RATE_LIMIT_COSTS,
+  REFINEMENT_MODEL_OPTIONS,
+  VARIANT_CONFIG,
+  type ErrorCode,
+  type OutputFormat,
+  type PromptMode,
+} from '../../../config/constants';
+import { PROMPT_MODE_LIST, PROMPT_MODE_REGISTRY, isPromptMode, type GeneratedPrompt } from '../../../config/promptModes';
+import { observeApiRequest } from '../../../services/metrics';
+import { resolveProviderApiKey } from '../../../services/openRouterService';
+import { generatePrompts, type GenerationRequest, type PromptImage } from '../../../services/promptPipeline';
+import { apiKeyUsageClient, authorizeV1Request, chargeApiKey, sendV1Result } from '../../../services/publicApi';
+import { getGenerationSurcharge } from '../../../services/rateLimit';
+import { enforceUsageBudget, trackUsage } from '../../../services/usageLedger';
+import { sendApiError } from '../../../utils/apiErrors';
+import { formatPrompt, isOutputFormat, type FormattedPrompt } from '../../../utils/promptFormatters';
+
+export type PromptsRequestBody = {
+  idea?: string;
+  directions?: string;
+  mode?: PromptMode;
+  /** Run the refinement stage before the final one */
+  refine?: boolean;
+  refinementModel?: string;
+  variants?: number;
+  outputFormat?: OutputFormat;
+  /** Base64 image data (a data URL is accepted as well) */
+  image?: { data?: string; mimeType?: string };
+};
+
+export type PromptsResponseData = {
+  mode: PromptMode;
+  prompts: Array<{ prompt: GeneratedPrompt; model: string; formatted: FormattedPrompt | null }>;
+  refinedBrief: string | null;
+  refinementModel: string | null;
+};
+
+type ParsedPromptsRequest =
+  | { ok: true; request: GenerationRequest; outputFormat: OutputFormat | null }
+  | { ok: false; code: ErrorCode; message: string };
+
+// Inline base64 images are a third larger than the IMAGE_MAX_SIZE upload limit
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '14mb' },
+  },
+};
+
+const DATA_URL = /^data:([^;,]+);base64,/;
+const IMAGE_MIME_TYPE = /^image\/[a-z0-9.+-]+$/i;
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * Reads the inline image of a request.
+ * @throws Error with a client-facing message if the image is malformed or too large
+ */
+const readImage = (image: PromptsRequestBody['image']): PromptImage | null => {
+  if (image === undefined || image === null) return null;
+  if (typeof image !== 'object' || typeof image.data !== 'string' || !image.data) {
+    throw new Error('"image" must be an object with base64 "data".');
+  }
+
+  const dataUrl = DATA_URL.exec(image.data);
+  const base64 = dataUrl ? image.data.slice(dataUrl[0].length) : image.data;
+  const mimeType = dataUrl?.[1] || image.mimeType || 'image/png';
+  if (!IMAGE_MIME_TYPE.test(mimeType)) throw new Error('"image.mimeType" must be an image type.');
+  if (!BASE64.test(base64)) throw new Error('"image.data" must be base64 encoded.');
+  if (Math.floor((base64.length * 3) / 4) > INPUT_LIMITS.IMAGE_MAX_SIZE) {
+    throw new Error(`Image must be under ${INPUT_LIMITS.IMAGE_MAX_SIZE / (1024 * 1024)}MB.`);
+  }
+  return { base64, mimeType };
+};
+
+/**
+ * Validates a request body and turns it into a pipeline request.
+ */
+const parsePromptsRequest = (body: PromptsRequestBody): ParsedPromptsRequest => {
+  const ideaRaw = typeof body.idea === 'string' ? body.idea.trim() : '';
+  const directionsRaw = typeof body.directions === 'string' ? body.directions.trim() : '';
+  const modeId = body.mode ?? PROMPT_MODES.DEFAULT;
+  const variants = body.variants ?? 1;
+  const refinementModel = body.refinementModel ?? REFINEMENT_MODEL_OPTIONS[0];
+  const invalid = (message: string) => ({ ok: false as const, code: ERROR_CODES.INVALID_REQUEST, message });
+
+  if (ideaRaw.length > INPUT_LIMITS.IDEA_MAX_LENGTH) {
+    return {
+      ok: false,
+      code: ERROR_CODES.INPUT_TOO_LONG,
+      message: `Idea must be under ${INPUT_LIMITS.IDEA_MAX_LENGTH} characters.`,
+    };
+  }
+  if (directionsRaw.length > INPUT_LIMITS.DIRECTIONS_MAX_LENGTH) {
+    return {
+      ok: false,
+      code: ERROR_CODES.INPUT_TOO_LONG,
+      message: `Directions must be under ${INPUT_LIMITS.DIRECTIONS_MAX_LENGTH} characters.`,
+    };
+  }
+  if (!isPromptMode(modeId)) {
+    return invalid(`"mode" must be one of: ${PROMPT_MODE_LIST.map((mode) => mode.id).join(', ')}.`);
+  }
+  if (body.outputFormat !== undefined && !isOutputFormat(body.outputFormat)) {
+    return invalid(`"outputFormat" must be one of: ${Object.values(OUTPUT_FORMATS).join(', ')}.`);
+  }
+  if (!Number.isInteger(variants) || variants < VARIANT_CONFIG.MIN || variants > VARIANT_CONFIG.MAX) {
+    return invalid(`"variants" must be a whole number between ${VARIANT_CONFIG.MIN} and ${VARIANT_CONFIG.MAX}.`);
+  }
+  if (!REFINEMENT_MODEL_OPTIONS.includes(refinementModel)) {
+    return invalid(`"refinementModel" must be one of: ${REFINEMENT_MODEL_OPTIONS.join(', ')}.`);
+  }
+
+  let image: PromptImage | null;
+  try {
+    image = readImage(body.image);
+  } catch (error) {
+    return invalid((error as Error).message);
+  }
+  if (!ideaRaw && !image) {
+    return invalid('Either an "idea" or an "image" must be provided.');
+  }
+
+  return {
+    ok: true,
+    request: {
+      // HTML encode to prevent XSS
+      idea: he.encode(ideaRaw),
+      directions: he.encode(directionsRaw),
+      mode: PROMPT_MODE_REGISTRY[modeId],
+      image,
+      refine: body.refine === true,
+      refinementModel,
+      variants,
+      title: 'Prompt Generator - API',
+    },
+    outputFormat: body.outputFormat ?? null,
+  };
+};
+
+const handler: NextApiHandler = async (req, res) => {
+  const startedAt = Date.now();
+  const requestMetrics = observeApiRequest(res, '/api/v1/prompts');
+
+  const apiKey = await authorizeV1Request(req, res, 'POST');
+  if (!apiKey) return;
+
+  // Malformed requests are rejected before they cost any quota
+  const parsed = parsePromptsRequest(req.body && typeof req.body === 'object' ? req.body : {});
+  if (!parsed.ok) return sendApiError(res, parsed.code, parsed.message);
+  const { request, outputFormat } = parsed;
+  requestMetrics.mode = request.mode.id;
+
+  const points =
+    RATE_LIMIT_COSTS.BASE +
+    getGenerationSurcharge({ refinement: request.refine, image: request.image !== null, variants: request.variants });
+  if (!(await chargeApiKey(req, res, apiKey, points))) return;
+  const usageClient = apiKeyUsageClient(apiKey);
+  if (!(await enforceUsageBudget(res, usageClient))) return;
+
+  const providerKey = resolveProviderApiKey();
+  if (providerKey === null) {
+    return sendApiError(
+      res,
+      ERROR_CODES.SERVER_MISCONFIGURED,
+      'API key is not configured. Please contact the administrator.'
+    );
+  }
+
+  try {
+    const result = await trackUsage(usageClient, () => generatePrompts(providerKey, request));
+    if (!result.ok) return sendApiError(res, result.code, result.message);
+
+    const data: PromptsResponseData = {
+      mode: request.mode.id,
+      prompts: result.prompts.map(({ prompt, model }) => ({
+        prompt,
+        model,
+        formatted: outputFormat ? formatPrompt(prompt, outputFormat) : null,
+      })),
+      refinedBrief: result.refinedBrief,
+      refinementModel: result.refinementModel,
+    };
+    return sendV1Result(res, startedAt, data, {
+      model: result.prompts[0].model,
+      usage: [result.refinementUsage, ...result.prompts.map(({ usage }) => usage)],
+    });
+  } catch (error) {
+    logger.error(`v1 prompts API Error (key ${apiKey.id}):`, error);
+    return sendApiError(res, ERROR_CODES.INTERNAL_ERROR, 'An unexpected error occurred. Please try again later.');
+  }
+};
+
+export default withRequestLogging(handler);
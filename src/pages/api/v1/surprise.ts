@@ -0,0 +1,46 @@
+// Public Surprise Me endpoint (API key required)
+import type { NextApiHandler } from 'next';
+import logger, { withRequestLogging } from '../../../services/serverLogger';
+import { ERROR_CODES, RATE_LIMIT_COSTS } from '../../../config/constants';
+import { observeApiRequest } from '../../../services/metrics';
+import { resolveProviderApiKey, sendOpenRouterError } from '../../../services/openRouterService';
+import { runSurpriseStage } from '../../../services/promptPipeline';
+import { apiKeyUsageClient, authorizeV1Request, chargeApiKey, sendV1Result } from '../../../services/publicApi';
+import { enforceUsageBudget, trackUsage } from '../../../services/usageLedger';
+import { sendApiError } from '../../../utils/apiErrors';
+
+export type SurpriseResponseData = { prompt: string };
+
+const handler: NextApiHandler = async (req, res) => {
+  const startedAt = Date.now();
+  observeApiRequest(res, '/api/v1/surprise');
+
+  const apiKey = await authorizeV1Request(req, res, 'POST');
+  if (!apiKey || !(await chargeApiKey(req, res, apiKey, RATE_LIMIT_COSTS.BASE))) return;
+  const usageClient = apiKeyUsageClient(apiKey);
+  if (!(await enforceUsageBudget(res, usageClient))) return;
+
+  const providerKey = resolveProviderApiKey();
+  if (providerKey === null) {
+    return sendApiError(
+      res,
+      ERROR_CODES.SERVER_MISCONFIGURED,
+      'API key is not configured. Please contact the administrator.'
+    );
+  }
+
+  try {
+    const result = await trackUsage(usageClient, () =>
+      runSurpriseStage(providerKey, 'Prompt Generator - API Surprise')
+    );
+    if (!result.ok) return sendOpenRouterError(res, result.errorInfo);
+
+    const data: SurpriseResponseData = { prompt: result.value };
+    return sendV1Result(res, startedAt, data, { model: result.model, usage: [result.data.usage] });
+  } catch (error) {
+    logger.error(`v1 surprise API Error (key ${apiKey.id}):`, error);
+    return sendApiError(res, ERROR_CODES.INTERNAL_ERROR, 'Failed to generate a surprise prompt. Please try again.');
+  }
+};
+
+export default withRequestLogging(handler);
@@ -0,0 +1,31 @@
+// Public usage report (API key required, free of quota)
+// Today's token usage, estimated cost and daily budget of the calling key
+import type { NextApiHandler } from 'next';
+import logger, { withRequestLogging } from '../../../services/serverLogger';
+import { ERROR_CODES } from '../../../config/constants';
+import { apiKeyUsageClient, authorizeV1Request, sendV1Result } from '../../../services/publicApi';
+import { buildUsageReport } from '../../../services/usageLedger';
+import { sendApiError } from '../../../utils/apiErrors';
+import type { UsageResponse } from '../../../utils/promptApiClient';
+
+export type UsageResponseData = UsageResponse;
+
+const handler: NextApiHandler = async (req, res) => {
+  const startedAt = Date.now();
+  const apiKey = await authorizeV1Request(req, res, 'GET');
+  if (!apiKey) return;
+
+  try {
+    const data: UsageResponseData = await buildUsageReport(apiKeyUsageClient(apiKey));
+    return sendV1Result(res, startedAt, data, { model: null, usage: [] });
+  } catch (error) {
+    logger.error(`v1 usage API Error (key ${apiKey.id}):`, error);
+    return sendApiError(
+      res,
+      ERROR_CODES.SERVER_MISCONFIGURED,
+      'The usage ledger is not configured correctly. Please contact the administrator.'
+    );
+  }
+};
+
+export default withRequestLogging(handler);
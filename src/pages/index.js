@@ -4,14 +4,26 @@ import Link from 'next/link';
 import { compressImage } from '../utils/imageCompression';
 import logger from '../utils/logger';
 import { copyToClipboard } from '../utils/clipboard';
-import { INPUT_LIMITS, COPY_TARGETS } from '../config/constants';
+import { getErrorMessage } from '../utils/errorMessages';
+import { promptApi } from '../utils/promptApiClient';
+import { INPUT_LIMITS, COPY_TARGETS, PROMPT_MODES, VARIANT_CONFIG, REFINEMENT_MODEL_OPTIONS } from '../config/constants';
+import { PROMPT_MODE_LIST, PROMPT_OUTPUT_KINDS, getPromptModeDefinition } from '../config/promptModes';
+import { formatPrompt, formattedPromptToText } from '../utils/promptFormatters';
 import ErrorBoundary from '../components/ErrorBoundary';
 import OutputDisplay from '../components/OutputDisplay';
+import VariantsDisplay from '../components/VariantsDisplay';
+import BatchPanel from '../components/BatchPanel';
+import RefinedBriefPanel from '../components/RefinedBriefPanel';
+import UsageMeter from '../components/UsageMeter';
+import PromptTweakBox from '../components/PromptTweakBox';
 import SeoHead from '../components/SeoHead';
 import { HelpIcon, HistoryIcon, MicIcon, StopIcon, TrashIcon, LightningIcon, ShuffleIcon, UploadBracketIcon } from '../components/IconComponents';
 import usePromptGenerator from '../hooks/usePromptGenerator';
 import useSpeechRecognition from '../hooks/useSpeechRecognition';
 import useHistory from '../hooks/useHistory';
+import useRateLimit from '../hooks/useRateLimit';
+import useBatchJob from '../hooks/useBatchJob';
+import useUsageMeter from '../hooks/useUsageMeter';
 import { STYLE_PRESETS } from '../config/styles';
 import { SEO_FAQ, SEO_PAGES } from '../config/seo';
 import { buildBreadcrumbSchema, buildFaqSchema, buildWebPageSchema, getBaseSchemas, getSchemaSiteUrl } from '../utils/schema';
@@ -139,9 +151,10 @@ export default function Home() {
   const [originalSize, setOriginalSize] = useState(0);
   const [compressedSize, setCompressedSize] = useState(0);
   const [showHistory, setShowHistory] = useState(false);
-  const [isJsonMode, setIsJsonMode] = useState(false);
-  const [isTestMode, setIsTestMode] = useState(false);
-  const [isVideoPrompt, setIsVideoPrompt] = useState(false);
+  const [promptMode, setPromptMode] = useState(PROMPT_MODES.DEFAULT);
+  const [variantCount, setVariantCount] = useState(1);
+  const [isRefineMode, setIsRefineMode] = useState(false);
+  const [refinementModel, setRefinementModel] = useState(REFINEMENT_MODEL_OPTIONS[0]);
   const [showStylePresets, setShowStylePresets] = useState(false);
   const imageObjectUrlRef = useRef(null);
   const ideaRef = useRef(null);
@@ -188,27 +201,55 @@ export default function Home() {
     clearHistory: clearHistoryEntries,
   } = useHistory();
 
+  const usageMeter = useUsageMeter();
+
   const {
     generatedPrompt,
     setGeneratedPrompt,
     showOutput,
     setShowOutput,
     isLoading,
+    isStreaming,
     error,
     setError,
+    errorRecovery,
+    retry,
     handleSubmit,
+    variants,
+    selectedVariantId,
+    pickVariant,
+    toggleVariantFavorite,
+    discardVariant,
+    clearVariants,
+    refinedBrief,
+    setRefinedBrief,
+    refinementModelUsed,
+    generateFromBrief,
+    discardRefinedBrief,
+    canRevise,
+    reviseOutput,
+    quota,
+    cooldownSeconds,
   } = usePromptGenerator({
     idea,
     directions,
     uploadedImage,
-    isJsonMode,
-    isTestMode,
-    isVideoPrompt,
+    mode: promptMode,
     activeStyles,
     stylePresets,
+    variantCount,
+    isRefineMode,
+    refinementModel,
     addHistoryEntry: addEntry,
+    toggleHistoryFavorite: toggleFavoriteEntry,
+    deleteHistoryEntry,
+    onUsage: usageMeter.recordUsage,
   });
 
+  // Surprise Me has its own rate limit bucket
+  const { cooldownSeconds: surpriseCooldown, recordResponse: recordSurpriseResponse } = useRateLimit();
+  const batchJob = useBatchJob();
+
   const { dictatingTarget, toggleDictation } = useSpeechRecognition({
     onIdeaAppend: (text) => setIdea((v) => (v ? `${v} ` : '') + text),
     onDirectionsAppend: (text) => setDirections((v) => (v ? `${v} ` : '') + text),
@@ -299,16 +340,12 @@ export default function Home() {
     }
   }, [error, markCopied, setError]);
 
-  const handleCopyDefault = useCallback(() => {
-    copyText(generatedPrompt, COPY_TARGETS.DEFAULT);
-  }, [copyText, generatedPrompt]);
-
-  const handleCopyJson = useCallback(() => {
-    copyText(generatedPrompt, COPY_TARGETS.JSON);
-  }, [copyText, generatedPrompt]);
-
-  const handleCopyScene = useCallback(() => {
+  const handleCopy = useCallback((target) => {
     if (!generatedPrompt || error) return;
+    if (target !== COPY_TARGETS.SCENE) {
+      copyText(generatedPrompt, target);
+      return;
+    }
     let sceneText = generatedPrompt;
     try {
       const parsed = JSON.parse(generatedPrompt);
@@ -321,6 +358,19 @@ export default function Home() {
     copyText(sceneText, COPY_TARGETS.SCENE);
   }, [copyText, generatedPrompt, error]);
 
+  const handleCopyAs = useCallback((format) => {
+    if (!generatedPrompt || error) return;
+    let prompt = generatedPrompt;
+    if (getPromptModeDefinition(promptMode).output !== PROMPT_OUTPUT_KINDS.TEXT) {
+      try {
+        prompt = JSON.parse(generatedPrompt);
+      } catch (parseErr) {
+        logger.warn('Copy-as JSON parse failed:', parseErr);
+      }
+    }
+    copyText(formattedPromptToText(formatPrompt(prompt, format)), COPY_TARGETS.FORMATTED);
+  }, [copyText, generatedPrompt, error, promptMode]);
+
   const handleKeyDown = useCallback((e) => {
     if ((e.ctrlKey || e.metaKey) && e.key === 'Enter' && !isLoading) {
       e.preventDefault();
@@ -329,29 +379,19 @@ export default function Home() {
   }, [handleSubmit, isLoading]);
 
   const handleSurpriseMe = useCallback(async () => {
+    if (surpriseCooldown > 0) return;
     setIsSurpriseLoading(true);
     setError('');
     setShowOutput(false);
+    clearVariants();
+    discardRefinedBrief();
     setIdea('');
     setDirections('');
     setActiveStyles(new Set());
 
     try {
-      const response = await fetch('/api/surprise', {
-        method: 'POST',
-      });
-      const ct = response.headers.get('content-type') || '';
-      let data;
-      if (ct.includes('application/json')) {
-        data = await response.json();
-      } else {
-        const text = await response.text();
-        if (!response.ok) throw new Error(text || 'Failed to get a surprise prompt.');
-        data = { prompt: text };
-      }
-      if (!response.ok) {
-        throw new Error(data?.message || 'Failed to get a surprise prompt.');
-      }
+      const data = await promptApi.surprise({ onResponse: recordSurpriseResponse });
+      usageMeter.recordUsage(data.model, data.usage);
       const surprisePrompt = (data.prompt || '').toString();
       setGeneratedPrompt(surprisePrompt);
       setShowOutput(true);
@@ -364,7 +404,7 @@ export default function Home() {
       }
     } catch (err) {
       logger.error('Surprise Me error:', err);
-      setError(err.message || 'An unexpected error occurred.');
+      setError(getErrorMessage(err));
       setShowOutput(true);
     } finally {
       setIsSurpriseLoading(false);
@@ -373,7 +413,7 @@ export default function Home() {
     // addEntry is wrapped in useCallback in useHistory and is also stable.
     // setGeneratedPrompt, setShowOutput, setError come from useState in usePromptGenerator.
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [addEntry, setError, setGeneratedPrompt, setShowOutput]);
+  }, [addEntry, clearVariants, discardRefinedBrief, setError, setGeneratedPrompt, setShowOutput, surpriseCooldown, recordSurpriseResponse, usageMeter.recordUsage]);
 
   const handleClearAll = useCallback(() => {
     setIdea('');
@@ -382,9 +422,11 @@ export default function Home() {
     setGeneratedPrompt('');
     setError('');
     setShowOutput(false);
+    clearVariants();
+    discardRefinedBrief();
     handleImageRemove();
     ideaRef.current?.focus();
-  }, [handleImageRemove, setError, setGeneratedPrompt, setShowOutput]);
+  }, [clearVariants, discardRefinedBrief, handleImageRemove, setError, setGeneratedPrompt, setShowOutput]);
 
   const toggleFavorite = useCallback((id) => toggleFavoriteEntry(id), [toggleFavoriteEntry]);
 
@@ -603,62 +645,93 @@ export default function Home() {
                       <div className="neural-section">
                         <h2 className="neural-section-header">05 // CONFIG_FLAGS</h2>
                         <div className="neural-config">
-                          {/* Emily's JSON Mode */}
-                          <div className="neural-config-item">
-                            <div>
-                              <span className="neural-config-label">EMILY_JSON_MODE</span>
-                              <a href="https://x.com/IamEmily2050" target="_blank" rel="noopener noreferrer" className="block text-xs text-neural-dim hover:text-neural-accent mt-0.5">@IamEmily2050</a>
+                          {/* Prompt Modes (one active at a time; toggling off returns to the default mode) */}
+                          {PROMPT_MODE_LIST.filter((mode) => mode.id !== PROMPT_MODES.DEFAULT).map((mode) => (
+                            <div key={mode.id} className="neural-config-item">
+                              <div>
+                                <span className="neural-config-label">{mode.label}</span>
+                                {mode.credit ? (
+                                  <a href={mode.credit.href} target="_blank" rel="noopener noreferrer" className="block text-xs text-neural-dim hover:text-neural-accent mt-0.5">{mode.credit.label}</a>
+                                ) : (
+                                  <span className="block text-xs text-neural-dim mt-0.5">{mode.description}</span>
+                                )}
+                              </div>
+                              <button
+                                type="button"
+                                role="switch"
+                                aria-checked={promptMode === mode.id}
+                                onClick={() => setPromptMode((current) => (current === mode.id ? PROMPT_MODES.DEFAULT : mode.id))}
+                                className="neural-toggle"
+                                data-checked={promptMode === mode.id}
+                                aria-label={`Toggle ${mode.label} mode`}
+                              >
+                                <span className="neural-toggle-thumb" />
+                              </button>
                             </div>
-                            <button
-                              type="button"
-                              role="switch"
-                              aria-checked={isJsonMode}
-                              onClick={() => setIsJsonMode((v) => !v)}
-                              className="neural-toggle"
-                              data-checked={isJsonMode}
-                              aria-label="Toggle Emily&apos;s JSON Mode"
-                            >
-                              <span className="neural-toggle-thumb" />
-                            </button>
-                          </div>
+                          ))}
 
-                          {/* Test Mode */}
+                          {/* Variant Count */}
                           <div className="neural-config-item">
                             <div>
-                              <span className="neural-config-label">TEST_ELYSIAN</span>
-                              <span className="block text-xs text-neural-dim mt-0.5">Elysian Visions</span>
+                              <span className="neural-config-label">VARIANTS</span>
+                              <span className="block text-xs text-neural-dim mt-0.5">Compare side by side</span>
                             </div>
-                            <button
-                              type="button"
-                              role="switch"
-                              aria-checked={isTestMode}
-                              onClick={() => setIsTestMode((v) => !v)}
-                              className="neural-toggle"
-                              data-checked={isTestMode}
-                              aria-label="Toggle Test Mode"
+                            <select
+                              value={variantCount}
+                              onChange={(e) => setVariantCount(Number(e.target.value))}
+                              className="neural-select w-20 py-1"
+                              aria-label="Number of variants to generate"
+                              disabled={isLoading}
                             >
-                              <span className="neural-toggle-thumb" />
-                            </button>
+                              {Array.from({ length: VARIANT_CONFIG.MAX - VARIANT_CONFIG.MIN + 1 }, (_, i) => VARIANT_CONFIG.MIN + i).map((count) => (
+                                <option key={count} value={count}>
+                                  {count}
+                                </option>
+                              ))}
+                            </select>
                           </div>
 
-                          {/* Video Prompt */}
+                          {/* Refinement Review */}
                           <div className="neural-config-item">
                             <div>
-                              <span className="neural-config-label">VIDEO_SEQ</span>
-                              <span className="block text-xs text-neural-dim mt-0.5">Text-to-video</span>
+                              <span className="neural-config-label">REFINE_REVIEW</span>
+                              <span className="block text-xs text-neural-dim mt-0.5">Edit the brief first</span>
                             </div>
                             <button
                               type="button"
                               role="switch"
-                              aria-checked={isVideoPrompt}
-                              onClick={() => setIsVideoPrompt((v) => !v)}
+                              aria-checked={isRefineMode}
+                              onClick={() => setIsRefineMode((v) => !v)}
                               className="neural-toggle"
-                              data-checked={isVideoPrompt}
-                              aria-label="Toggle Video Prompt Mode"
+                              data-checked={isRefineMode}
+                              aria-label="Toggle refinement review"
                             >
                               <span className="neural-toggle-thumb" />
                             </button>
                           </div>
+
+                          {/* Refinement Model */}
+                          {isRefineMode && (
+                            <div className="neural-config-item">
+                              <div>
+                                <span className="neural-config-label">REFINE_MODEL</span>
+                                <span className="block text-xs text-neural-dim mt-0.5">Writes the brief</span>
+                              </div>
+                              <select
+                                value={refinementModel}
+                                onChange={(e) => setRefinementModel(e.target.value)}
+                                className="neural-select w-40 py-1"
+                                aria-label="Refinement model"
+                                disabled={isLoading}
+                              >
+                                {REFINEMENT_MODEL_OPTIONS.map((model) => (
+                                  <option key={model} value={model}>
+                                    {model}
+                                  </option>
+                                ))}
+                              </select>
+                            </div>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -679,12 +752,14 @@ export default function Home() {
                       <button
                         type="button"
                         onClick={handleSurpriseMe}
-                        disabled={isLoading || isSurpriseLoading}
+                        disabled={isLoading || isSurpriseLoading || surpriseCooldown > 0}
                         aria-busy={isSurpriseLoading}
                         className={`neural-btn flex-1 sm:flex-none ${isSurpriseLoading ? 'loading' : ''}`}
                       >
                         {isSurpriseLoading ? (
                           <div className="loading-spinner" />
+                        ) : surpriseCooldown > 0 ? (
+                          <span aria-live="polite">COOLDOWN_{surpriseCooldown}s</span>
                         ) : (
                           <>
                             <ShuffleIcon className="w-4 h-4" />
@@ -693,42 +768,85 @@ export default function Home() {
                         )}
                       </button>
                     </div>
-                    <button
-                      type="submit"
-                      disabled={isLoading || isSurpriseLoading || (!idea.trim() && !uploadedImage)}
-                      aria-busy={isLoading}
-                      className={`neural-btn-primary ${isLoading ? 'loading' : ''}`}
-                    >
-                      {isLoading ? (
-                        <div className="loading-spinner" />
-                      ) : (
-                        <>
-                          <LightningIcon className="w-5 h-5" />
-                          EXECUTE
-                        </>
+                    <div className="flex flex-col items-stretch sm:items-end gap-1">
+                      <button
+                        type="submit"
+                        disabled={isLoading || isSurpriseLoading || cooldownSeconds > 0 || (!idea.trim() && !uploadedImage)}
+                        aria-busy={isLoading}
+                        className={`neural-btn-primary ${isLoading ? 'loading' : ''}`}
+                      >
+                        {isLoading ? (
+                          <div className="loading-spinner" />
+                        ) : cooldownSeconds > 0 ? (
+                          <span aria-live="polite">COOLDOWN_{cooldownSeconds}s</span>
+                        ) : (
+                          <>
+                            <LightningIcon className="w-5 h-5" />
+                            EXECUTE
+                          </>
+                        )}
+                      </button>
+                      {quota && (
+                        <span className="text-xs font-mono uppercase tracking-wider text-neural-dim text-center sm:text-right">
+                          QUOTA: {quota.remaining}/{quota.limit}
+                        </span>
                       )}
-                    </button>
+                      <UsageMeter session={usageMeter.session} budget={usageMeter.budget} />
+                    </div>
                   </div>
                 </form>
 
+                <RefinedBriefPanel
+                  refinedBrief={refinedBrief}
+                  refinementModel={refinementModelUsed}
+                  isLoading={isLoading}
+                  onChange={setRefinedBrief}
+                  onGenerate={generateFromBrief}
+                  onDiscard={discardRefinedBrief}
+                />
+
                 {/* Output Section */}
                 <OutputDisplay
                   ref={outputRef}
                   showOutput={showOutput}
                   generatedPrompt={generatedPrompt}
                   error={error}
-                  isJsonMode={isJsonMode}
+                  isStreaming={isStreaming}
+                  outputKind={getPromptModeDefinition(promptMode).output}
+                  copyTargets={getPromptModeDefinition(promptMode).copyTargets}
                   copiedType={copiedType}
-                  onCopyDefault={handleCopyDefault}
-                  onCopyJson={handleCopyJson}
-                  onCopyScene={handleCopyScene}
+                  onCopy={handleCopy}
+                  onCopyAs={handleCopyAs}
+                  onRetry={errorRecovery === 'retry' && !isLoading ? retry : undefined}
                 />
 
+                {showOutput && canRevise && !error && !isStreaming && (
+                  <PromptTweakBox isLoading={isLoading} onRevise={reviseOutput} />
+                )}
+
+                <VariantsDisplay
+                  variants={variants}
+                  selectedVariantId={selectedVariantId}
+                  onPick={pickVariant}
+                  onToggleFav={toggleVariantFavorite}
+                  onDiscard={discardVariant}
+                />
+
+                <section className="mt-10" aria-label="Batch generation">
+                  <details className="neural-section group">
+                    <summary className="neural-section-header cursor-pointer list-none flex items-center justify-between">
+                      <span id="batch">06 // BATCH_JOBS</span>
+                      <span className="text-neural-accent text-xs ml-2 group-open:rotate-180 transition-transform">▼</span>
+                    </summary>
+                    <BatchPanel mode={promptMode} {...batchJob} />
+                  </details>
+                </section>
+
                 {/* SEO-friendly content sections - collapsed by default */}
                 <section className="mt-10 space-y-4" aria-label="About and frequently asked questions">
                   <details className="neural-section group">
                     <summary className="neural-section-header cursor-pointer list-none flex items-center justify-between">
-                      <span id="about">06 // ABOUT_THIS_TOOL</span>
+                      <span id="about">07 // ABOUT_THIS_TOOL</span>
                       <span className="text-neural-accent text-xs ml-2 group-open:rotate-180 transition-transform">▼</span>
                     </summary>
                     <div className="space-y-3 text-sm leading-relaxed text-neural-muted mt-4">
@@ -751,7 +869,7 @@ export default function Home() {
 
                   <details className="neural-section group">
                     <summary className="neural-section-header cursor-pointer list-none flex items-center justify-between">
-                      <span id="faq">07 // FAQ</span>
+                      <span id="faq">08 // FAQ</span>
                       <span className="text-neural-accent text-xs ml-2 group-open:rotate-180 transition-transform">▼</span>
                     </summary>
                     <div className="space-y-2 mt-4">
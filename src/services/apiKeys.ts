@@ -0,0 +1,208 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { ERROR_CODES, type RateLimitRule } from '../config/constants';
+import { readEnv } from '../config/env';
+import { sendApiError } from '../utils/apiErrors';
+import logger from './serverLogger';
+
+/**
+ * API keys for the public /api/v1 endpoints.
+ * Only SHA-256 hashes of the keys are stored, either in the `API_KEYS`
+ * environment variable (a JSON array, for hosts without a writable disk) or
+ * in the JSON file at `API_KEYS_FILE` (default `.data/api-keys.json`).
+ * The store is read on every request so keys can be added or revoked without
+ * a restart. Create keys with `npm run api-key -- --name <name>` (src/cli/apiKeyCli.ts).
+ */
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export interface ApiKeyRecord {
+  /** Stable id, used as the rate limit key and in logs */
+  id: string;
+  /** Who or what the key belongs to */
+  name: string;
+  /** Hex SHA-256 of the key */
+  hash: string;
+  /** Quota replacing RATE_LIMIT_BUCKETS.API for this key */
+  quota?: RateLimitRule;
+  /** Daily usage budget in USD replacing USAGE_DAILY_BUDGET for this key */
+  dailyBudget?: number;
+  /** Revoked keys stay in the store but are rejected */
+  disabled?: boolean;
+  createdAt?: string;
+}
+
+/** Prefix of generated keys, so leaked keys are easy to recognize */
+export const API_KEY_PREFIX = 'pgk_';
+
+const SHA256_HEX = /^[0-9a-f]{64}$/;
+
+// ============================================================================
+// Hashing
+// ============================================================================
+
+export const hashApiKey = (key: string): string => createHash('sha256').update(key).digest('hex');
+
+/** Limits a key can be created with */
+export type ApiKeyLimits = Pick<ApiKeyRecord, 'quota' | 'dailyBudget'>;
+
+/**
+ * Generates a new key and the record to store for it. The key itself is only
+ * returned here; the store keeps its hash.
+ */
+export const createApiKey = (
+  name: string,
+  { quota, dailyBudget }: ApiKeyLimits = {}
+): { key: string; record: ApiKeyRecord } => {
+  const key = `${API_KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+  return {
+    key,
+    record: {
+      id: randomBytes(6).toString('hex'),
+      name,
+      hash: hashApiKey(key),
+      ...(quota ? { quota } : {}),
+      ...(dailyBudget ? { dailyBudget } : {}),
+      createdAt: new Date().toISOString(),
+    },
+  };
+};
+
+/**
+ * Looks up the record for a key, comparing hashes in constant time.
+ */
+export const findApiKey = (records: ApiKeyRecord[], key: string): ApiKeyRecord | null => {
+  const hash = Buffer.from(hashApiKey(key), 'hex');
+  return records.find((record) => timingSafeEqual(Buffer.from(record.hash, 'hex'), hash)) ?? null;
+};
+
+// ============================================================================
+// Store
+// ============================================================================
+
+const isPositiveInteger = (value: unknown): boolean => Number.isInteger(value) && (value as number) > 0;
+
+const isValidQuota = (quota: unknown): quota is RateLimitRule => {
+  const { points, duration } = (quota ?? {}) as Partial<RateLimitRule>;
+  return isPositiveInteger(points) && isPositiveInteger(duration);
+};
+
+/**
+ * Validates the stored key list.
+ * @throws Error if it is not an array of well-formed key records
+ */
+export const parseApiKeyRecords = (value: unknown): ApiKeyRecord[] => {
+  if (!Array.isArray(value)) throw new Error('API key store must be a JSON array');
+  return value.map((entry, index) => {
+    const record = entry as Partial<ApiKeyRecord>;
+    if (!record || typeof record.id !== 'string' || !record.id) {
+      throw new Error(`API key #${index} has no id`);
+    }
+    if (typeof record.hash !== 'string' || !SHA256_HEX.test(record.hash)) {
+      throw new Error(`API key "${record.id}" must have a hex SHA-256 hash`);
+    }
+    if (record.quota !== undefined && !isValidQuota(record.quota)) {
+      throw new Error(`API key "${record.id}" has an invalid quota`);
+    }
+    if (record.dailyBudget !== undefined && !(Number.isFinite(record.dailyBudget) && record.dailyBudget > 0)) {
+      throw new Error(`API key "${record.id}" has an invalid daily budget`);
+    }
+    return { ...record, name: typeof record.name === 'string' ? record.name : record.id } as ApiKeyRecord;
+  });
+};
+
+export const getApiKeysFilePath = (): string => path.resolve(readEnv('API_KEYS_FILE'));
+
+/**
+ * Reads the configured key store. Returns an empty list when no store exists.
+ * @throws Error if the store is not valid JSON or holds malformed records
+ */
+export const loadApiKeys = async (): Promise<ApiKeyRecord[]> => {
+  const inlineRecords = readEnv('API_KEYS');
+  if (inlineRecords) return parseApiKeyRecords(inlineRecords);
+
+  let raw: string;
+  try {
+    raw = await fs.readFile(getApiKeysFilePath(), 'utf8');
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+    throw error;
+  }
+  return parseApiKeyRecords(JSON.parse(raw));
+};
+
+/**
+ * Appends a record to the key file (created if missing, readable by its owner
+ * only) and returns the file's path. Keys set in API_KEYS are not touched.
+ * @throws Error if the existing file holds malformed records
+ */
+export const saveApiKey = async (record: ApiKeyRecord): Promise<string> => {
+  const filePath = getApiKeysFilePath();
+  let records: ApiKeyRecord[] = [];
+  try {
+    records = parseApiKeyRecords(JSON.parse(await fs.readFile(filePath, 'utf8')));
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== 'ENOENT') throw error;
+  }
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, `${JSON.stringify([...records, parseApiKeyRecords([record])[0]], null, 2)}\n`, {
+    mode: 0o600,
+  });
+  return filePath;
+};
+
+// ============================================================================
+// Request Authentication
+// ============================================================================
+
+/**
+ * Reads the key from `Authorization: Bearer <key>` or `X-API-Key`.
+ */
+export const readRequestApiKey = (req: NextApiRequest): string | null => {
+  const authorization = req.headers.authorization;
+  if (authorization) {
+    const match = /^Bearer\s+(\S+)$/i.exec(authorization.trim());
+    return match ? match[1] : null;
+  }
+  const header = req.headers['x-api-key'];
+  const key = Array.isArray(header) ? header[0] : header;
+  return key?.trim() || null;
+};
+
+/**
+ * Authenticates a /api/v1 request. Sends a 401 for a missing, unknown or
+ * disabled key (or a 500 when the store is broken) and returns null, in
+ * which case the handler should stop.
+ */
+export const authenticateApiKey = async (req: NextApiRequest, res: NextApiResponse): Promise<ApiKeyRecord | null> => {
+  const key = readRequestApiKey(req);
+  if (!key) {
+    sendApiError(res, ERROR_CODES.UNAUTHORIZED, 'Missing API key. Send it as "Authorization: Bearer <key>".');
+    return null;
+  }
+
+  let records: ApiKeyRecord[];
+  try {
+    records = await loadApiKeys();
+  } catch (error) {
+    logger.error('API key store could not be read:', error);
+    sendApiError(
+      res,
+      ERROR_CODES.SERVER_MISCONFIGURED,
+      'API keys are not configured correctly. Please contact the administrator.'
+    );
+    return null;
+  }
+
+  const record = findApiKey(records, key);
+  if (!record || record.disabled) {
+    if (records.length === 0) logger.warn('API request rejected: no API keys are configured');
+    sendApiError(res, ERROR_CODES.UNAUTHORIZED, 'Invalid API key.');
+    return null;
+  }
+  return record;
+};
@@ -0,0 +1,541 @@
+import { randomUUID } from 'crypto';
+import he from 'he';
+import { RateLimiterRes } from 'rate-limiter-flexible';
+import {
+  BATCH_CONFIG,
+  BATCH_FORMATS,
+  BATCH_JOB_STATUSES,
+  BATCH_ROW_STATUSES,
+  ERROR_CODES,
+  INPUT_LIMITS,
+  PROMPT_MODES,
+  RATE_LIMIT_COSTS,
+  USAGE_BUDGET_MODES,
+  type BatchFormat,
+  type BatchJobStatus,
+  type BatchRowStatus,
+  type ErrorCode,
+  type PromptMode,
+} from '../config/constants';
+import { PROMPT_MODE_LIST, PROMPT_MODE_REGISTRY, isPromptMode, type GeneratedPrompt } from '../config/promptModes';
+import { parseCsv, toCsv } from '../utils/csv';
+import logger from './serverLogger';
+import type { BatchJobResponse, BatchJobSummary } from '../utils/promptApiClient';
+import { resolveProviderApiKey } from './openRouterService';
+import { generatePrompts } from './promptPipeline';
+import { getRateLimiter } from './rateLimit';
+import { budgetExceededMessage, readUsageBudget, trackUsage } from './usageLedger';
+
+/**
+ * Batch generation jobs: a CSV or JSONL file of idea/directions/mode rows is
+ * parsed into a job and its rows are generated in the background.
+ *
+ * Every row consumes RATE_LIMIT_COSTS.BASE from the uploader's GENERATE
+ * bucket, so a batch shares the quota of interactive use; when the bucket is
+ * exhausted the job waits for the window to reset instead of failing rows.
+ * Rows are charged to the uploader's usage ledger too; once a blocking daily
+ * budget is spent the remaining rows fail.
+ * Jobs live in server memory, so they need a long-running server and are
+ * lost on restart.
+ */
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export interface BatchRow {
+  /** 1-based position among the file's rows */
+  row: number;
+  idea: string;
+  directions: string;
+  /** As given in the file; only valid modes reach generation */
+  mode: string;
+  status: BatchRowStatus;
+  prompt: GeneratedPrompt | null;
+  model: string | null;
+  error: { code: ErrorCode; message: string } | null;
+}
+
+export interface BatchJob {
+  id: string;
+  /** Rate limit key of the uploader; rows are counted against it */
+  clientKey: string;
+  filename: string | null;
+  status: BatchJobStatus;
+  rows: BatchRow[];
+  createdAt: number;
+  startedAt: number | null;
+  finishedAt: number | null;
+  /** Set while rows wait for the uploader's quota to reset */
+  waitingUntil: number | null;
+}
+
+/** Outcome of generating one row */
+export type BatchRowOutcome =
+  | { ok: true; prompt: GeneratedPrompt; model: string }
+  | { ok: false; code: ErrorCode; message: string };
+
+export interface BatchQueueDeps {
+  /** Generates one row on behalf of the uploading client */
+  generateRow: (row: BatchRow & { mode: PromptMode }, clientKey: string) => Promise<BatchRowOutcome>;
+  /**
+   * Takes one row's points from the client's quota. Resolves with 0 when
+   * taken, or with the milliseconds until the quota resets.
+   */
+  consumeQuota: (clientKey: string) => Promise<number>;
+  sleep?: (ms: number) => Promise<void>;
+  now?: () => number;
+}
+
+export type BatchQueueLimits = Record<
+  'ROW_CONCURRENCY' | 'MAX_RUNNING_JOBS' | 'MAX_ACTIVE_JOBS_PER_CLIENT' | 'RESULT_TTL',
+  number
+>;
+
+export interface BatchQueue {
+  /**
+   * Adds a job for parsed rows and starts it when a slot is free.
+   * @throws BatchLimitError if the client already has too many unfinished jobs
+   */
+  submit: (input: { clientKey: string; filename: string | null; rows: BatchRow[] }) => BatchJob;
+  get: (id: string) => BatchJob | null;
+  /**
+   * Cancels pending rows; rows already generating still finish. Only the
+   * client that submitted the job may cancel it: for anyone else it is null.
+   */
+  cancel: (id: string, clientKey: string) => BatchJob | null;
+  /** Jobs ahead of a queued job (null once it has started) */
+  queuePosition: (id: string) => number | null;
+  /** Resolves once the job has finished */
+  settled: (id: string) => Promise<void>;
+}
+
+/** The uploaded file cannot be turned into a job */
+export class BatchFileError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'BatchFileError';
+  }
+}
+
+/** The client already has BATCH_CONFIG.MAX_ACTIVE_JOBS_PER_CLIENT unfinished jobs */
+export class BatchLimitError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'BatchLimitError';
+  }
+}
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+type RawRow = { idea?: unknown; directions?: unknown; mode?: unknown };
+
+const EXTENSION_FORMATS: Record<string, BatchFormat> = {
+  csv: BATCH_FORMATS.CSV,
+  jsonl: BATCH_FORMATS.JSONL,
+  ndjson: BATCH_FORMATS.JSONL,
+};
+
+export const isBatchFormat = (value: unknown): value is BatchFormat =>
+  Object.values(BATCH_FORMATS).includes(value as BatchFormat);
+
+/**
+ * Picks the file format from the file name's extension, falling back to the
+ * content: JSONL files start with an object.
+ */
+export const detectBatchFormat = (content: string, filename?: string | null): BatchFormat => {
+  const extension = filename?.split('.').pop()?.toLowerCase();
+  if (extension && EXTENSION_FORMATS[extension]) return EXTENSION_FORMATS[extension];
+  return content.trimStart().startsWith('{') ? BATCH_FORMATS.JSONL : BATCH_FORMATS.CSV;
+};
+
+/**
+ * Reads CSV rows by header name (case-insensitive). Only `idea` is required.
+ * @throws BatchFileError if the CSV is malformed or has no idea column
+ */
+const readCsvRows = (content: string): Array<RawRow | null> => {
+  let records: string[][];
+  try {
+    records = parseCsv(content);
+  } catch (error) {
+    throw new BatchFileError(`The CSV file is malformed: ${(error as Error).message}.`);
+  }
+  if (records.length === 0) return [];
+
+  const header = records[0].map((name) => name.trim().toLowerCase());
+  const column = (name: string) => header.indexOf(name);
+  const [idea, directions, mode] = [column('idea'), column('directions'), column('mode')];
+  if (idea === -1) throw new BatchFileError('The CSV header must have an "idea" column.');
+
+  return records.slice(1).map((fields) => ({
+    idea: fields[idea],
+    directions: directions === -1 ? undefined : fields[directions],
+    mode: mode === -1 ? undefined : fields[mode],
+  }));
+};
+
+/**
+ * Reads one JSON object per non-blank line. Lines that are not objects are
+ * returned as null so they fail on their own instead of failing the file.
+ */
+const readJsonlRows = (content: string): Array<RawRow | null> =>
+  content
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== '')
+    .map((line) => {
+      try {
+        const value = JSON.parse(line);
+        return value && typeof value === 'object' && !Array.isArray(value) ? (value as RawRow) : null;
+      } catch {
+        return null;
+      }
+    });
+
+/**
+ * Validates one row the same way /api/generate validates a request. Invalid
+ * rows are kept as failed rows so the results line up with the file.
+ */
+const toBatchRow = (raw: RawRow | null, index: number, defaultMode: PromptMode): BatchRow => {
+  const text = (value: unknown) => (typeof value === 'string' ? value.trim() : '');
+  const row: BatchRow = {
+    row: index + 1,
+    idea: text(raw?.idea),
+    directions: text(raw?.directions),
+    mode: text(raw?.mode) || defaultMode,
+    status: BATCH_ROW_STATUSES.PENDING,
+    prompt: null,
+    model: null,
+    error: null,
+  };
+  const fail = (code: ErrorCode, message: string): BatchRow => ({
+    ...row,
+    status: BATCH_ROW_STATUSES.FAILED,
+    error: { code, message },
+  });
+
+  if (raw === null) return fail(ERROR_CODES.INVALID_REQUEST, 'Line is not a JSON object.');
+  if (!row.idea) return fail(ERROR_CODES.INVALID_REQUEST, 'Row has no idea.');
+  if (row.idea.length > INPUT_LIMITS.IDEA_MAX_LENGTH) {
+    return fail(ERROR_CODES.INPUT_TOO_LONG, `Idea must be under ${INPUT_LIMITS.IDEA_MAX_LENGTH} characters.`);
+  }
+  if (row.directions.length > INPUT_LIMITS.DIRECTIONS_MAX_LENGTH) {
+    return fail(
+      ERROR_CODES.INPUT_TOO_LONG,
+      `Directions must be under ${INPUT_LIMITS.DIRECTIONS_MAX_LENGTH} characters.`
+    );
+  }
+  if (!isPromptMode(row.mode)) {
+    return fail(
+      ERROR_CODES.INVALID_REQUEST,
+      `"mode" must be one of: ${PROMPT_MODE_LIST.map((mode) => mode.id).join(', ')}.`
+    );
+  }
+  return row;
+};
+
+/**
+ * Parses an uploaded file into job rows. `defaultMode` applies to rows that
+ * do not name a mode.
+ * @throws BatchFileError if the file is malformed, empty or has too many rows
+ */
+export const parseBatchFile = (
+  content: string,
+  format: BatchFormat,
+  defaultMode: PromptMode = PROMPT_MODES.DEFAULT
+): BatchRow[] => {
+  const rawRows = format === BATCH_FORMATS.CSV ? readCsvRows(content) : readJsonlRows(content);
+  if (rawRows.length === 0) throw new BatchFileError('The file has no rows.');
+  if (rawRows.length > BATCH_CONFIG.MAX_ROWS) {
+    throw new BatchFileError(`A batch can have at most ${BATCH_CONFIG.MAX_ROWS} rows (got ${rawRows.length}).`);
+  }
+  return rawRows.map((raw, index) => toBatchRow(raw, index, defaultMode));
+};
+
+// ============================================================================
+// Job Queue
+// ============================================================================
+
+const isFinished = (job: BatchJob) =>
+  job.status === BATCH_JOB_STATUSES.COMPLETED || job.status === BATCH_JOB_STATUSES.CANCELLED;
+
+/**
+ * Creates a job queue. At most `MAX_RUNNING_JOBS` jobs run at once, each
+ * generating `ROW_CONCURRENCY` rows at a time; later jobs wait in line.
+ * Finished jobs are dropped `RESULT_TTL` after they finish.
+ */
+export const createBatchQueue = (
+  { generateRow, consumeQuota, sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)), now = Date.now }: BatchQueueDeps,
+  limits: BatchQueueLimits = BATCH_CONFIG
+): BatchQueue => {
+  const jobs = new Map<string, BatchJob>();
+  const waiting: BatchJob[] = [];
+  const runs = new Map<string, Promise<void>>();
+  let running = 0;
+
+  const sweep = () => {
+    const cutoff = now() - limits.RESULT_TTL;
+    jobs.forEach((job, id) => {
+      if (job.finishedAt !== null && job.finishedAt <= cutoff) {
+        jobs.delete(id);
+        runs.delete(id);
+      }
+    });
+  };
+
+  /** Waits until the client's quota has room for a row; false if the job stopped meanwhile */
+  const waitForQuota = async (job: BatchJob): Promise<boolean> => {
+    for (;;) {
+      if (job.status !== BATCH_JOB_STATUSES.RUNNING) return false;
+      const waitMs = await consumeQuota(job.clientKey);
+      if (waitMs <= 0) {
+        job.waitingUntil = null;
+        return true;
+      }
+      job.waitingUntil = now() + waitMs;
+      await sleep(waitMs);
+    }
+  };
+
+  const processRow = async (job: BatchJob, row: BatchRow) => {
+    try {
+      if (!(await waitForQuota(job))) return;
+    } catch (error) {
+      logger.error('Batch rate limiter failed:', error);
+      row.status = BATCH_ROW_STATUSES.FAILED;
+      row.error = { code: ERROR_CODES.SERVER_MISCONFIGURED, message: 'Rate limiting is not configured correctly.' };
+      return;
+    }
+
+    row.status = BATCH_ROW_STATUSES.RUNNING;
+    let outcome: BatchRowOutcome;
+    try {
+      outcome = await generateRow(row as BatchRow & { mode: PromptMode }, job.clientKey);
+    } catch (error) {
+      logger.error(`Batch job ${job.id} row ${row.row} failed:`, error);
+      outcome = { ok: false, code: ERROR_CODES.INTERNAL_ERROR, message: 'An unexpected error occurred.' };
+    }
+
+    if (outcome.ok) {
+      row.status = BATCH_ROW_STATUSES.SUCCEEDED;
+      row.prompt = outcome.prompt;
+      row.model = outcome.model;
+    } else {
+      row.status = BATCH_ROW_STATUSES.FAILED;
+      row.error = { code: outcome.code, message: outcome.message };
+    }
+  };
+
+  const runJob = async (job: BatchJob) => {
+    job.status = BATCH_JOB_STATUSES.RUNNING;
+    job.startedAt = now();
+
+    const pending = job.rows.filter((row) => row.status === BATCH_ROW_STATUSES.PENDING);
+    let next = 0;
+    const worker = async () => {
+      while (job.status === BATCH_JOB_STATUSES.RUNNING && next < pending.length) {
+        await processRow(job, pending[next++]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(limits.ROW_CONCURRENCY, pending.length) }, worker));
+
+    if (job.status === BATCH_JOB_STATUSES.RUNNING) job.status = BATCH_JOB_STATUSES.COMPLETED;
+    job.finishedAt = job.finishedAt ?? now();
+    job.waitingUntil = null;
+  };
+
+  const startNext = () => {
+    while (running < limits.MAX_RUNNING_JOBS && waiting.length > 0) {
+      const job = waiting.shift() as BatchJob;
+      running++;
+      runs.set(
+        job.id,
+        runJob(job).finally(() => {
+          running--;
+          startNext();
+        })
+      );
+    }
+  };
+
+  return {
+    submit: ({ clientKey, filename, rows }) => {
+      sweep();
+      const active = Array.from(jobs.values()).filter((job) => job.clientKey === clientKey && !isFinished(job));
+      if (active.length >= limits.MAX_ACTIVE_JOBS_PER_CLIENT) {
+        throw new BatchLimitError('A batch job is already running. Wait for it to finish or cancel it first.');
+      }
+
+      const job: BatchJob = {
+        id: randomUUID(),
+        clientKey,
+        filename,
+        status: BATCH_JOB_STATUSES.QUEUED,
+        rows,
+        createdAt: now(),
+        startedAt: null,
+        finishedAt: null,
+        waitingUntil: null,
+      };
+      jobs.set(job.id, job);
+      waiting.push(job);
+      startNext();
+      return job;
+    },
+
+    get: (id) => {
+      sweep();
+      return jobs.get(id) ?? null;
+    },
+
+    cancel: (id, clientKey) => {
+      const job = jobs.get(id);
+      if (!job || job.clientKey !== clientKey) return null;
+      if (isFinished(job)) return job;
+
+      const queuedAt = waiting.indexOf(job);
+      if (queuedAt !== -1) waiting.splice(queuedAt, 1);
+      job.rows.forEach((row) => {
+        if (row.status === BATCH_ROW_STATUSES.PENDING) row.status = BATCH_ROW_STATUSES.CANCELLED;
+      });
+      job.status = BATCH_JOB_STATUSES.CANCELLED;
+      job.finishedAt = now();
+      job.waitingUntil = null;
+      return job;
+    },
+
+    queuePosition: (id) => {
+      const index = waiting.findIndex((job) => job.id === id);
+      return index === -1 ? null : index;
+    },
+
+    settled: async (id) => {
+      await runs.get(id);
+    },
+  };
+};
+
+/**
+ * Generates a row through the shared pipeline, counting it against the
+ * uploader's GENERATE bucket and daily budget.
+ */
+export const createDefaultBatchDeps = (): BatchQueueDeps => ({
+  generateRow: async (row, clientKey) => {
+    const apiKey = resolveProviderApiKey();
+    if (apiKey === null) {
+      return { ok: false, code: ERROR_CODES.SERVER_MISCONFIGURED, message: 'API key is not configured.' };
+    }
+    const budget = await readUsageBudget({ key: clientKey }).catch((error) => {
+      logger.error('Usage ledger failed, skipping the budget check:', error);
+      return null;
+    });
+    if (budget?.exceeded && budget.mode === USAGE_BUDGET_MODES.BLOCK) {
+      return { ok: false, code: ERROR_CODES.BUDGET_EXCEEDED, message: budgetExceededMessage(budget) };
+    }
+
+    const result = await trackUsage({ key: clientKey }, () =>
+      generatePrompts(apiKey, {
+        // HTML encode to prevent XSS
+        idea: he.encode(row.idea),
+        directions: he.encode(row.directions),
+        mode: PROMPT_MODE_REGISTRY[row.mode],
+        image: null,
+        refine: false,
+        variants: 1,
+        title: 'Prompt Generator - Batch',
+      })
+    );
+    if (!result.ok) return { ok: false, code: result.code, message: result.message };
+    return { ok: true, prompt: result.prompts[0].prompt, model: result.prompts[0].model };
+  },
+
+  consumeQuota: async (clientKey) => {
+    try {
+      await getRateLimiter().consume('GENERATE', clientKey, RATE_LIMIT_COSTS.BASE);
+      return 0;
+    } catch (rejection) {
+      if (!(rejection instanceof RateLimiterRes)) throw rejection;
+      return Math.max(1000, rejection.msBeforeNext);
+    }
+  },
+});
+
+declare global {
+  // eslint-disable-next-line no-var
+  var __pgBatchQueue: BatchQueue | undefined;
+}
+
+/**
+ * Returns the process-wide job queue, created on first use. Kept on `global`
+ * so Next.js hot reloads in development do not drop running jobs.
+ */
+export const getBatchQueue = (): BatchQueue => {
+  if (!global.__pgBatchQueue) global.__pgBatchQueue = createBatchQueue(createDefaultBatchDeps());
+  return global.__pgBatchQueue;
+};
+
+// ============================================================================
+// Results Export
+// ============================================================================
+
+const toIsoString = (timestamp: number | null) => (timestamp === null ? null : new Date(timestamp).toISOString());
+
+/**
+ * Builds the API view of a job: its progress and the status of every row.
+ */
+export const toBatchJobResponse = (job: BatchJob, queuePosition: number | null, now = Date.now()): BatchJobResponse => {
+  const counts = Object.fromEntries(Object.values(BATCH_ROW_STATUSES).map((status) => [status, 0])) as Record<
+    BatchRowStatus,
+    number
+  >;
+  job.rows.forEach((row) => {
+    counts[row.status] += 1;
+  });
+
+  const summary: BatchJobSummary = {
+    id: job.id,
+    status: job.status,
+    filename: job.filename,
+    counts: { ...counts, total: job.rows.length },
+    queuePosition,
+    waitingSeconds: job.waitingUntil === null ? null : Math.max(1, Math.ceil((job.waitingUntil - now) / 1000)),
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: toIsoString(job.startedAt),
+    finishedAt: toIsoString(job.finishedAt),
+  };
+  return { job: summary, rows: job.rows.map(({ row, status, error }) => ({ row, status, error })) };
+};
+
+const promptToText = (prompt: GeneratedPrompt | null) =>
+  prompt === null ? '' : typeof prompt === 'string' ? prompt : JSON.stringify(prompt);
+
+/**
+ * Serializes a job's rows with their status and errors. Structured prompts
+ * are written as JSON text in CSV and as objects in JSONL.
+ */
+export const exportBatchResults = (job: BatchJob, format: BatchFormat): string => {
+  if (format === BATCH_FORMATS.JSONL) {
+    return job.rows
+      .map(({ row, idea, directions, mode, status, prompt, model, error }) =>
+        JSON.stringify({ row, idea, directions, mode, status, prompt, model, error })
+      )
+      .map((line) => `${line}\n`)
+      .join('');
+  }
+
+  return toCsv([
+    ['row', 'idea', 'directions', 'mode', 'status', 'prompt', 'model', 'error_code', 'error_message'],
+    ...job.rows.map((row) => [
+      String(row.row),
+      row.idea,
+      row.directions,
+      row.mode,
+      row.status,
+      promptToText(row.prompt),
+      row.model ?? '',
+      row.error?.code ?? '',
+      row.error?.message ?? '',
+    ]),
+  ]);
+};
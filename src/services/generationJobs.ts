@@ -0,0 +1,505 @@
+import { createHmac, randomUUID } from 'crypto';
+import { lookup } from 'dns/promises';
+import { isIP } from 'net';
+import { promises as fs } from 'fs';
+import path from 'path';
+import {
+  ERROR_CODES,
+  JOB_CONFIG,
+  JOB_STATUSES,
+  JOB_STORES,
+  WEBHOOK_STATUSES,
+  type JobStoreName,
+  type WebhookStatus,
+} from '../config/constants';
+import { readEnv, readRedisEnv } from '../config/env';
+import { buildApiError, type ApiErrorBody } from '../utils/apiErrors';
+import logger from './serverLogger';
+import type { GenerateResponse, GenerateVariantsResponse, JobResponse } from '../utils/promptApiClient';
+
+/**
+ * Async generation jobs: /api/generate with `async` answers right away with a
+ * job id, generates in the background and stores the outcome for
+ * GET /api/jobs/{id}. Job records live in the store selected by `JOB_STORE`:
+ * - `memory` (default): in the process, so only the instance that accepted
+ *   the job can report on it
+ * - `file`: one JSON file per job in `JOB_STORE_DIR`, shared by every process
+ *   on one host
+ * - `redis`: a Redis REST endpoint (Upstash or compatible), shared by every
+ *   instance
+ *
+ * The generation itself always runs in the instance that accepted the job. A
+ * job whose instance stopped before finishing is reported as failed once it
+ * has not been updated for JOB_CONFIG.STALE_AFTER.
+ */
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/** Stored job: the API view plus the webhook target, which is never returned */
+export interface JobRecord extends JobResponse {
+  webhookUrl: string | null;
+}
+
+export interface JobStore {
+  name: JobStoreName;
+  get: (id: string) => Promise<JobRecord | null>;
+  /** Saves a job, replacing the stored copy; it expires `ttlMs` after this write */
+  save: (job: JobRecord, ttlMs: number) => Promise<void>;
+}
+
+export type JobResult = GenerateResponse | GenerateVariantsResponse;
+
+/** What a job's task produced: the response body, or the error envelope */
+export type JobOutcome = { ok: true; result: JobResult } | { ok: false; error: ApiErrorBody };
+
+export type JobTask = () => Promise<JobOutcome>;
+
+export type WebhookDelivery = { status: WebhookStatus; attempts: number };
+
+export type JobQueueLimits = Record<'MAX_RUNNING' | 'MAX_QUEUED' | 'RESULT_TTL' | 'STALE_AFTER', number>;
+
+export interface JobQueue {
+  /**
+   * Stores a new job and runs `task` once a slot is free.
+   * @throws JobQueueFullError if JOB_CONFIG.MAX_QUEUED jobs are already waiting
+   */
+  submit: (task: JobTask, options?: { webhookUrl?: string | null }) => Promise<JobRecord>;
+  /** Reads a job; jobs abandoned by a stopped instance are reported as failed */
+  get: (id: string) => Promise<JobRecord | null>;
+  /** Resolves once a job of this instance has finished, webhook included */
+  settled: (id: string) => Promise<void>;
+}
+
+/** Too many jobs are waiting in this instance */
+export class JobQueueFullError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'JobQueueFullError';
+  }
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const KEY_PREFIX = 'pg_job';
+
+const JOB_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/** Job ids are UUIDs; anything else is never looked up (or used as a file name) */
+export const isJobId = (value: unknown): value is string => typeof value === 'string' && JOB_ID.test(value);
+
+/** API view of a job */
+export const toJobResponse = (job: JobRecord): JobResponse => {
+  const { webhookUrl: _webhookUrl, ...response } = job;
+  return response;
+};
+
+const isFinished = (job: JobRecord) => job.status === JOB_STATUSES.SUCCEEDED || job.status === JOB_STATUSES.FAILED;
+
+// ============================================================================
+// Memory Store
+// ============================================================================
+
+export const createMemoryJobStore = (): JobStore => {
+  const jobs = new Map<string, { json: string; expiresAt: number }>();
+
+  return {
+    name: JOB_STORES.MEMORY,
+    get: async (id) => {
+      const entry = jobs.get(id);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        jobs.delete(id);
+        return null;
+      }
+      return JSON.parse(entry.json) as JobRecord;
+    },
+    save: async (job, ttlMs) => {
+      const now = Date.now();
+      jobs.forEach((entry, id) => {
+        if (entry.expiresAt <= now) jobs.delete(id);
+      });
+      // Stored as JSON so callers never share objects with the store, like the other stores
+      jobs.set(job.id, { json: JSON.stringify(job), expiresAt: now + ttlMs });
+    },
+  };
+};
+
+// ============================================================================
+// File Store
+// ============================================================================
+
+/** Expired job files are swept at most this often */
+const FILE_SWEEP_INTERVAL_MS = 60 * 1000;
+
+type StoredJobFile = { job: JobRecord; expiresAt: number };
+
+/**
+ * Keeps each job in `<dir>/<id>.json`. Only the instance running a job writes
+ * it, so files are replaced atomically without a lock.
+ */
+export const createFileJobStore = (dir: string): JobStore => {
+  const filePath = (id: string) => path.join(dir, `${id}.json`);
+  let lastSweep = 0;
+
+  const readStored = async (file: string): Promise<StoredJobFile | null> => {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8')) as StoredJobFile;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') logger.warn(`Job file ${file} unreadable:`, error);
+      return null;
+    }
+  };
+
+  const sweep = async (now: number) => {
+    if (now - lastSweep < FILE_SWEEP_INTERVAL_MS) return;
+    lastSweep = now;
+    const names = await fs.readdir(dir).catch(() => [] as string[]);
+    await Promise.all(
+      names
+        .filter((name) => name.endsWith('.json'))
+        .map(async (name) => {
+          const stored = await readStored(path.join(dir, name));
+          if (stored && stored.expiresAt <= now) await fs.unlink(path.join(dir, name)).catch(() => undefined);
+        })
+    );
+  };
+
+  return {
+    name: JOB_STORES.FILE,
+    get: async (id) => {
+      if (!isJobId(id)) return null;
+      const stored = await readStored(filePath(id));
+      return stored && stored.expiresAt > Date.now() ? stored.job : null;
+    },
+    save: async (job, ttlMs) => {
+      const now = Date.now();
+      await fs.mkdir(dir, { recursive: true });
+      const tempPath = `${filePath(job.id)}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify({ job, expiresAt: now + ttlMs } satisfies StoredJobFile));
+      await fs.rename(tempPath, filePath(job.id));
+      await sweep(now);
+    },
+  };
+};
+
+// ============================================================================
+// Redis Store (REST)
+// ============================================================================
+
+/**
+ * Stores jobs as Redis strings with a TTL over the Upstash REST protocol, the
+ * same transport as the redis rate limit store.
+ */
+export const createRedisJobStore = (url: string, token: string): JobStore => {
+  const endpoint = url.replace(/\/+$/, '');
+
+  const command = async (args: string[]): Promise<unknown> => {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+    });
+    const payload = (await response.json().catch(() => null)) as { result?: unknown; error?: string } | null;
+    if (!response.ok || !payload || payload.error) {
+      throw new Error(`Redis job store failed (status ${response.status}): ${payload?.error || 'bad response'}`);
+    }
+    return payload.result;
+  };
+
+  return {
+    name: JOB_STORES.REDIS,
+    get: async (id) => {
+      if (!isJobId(id)) return null;
+      const result = await command(['GET', `${KEY_PREFIX}:${id}`]);
+      return typeof result === 'string' ? (JSON.parse(result) as JobRecord) : null;
+    },
+    save: async (job, ttlMs) => {
+      await command(['SET', `${KEY_PREFIX}:${job.id}`, JSON.stringify(job), 'PX', String(ttlMs)]);
+    },
+  };
+};
+
+/**
+ * Creates the store configured through `JOB_STORE` (default: memory).
+ * @throws Error if the store is unknown or its settings are missing
+ */
+export const createJobStoreFromEnv = (): JobStore => {
+  switch (readEnv('JOB_STORE')) {
+    case JOB_STORES.MEMORY:
+      return createMemoryJobStore();
+    case JOB_STORES.FILE:
+      return createFileJobStore(path.resolve(readEnv('JOB_STORE_DIR')));
+    case JOB_STORES.REDIS: {
+      const { url, token } = readRedisEnv('JOB_STORE');
+      return createRedisJobStore(url, token);
+    }
+  }
+};
+
+// ============================================================================
+// Webhooks
+// ============================================================================
+
+const WEBHOOK_URL_MAX_LENGTH = 2048;
+
+export const WEBHOOK_HEADERS = {
+  SIGNATURE: 'X-Webhook-Signature',
+  JOB_ID: 'X-Webhook-Job-Id',
+} as const;
+
+/** Hosts that resolve to this machine or a private network, written as names or IP literals */
+const isPrivateHost = (hostname: string): boolean => {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || /\.(localhost|local|internal)$/.test(host)) return true;
+
+  const v4 = /^(\d+)\.(\d+)\.\d+\.\d+$/.exec(host);
+  if (v4) {
+    const [a, b] = [Number(v4[1]), Number(v4[2])];
+    return (
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168)
+    );
+  }
+  if (host.includes(':')) {
+    return host === '::' || host === '::1' || /^f[cd]/.test(host) || host.startsWith('fe80:') || host.startsWith('::ffff:');
+  }
+  return false;
+};
+
+/**
+ * Checks a webhook URL. Outside development it must be https and must not
+ * name a private host, so jobs cannot be used to reach internal services.
+ * Public names pointing at private addresses are caught at delivery time.
+ * Returns a client-facing message, or null when the URL is acceptable.
+ */
+export const validateWebhookUrl = (value: string): string | null => {
+  if (value.length > WEBHOOK_URL_MAX_LENGTH) {
+    return `"webhookUrl" must be under ${WEBHOOK_URL_MAX_LENGTH} characters.`;
+  }
+  let url: URL;
+  try {
+    url = new URL(value);
+  } catch {
+    return '"webhookUrl" must be an absolute URL.';
+  }
+
+  if (process.env.NODE_ENV === 'development') {
+    return url.protocol === 'https:' || url.protocol === 'http:' ? null : '"webhookUrl" must be an http(s) URL.';
+  }
+  if (url.protocol !== 'https:') return '"webhookUrl" must use https.';
+  if (isPrivateHost(url.hostname)) return '"webhookUrl" must point to a public host.';
+  return null;
+};
+
+/** Every address a host name resolves to */
+export type HostResolver = (hostname: string) => Promise<string[]>;
+
+const resolveHost: HostResolver = async (hostname) =>
+  (await lookup(hostname, { all: true })).map(({ address }) => address);
+
+/**
+ * The first private address the webhook host resolves to, or null when they
+ * are all public. Checked right before every attempt, so a name that starts
+ * pointing somewhere private (DNS rebinding) after validation is refused too.
+ */
+const findPrivateAddress = async (url: string, resolve: HostResolver): Promise<string | null> => {
+  const { hostname } = new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = isIP(host) ? [host] : await resolve(host);
+  return addresses.find(isPrivateHost) ?? null;
+};
+
+/** `sha256=<hex HMAC of the body>`, sent when JOB_WEBHOOK_SECRET is set */
+export const signWebhookBody = (body: string, secret: string): string =>
+  `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+
+/**
+ * POSTs `{ event: 'job.finished', job }` to the webhook URL. Network errors,
+ * DNS failures, timeouts, 429 and 5xx answers are retried with backoff; other
+ * answers are final. Redirects are not followed, and outside development a
+ * host resolving to a private address is never contacted.
+ */
+export const deliverWebhook = async (
+  url: string,
+  job: JobRecord,
+  sleep: (ms: number) => Promise<void> = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  resolve: HostResolver = resolveHost
+): Promise<WebhookDelivery> => {
+  const body = JSON.stringify({ event: 'job.finished', job: toJobResponse(job) });
+  const headers: Record<string, string> = { 'Content-Type': 'application/json', [WEBHOOK_HEADERS.JOB_ID]: job.id };
+  const secret = readEnv('JOB_WEBHOOK_SECRET');
+  if (secret) headers[WEBHOOK_HEADERS.SIGNATURE] = signWebhookBody(body, secret);
+
+  for (let attempt = 1; attempt <= JOB_CONFIG.WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    try {
+      if (process.env.NODE_ENV !== 'development') {
+        const address = await findPrivateAddress(url, resolve);
+        if (address) {
+          logger.warn(`Webhook for job ${job.id} not sent: its host resolves to the private address ${address}`);
+          return { status: WEBHOOK_STATUSES.FAILED, attempts: attempt };
+        }
+      }
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(JOB_CONFIG.WEBHOOK_TIMEOUT),
+      });
+      if (response.ok) return { status: WEBHOOK_STATUSES.DELIVERED, attempts: attempt };
+      logger.warn(`Webhook for job ${job.id} answered ${response.status} (attempt ${attempt})`);
+      if (response.status !== 429 && response.status < 500) return { status: WEBHOOK_STATUSES.FAILED, attempts: attempt };
+    } catch (error) {
+      logger.warn(`Webhook for job ${job.id} failed (attempt ${attempt}):`, error);
+    }
+    if (attempt < JOB_CONFIG.WEBHOOK_MAX_ATTEMPTS) await sleep(JOB_CONFIG.WEBHOOK_RETRY_DELAY * 2 ** (attempt - 1));
+  }
+  return { status: WEBHOOK_STATUSES.FAILED, attempts: JOB_CONFIG.WEBHOOK_MAX_ATTEMPTS };
+};
+
+// ============================================================================
+// Queue
+// ============================================================================
+
+/**
+ * Creates a queue over a store. At most `MAX_RUNNING` tasks run at once and
+ * at most `MAX_QUEUED` wait for a slot. Every state change is written to the
+ * store so other instances (with a shared store) see the same job.
+ */
+export const createJobQueue = (
+  store: JobStore,
+  {
+    limits = JOB_CONFIG,
+    deliver = deliverWebhook,
+    now = Date.now,
+  }: {
+    limits?: JobQueueLimits;
+    deliver?: (url: string, job: JobRecord) => Promise<WebhookDelivery>;
+    now?: () => number;
+  } = {}
+): JobQueue => {
+  const waiting: Array<() => Promise<void>> = [];
+  const runs = new Map<string, Promise<void>>();
+  let running = 0;
+
+  const timestamp = () => new Date(now()).toISOString();
+
+  const update = async (job: JobRecord, changes: Partial<JobRecord>): Promise<JobRecord> => {
+    const next = { ...job, ...changes, updatedAt: timestamp() };
+    await store.save(next, limits.RESULT_TTL);
+    return next;
+  };
+
+  const execute = async (job: JobRecord, task: JobTask) => {
+    const started = await update(job, { status: JOB_STATUSES.RUNNING });
+
+    let outcome: JobOutcome;
+    try {
+      outcome = await task();
+    } catch (error) {
+      logger.error(`Job ${job.id} failed:`, error);
+      outcome = {
+        ok: false,
+        error:
+          (error as Error)?.name === 'AbortError'
+            ? buildApiError(ERROR_CODES.UPSTREAM_TIMEOUT, 'The AI service took too long to respond. Please try again.')
+            : buildApiError(ERROR_CODES.INTERNAL_ERROR, 'An unexpected error occurred. Please try again later.'),
+      };
+    }
+
+    const finished = await update(
+      started,
+      outcome.ok
+        ? { status: JOB_STATUSES.SUCCEEDED, result: outcome.result, finishedAt: timestamp() }
+        : { status: JOB_STATUSES.FAILED, error: outcome.error, finishedAt: timestamp() }
+    );
+    if (finished.webhookUrl) await update(finished, { webhook: await deliver(finished.webhookUrl, finished) });
+  };
+
+  const startNext = () => {
+    while (running < limits.MAX_RUNNING && waiting.length > 0) {
+      const start = waiting.shift() as () => Promise<void>;
+      running++;
+      start().finally(() => {
+        running--;
+        startNext();
+      });
+    }
+  };
+
+  return {
+    submit: async (task, { webhookUrl = null } = {}) => {
+      if (waiting.length >= limits.MAX_QUEUED) {
+        throw new JobQueueFullError('Too many generations are waiting. Please try again in a moment.');
+      }
+
+      const createdAt = timestamp();
+      const job: JobRecord = {
+        id: randomUUID(),
+        status: JOB_STATUSES.QUEUED,
+        result: null,
+        error: null,
+        webhook: webhookUrl ? { status: WEBHOOK_STATUSES.PENDING, attempts: 0 } : null,
+        createdAt,
+        updatedAt: createdAt,
+        finishedAt: null,
+        webhookUrl,
+      };
+      await store.save(job, limits.RESULT_TTL);
+
+      const run = new Promise<void>((resolve) => {
+        waiting.push(() =>
+          execute(job, task)
+            .catch((error) => logger.error(`Job ${job.id} could not be stored:`, error))
+            .finally(() => {
+              runs.delete(job.id);
+              resolve();
+            })
+        );
+      });
+      runs.set(job.id, run);
+      startNext();
+      return job;
+    },
+
+    get: async (id) => {
+      const job = await store.get(id);
+      if (!job || isFinished(job) || runs.has(id)) return job;
+
+      // Another instance owns the job; it is gone if the job stopped changing
+      if (now() - Date.parse(job.updatedAt) < limits.STALE_AFTER) return job;
+      return {
+        ...job,
+        status: JOB_STATUSES.FAILED,
+        error: buildApiError(ERROR_CODES.INTERNAL_ERROR, 'The job was interrupted before it finished. Please try again.'),
+      };
+    },
+
+    settled: async (id) => {
+      await runs.get(id);
+    },
+  };
+};
+
+declare global {
+  // eslint-disable-next-line no-var
+  var __pgJobQueue: JobQueue | undefined;
+}
+
+/**
+ * Returns the process-wide job queue, created on first use. Kept on `global`
+ * so Next.js hot reloads in development do not drop running jobs.
+ */
+export const getJobQueue = (): JobQueue => {
+  if (!global.__pgJobQueue) global.__pgJobQueue = createJobQueue(createJobStoreFromEnv());
+  return global.__pgJobQueue;
+};
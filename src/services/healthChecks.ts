@@ -0,0 +1,172 @@
+import {
+  HEALTH_CONFIG,
+  HEALTH_STATUSES,
+  LLM_PROVIDERS,
+  MODEL_FALLBACKS,
+  OPENROUTER_MODELS,
+  type HealthStatus,
+} from '../config/constants';
+import { PROMPT_MODE_LIST } from '../config/promptModes';
+import {
+  EDIT_SYSTEM_PROMPT,
+  MODERATION_SYSTEM_PROMPT,
+  REFINEMENT_SYSTEM_PROMPT,
+  SURPRISE_SYSTEM_PROMPT,
+  USER_TEXT_SYSTEM_PROMPT,
+} from '../config/prompts';
+import { ENV_SCHEMA, validateEnv } from '../config/env';
+import { isValidModelId } from '../utils/modelIds';
+import { getLlmProvider } from './llmProvider';
+import { probeRateLimitStore } from './rateLimit';
+import logger from './serverLogger';
+
+/**
+ * Liveness and readiness reports for /api/health and /api/ready.
+ *
+ * Liveness only says the process answers. Readiness runs the configuration
+ * self-check, so a missing provider key or an unreachable rate limit store
+ * shows up in the deploy's probe instead of in a user's failed generation:
+ * - `environment`: every variable in ENV_SCHEMA is valid (see config/env)
+ * - `provider`: LLM_PROVIDER is known and has its API key
+ * - `rateLimitStore`: the store selected by RATE_LIMIT_STORE answers
+ * - `models`: every model ID in OPENROUTER_MODELS and MODEL_FALLBACKS is a valid `vendor/model` ID
+ * - `systemPrompts`: every mode and stage has a system prompt
+ */
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export interface HealthCheckResult {
+  name: string;
+  status: HealthStatus;
+  /** What was found, or why the check failed */
+  message: string;
+  durationMs: number;
+}
+
+export interface LivenessReport {
+  status: HealthStatus;
+  uptimeSeconds: number;
+  timestamp: string;
+}
+
+export interface ReadinessReport {
+  /** `fail` when any check failed */
+  status: HealthStatus;
+  checks: HealthCheckResult[];
+  timestamp: string;
+}
+
+/** Resolves with a success message; throws with the reason it failed */
+type HealthCheck = () => string | Promise<string>;
+
+// ============================================================================
+// Checks
+// ============================================================================
+
+const checkEnvironment: HealthCheck = () => {
+  const problems = validateEnv();
+  if (problems.length > 0) throw new Error(problems.join('; '));
+  return `${Object.keys(ENV_SCHEMA).length} variables are valid`;
+};
+
+const checkProvider: HealthCheck = () => {
+  const provider = getLlmProvider();
+  if (provider.apiKey === null) {
+    throw new Error(
+      provider.name === LLM_PROVIDERS.OPENROUTER
+        ? 'OPENROUTER_API_KEY is not set'
+        : `The ${provider.name} provider has no API key`
+    );
+  }
+  return `Using the ${provider.name} provider`;
+};
+
+const checkRateLimitStore: HealthCheck = async () => `The ${await probeRateLimitStore()} store answered`;
+
+const checkModels: HealthCheck = () => {
+  const models = Array.from(new Set([...Object.values(OPENROUTER_MODELS), ...Object.values(MODEL_FALLBACKS).flat()]));
+  const invalid = models.filter((model) => !isValidModelId(model));
+  if (invalid.length > 0) throw new Error(`Invalid model IDs: ${invalid.join(', ')}`);
+  return `${models.length} model IDs are valid`;
+};
+
+const checkSystemPrompts: HealthCheck = () => {
+  const prompts: Record<string, unknown> = {
+    ...Object.fromEntries(PROMPT_MODE_LIST.map(({ id, systemPrompt }) => [`${id} mode`, systemPrompt])),
+    refinement: REFINEMENT_SYSTEM_PROMPT,
+    edit: EDIT_SYSTEM_PROMPT,
+    surprise: SURPRISE_SYSTEM_PROMPT,
+    moderation: MODERATION_SYSTEM_PROMPT,
+    'user text': USER_TEXT_SYSTEM_PROMPT,
+  };
+  const missing = Object.keys(prompts).filter((name) => {
+    const prompt = prompts[name];
+    return typeof prompt !== 'string' || prompt.trim().length === 0;
+  });
+  if (missing.length > 0) throw new Error(`Missing system prompts: ${missing.join(', ')}`);
+  return `${Object.keys(prompts).length} system prompts loaded`;
+};
+
+const READINESS_CHECKS: Record<string, HealthCheck> = {
+  environment: checkEnvironment,
+  provider: checkProvider,
+  rateLimitStore: checkRateLimitStore,
+  models: checkModels,
+  systemPrompts: checkSystemPrompts,
+};
+
+// ============================================================================
+// Reports
+// ============================================================================
+
+/**
+ * Runs one check, failing it when it throws or takes longer than `timeoutMs`.
+ */
+export const runHealthCheck = async (
+  name: string,
+  check: HealthCheck,
+  timeoutMs: number = HEALTH_CONFIG.CHECK_TIMEOUT
+): Promise<HealthCheckResult> => {
+  const startedAt = Date.now();
+  let timer: NodeJS.Timeout | undefined;
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+
+  try {
+    const message = await Promise.race([Promise.resolve().then(check), timeout]);
+    return { name, status: HEALTH_STATUSES.OK, message, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    return { name, status: HEALTH_STATUSES.FAIL, message, durationMs: Date.now() - startedAt };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+export const buildLivenessReport = (): LivenessReport => ({
+  status: HEALTH_STATUSES.OK,
+  uptimeSeconds: Math.round(process.uptime()),
+  timestamp: new Date().toISOString(),
+});
+
+/**
+ * Runs the readiness checks in parallel. Failed checks are logged.
+ */
+export const buildReadinessReport = async (
+  checks: Record<string, HealthCheck> = READINESS_CHECKS
+): Promise<ReadinessReport> => {
+  const results = await Promise.all(Object.entries(checks).map(([name, check]) => runHealthCheck(name, check)));
+  const failed = results.filter((result) => result.status === HEALTH_STATUSES.FAIL);
+  if (failed.length > 0) {
+    logger.warn('Readiness checks failed:', failed.map(({ name, message }) => ({ name, message })));
+  }
+
+  return {
+    status: failed.length > 0 ? HEALTH_STATUSES.FAIL : HEALTH_STATUSES.OK,
+    checks: results,
+    timestamp: new Date().toISOString(),
+  };
+};
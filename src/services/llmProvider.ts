@@ -0,0 +1,250 @@
+import { LLM_PROVIDERS, type LlmProviderName } from '../config/constants';
+import { readEnv } from '../config/env';
+import type { OpenRouterContent, OpenRouterRequestBody } from './openRouterService';
+import { extractUserText } from '../utils/promptGuard';
+
+/**
+ * LLM provider layer.
+ * Every chat completion goes through the provider selected by `LLM_PROVIDER`:
+ * - `openrouter` (default): OpenRouter's hosted API, keyed by OPENROUTER_API_KEY
+ * - `openai-compatible`: any server exposing `/chat/completions` (llama.cpp, Ollama, vLLM...)
+ * - `mock`: deterministic offline completions for tests and air-gapped environments
+ *
+ * All providers return a fetch `Response` in the OpenAI chat completion format,
+ * so parsing, streaming and error mapping stay provider-agnostic.
+ */
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export interface ChatCompletionRequest {
+  apiKey: string;
+  body: OpenRouterRequestBody;
+  title: string;
+  signal: AbortSignal;
+}
+
+export interface LlmProvider {
+  name: LlmProviderName;
+  /** API key to send, or null when a required key is missing */
+  apiKey: string | null;
+  chatCompletion: (request: ChatCompletionRequest) => Promise<Response>;
+}
+
+const OPENROUTER_URL = 'https://openrouter.ai/api/v1/chat/completions';
+
+const vercelUrl = readEnv('VERCEL_URL');
+const REFERER = vercelUrl ? `https://${vercelUrl}` : 'http://localhost:3000';
+
+// ============================================================================
+// OpenRouter
+// ============================================================================
+
+const createOpenRouterProvider = (): LlmProvider => ({
+  name: LLM_PROVIDERS.OPENROUTER,
+  apiKey: readEnv('OPENROUTER_API_KEY') || null,
+  chatCompletion: ({ apiKey, body, title, signal }) =>
+    fetch(OPENROUTER_URL, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+        'HTTP-Referer': REFERER,
+        'X-Title': title,
+      },
+      body: JSON.stringify(body),
+      signal,
+    }),
+});
+
+// ============================================================================
+// OpenAI-Compatible (local llama.cpp / Ollama / vLLM servers)
+// ============================================================================
+
+const createOpenAiCompatibleProvider = (): LlmProvider => {
+  const baseUrl = readEnv('LLM_BASE_URL').replace(/\/+$/, '');
+  const modelOverride = readEnv('LLM_MODEL');
+
+  return {
+    name: LLM_PROVIDERS.OPENAI_COMPATIBLE,
+    // Local servers usually run without auth; an empty key skips the header
+    apiKey: readEnv('LLM_API_KEY'),
+    chatCompletion: ({ apiKey, body, signal }) => {
+      // `usage.include` is an OpenRouter extension that strict servers reject
+      const { usage: _usage, ...standardBody } = body;
+      const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      return fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ ...standardBody, model: modelOverride || body.model }),
+        signal,
+      });
+    },
+  };
+};
+
+// ============================================================================
+// Mock
+// ============================================================================
+
+const MOCK_SUBJECTS = [
+  'a lone lighthouse keeper',
+  'a clockwork fox',
+  'an abandoned observatory',
+  'a floating market at dawn',
+  'a glass greenhouse in the snow',
+  'a retired astronaut',
+];
+
+const MOCK_DETAILS = [
+  'Soft volumetric light spills across weathered textures while fine dust drifts through the air.',
+  'The palette leans on deep teal shadows balanced by warm amber highlights.',
+  'Shot on a 50mm prime lens at f/2.0, the background melts into creamy bokeh.',
+  'Rain-slick surfaces mirror distant neon signage, adding layered reflections.',
+  'A low camera angle lends the scene a quiet, monumental presence.',
+  'Subtle film grain and gentle halation give the frame a timeless, analog feel.',
+  'Mist curls around the edges of the composition, guiding the eye to the focal point.',
+  'Every surface carries tactile detail, from chipped paint to frayed fabric.',
+];
+
+/** FNV-1a hash, used to pick stable mock content for a given input */
+const hashString = (value: string): number => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const contentToText = (content: OpenRouterContent): string =>
+  typeof content === 'string'
+    ? content
+    : content.map((part) => (part.type === 'text' ? part.text : '')).join(' ');
+
+/**
+ * Builds a deterministic text prompt that respects the 500–1200 character rule.
+ */
+const buildMockPrompt = (seedText: string): string => {
+  const hash = hashString(seedText);
+  const excerpt = seedText.replace(/\s+/g, ' ').trim().slice(0, 120);
+  const sentences = [
+    `A cinematic portrait of ${MOCK_SUBJECTS[hash % MOCK_SUBJECTS.length]}, inspired by: ${excerpt || 'an untitled idea'}.`,
+  ];
+  for (let i = 0; sentences.join(' ').length < 600; i++) {
+    sentences.push(MOCK_DETAILS[(hash + i * 3) % MOCK_DETAILS.length]);
+  }
+  return sentences.join(' ').slice(0, 1200);
+};
+
+/**
+ * Produces a value that satisfies a (strict) JSON schema node.
+ */
+const mockValueForSchema = (schema: unknown, key: string, seedText: string): unknown => {
+  const node = (schema || {}) as {
+    type?: string;
+    enum?: unknown[];
+    minimum?: number;
+    properties?: Record<string, unknown>;
+    items?: unknown;
+  };
+  if (Array.isArray(node.enum) && node.enum.length > 0) return node.enum[0];
+
+  switch (node.type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(node.properties || {}).map(([name, child]) => [name, mockValueForSchema(child, name, seedText)])
+      );
+    case 'array':
+      return [mockValueForSchema(node.items, key, seedText)];
+    case 'number':
+    case 'integer':
+      return node.minimum ?? 100;
+    case 'boolean':
+      return false;
+    default:
+      return key === 'prompt' ? buildMockPrompt(seedText) : `mock ${key.replace(/[_-]/g, ' ')}`;
+  }
+};
+
+/**
+ * Builds the assistant message the mock returns for a request body.
+ * Structured requests get a schema-conforming JSON document; free-form
+ * requests (such as the refinement stage) get a short plain-text brief.
+ */
+export const buildMockCompletion = (body: OpenRouterRequestBody): string => {
+  const userMessages = body.messages.filter((message) => message.role === 'user');
+  const messageText = userMessages.map((message) => contentToText(message.content)).join('\n');
+  // Echo what the user wrote, not the tags it is delimited with
+  const seedText = extractUserText(messageText) ?? messageText;
+  const schema = body.response_format?.json_schema?.schema;
+
+  if (schema) {
+    return JSON.stringify(mockValueForSchema(schema, '', seedText));
+  }
+  return `Refined brief: ${seedText.replace(/\s+/g, ' ').trim().slice(0, 400)}`;
+};
+
+const MOCK_STREAM_CHUNK_SIZE = 24;
+
+const createMockProvider = (): LlmProvider => ({
+  name: LLM_PROVIDERS.MOCK,
+  apiKey: 'mock',
+  chatCompletion: async ({ body }) => {
+    const content = buildMockCompletion(body);
+    const promptChars = body.messages.reduce((total, message) => total + contentToText(message.content).length, 0);
+    const usage = {
+      prompt_tokens: Math.ceil(promptChars / 4),
+      completion_tokens: Math.ceil(content.length / 4),
+      total_tokens: Math.ceil(promptChars / 4) + Math.ceil(content.length / 4),
+    };
+
+    if (!body.stream) {
+      return new Response(
+        JSON.stringify({
+          id: `mock-${hashString(content).toString(16)}`,
+          model: body.model,
+          choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+          usage,
+        }),
+        { status: 200, headers: { 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const events: string[] = [];
+    for (let i = 0; i < content.length; i += MOCK_STREAM_CHUNK_SIZE) {
+      const delta = content.slice(i, i + MOCK_STREAM_CHUNK_SIZE);
+      events.push(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: delta } }] })}\n\n`);
+    }
+    events.push(`data: ${JSON.stringify({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }], usage })}\n\n`);
+    events.push('data: [DONE]\n\n');
+
+    return new Response(events.join(''), {
+      status: 200,
+      headers: { 'Content-Type': 'text/event-stream' },
+    });
+  },
+});
+
+// ============================================================================
+// Provider Selection
+// ============================================================================
+
+/**
+ * Returns the provider configured through `LLM_PROVIDER` (default: openrouter).
+ * Read on every call so tests and scripts can switch providers via env.
+ * @throws Error if LLM_PROVIDER names an unknown provider
+ */
+export const getLlmProvider = (): LlmProvider => {
+  switch (readEnv('LLM_PROVIDER')) {
+    case LLM_PROVIDERS.OPENROUTER:
+      return createOpenRouterProvider();
+    case LLM_PROVIDERS.OPENAI_COMPATIBLE:
+      return createOpenAiCompatibleProvider();
+    case LLM_PROVIDERS.MOCK:
+      return createMockProvider();
+  }
+};
@@ -0,0 +1,257 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { METRICS_CONFIG, type ModerationAction, type RateLimitBucket } from '../config/constants';
+import { readEnv } from '../config/env';
+import type { InjectionHeuristic } from '../utils/promptGuard';
+
+/**
+ * In-process Prometheus metrics for generation traffic, served by
+ * GET /api/metrics in the text exposition format. Every instance counts its
+ * own traffic and the counts start over when the process restarts, as
+ * Prometheus expects from a scrape target.
+ */
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export type MetricLabels = Record<string, string>;
+
+export interface Counter {
+  inc: (labels: MetricLabels, value?: number) => void;
+}
+
+export interface Histogram {
+  observe: (labels: MetricLabels, value: number) => void;
+}
+
+export interface MetricsRegistry {
+  counter: (name: string, help: string) => Counter;
+  /** `buckets` are the ascending upper bounds; `+Inf` is added automatically */
+  histogram: (name: string, help: string, buckets: readonly number[]) => Histogram;
+  /** All metrics in the Prometheus text format (version 0.0.4) */
+  render: () => string;
+}
+
+/** Why a model handed over to the next one in its chain */
+export type FallbackReason = 'timeout' | 'error' | 'rate_limited' | 'unavailable' | 'invalid_output' | 'repair_failed';
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+type CounterSeries = { labels: MetricLabels; value: number };
+type HistogramSeries = { labels: MetricLabels; counts: number[]; sum: number; count: number };
+
+type Metric =
+  | { type: 'counter'; help: string; series: Map<string, CounterSeries> }
+  | { type: 'histogram'; help: string; buckets: readonly number[]; series: Map<string, HistogramSeries> };
+
+const escapeLabelValue = (value: string) => value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels: MetricLabels): string => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+// Label order does not change the series
+const seriesKey = (labels: MetricLabels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+export const createMetricsRegistry = (): MetricsRegistry => {
+  const metrics = new Map<string, Metric>();
+
+  return {
+    counter: (name, help) => {
+      const metric: Metric = { type: 'counter', help, series: new Map() };
+      metrics.set(name, metric);
+      return {
+        inc: (labels, value = 1) => {
+          const key = seriesKey(labels);
+          const series = metric.series.get(key) ?? { labels, value: 0 };
+          series.value += value;
+          metric.series.set(key, series);
+        },
+      };
+    },
+
+    histogram: (name, help, buckets) => {
+      const metric: Metric = { type: 'histogram', help, buckets, series: new Map() };
+      metrics.set(name, metric);
+      return {
+        observe: (labels, value) => {
+          const key = seriesKey(labels);
+          const series = metric.series.get(key) ?? { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          // Bucket counts are cumulative, as the exposition format expects
+          buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+          });
+          series.sum += value;
+          series.count++;
+          metric.series.set(key, series);
+        },
+      };
+    },
+
+    render: () => {
+      const lines: string[] = [];
+      metrics.forEach((metric, name) => {
+        lines.push(`# HELP ${name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        lines.push(`# TYPE ${name} ${metric.type}`);
+        if (metric.type === 'counter') {
+          metric.series.forEach(({ labels, value }) => lines.push(`${name}${formatLabels(labels)} ${value}`));
+          return;
+        }
+        metric.series.forEach(({ labels, counts, sum, count }) => {
+          metric.buckets.forEach((bound, index) => {
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: String(bound) })} ${counts[index]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+          lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+        });
+      });
+      return `${lines.join('\n')}\n`;
+    },
+  };
+};
+
+// ============================================================================
+// Application Metrics
+// ============================================================================
+
+const { PREFIX } = METRICS_CONFIG;
+
+const createAppMetrics = (registry: MetricsRegistry = createMetricsRegistry()) => ({
+  registry,
+  requests: registry.counter(`${PREFIX}_requests_total`, 'API requests by route, prompt mode and HTTP status.'),
+  upstreamDuration: registry.histogram(
+    `${PREFIX}_upstream_request_duration_seconds`,
+    'Time until the LLM provider answered (response headers for streams), by provider, model and outcome.',
+    METRICS_CONFIG.LATENCY_BUCKETS
+  ),
+  refinements: registry.counter(`${PREFIX}_refinements_total`, 'Refinement stage runs by outcome.'),
+  fallbacks: registry.counter(
+    `${PREFIX}_model_fallbacks_total`,
+    'Models that failed and handed over to the next model in their chain, by model and reason.'
+  ),
+  repairs: registry.counter(`${PREFIX}_output_repairs_total`, 'Repairs of invalid model output by model and outcome.'),
+  rateLimitRejections: registry.counter(
+    `${PREFIX}_rate_limit_rejections_total`,
+    'Requests rejected by the rate limiter, by bucket.'
+  ),
+  tokens: registry.counter(`${PREFIX}_tokens_total`, 'Tokens reported by the LLM provider, by model and type.'),
+  moderation: registry.counter(
+    `${PREFIX}_moderation_matches_total`,
+    'Requests matched by a moderation rule or flagged by the moderation model, by source and action.'
+  ),
+  promptInjection: registry.counter(
+    `${PREFIX}_prompt_injection_attempts_total`,
+    'Requests whose text matched a prompt injection heuristic, by heuristic.'
+  ),
+  systemPromptEchoes: registry.counter(
+    `${PREFIX}_system_prompt_echoes_total`,
+    'Responses stopped for repeating a system prompt, by stage.'
+  ),
+});
+
+type AppMetrics = ReturnType<typeof createAppMetrics>;
+
+declare global {
+  // eslint-disable-next-line no-var
+  var __pgMetrics: AppMetrics | undefined;
+}
+
+/**
+ * Returns the process-wide metrics, created on first use. Kept on `global`
+ * so Next.js hot reloads in development do not reset the counts.
+ */
+const getMetrics = (): AppMetrics => {
+  if (!global.__pgMetrics) global.__pgMetrics = createAppMetrics();
+  return global.__pgMetrics;
+};
+
+export const renderMetrics = (): string => getMetrics().registry.render();
+
+// ============================================================================
+// Recording
+// ============================================================================
+
+/**
+ * Counts an API request once its response has been sent. Set `mode` on the
+ * returned labels when the request names a valid prompt mode.
+ */
+export const observeApiRequest = (res: NextApiResponse, route: string): { mode: string | null } => {
+  const labels: { mode: string | null } = { mode: null };
+  res.once('finish', () => {
+    getMetrics().requests.inc({ route, mode: labels.mode ?? 'none', status: String(res.statusCode) });
+  });
+  return labels;
+};
+
+/**
+ * Records one call to the LLM provider. `outcome` is the status class
+ * (`2xx`, `4xx`, `5xx`) or `timeout` / `error` when no response arrived.
+ */
+export const recordUpstreamCall = (provider: string, model: string, outcome: string, seconds: number): void => {
+  getMetrics().upstreamDuration.observe({ provider, model, outcome }, seconds);
+};
+
+export const recordRefinement = (outcome: 'succeeded' | 'failed'): void => {
+  getMetrics().refinements.inc({ outcome });
+};
+
+export const recordModelFallback = (model: string, reason: FallbackReason): void => {
+  getMetrics().fallbacks.inc({ model, reason });
+};
+
+export const recordOutputRepair = (model: string, outcome: 'repaired' | 'failed'): void => {
+  getMetrics().repairs.inc({ model, outcome });
+};
+
+export const recordRateLimitRejection = (bucket: RateLimitBucket): void => {
+  getMetrics().rateLimitRejections.inc({ bucket });
+};
+
+export const recordModeration = (source: 'blocklist' | 'model', action: ModerationAction): void => {
+  getMetrics().moderation.inc({ source, action });
+};
+
+export const recordPromptInjection = (heuristic: InjectionHeuristic): void => {
+  getMetrics().promptInjection.inc({ heuristic });
+};
+
+export const recordSystemPromptEcho = (stage: 'refinement' | 'final' | 'stream'): void => {
+  getMetrics().systemPromptEchoes.inc({ stage });
+};
+
+/**
+ * Adds the prompt and completion tokens of a provider `usage` object.
+ * Usage without token counts is ignored.
+ */
+export const recordTokenUsage = (model: string, usage: unknown): void => {
+  if (!usage || typeof usage !== 'object') return;
+  const { prompt_tokens: prompt, completion_tokens: completion } = usage as Record<string, unknown>;
+  const { tokens } = getMetrics();
+  if (typeof prompt === 'number' && prompt > 0) tokens.inc({ model, type: 'prompt' }, prompt);
+  if (typeof completion === 'number' && completion > 0) tokens.inc({ model, type: 'completion' }, completion);
+};
+
+// ============================================================================
+// Scrape Authentication
+// ============================================================================
+
+const digest = (value: string) => createHash('sha256').update(value).digest();
+
+/**
+ * Whether the request carries `Authorization: Bearer <METRICS_TOKEN>`.
+ * Always false while METRICS_TOKEN is unset.
+ */
+export const isMetricsRequestAuthorized = (req: NextApiRequest): boolean => {
+  const expected = readEnv('METRICS_TOKEN');
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization?.trim() || '');
+  if (!expected || !match) return false;
+  // Compared as digests so neither the length nor the content leaks through timing
+  return timingSafeEqual(digest(match[1]), digest(expected));
+};
@@ -0,0 +1,317 @@
+import he from 'he';
+import {
+  ERROR_CODES,
+  MODEL_FALLBACKS,
+  MODERATION_ACTIONS,
+  MODERATION_CONFIG,
+  PROMPT_INJECTION_ACTIONS,
+  type ModerationAction,
+} from '../config/constants';
+import { readEnv } from '../config/env';
+import { MODERATION_SYSTEM_PROMPT } from '../config/prompts';
+import { API_ERROR_DEFINITIONS } from '../utils/apiErrors';
+import { applyRewriteRule, findRuleMatches } from '../utils/moderationRules';
+import { parseStructuredContent } from '../utils/openRouterParsers';
+import { detectPromptInjection } from '../utils/promptGuard';
+import { recordModeration, recordPromptInjection } from './metrics';
+import {
+  callWithModelFallback,
+  type JsonSchemaWrapper,
+  type ModelFallbackResult,
+  type OpenRouterContent,
+} from './openRouterService';
+import type { FinalStageFailure, PromptImage } from './promptPipeline';
+import logger from './serverLogger';
+
+/**
+ * Input moderation, run before the first model call of a generation (the
+ * refinement stage, or the final stage when there is none) and of a
+ * follow-up edit, where the instruction and the earlier prompt are checked too.
+ *
+ * Prompt injection heuristics (utils/promptGuard) always run first; a match
+ * is logged, and blocked too when PROMPT_INJECTION_ACTION is block.
+ *
+ * Two checks, both off until configured:
+ * - MODERATION_BLOCKLIST: pattern rules matched against the idea, directions
+ *   refined brief, edit instruction and earlier prompt. Each rule blocks, warns
+ *   or rewrites on its own.
+ * - MODERATION_MODEL: a model call that checks the text and the image against
+ *   MODERATION_CONFIG.DEFAULT_POLICIES (or MODERATION_POLICIES), such as "no
+ *   real minors" or "no named private individuals". What a flag does is
+ *   MODERATION_MODEL_ACTION; rewrites use the model's compliant version.
+ *
+ * Blocked requests fail with CONTENT_BLOCKED. Warnings and rewrites are
+ * logged and counted in the metrics but otherwise invisible to the client.
+ */
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/** The user-supplied parts of a generation request */
+export interface ModerationInput {
+  /** HTML-encoded idea */
+  idea: string;
+  /** HTML-encoded directions */
+  directions: string;
+  /** HTML-encoded brief the client sent back from an earlier refinement */
+  refinedBrief?: string;
+  /** HTML-encoded change requested by a follow-up edit */
+  instruction?: string;
+  /** Prompt a follow-up edit revises, as replayed to the model (never rewritten) */
+  previousPrompt?: string;
+  image: PromptImage | null;
+}
+
+export type ModerationResult =
+  | {
+      ok: true;
+      /** The input to generate from, rewritten where a rule or the model asked for it */
+      input: ModerationInput;
+      /** Strongest action taken (null when nothing matched) */
+      action: ModerationAction | null;
+    }
+  | FinalStageFailure;
+
+/** Decoded text of the moderated fields; the edit fields only for edits */
+type ModeratedText = { idea: string; directions: string; brief: string; instruction?: string; prompt?: string };
+
+interface ModerationVerdict {
+  flagged: boolean;
+  /** Number of the first policy broken (0 when none is) */
+  policy: number;
+  reason: string;
+  /** Whether the image itself breaks a policy (rewrites cannot fix that) */
+  imageFlagged: boolean;
+  /** Whether the earlier prompt of an edit breaks a policy (it is replayed as it is) */
+  promptFlagged: boolean;
+  idea: string;
+  directions: string;
+  brief: string;
+  instruction: string;
+}
+
+/** Later actions win over earlier ones */
+const ACTION_SEVERITY: ModerationAction[] = [MODERATION_ACTIONS.WARN, MODERATION_ACTIONS.REWRITE, MODERATION_ACTIONS.BLOCK];
+
+const strongerAction = (current: ModerationAction | null, next: ModerationAction): ModerationAction =>
+  current !== null && ACTION_SEVERITY.indexOf(current) > ACTION_SEVERITY.indexOf(next) ? current : next;
+
+const blocked = (reason: string): FinalStageFailure => {
+  const { status, error } = API_ERROR_DEFINITIONS[ERROR_CODES.CONTENT_BLOCKED];
+  return {
+    ok: false,
+    code: ERROR_CODES.CONTENT_BLOCKED,
+    status,
+    error,
+    message: `This request breaks the content policy: ${reason.trim().replace(/\.+$/, '')}.`,
+  };
+};
+
+// ============================================================================
+// Prompt Injection
+// ============================================================================
+
+/**
+ * Runs the prompt injection heuristics over decoded user text. Matches are
+ * logged and counted; returns a CONTENT_BLOCKED failure when
+ * PROMPT_INJECTION_ACTION is block, otherwise null.
+ */
+const checkPromptInjection = (fields: Record<string, string>): FinalStageFailure | null => {
+  const matches = Object.entries(fields).flatMap(([field, text]) =>
+    detectPromptInjection(text).map((heuristic) => ({ field, heuristic }))
+  );
+  if (matches.length === 0) return null;
+
+  const action = readEnv('PROMPT_INJECTION_ACTION');
+  matches.forEach(({ heuristic }) => recordPromptInjection(heuristic));
+  logger.warn('Possible prompt injection attempt:', { matches, action });
+  return action === PROMPT_INJECTION_ACTIONS.BLOCK
+    ? blocked("it tries to change or reveal the generator's instructions")
+    : null;
+};
+
+// ============================================================================
+// Moderation Model
+// ============================================================================
+
+const VERDICT_SCHEMA = {
+  name: 'moderation_verdict',
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      flagged: { type: 'boolean', description: 'Whether the request breaks a policy' },
+      policy: { type: 'integer', minimum: 0, description: 'Number of the first policy broken, 0 when none is' },
+      reason: { type: 'string', description: 'One short sentence for the user' },
+      imageFlagged: { type: 'boolean', description: 'Whether the image itself breaks a policy' },
+      promptFlagged: { type: 'boolean', description: 'Whether the earlier prompt of an edit breaks a policy' },
+      idea: { type: 'string', description: 'Compliant rewrite of the idea' },
+      directions: { type: 'string', description: 'Compliant rewrite of the directions' },
+      brief: { type: 'string', description: 'Compliant rewrite of the brief' },
+      instruction: { type: 'string', description: 'Compliant rewrite of the edit instruction' },
+    },
+    required: ['flagged', 'policy', 'reason', 'imageFlagged', 'promptFlagged', 'idea', 'directions', 'brief', 'instruction'],
+  },
+  strict: true,
+} satisfies JsonSchemaWrapper;
+
+/**
+ * Reads the model's verdict.
+ * @throws Error if a field is missing or of the wrong type
+ */
+const parseVerdict = (content: unknown): ModerationVerdict => {
+  const verdict: unknown = parseStructuredContent(content);
+  const { flagged, policy, reason, imageFlagged, promptFlagged, idea, directions, brief, instruction } = (verdict ??
+    {}) as Partial<ModerationVerdict>;
+  if ([flagged, imageFlagged, promptFlagged].some((field) => typeof field !== 'boolean') || !Number.isInteger(policy)) {
+    throw new Error('Invalid moderation verdict');
+  }
+  if ([reason, idea, directions, brief, instruction].some((field) => typeof field !== 'string')) {
+    throw new Error('Invalid moderation verdict');
+  }
+  return verdict as ModerationVerdict;
+};
+
+const getModerationPolicies = (): readonly string[] =>
+  readEnv('MODERATION_POLICIES') ?? MODERATION_CONFIG.DEFAULT_POLICIES;
+
+const buildModerationContent = (text: ModeratedText, image: PromptImage | null): OpenRouterContent => {
+  const request = JSON.stringify(text);
+  if (!image) return request;
+  return [
+    { type: 'text', text: request },
+    { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.base64}` } },
+  ];
+};
+
+/**
+ * Asks the MODERATION chain whether the request breaks a policy.
+ */
+const runModerationModel = (
+  apiKey: string,
+  text: ModeratedText,
+  image: PromptImage | null,
+  deadline?: number,
+  title = 'Prompt Generator - Moderation'
+): Promise<ModelFallbackResult<ModerationVerdict>> => {
+  const policies = getModerationPolicies().map((policy, index) => `${index + 1}. ${policy}`);
+  return callWithModelFallback({
+    apiKey,
+    models: MODEL_FALLBACKS.MODERATION,
+    title,
+    deadline,
+    body: {
+      messages: [
+        { role: 'system', content: `${MODERATION_SYSTEM_PROMPT}\n\nPolicies:\n${policies.join('\n')}` },
+        { role: 'user', content: buildModerationContent(text, image) },
+      ],
+      temperature: 0,
+      max_tokens: MODERATION_CONFIG.MAX_TOKENS,
+      usage: { include: true },
+      response_format: { type: 'json_schema', json_schema: VERDICT_SCHEMA },
+    },
+    validate: (data) => parseVerdict(data?.choices?.[0]?.message?.content),
+  });
+};
+
+// ============================================================================
+// Moderation Stage
+// ============================================================================
+
+/**
+ * Checks a generation request against the prompt injection heuristics, the
+ * blocklist, then the moderation model. Never throws for a blocked request: it is returned as a
+ * CONTENT_BLOCKED failure, like a failed stage.
+ * When the model cannot be reached the request goes through, unless
+ * MODERATION_FAIL_CLOSED is set.
+ */
+export const moderateGenerationInput = async (
+  apiKey: string,
+  input: ModerationInput,
+  deadline?: number
+): Promise<ModerationResult> => {
+  const original: ModeratedText = {
+    idea: he.decode(input.idea),
+    directions: he.decode(input.directions),
+    brief: he.decode(input.refinedBrief ?? ''),
+    ...(input.instruction !== undefined ? { instruction: he.decode(input.instruction) } : {}),
+    ...(input.previousPrompt !== undefined ? { prompt: input.previousPrompt } : {}),
+  };
+  const injection = checkPromptInjection(original);
+  if (injection) return injection;
+
+  const rules = readEnv('MODERATION_BLOCKLIST') ?? [];
+  const useModel = readEnv('MODERATION_MODEL');
+  if (rules.length === 0 && !useModel) return { ok: true, input, action: null };
+  let text = original;
+  let action: ModerationAction | null = null;
+
+  for (const { rule, field } of findRuleMatches(original, rules)) {
+    recordModeration('blocklist', rule.action);
+    logger.warn('Moderation rule matched:', { field, pattern: rule.pattern, action: rule.action });
+    if (rule.action === MODERATION_ACTIONS.BLOCK) return blocked(rule.reason);
+    if (rule.action === MODERATION_ACTIONS.REWRITE) {
+      // The earlier prompt is replayed as it is, so it cannot be rewritten
+      if (field === 'prompt') return blocked(rule.reason);
+      text = { ...text, [field]: applyRewriteRule(text[field as keyof ModeratedText] ?? '', rule) };
+    }
+    action = strongerAction(action, rule.action);
+  }
+
+  if (useModel) {
+    const result = await runModerationModel(apiKey, text, input.image, deadline);
+    if (!result.ok) {
+      logger.error('Moderation model failed on every model:', { status: result.errorInfo.sourceStatus });
+      if (readEnv('MODERATION_FAIL_CLOSED')) {
+        const { code, status, error, message } = result.errorInfo;
+        return { ok: false, code, status, error, message };
+      }
+    } else if (result.value.flagged) {
+      const verdict = result.value;
+      const modelAction = readEnv('MODERATION_MODEL_ACTION');
+      recordModeration('model', modelAction);
+      logger.warn('Moderation model flagged a request:', {
+        model: result.model,
+        policy: verdict.policy,
+        imageFlagged: verdict.imageFlagged,
+        action: modelAction,
+      });
+
+      const reason = verdict.reason || getModerationPolicies()[verdict.policy - 1] || 'it was flagged by moderation';
+      if (modelAction === MODERATION_ACTIONS.BLOCK) return blocked(reason);
+      if (modelAction === MODERATION_ACTIONS.REWRITE) {
+        // An image or an earlier prompt cannot be rewritten, so they are blocked instead
+        if (verdict.imageFlagged || (text.prompt !== undefined && verdict.promptFlagged)) return blocked(reason);
+        text = {
+          ...text,
+          idea: text.idea ? verdict.idea.trim() : '',
+          directions: text.directions ? verdict.directions.trim() : '',
+          brief: text.brief ? verdict.brief.trim() : '',
+          ...(text.instruction !== undefined ? { instruction: text.instruction ? verdict.instruction.trim() : '' } : {}),
+        };
+      }
+      action = strongerAction(action, modelAction);
+    }
+  }
+
+  // An edit needs its instruction; a generation needs an idea, a brief or an image
+  const nothingLeft = text.instruction !== undefined ? !text.instruction : !text.idea && !text.brief && !input.image;
+  if (action === MODERATION_ACTIONS.REWRITE && nothingLeft) {
+    return blocked('nothing is left of the request once the content breaking the policy is removed');
+  }
+
+  const reencode = (field: keyof ModeratedText, encoded: string) =>
+    text[field] === original[field] ? encoded : he.encode(text[field] ?? '');
+  return {
+    ok: true,
+    input: {
+      ...input,
+      idea: reencode('idea', input.idea),
+      directions: reencode('directions', input.directions),
+      ...(input.refinedBrief !== undefined ? { refinedBrief: reencode('brief', input.refinedBrief) } : {}),
+      ...(input.instruction !== undefined ? { instruction: reencode('instruction', input.instruction) } : {}),
+    },
+    action,
+  };
+};
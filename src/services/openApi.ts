@@ -0,0 +1,653 @@
+import {
+  BATCH_CONFIG,
+  BATCH_FORMATS,
+  BATCH_JOB_STATUSES,
+  BATCH_ROW_STATUSES,
+  ERROR_CODES,
+  GENERATION_STAGES,
+  INPUT_LIMITS,
+  JOB_STATUSES,
+  OUTPUT_FORMATS,
+  PROMPT_MODES,
+  RATE_LIMIT_HEADERS,
+  REFINEMENT_MODEL_OPTIONS,
+  USAGE_BUDGET_MODES,
+  VARIANT_CONFIG,
+  WEBHOOK_STATUSES,
+  type ErrorCode,
+} from '../config/constants';
+import { PROMPT_MODE_LIST, PROMPT_OUTPUT_KINDS } from '../config/promptModes';
+import { API_ERROR_DEFINITIONS } from '../utils/apiErrors';
+import { STREAM_EVENTS } from '../utils/sse';
+
+/**
+ * OpenAPI 3.1 description of the prompt API routes, served at
+ * /api/openapi.json. Prompt schemas come straight from the mode registry
+ * (the same JSON schemas sent to the model as `response_format`) and limits,
+ * enums and error codes from config/constants, so the document cannot drift
+ * from what the routes accept and return.
+ */
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export type SchemaObject = Record<string, unknown>;
+
+export interface OpenApiDocument {
+  openapi: string;
+  info: { title: string; version: string; description: string };
+  paths: Record<string, Record<string, unknown>>;
+  components: {
+    schemas: Record<string, SchemaObject>;
+    headers: Record<string, SchemaObject>;
+  };
+}
+
+export const OPENAPI_VERSION = '3.1.0';
+
+/** Version of the documented API (bumped when a route changes shape) */
+export const API_VERSION = '1.0.0';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const ref = (name: string): SchemaObject => ({ $ref: `#/components/schemas/${name}` });
+
+const jsonContent = (schema: SchemaObject) => ({ 'application/json': { schema } });
+
+/** `json_prompt_response` -> `JsonPromptResponse` */
+const toComponentName = (schemaName: string): string =>
+  schemaName
+    .split('_')
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+
+const RATE_LIMIT_HEADER_REFS = Object.fromEntries(
+  Object.values(RATE_LIMIT_HEADERS).map((header) => [header, { $ref: `#/components/headers/${header}` }])
+);
+
+/**
+ * Error responses for the codes a route can return, grouped by HTTP status.
+ */
+const errorResponses = (codes: ErrorCode[]): Record<string, unknown> => {
+  const byStatus = new Map<number, ErrorCode[]>();
+  codes.forEach((code) => {
+    const { status } = API_ERROR_DEFINITIONS[code];
+    byStatus.set(status, [...(byStatus.get(status) ?? []), code]);
+  });
+
+  return Object.fromEntries(
+    Array.from(byStatus, ([status, statusCodes]) => [
+      String(status),
+      {
+        description: statusCodes.map((code) => `\`${code}\`: ${API_ERROR_DEFINITIONS[code].error}`).join('; '),
+        ...(statusCodes.includes(ERROR_CODES.RATE_LIMITED) ? { headers: RATE_LIMIT_HEADER_REFS } : {}),
+        content: jsonContent(ref('Error')),
+      },
+    ])
+  );
+};
+
+// ============================================================================
+// Schemas
+// ============================================================================
+
+/**
+ * Structured prompt schemas of the JSON and storyboard modes, keyed by
+ * component name. Text modes return the prompt as a plain string.
+ */
+const buildPromptSchemas = (): Record<string, SchemaObject> => {
+  const schemas: Record<string, SchemaObject> = {};
+  PROMPT_MODE_LIST.forEach(({ output, responseSchema }) => {
+    if (output === PROMPT_OUTPUT_KINDS.TEXT) return;
+    schemas[toComponentName(responseSchema.name)] = { ...responseSchema.schema };
+  });
+  return schemas;
+};
+
+const buildSchemas = (): Record<string, SchemaObject> => {
+  const promptSchemas = buildPromptSchemas();
+  const nullableString = { type: ['string', 'null'] };
+
+  return {
+    Mode: {
+      type: 'string',
+      enum: Object.values(PROMPT_MODES),
+      description: PROMPT_MODE_LIST.map((mode) => `\`${mode.id}\`: ${mode.description}`).join('; '),
+    },
+    OutputFormat: { type: 'string', enum: Object.values(OUTPUT_FORMATS) },
+    ...promptSchemas,
+    GeneratedPrompt: {
+      description: 'Prompt text for text modes, a structured document for the JSON and video modes',
+      oneOf: [{ type: 'string' }, ...Object.keys(promptSchemas).map(ref)],
+    },
+    FormattedPrompt: {
+      type: 'object',
+      properties: {
+        format: ref('OutputFormat'),
+        prompt: { type: 'string', description: "Positive prompt in the target's syntax" },
+        negativePrompt: { type: 'string', description: 'Separate negative prompt, for targets that take one' },
+      },
+      required: ['format', 'prompt'],
+    },
+    Usage: {
+      type: ['object', 'null'],
+      description: 'Token counts (and cost, when reported) from the model provider',
+      additionalProperties: true,
+    },
+    GenerateRequest: {
+      type: 'object',
+      properties: {
+        idea: { type: 'string', maxLength: INPUT_LIMITS.IDEA_MAX_LENGTH },
+        directions: { type: 'string', maxLength: INPUT_LIMITS.DIRECTIONS_MAX_LENGTH },
+        mode: ref('Mode'),
+        isJsonMode: { type: 'boolean', deprecated: true, description: 'Send `mode` instead' },
+        isTestMode: { type: 'boolean', deprecated: true, description: 'Send `mode` instead' },
+        isVideoPrompt: { type: 'boolean', deprecated: true, description: 'Send `mode` instead' },
+        isMultiPrompt: { type: 'boolean', description: 'Run the refinement stage before the final one' },
+        stream: {
+          type: 'boolean',
+          description: 'Stream a single result as Server-Sent Events (ignored when `variants` is above 1)',
+        },
+        variants: { type: 'integer', minimum: VARIANT_CONFIG.MIN, maximum: VARIANT_CONFIG.MAX, default: 1 },
+        stage: {
+          type: 'string',
+          enum: Object.values(GENERATION_STAGES),
+          default: GENERATION_STAGES.FULL,
+          description: '`refine` runs only the refinement stage and returns the brief for review',
+        },
+        refinementModel: { type: 'string', enum: [...REFINEMENT_MODEL_OPTIONS], default: REFINEMENT_MODEL_OPTIONS[0] },
+        refinedBrief: {
+          type: 'string',
+          maxLength: INPUT_LIMITS.REFINED_BRIEF_MAX_LENGTH,
+          description: 'Reviewed brief from a `refine` request; skips the refinement stage',
+        },
+        outputFormat: ref('OutputFormat'),
+        async: {
+          type: 'boolean',
+          description: 'Run as a background job and answer 202 with a Job (not with `stream` or stage `refine`)',
+        },
+        webhookUrl: {
+          type: 'string',
+          format: 'uri',
+          description: 'https URL that receives `{ event: "job.finished", job }` when an async job finishes',
+        },
+      },
+      description: 'Either `idea`, an image or `refinedBrief` is required',
+    },
+    GenerateMultipartRequest: {
+      allOf: [
+        ref('GenerateRequest'),
+        {
+          type: 'object',
+          properties: {
+            image: {
+              type: 'string',
+              contentMediaType: 'image/*',
+              description: `Reference image, at most ${INPUT_LIMITS.IMAGE_MAX_SIZE} bytes`,
+            },
+          },
+        },
+      ],
+    },
+    GenerateResponse: {
+      type: 'object',
+      properties: {
+        success: { const: true },
+        prompt: ref('GeneratedPrompt'),
+        mode: ref('Mode'),
+        usage: ref('Usage'),
+        model: { type: 'string' },
+        refinementModel: nullableString,
+        refinedBrief: nullableString,
+        formatted: { oneOf: [ref('FormattedPrompt'), { type: 'null' }] },
+      },
+      required: ['success', 'prompt', 'mode', 'usage', 'model', 'refinementModel', 'refinedBrief', 'formatted'],
+    },
+    GenerateVariantsResponse: {
+      type: 'object',
+      properties: {
+        success: { const: true },
+        prompt: { ...ref('GeneratedPrompt'), description: 'Same as `variants[0]`' },
+        variants: { type: 'array', items: ref('GeneratedPrompt') },
+        mode: ref('Mode'),
+        usage: { type: 'array', items: ref('Usage') },
+        model: { type: 'string' },
+        models: { type: 'array', items: { type: 'string' } },
+        refinementModel: nullableString,
+        refinedBrief: nullableString,
+        formatted: { oneOf: [{ type: 'array', items: ref('FormattedPrompt') }, { type: 'null' }] },
+      },
+      required: [
+        'success',
+        'prompt',
+        'variants',
+        'mode',
+        'usage',
+        'model',
+        'models',
+        'refinementModel',
+        'refinedBrief',
+        'formatted',
+      ],
+    },
+    RefineResponse: {
+      type: 'object',
+      properties: {
+        success: { const: true },
+        refinedBrief: { type: 'string' },
+        refinementModel: { type: 'string' },
+        usage: ref('Usage'),
+      },
+      required: ['success', 'refinedBrief', 'refinementModel', 'usage'],
+    },
+    EditRequest: {
+      type: 'object',
+      properties: {
+        idea: { type: 'string', maxLength: INPUT_LIMITS.IDEA_MAX_LENGTH },
+        directions: { type: 'string', maxLength: INPUT_LIMITS.DIRECTIONS_MAX_LENGTH },
+        prompt: {
+          ...ref('GeneratedPrompt'),
+          description: 'The prompt being revised, as returned by /api/generate',
+        },
+        instruction: { type: 'string', maxLength: INPUT_LIMITS.EDIT_INSTRUCTION_MAX_LENGTH },
+        mode: ref('Mode'),
+        outputFormat: ref('OutputFormat'),
+      },
+      required: ['prompt', 'instruction'],
+    },
+    EditResponse: {
+      type: 'object',
+      properties: {
+        success: { const: true },
+        prompt: ref('GeneratedPrompt'),
+        mode: ref('Mode'),
+        usage: ref('Usage'),
+        model: { type: 'string' },
+        formatted: { oneOf: [ref('FormattedPrompt'), { type: 'null' }] },
+      },
+      required: ['success', 'prompt', 'mode', 'usage', 'model', 'formatted'],
+    },
+    SurpriseResponse: {
+      type: 'object',
+      properties: {
+        prompt: { type: 'string' },
+        usage: ref('Usage'),
+        model: { type: 'string' },
+      },
+      required: ['prompt', 'usage', 'model'],
+    },
+    Job: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        status: { type: 'string', enum: Object.values(JOB_STATUSES) },
+        result: {
+          description: 'Body a synchronous request would have returned (succeeded jobs only)',
+          oneOf: [ref('GenerateResponse'), ref('GenerateVariantsResponse'), { type: 'null' }],
+        },
+        error: { oneOf: [ref('Error'), { type: 'null' }] },
+        webhook: {
+          oneOf: [
+            {
+              type: 'object',
+              properties: {
+                status: { type: 'string', enum: Object.values(WEBHOOK_STATUSES) },
+                attempts: { type: 'integer' },
+              },
+              required: ['status', 'attempts'],
+            },
+            { type: 'null' },
+          ],
+        },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+        finishedAt: { type: ['string', 'null'], format: 'date-time' },
+      },
+      required: ['id', 'status', 'result', 'error', 'webhook', 'createdAt', 'updatedAt', 'finishedAt'],
+    },
+    BatchRequest: {
+      type: 'object',
+      properties: {
+        content: {
+          type: 'string',
+          description:
+            `Text of a CSV file with an \`idea\` column (optional \`directions\` and \`mode\`) or a JSONL file ` +
+            `of such objects, at most ${BATCH_CONFIG.MAX_ROWS} rows and ${BATCH_CONFIG.MAX_FILE_SIZE} bytes`,
+        },
+        filename: { type: 'string', description: 'Original file name; its extension selects the format' },
+        format: { type: 'string', enum: Object.values(BATCH_FORMATS) },
+        mode: { ...ref('Mode'), description: 'Mode for rows that do not name one' },
+      },
+      required: ['content'],
+    },
+    BatchJobResponse: {
+      type: 'object',
+      properties: {
+        job: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            status: { type: 'string', enum: Object.values(BATCH_JOB_STATUSES) },
+            filename: nullableString,
+            counts: {
+              type: 'object',
+              properties: Object.fromEntries(
+                [...Object.values(BATCH_ROW_STATUSES), 'total'].map((key) => [key, { type: 'integer' }])
+              ),
+            },
+            queuePosition: { type: ['integer', 'null'], description: 'Jobs ahead of this one while queued' },
+            waitingSeconds: {
+              type: ['integer', 'null'],
+              description: 'Seconds until the generation quota resets while rows wait for it',
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            startedAt: { type: ['string', 'null'], format: 'date-time' },
+            finishedAt: { type: ['string', 'null'], format: 'date-time' },
+          },
+          required: ['id', 'status', 'filename', 'counts', 'queuePosition', 'waitingSeconds', 'createdAt'],
+        },
+        rows: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              row: { type: 'integer', minimum: 1 },
+              status: { type: 'string', enum: Object.values(BATCH_ROW_STATUSES) },
+              error: {
+                oneOf: [
+                  {
+                    type: 'object',
+                    properties: { code: { type: 'string', enum: Object.values(ERROR_CODES) }, message: { type: 'string' } },
+                    required: ['code', 'message'],
+                  },
+                  { type: 'null' },
+                ],
+              },
+            },
+            required: ['row', 'status', 'error'],
+          },
+        },
+      },
+      required: ['job', 'rows'],
+    },
+    UsageCounts: {
+      type: 'object',
+      properties: {
+        calls: { type: 'integer' },
+        promptTokens: { type: 'integer' },
+        completionTokens: { type: 'integer' },
+        cost: { type: 'number', description: 'Estimated cost in USD' },
+      },
+      required: ['calls', 'promptTokens', 'completionTokens', 'cost'],
+    },
+    UsageBudget: {
+      type: 'object',
+      properties: {
+        limit: { type: 'number', description: 'Daily budget in USD' },
+        spent: { type: 'number', description: 'Estimated USD spent today' },
+        remaining: { type: 'number' },
+        exceeded: { type: 'boolean' },
+        mode: {
+          type: 'string',
+          enum: Object.values(USAGE_BUDGET_MODES),
+          description: `\`${USAGE_BUDGET_MODES.BLOCK}\` rejects requests once exceeded, \`${USAGE_BUDGET_MODES.WARN}\` only reports it`,
+        },
+        resetsAt: { type: 'string', format: 'date-time', description: 'Next midnight UTC' },
+      },
+      required: ['limit', 'spent', 'remaining', 'exceeded', 'mode', 'resetsAt'],
+    },
+    UsageReport: {
+      type: 'object',
+      properties: {
+        day: { type: 'string', format: 'date', description: 'UTC day the totals cover' },
+        totals: ref('UsageCounts'),
+        models: { type: 'object', additionalProperties: ref('UsageCounts') },
+        budget: { oneOf: [ref('UsageBudget'), { type: 'null' }] },
+        prices: {
+          type: 'object',
+          description: 'USD per million tokens the costs are estimated from',
+          additionalProperties: {
+            type: 'object',
+            properties: { prompt: { type: 'number' }, completion: { type: 'number' } },
+            required: ['prompt', 'completion'],
+          },
+        },
+      },
+      required: ['day', 'totals', 'models', 'budget', 'prices'],
+    },
+    Error: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', enum: Object.values(ERROR_CODES) },
+        error: { type: 'string', description: 'Short error title' },
+        message: { type: 'string', description: 'User-facing explanation' },
+        retryAfter: { type: 'integer', description: 'Seconds to wait before retrying (rate limited and over-budget responses only)' },
+      },
+      required: ['code', 'error', 'message'],
+    },
+  };
+};
+
+const HEADER_DESCRIPTIONS: Record<string, string> = {
+  [RATE_LIMIT_HEADERS.LIMIT]: "Points per window for the endpoint's bucket",
+  [RATE_LIMIT_HEADERS.REMAINING]: 'Points left in the current window',
+  [RATE_LIMIT_HEADERS.RESET]: 'Seconds until the window resets',
+  [RATE_LIMIT_HEADERS.RETRY_AFTER]: 'Seconds to wait before retrying (429 responses only)',
+};
+
+// ============================================================================
+// Document
+// ============================================================================
+
+const UPSTREAM_ERRORS: ErrorCode[] = [
+  ERROR_CODES.UPSTREAM_AUTH,
+  ERROR_CODES.UPSTREAM_RATE_LIMITED,
+  ERROR_CODES.UPSTREAM_UNAVAILABLE,
+  ERROR_CODES.UPSTREAM_TIMEOUT,
+  ERROR_CODES.SCHEMA_INVALID,
+];
+
+const COMMON_ERRORS: ErrorCode[] = [
+  ERROR_CODES.METHOD_NOT_ALLOWED,
+  ERROR_CODES.RATE_LIMITED,
+  ERROR_CODES.BUDGET_EXCEEDED,
+  ERROR_CODES.SERVER_MISCONFIGURED,
+  ERROR_CODES.INTERNAL_ERROR,
+];
+
+const JOB_ID = { name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } };
+
+/**
+ * Builds the OpenAPI document for /api/generate, /api/jobs, /api/edit,
+ * /api/surprise, the /api/batch job routes and /api/usage.
+ */
+export const buildOpenApiDocument = (): OpenApiDocument => ({
+  openapi: OPENAPI_VERSION,
+  info: {
+    title: 'Prompt Generator API',
+    version: API_VERSION,
+    description:
+      'Routes behind the web app. Requests are rate limited per client IP; every error uses the `Error` envelope.',
+  },
+  paths: {
+    '/api/generate': {
+      post: {
+        operationId: 'generatePrompt',
+        summary: 'Generate an image or video prompt',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': { schema: ref('GenerateRequest') },
+            'multipart/form-data': { schema: ref('GenerateMultipartRequest') },
+          },
+        },
+        responses: {
+          '200': {
+            description: 'Generated prompt, variants or refined brief',
+            headers: RATE_LIMIT_HEADER_REFS,
+            content: {
+              'application/json': {
+                schema: {
+                  oneOf: [ref('GenerateResponse'), ref('GenerateVariantsResponse'), ref('RefineResponse')],
+                },
+              },
+              'text/event-stream': {
+                schema: { type: 'string' },
+                description:
+                  `Sent when \`stream\` is true. \`${STREAM_EVENTS.DELTA}\` events carry \`{ text }\` tokens, ` +
+                  `then one \`${STREAM_EVENTS.DONE}\` event carries a GenerateResponse or one ` +
+                  `\`${STREAM_EVENTS.ERROR}\` event an Error.`,
+              },
+            },
+          },
+          '202': {
+            description: 'Async job accepted; poll the URL in the Location header',
+            headers: { ...RATE_LIMIT_HEADER_REFS, Location: { schema: { type: 'string' } } },
+            content: jsonContent(ref('Job')),
+          },
+          ...errorResponses([
+            ...COMMON_ERRORS,
+            ERROR_CODES.INVALID_REQUEST,
+            ERROR_CODES.INPUT_TOO_LONG,
+            ERROR_CODES.PAYLOAD_TOO_LARGE,
+            ERROR_CODES.IMAGE_PROCESSING_FAILED,
+            ERROR_CODES.CONTENT_BLOCKED,
+            ...UPSTREAM_ERRORS,
+          ]),
+        },
+      },
+    },
+    '/api/jobs/{id}': {
+      get: {
+        operationId: 'getJob',
+        summary: 'Status and result of an async generation',
+        parameters: [JOB_ID],
+        responses: {
+          '200': { description: 'The job', content: jsonContent(ref('Job')) },
+          ...errorResponses([ERROR_CODES.METHOD_NOT_ALLOWED, ERROR_CODES.NOT_FOUND, ERROR_CODES.SERVER_MISCONFIGURED]),
+        },
+      },
+    },
+    '/api/edit': {
+      post: {
+        operationId: 'editPrompt',
+        summary: 'Revise a generated prompt with a follow-up instruction',
+        requestBody: { required: true, content: jsonContent(ref('EditRequest')) },
+        responses: {
+          '200': {
+            description: 'Revised prompt in the same mode',
+            headers: RATE_LIMIT_HEADER_REFS,
+            content: jsonContent(ref('EditResponse')),
+          },
+          ...errorResponses([
+            ...COMMON_ERRORS,
+            ERROR_CODES.INVALID_REQUEST,
+            ERROR_CODES.INPUT_TOO_LONG,
+            ERROR_CODES.PAYLOAD_TOO_LARGE,
+            ERROR_CODES.CONTENT_BLOCKED,
+            ...UPSTREAM_ERRORS,
+          ]),
+        },
+      },
+    },
+    '/api/surprise': {
+      post: {
+        operationId: 'surprisePrompt',
+        summary: 'Generate a random creative prompt',
+        responses: {
+          '200': {
+            description: 'Random prompt',
+            headers: RATE_LIMIT_HEADER_REFS,
+            content: jsonContent(ref('SurpriseResponse')),
+          },
+          ...errorResponses([...COMMON_ERRORS, ...UPSTREAM_ERRORS]),
+        },
+      },
+    },
+    '/api/batch': {
+      post: {
+        operationId: 'submitBatch',
+        summary: 'Start a batch job for a CSV or JSONL file of ideas',
+        description:
+          'Rows are generated in the background against the caller\'s generation quota. ' +
+          `A client can have ${BATCH_CONFIG.MAX_ACTIVE_JOBS_PER_CLIENT} unfinished job(s) at a time.`,
+        requestBody: { required: true, content: jsonContent(ref('BatchRequest')) },
+        responses: {
+          '202': {
+            description: 'Job accepted; poll the URL in the Location header',
+            headers: { Location: { schema: { type: 'string' } } },
+            content: jsonContent(ref('BatchJobResponse')),
+          },
+          ...errorResponses([...COMMON_ERRORS, ERROR_CODES.INVALID_REQUEST, ERROR_CODES.PAYLOAD_TOO_LARGE]),
+        },
+      },
+    },
+    '/api/batch/{id}': {
+      get: {
+        operationId: 'getBatch',
+        summary: 'Progress of a batch job',
+        parameters: [JOB_ID],
+        responses: {
+          '200': { description: 'Job progress and row statuses', content: jsonContent(ref('BatchJobResponse')) },
+          ...errorResponses([ERROR_CODES.METHOD_NOT_ALLOWED, ERROR_CODES.NOT_FOUND]),
+        },
+      },
+      delete: {
+        operationId: 'cancelBatch',
+        summary: 'Cancel the pending rows of a batch job',
+        description: 'Only the client that submitted the job can cancel it; for anyone else it is not found.',
+        parameters: [JOB_ID],
+        responses: {
+          '200': { description: 'Cancelled job', content: jsonContent(ref('BatchJobResponse')) },
+          ...errorResponses([ERROR_CODES.METHOD_NOT_ALLOWED, ERROR_CODES.NOT_FOUND]),
+        },
+      },
+    },
+    '/api/batch/{id}/results': {
+      get: {
+        operationId: 'getBatchResults',
+        summary: 'Download the results of a batch job so far',
+        parameters: [
+          JOB_ID,
+          { name: 'format', in: 'query', schema: { type: 'string', enum: Object.values(BATCH_FORMATS) } },
+        ],
+        responses: {
+          '200': {
+            description:
+              'One row per input row with row, idea, directions, mode, status, prompt, model and error fields',
+            content: {
+              'text/csv': { schema: { type: 'string' } },
+              'application/x-ndjson': { schema: { type: 'string' } },
+            },
+          },
+          ...errorResponses([ERROR_CODES.METHOD_NOT_ALLOWED, ERROR_CODES.INVALID_REQUEST, ERROR_CODES.NOT_FOUND]),
+        },
+      },
+    },
+    '/api/usage': {
+      get: {
+        operationId: 'getUsage',
+        summary: "Today's token usage, estimated cost and daily budget of the caller",
+        description:
+          'Costs are estimates from the price table in the response. Once a `block` budget is spent, the ' +
+          'generating routes answer `BUDGET_EXCEEDED` until midnight UTC.',
+        responses: {
+          '200': { description: 'Usage so far today', content: jsonContent(ref('UsageReport')) },
+          ...errorResponses([ERROR_CODES.METHOD_NOT_ALLOWED, ERROR_CODES.SERVER_MISCONFIGURED]),
+        },
+      },
+    },
+  },
+  components: {
+    schemas: buildSchemas(),
+    headers: Object.fromEntries(
+      Object.values(RATE_LIMIT_HEADERS).map((header) => [
+        header,
+        { description: HEADER_DESCRIPTIONS[header], schema: { type: 'integer' } },
+      ])
+    ),
+  },
+});
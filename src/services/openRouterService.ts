@@ -1,6 +1,12 @@
 import type { NextApiResponse } from 'next';
-import { API_CONFIG } from '../config/constants';
-import logger from '../utils/logger';
+import { ERROR_CODES, type ErrorCode } from '../config/constants';
+import { getApiConfig } from '../config/env';
+import { API_ERROR_DEFINITIONS, buildApiError } from '../utils/apiErrors';
+import logger from './serverLogger';
+import type { ChatCompletionResponse } from '../utils/openRouterParsers';
+import { getLlmProvider } from './llmProvider';
+import { recordModelFallback, recordTokenUsage, recordUpstreamCall, type FallbackReason } from './metrics';
+import { recordModelUsage } from './usageLedger';
 
 export type OpenRouterContent =
   | string
@@ -10,7 +16,7 @@ export type OpenRouterContent =
     >;
 
 export interface OpenRouterMessage {
-  role: 'system' | 'user';
+  role: 'system' | 'user' | 'assistant';
   content: OpenRouterContent;
 }
 
@@ -42,6 +48,7 @@ export interface OpenRouterRequestBody {
   presence_penalty?: number;
   usage?: { include: boolean };
   response_format?: JsonSchemaResponseFormat;
+  stream?: boolean;
 }
 
 export interface OpenRouterCallOptions {
@@ -49,9 +56,12 @@ export interface OpenRouterCallOptions {
   body: OpenRouterRequestBody;
   title?: string;
   abortMs?: number;
+  /** Epoch ms by which every call of the request must be done (see createRequestDeadline) */
+  deadline?: number;
 }
 
 export interface OpenRouterErrorInfo {
+  code: ErrorCode;
   status: number;
   error: string;
   message: string;
@@ -59,36 +69,91 @@ export interface OpenRouterErrorInfo {
   details?: unknown;
 }
 
-const REFERER =
-  process.env.VERCEL_URL && process.env.VERCEL_URL.trim().length > 0
-    ? `https://${process.env.VERCEL_URL}`
-    : 'http://localhost:3000';
+export interface ModelFallbackOptions extends Omit<OpenRouterCallOptions, 'body'> {
+  /** Request body; `model` is filled in from the chain */
+  body: Omit<OpenRouterRequestBody, 'model'>;
+  /** Ordered list of models to try */
+  models: readonly string[];
+}
+
+export interface ValidatedFallbackOptions<T> extends ModelFallbackOptions {
+  /** Extracts and validates the result; throwing moves on to the next model */
+  validate: (data: ChatCompletionResponse) => T;
+}
+
+export type ModelConnectResult =
+  | { ok: true; response: Response; model: string; index: number }
+  | { ok: false; errorInfo: OpenRouterErrorInfo; model: string };
+
+export type ModelFallbackResult<T> =
+  | { ok: true; value: T; data: ChatCompletionResponse; model: string }
+  | { ok: false; errorInfo: OpenRouterErrorInfo; model: string };
 
 /**
- * Shared OpenRouter API caller with a timeout guard.
+ * Resolves the API key for the configured LLM provider.
+ * Returns null when the provider needs a key that is not set, or when
+ * LLM_PROVIDER is invalid, so routes can answer with a configuration error.
+ */
+export function resolveProviderApiKey(): string | null {
+  try {
+    const provider = getLlmProvider();
+    if (provider.apiKey === null) {
+      logger.error(`API key for LLM provider "${provider.name}" is not set`);
+    }
+    return provider.apiKey;
+  } catch (error) {
+    logger.error('Invalid LLM provider configuration:', error);
+    return null;
+  }
+}
+
+/**
+ * Deadline for the model calls of one API request: API_CONFIG.REQUEST_DEADLINE
+ * from now. Taken once per request and passed to every stage, so retries and
+ * fallbacks stop before the host cuts the function off.
+ */
+export const createRequestDeadline = (now = Date.now()): number => now + getApiConfig().REQUEST_DEADLINE;
+
+/** Milliseconds left before the deadline (Infinity without one) */
+const timeLeft = (deadline?: number): number => (deadline === undefined ? Infinity : deadline - Date.now());
+
+/** Cancels a response body nobody will read, so its connection is released before the next call */
+const discardBody = (response: Response): void => {
+  if (response.body && !response.bodyUsed) response.body.cancel().catch(() => undefined);
+};
+
+/**
+ * Shared chat completion caller with a timeout guard.
+ * Dispatches to the provider selected by LLM_PROVIDER (OpenRouter by default)
+ * and records the call's latency and outcome in the metrics.
  */
 export async function makeOpenRouterCall({
   apiKey,
   body,
   title = 'Prompt Generator',
-  abortMs = API_CONFIG.REQUEST_TIMEOUT,
+  abortMs = getApiConfig().REQUEST_TIMEOUT,
+  deadline,
 }: OpenRouterCallOptions): Promise<Response> {
+  const provider = getLlmProvider();
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), abortMs);
+  // A call never outlives the request deadline
+  const timeoutId = setTimeout(() => controller.abort(), Math.max(Math.min(abortMs, timeLeft(deadline)), 0));
+  const startedAt = Date.now();
+  const record = (outcome: string) =>
+    recordUpstreamCall(provider.name, body.model, outcome, (Date.now() - startedAt) / 1000);
 
   try {
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': REFERER,
-        'X-Title': title,
-      },
-      body: JSON.stringify(body),
+    const response = await provider.chatCompletion({
+      apiKey,
+      body,
+      title,
       signal: controller.signal,
     });
+    record(`${Math.floor(response.status / 100)}xx`);
     return response;
+  } catch (error) {
+    record(error instanceof Error && error.name === 'AbortError' ? 'timeout' : 'error');
+    throw error;
   } finally {
     clearTimeout(timeoutId);
   }
@@ -111,11 +176,12 @@ const isRetryableError = (response?: Response, error?: unknown): boolean => {
 
 /**
  * OpenRouter API caller with exponential backoff retry for transient failures.
- * Will retry up to MAX_RETRIES times for 5xx errors and network failures.
+ * Will retry up to MAX_RETRIES times for 5xx errors and network failures, but
+ * not when the backoff would run past the request deadline.
  */
 export async function makeOpenRouterCallWithRetry(
   options: OpenRouterCallOptions,
-  maxRetries = API_CONFIG.MAX_RETRIES
+  maxRetries = getApiConfig().MAX_RETRIES
 ): Promise<Response> {
   let lastError: Error | undefined;
   let lastResponse: Response | undefined;
@@ -123,6 +189,9 @@ export async function makeOpenRouterCallWithRetry(
   for (let attempt = 0; attempt < maxRetries; attempt++) {
     try {
       const response = await makeOpenRouterCall(options);
+      // Only the latest response can be returned; an earlier 5xx is dropped unread
+      if (lastResponse) discardBody(lastResponse);
+      lastResponse = undefined;
 
       // Success or non-retryable error (4xx) - return immediately
       if (response.ok || !isRetryableError(response)) {
@@ -147,7 +216,11 @@ export async function makeOpenRouterCallWithRetry(
 
     // Exponential backoff: 1s, 2s, 4s
     if (attempt < maxRetries - 1) {
-      const delay = API_CONFIG.RETRY_BASE_DELAY * Math.pow(2, attempt);
+      const delay = getApiConfig().RETRY_BASE_DELAY * Math.pow(2, attempt);
+      if (delay >= timeLeft(options.deadline)) {
+        logger.warn(`Not retrying: the ${delay}ms backoff would pass the request deadline`);
+        break;
+      }
       logger.info(`Retry attempt ${attempt + 1}/${maxRetries} after ${delay}ms`);
       await new Promise((r) => setTimeout(r, delay));
     }
@@ -162,6 +235,141 @@ export async function makeOpenRouterCallWithRetry(
   throw lastError || new Error('Max retries exceeded');
 }
 
+// ============================================================================
+// Model Fallback
+// ============================================================================
+
+/** Upstream statuses that mean "this model is unavailable right now" */
+const FALLBACK_STATUSES = new Set([404, 408, 429]);
+
+const shouldFallBack = (status: number): boolean => FALLBACK_STATUSES.has(status) || status >= 500;
+
+const upstreamError = (code: ErrorCode, message: string, sourceStatus: number): OpenRouterErrorInfo => ({
+  ...buildApiError(code, message),
+  status: API_ERROR_DEFINITIONS[code].status,
+  sourceStatus,
+});
+
+const UNAVAILABLE_ERROR = upstreamError(
+  ERROR_CODES.UPSTREAM_UNAVAILABLE,
+  'The AI service is currently unavailable. Please try again later.',
+  0
+);
+
+const TIMEOUT_ERROR = upstreamError(
+  ERROR_CODES.UPSTREAM_TIMEOUT,
+  'The AI service took too long to respond. Please try again.',
+  0
+);
+
+export const INVALID_OUTPUT_ERROR = upstreamError(
+  ERROR_CODES.SCHEMA_INVALID,
+  'The AI service returned an invalid response. Please try again.',
+  200
+);
+
+/** A response stopped by the system prompt echo check (utils/promptGuard) */
+export const SYSTEM_PROMPT_ECHO_ERROR = upstreamError(
+  ERROR_CODES.CONTENT_BLOCKED,
+  "The response was stopped because it repeated the generator's instructions. Please rephrase your request.",
+  200
+);
+
+/**
+ * Walks the model chain from `startIndex` until one model answers with a 2xx
+ * response. Transient failures are retried per model with backoff; models that
+ * are down, missing or rate limited fall through to the next one. Other client
+ * errors (bad request, auth) stop the chain since every model would fail alike.
+ * Once the request deadline has passed no further model is tried and the
+ * chain fails with UPSTREAM_TIMEOUT.
+ */
+export async function connectWithModelFallback(
+  { models, body, deadline = createRequestDeadline(), ...callOptions }: ModelFallbackOptions,
+  startIndex = 0
+): Promise<ModelConnectResult> {
+  let lastError = UNAVAILABLE_ERROR;
+  let lastModel = models[startIndex] ?? models[models.length - 1];
+
+  for (let index = startIndex; index < models.length; index++) {
+    const model = models[index];
+    if (timeLeft(deadline) <= 0) {
+      logger.warn(`Request deadline passed, not trying model ${model}`);
+      lastError = TIMEOUT_ERROR;
+      break;
+    }
+    lastModel = model;
+    const handOver = (reason: FallbackReason) => {
+      if (index < models.length - 1) recordModelFallback(model, reason);
+    };
+
+    let response: Response;
+    try {
+      response = await makeOpenRouterCallWithRetry({ ...callOptions, deadline, body: { ...body, model } });
+    } catch (error) {
+      const isTimeout = error instanceof Error && error.name === 'AbortError';
+      logger.warn(`Model ${model} ${isTimeout ? 'timed out' : 'request failed'}:`, error);
+      lastError = isTimeout ? TIMEOUT_ERROR : UNAVAILABLE_ERROR;
+      handOver(isTimeout ? 'timeout' : 'error');
+      continue;
+    }
+
+    if (response.ok) {
+      if (index > 0) logger.info(`Fell back to model ${model}`);
+      return { ok: true, response, model, index };
+    }
+
+    const errorInfo = await mapOpenRouterError(response);
+    if (!shouldFallBack(response.status)) {
+      return { ok: false, errorInfo, model };
+    }
+    discardBody(response);
+    logger.warn(`Model ${model} unavailable (status ${response.status}), trying next model`);
+    lastError = errorInfo;
+    handOver(response.status === 429 ? 'rate_limited' : 'unavailable');
+  }
+
+  return { ok: false, errorInfo: lastError, model: lastModel };
+}
+
+/**
+ * Calls the model chain and validates the completion. A model whose output
+ * fails validation (e.g. schema-invalid JSON) is skipped like an unavailable one.
+ * Without a deadline the chain gets API_CONFIG.REQUEST_DEADLINE of its own.
+ */
+export async function callWithModelFallback<T>({
+  validate,
+  ...options
+}: ValidatedFallbackOptions<T>): Promise<ModelFallbackResult<T>> {
+  options = { ...options, deadline: options.deadline ?? createRequestDeadline() };
+  let startIndex = 0;
+  let lastInvalidModel: string | null = null;
+
+  while (startIndex < options.models.length) {
+    const connection = await connectWithModelFallback(options, startIndex);
+    if (!connection.ok) {
+      // Prefer reporting invalid output over a later model simply being down
+      return lastInvalidModel
+        ? { ok: false, errorInfo: INVALID_OUTPUT_ERROR, model: lastInvalidModel }
+        : connection;
+    }
+
+    try {
+      const data = (await connection.response.json()) as ChatCompletionResponse;
+      // Tokens are spent whether or not the output passes validation
+      recordTokenUsage(connection.model, data?.usage);
+      recordModelUsage(connection.model, data?.usage);
+      return { ok: true, value: validate(data), data, model: connection.model };
+    } catch (validationError) {
+      logger.warn(`Model ${connection.model} returned invalid output:`, validationError);
+      lastInvalidModel = connection.model;
+      startIndex = connection.index + 1;
+      if (startIndex < options.models.length) recordModelFallback(connection.model, 'invalid_output');
+    }
+  }
+
+  return { ok: false, errorInfo: INVALID_OUTPUT_ERROR, model: lastInvalidModel ?? options.models[0] };
+}
+
 /**
  * Normalize OpenRouter errors to consistent client responses.
  * Details are logged server-side only and NOT included in client response.
@@ -178,36 +386,29 @@ export async function mapOpenRouterError(response: Response): Promise<OpenRouter
   });
 
   if (response.status === 401) {
-    return {
-      status: 500,
-      error: 'Authentication error',
-      message: 'Invalid API credentials. Please contact the administrator.',
-      sourceStatus: response.status,
-      // Note: details intentionally omitted from client response for security
-    };
+    // Note: details intentionally omitted from client response for security
+    return upstreamError(
+      ERROR_CODES.UPSTREAM_AUTH,
+      'Invalid API credentials. Please contact the administrator.',
+      response.status
+    );
   }
 
   if (response.status === 429) {
-    return {
-      status: 429,
-      error: 'Rate limit exceeded',
-      message: 'Too many requests. Please wait a moment before trying again.',
-      sourceStatus: response.status,
-    };
+    return upstreamError(
+      ERROR_CODES.UPSTREAM_RATE_LIMITED,
+      'Too many requests. Please wait a moment before trying again.',
+      response.status
+    );
   }
 
-  return {
-    status: 500,
-    error: 'External service error',
-    message: 'The AI service is currently unavailable. Please try again later.',
-    sourceStatus: response.status,
-  };
+  return upstreamError(
+    ERROR_CODES.UPSTREAM_UNAVAILABLE,
+    'The AI service is currently unavailable. Please try again later.',
+    response.status
+  );
 }
 
 export function sendOpenRouterError(res: NextApiResponse, errorInfo: OpenRouterErrorInfo): void {
-  res.status(errorInfo.status).json({
-    error: errorInfo.error,
-    message: errorInfo.message,
-  });
+  res.status(errorInfo.status).json(buildApiError(errorInfo.code, errorInfo.message));
 }
-
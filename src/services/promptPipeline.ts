@@ -0,0 +1,572 @@
+/**
+ * Prompt generation pipeline shared by the prompt API routes.
+ * Builds the model requests for an idea, runs the optional refinement stage,
+ * then runs the mode's completion through the PRIMARY model chain, validates
+ * it against the mode's structured output and repairs output that misses it.
+ */
+import { MODEL_FALLBACKS, OUTPUT_REPAIR, type ErrorCode } from '../config/constants';
+import { REFINEMENT_SYSTEM_PROMPT, SURPRISE_SYSTEM_PROMPT, USER_TEXT_SYSTEM_PROMPT } from '../config/prompts';
+import type { GeneratedPrompt, PromptModeDefinition } from '../config/promptModes';
+import logger from './serverLogger';
+import { recordModelFallback, recordOutputRepair, recordRefinement, recordSystemPromptEcho } from './metrics';
+import { moderateGenerationInput } from './moderation';
+import {
+  ensureTextPrompt,
+  extractMessageText,
+  parseStructuredContent,
+  type ChatCompletionResponse,
+} from '../utils/openRouterParsers';
+import { createSystemPromptEchoTracker, delimitUserText, findSystemPromptEcho } from '../utils/promptGuard';
+import {
+  INVALID_OUTPUT_ERROR,
+  SYSTEM_PROMPT_ECHO_ERROR,
+  callWithModelFallback,
+  createRequestDeadline,
+  type JsonSchemaWrapper,
+  type ModelFallbackResult,
+  type OpenRouterContent,
+  type OpenRouterErrorInfo,
+  type OpenRouterRequestBody,
+} from './openRouterService';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export type FinalStageBody = Omit<OpenRouterRequestBody, 'model'>;
+export type FinalStageSuccess = {
+  ok: true;
+  prompt: GeneratedPrompt;
+  usage: unknown;
+  model: string;
+  /** Whether the prompt came from a repair request */
+  repaired: boolean;
+};
+export type FinalStageFailure = { ok: false; code: ErrorCode; status: number; error: string; message: string };
+export type FinalStageResult = FinalStageSuccess | FinalStageFailure;
+
+/** Outcome of checking one completion: a usable prompt, or the rejected content and why */
+export type FinalPromptCheck =
+  | { ok: true; prompt: GeneratedPrompt }
+  | { ok: false; content: string; reason: string };
+
+/** Image sent along with an idea */
+export interface PromptImage {
+  /** Base64 image data without the data URL prefix */
+  base64: string;
+  mimeType: string;
+}
+
+/** Everything needed to generate prompts for one idea */
+export interface GenerationRequest {
+  /** HTML-encoded idea (may be empty when an image is given) */
+  idea: string;
+  /** HTML-encoded additional directions */
+  directions: string;
+  mode: PromptModeDefinition;
+  image: PromptImage | null;
+  /** Run the refinement stage before the final one */
+  refine: boolean;
+  /** HTML-encoded brief from an earlier refinement; skips refinement and is sent without the image */
+  refinedBrief?: string;
+  /** Model leading the refinement chain (defaults to the first REFINEMENT model) */
+  refinementModel?: string;
+  /** Number of prompts to generate side by side */
+  variants: number;
+  title?: string;
+}
+
+export type GenerationResult =
+  | {
+      ok: true;
+      /** One entry per variant that succeeded (at least one) */
+      prompts: FinalStageSuccess[];
+      refinedBrief: string | null;
+      refinementModel: string | null;
+      /** Usage of the refinement call (null when it did not run or failed) */
+      refinementUsage: unknown;
+    }
+  | FinalStageFailure;
+
+const toStageFailure = ({ code, status, error, message }: OpenRouterErrorInfo): FinalStageFailure => ({
+  ok: false,
+  code,
+  status,
+  error,
+  message,
+});
+
+// ============================================================================
+// Request Building
+// ============================================================================
+
+/**
+ * Builds message content from text and an optional image.
+ */
+export const buildUserContent = (text: string, image: PromptImage | null): OpenRouterContent => {
+  if (image) {
+    return [
+      { type: 'text', text },
+      { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.base64}` } },
+    ];
+  }
+  return text;
+};
+
+/**
+ * Builds the user message for an idea, its directions and whether an image is
+ * attached, followed by the mode's own instruction. The user's text is
+ * delimited so the model reads it as a description, never as instructions.
+ */
+export const buildUserPrompt = ({
+  idea,
+  directions,
+  hasImage,
+  mode,
+}: {
+  idea: string;
+  directions: string;
+  hasImage: boolean;
+  mode: PromptModeDefinition;
+}): string => {
+  const parts: string[] = [];
+  if (hasImage && !idea && !directions) {
+    parts.push(
+      'Please analyze this image and create a detailed prompt to recreate it as closely as possible for AI image generation.'
+    );
+  } else if (hasImage) {
+    parts.push('Please analyze this image and create a prompt for AI image generation that incorporates the request below.');
+  }
+  if (idea || !hasImage) {
+    parts.push(`Idea:\n${delimitUserText('user_idea', idea)}`);
+  }
+  if (directions) {
+    parts.push(`Additional directions:\n${delimitUserText('user_directions', directions)}`);
+  }
+  if (mode.userInstruction) {
+    parts.push(mode.userInstruction);
+  }
+  return parts.join('\n\n');
+};
+
+/**
+ * Builds the final-stage user message for a brief, either from the refinement
+ * stage or edited by the user, delimited like the rest of the user's text.
+ */
+export const buildBriefPrompt = (brief: string): string => `Brief:\n${delimitUserText('user_brief', brief)}`;
+
+/**
+ * Builds the final-stage request for a mode from the user or brief prompt.
+ */
+export const buildFinalStageBody = (
+  mode: PromptModeDefinition,
+  text: string,
+  image: PromptImage | null
+): FinalStageBody => ({
+  messages: [
+    { role: 'system', content: `${mode.systemPrompt}\n\n${USER_TEXT_SYSTEM_PROMPT}` },
+    { role: 'user', content: buildUserContent(text, image) },
+  ],
+  ...mode.sampling,
+  usage: { include: true },
+  response_format: { type: 'json_schema', json_schema: mode.responseSchema },
+});
+
+// ============================================================================
+// Output Checks
+// ============================================================================
+
+/**
+ * Shortens a prompt to at most `max` characters, ending on the last full
+ * sentence that fits, or on a whole word when that sentence would leave
+ * fewer than `min` characters.
+ */
+export const trimToLength = (prompt: string, min: number, max: number): string => {
+  if (prompt.length <= max) return prompt;
+
+  const head = prompt.slice(0, max);
+  if (/[.!?]$/.test(head) && /\s/.test(prompt.charAt(max))) return head;
+
+  const sentenceEnd = Math.max(head.lastIndexOf('. '), head.lastIndexOf('! '), head.lastIndexOf('? '));
+  if (sentenceEnd + 1 >= min) return head.slice(0, sentenceEnd + 1);
+
+  const wordEnd = head.lastIndexOf(' ');
+  return `${head.slice(0, wordEnd > 0 ? wordEnd : max - 1).replace(/[\s,;:]+$/, '')}.`;
+};
+
+/**
+ * Applies the mode's length rule to a validated prompt.
+ * @throws Error if the prompt is shorter than the mode allows
+ */
+export const enforcePromptLength = (prompt: GeneratedPrompt, mode: PromptModeDefinition): GeneratedPrompt => {
+  if (!mode.lengthRange || typeof prompt !== 'string') return prompt;
+
+  const { min, max } = mode.lengthRange;
+  if (prompt.length < min) {
+    throw new Error(`Prompt is ${prompt.length} characters but must be between ${min} and ${max}`);
+  }
+  return trimToLength(prompt, min, max);
+};
+
+/**
+ * Parses, validates and length-checks final-stage output. Never throws, so
+ * rejected content can be sent back to the model for repair.
+ */
+export const checkFinalContent = (content: unknown, mode: PromptModeDefinition): FinalPromptCheck => {
+  try {
+    return { ok: true, prompt: enforcePromptLength(mode.validate(parseStructuredContent(content)), mode) };
+  } catch (error) {
+    return {
+      ok: false,
+      content: extractMessageText(content),
+      reason: error instanceof Error ? error.message : String(error),
+    };
+  }
+};
+
+/**
+ * Checks a final-stage completion.
+ * @throws Error if the completion has no content at all (nothing to repair)
+ */
+const checkFinalCompletion = (data: ChatCompletionResponse, mode: PromptModeDefinition): FinalPromptCheck => {
+  const content = data?.choices?.[0]?.message?.content;
+  if (!content) throw new Error('Invalid OpenRouter API response structure');
+
+  return checkFinalContent(content, mode);
+};
+
+/**
+ * Validates a final-stage completion against the mode's structured output.
+ * @throws Error if the content is missing, malformed, empty or out of spec
+ */
+export const validateFinalPrompt = (data: ChatCompletionResponse, mode: PromptModeDefinition): GeneratedPrompt => {
+  const check = checkFinalCompletion(data, mode);
+  if (!check.ok) throw new Error(check.reason);
+  return check.prompt;
+};
+
+type EchoStage = 'refinement' | 'final' | 'stream';
+
+/** Logs and counts an echo found by the prompt guard; false when there is none */
+const reportEcho = (prompt: string | null, stage: EchoStage, model: string): boolean => {
+  if (!prompt) return false;
+  recordSystemPromptEcho(stage);
+  logger.warn('Response stopped for repeating a system prompt:', { stage, model, prompt });
+  return true;
+};
+
+/**
+ * Canary for leaked instructions: whether the output of a stage repeats one
+ * of the system prompts. Echoes are logged and counted.
+ */
+export const echoesSystemPrompt = (output: unknown, stage: EchoStage, model: string): boolean =>
+  reportEcho(findSystemPromptEcho(typeof output === 'string' ? output : JSON.stringify(output)), stage, model);
+
+/**
+ * echoesSystemPrompt for a streamed completion: call the returned check with
+ * each delta, it only looks at the text the delta adds.
+ */
+export const createStreamEchoCheck = (model: string): ((delta: string) => boolean) => {
+  const tracker = createSystemPromptEchoTracker();
+  return (delta) => reportEcho(tracker.push(delta), 'stream', model);
+};
+
+// ============================================================================
+// Repair
+// ============================================================================
+
+/**
+ * Builds the follow-up turn that asks the model to fix its rejected output.
+ */
+const buildRepairRequest = (reason: string, mode: PromptModeDefinition): string => {
+  let request = `Your previous response was rejected: ${reason}. Rewrite it so it follows every format rule in the system prompt`;
+  if (mode.lengthRange) {
+    request += ` and is between ${mode.lengthRange.min} and ${mode.lengthRange.max} characters long`;
+  }
+  request += '. Keep the same content and intent.';
+  if (mode.userInstruction) request += `\n\n${mode.userInstruction}`;
+  return request;
+};
+
+/**
+ * Re-asks the model that produced rejected output, with the validation error
+ * attached, up to OUTPUT_REPAIR.MAX_ATTEMPTS times. Never throws.
+ */
+export const repairFinalPrompt = async (
+  apiKey: string,
+  body: FinalStageBody,
+  mode: PromptModeDefinition,
+  model: string,
+  rejected: { content: string; reason: string },
+  title = 'Prompt Generator',
+  deadline?: number
+): Promise<FinalStageResult> => {
+  let current = rejected;
+
+  for (let attempt = 1; attempt <= OUTPUT_REPAIR.MAX_ATTEMPTS; attempt++) {
+    logger.warn(`Repairing output from model ${model} (attempt ${attempt}):`, current.reason);
+    const result = await callWithModelFallback({
+      apiKey,
+      body: {
+        ...body,
+        messages: [
+          ...body.messages,
+          { role: 'assistant', content: current.content },
+          { role: 'user', content: buildRepairRequest(current.reason, mode) },
+        ],
+      },
+      models: [model],
+      title,
+      deadline,
+      validate: (data) => checkFinalCompletion(data, mode),
+    });
+
+    if (!result.ok) {
+      recordOutputRepair(model, 'failed');
+      return toStageFailure(result.errorInfo);
+    }
+    if (result.value.ok) {
+      recordOutputRepair(model, 'repaired');
+      return { ok: true, prompt: result.value.prompt, usage: result.data.usage || null, model, repaired: true };
+    }
+    current = result.value;
+  }
+
+  logger.warn(`Output from model ${model} still invalid after repair:`, current.reason);
+  recordOutputRepair(model, 'failed');
+  return toStageFailure(INVALID_OUTPUT_ERROR);
+};
+
+// ============================================================================
+// Final Generation Stage
+// ============================================================================
+
+/**
+ * Runs one final-stage completion through the PRIMARY model chain.
+ * Output that fails validation is repaired by the same model first; if that
+ * fails too, the remaining models in the chain are tried.
+ */
+const runFinalChain = async (
+  apiKey: string,
+  body: FinalStageBody,
+  mode: PromptModeDefinition,
+  title = 'Prompt Generator',
+  deadline?: number
+): Promise<FinalStageResult> => {
+  const models: readonly string[] = MODEL_FALLBACKS.PRIMARY;
+  const result = await callWithModelFallback({
+    apiKey,
+    body,
+    models,
+    title,
+    deadline,
+    validate: (data) => checkFinalCompletion(data, mode),
+  });
+
+  if (!result.ok) {
+    logger.error('Final stage failed on every model:', {
+      model: result.model,
+      status: result.errorInfo.sourceStatus,
+    });
+    return toStageFailure(result.errorInfo);
+  }
+
+  if (result.value.ok) {
+    return { ok: true, prompt: result.value.prompt, usage: result.data.usage || null, model: result.model, repaired: false };
+  }
+
+  const repaired = await repairFinalPrompt(apiKey, body, mode, result.model, result.value, title, deadline);
+  const remaining = models.slice(models.indexOf(result.model) + 1);
+  if (repaired.ok || remaining.length === 0) return repaired;
+
+  recordModelFallback(result.model, 'repair_failed');
+  const fallback = await callWithModelFallback({
+    apiKey,
+    body,
+    models: remaining,
+    title,
+    deadline,
+    validate: (data) => validateFinalPrompt(data, mode),
+  });
+  if (!fallback.ok) {
+    logger.error('Final stage failed after repair:', {
+      model: fallback.model,
+      status: fallback.errorInfo.sourceStatus,
+    });
+    return toStageFailure(fallback.errorInfo);
+  }
+  return { ok: true, prompt: fallback.value, usage: fallback.data.usage || null, model: fallback.model, repaired: false };
+};
+
+/**
+ * Runs the final stage and stops a prompt that repeats a system prompt with
+ * CONTENT_BLOCKED (an echo is not repaired: the model is following injected
+ * instructions, not missing the format).
+ * Never throws: failures are returned as a client-facing error code and message so
+ * several calls can run side by side when variants are requested.
+ */
+export const runFinalStage = async (
+  apiKey: string,
+  body: FinalStageBody,
+  mode: PromptModeDefinition,
+  title = 'Prompt Generator',
+  deadline?: number
+): Promise<FinalStageResult> => {
+  const result = await runFinalChain(apiKey, body, mode, title, deadline);
+  if (result.ok && echoesSystemPrompt(result.prompt, 'final', result.model)) {
+    return toStageFailure(SYSTEM_PROMPT_ECHO_ERROR);
+  }
+  return result;
+};
+
+// ============================================================================
+// Refinement Stage
+// ============================================================================
+
+/**
+ * Turns the user prompt into a detailed brief for the final stage. The chosen
+ * model leads the chain; the remaining REFINEMENT models act as fallbacks.
+ * A brief that repeats a system prompt fails with CONTENT_BLOCKED.
+ */
+export const runRefinementStage = async (
+  apiKey: string,
+  userPrompt: string,
+  image: PromptImage | null,
+  refinementModel: string = MODEL_FALLBACKS.REFINEMENT[0],
+  deadline?: number
+): Promise<ModelFallbackResult<string>> => {
+  const result = await callWithModelFallback({
+    apiKey,
+    deadline,
+    models: [refinementModel, ...MODEL_FALLBACKS.REFINEMENT.filter((model) => model !== refinementModel)],
+    title: 'Prompt Generator - Refinement',
+    body: {
+      messages: [
+        { role: 'system', content: `${REFINEMENT_SYSTEM_PROMPT}\n\n${USER_TEXT_SYSTEM_PROMPT}` },
+        { role: 'user', content: buildUserContent(userPrompt, image) },
+      ],
+      temperature: 0.7,
+      max_tokens: 1000,
+      top_p: 1,
+      frequency_penalty: 0,
+      presence_penalty: 0,
+      usage: { include: true },
+    },
+    validate: (data) => {
+      const refined = extractMessageText(data.choices?.[0]?.message?.content);
+      if (!refined) throw new Error('Empty refinement response');
+      return refined;
+    },
+  });
+  if (result.ok && echoesSystemPrompt(result.value, 'refinement', result.model)) {
+    recordRefinement('failed');
+    return { ok: false, errorInfo: SYSTEM_PROMPT_ECHO_ERROR, model: result.model };
+  }
+  recordRefinement(result.ok ? 'succeeded' : 'failed');
+  return result;
+};
+
+// ============================================================================
+// Full Generation
+// ============================================================================
+
+/**
+ * Runs the whole pipeline for one idea: input moderation, the optional
+ * refinement stage, then one final stage per variant, side by side. A failed
+ * refinement falls back to the original prompt. Fails when moderation blocks
+ * the request or every variant failed. Every stage shares one deadline.
+ */
+export const generatePrompts = async (
+  apiKey: string,
+  request: GenerationRequest,
+  deadline = createRequestDeadline()
+): Promise<GenerationResult> => {
+  const { mode, image, title } = request;
+  const moderation = await moderateGenerationInput(apiKey, request, deadline);
+  if (!moderation.ok) return moderation;
+  const { idea, directions, refinedBrief: givenBrief } = moderation.input;
+  const userPrompt = buildUserPrompt({ idea, directions, hasImage: image !== null, mode });
+
+  let finalText = userPrompt;
+  let refinedBrief: string | null = null;
+  let refinementModel: string | null = null;
+  let refinementUsage: unknown = null;
+  if (givenBrief) {
+    finalText = buildBriefPrompt(givenBrief);
+  } else if (request.refine) {
+    const refinement = await runRefinementStage(apiKey, userPrompt, image, request.refinementModel, deadline);
+    if (refinement.ok) {
+      finalText = buildBriefPrompt(refinement.value);
+      refinedBrief = refinement.value;
+      refinementModel = refinement.model;
+      refinementUsage = refinement.data.usage || null;
+    } else {
+      logger.error('Stage 1 (refinement) failed on every model, using original prompt:', {
+        status: refinement.errorInfo.sourceStatus,
+      });
+    }
+  }
+
+  // A refined brief already describes the image, so it is only sent with the raw prompt
+  const body = buildFinalStageBody(mode, finalText, request.refine || givenBrief ? null : image);
+  const results = await Promise.all(
+    Array.from({ length: request.variants }, () => runFinalStage(apiKey, body, mode, title, deadline))
+  );
+  const prompts = results.filter((result): result is FinalStageSuccess => result.ok);
+  if (prompts.length === 0) return results[0] as FinalStageFailure;
+  if (prompts.length < request.variants) {
+    logger.warn(`Only ${prompts.length}/${request.variants} variants succeeded`);
+  }
+
+  return { ok: true, prompts, refinedBrief, refinementModel, refinementUsage };
+};
+
+// ============================================================================
+// Surprise Me
+// ============================================================================
+
+const PROMPT_ONLY_SCHEMA = {
+  name: 'prompt_response',
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      prompt: {
+        type: 'string',
+        description: 'Fully formatted prompt string for the user',
+      },
+    },
+    required: ['prompt'],
+  },
+  strict: true,
+} satisfies JsonSchemaWrapper;
+
+/**
+ * Generates a random, unprompted image prompt through the SURPRISE chain.
+ */
+export const runSurpriseStage = (apiKey: string, title = 'Prompt Generator - Surprise Me'): Promise<ModelFallbackResult<string>> =>
+  callWithModelFallback({
+    apiKey,
+    body: {
+      messages: [
+        { role: 'system', content: SURPRISE_SYSTEM_PROMPT },
+        { role: 'user', content: 'Create an extraordinary image prompt now.' },
+      ],
+      temperature: 1.2,
+      max_tokens: 400,
+      top_p: 0.9,
+      frequency_penalty: 0.5,
+      presence_penalty: 0.4,
+      usage: { include: true },
+      response_format: { type: 'json_schema', json_schema: PROMPT_ONLY_SCHEMA },
+    },
+    models: MODEL_FALLBACKS.SURPRISE,
+    title,
+    validate: (data) => {
+      const content = data?.choices?.[0]?.message?.content;
+      if (!content) throw new Error('Invalid OpenRouter API response structure');
+      const prompt = ensureTextPrompt(parseStructuredContent(content));
+      if (!prompt) throw new Error('Empty prompt in AI response');
+      return prompt;
+    },
+  });
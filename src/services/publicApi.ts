@@ -0,0 +1,103 @@
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { ERROR_CODES } from '../config/constants';
+import { sendApiError } from '../utils/apiErrors';
+import { authenticateApiKey, type ApiKeyRecord } from './apiKeys';
+import { enforceRateLimit } from './rateLimit';
+import type { UsageClient } from './usageLedger';
+
+/**
+ * Shared plumbing for the versioned /api/v1 endpoints: API key
+ * authentication, per-key quotas and the response envelope. Successful
+ * responses are `{ data, meta }`; errors use the common error envelope.
+ */
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/** Token counts (and cost, when the provider reports it) summed over every model call */
+export type UsageTotals = Record<string, number>;
+
+export interface V1Meta {
+  /** Model that produced the result (null when no model was called) */
+  model: string | null;
+  usage: UsageTotals | null;
+  /** Server-side processing time in milliseconds */
+  latencyMs: number;
+}
+
+export interface V1Response<T> {
+  data: T;
+  meta: V1Meta;
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Sums the numeric fields of provider usage objects. Returns null when none
+ * of them reported usage.
+ */
+export const sumUsage = (usages: unknown[]): UsageTotals | null => {
+  let totals: UsageTotals | null = null;
+  for (const usage of usages) {
+    if (!usage || typeof usage !== 'object') continue;
+    for (const [field, value] of Object.entries(usage)) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+      totals = totals ?? {};
+      totals[field] = (totals[field] ?? 0) + value;
+    }
+  }
+  return totals;
+};
+
+/**
+ * Checks the method and authenticates the API key.
+ * Sends the error response and returns null when the request must stop.
+ */
+export const authorizeV1Request = async (
+  req: NextApiRequest,
+  res: NextApiResponse,
+  method: 'GET' | 'POST'
+): Promise<ApiKeyRecord | null> => {
+  if (req.method !== method) {
+    res.setHeader('Allow', method);
+    sendApiError(res, ERROR_CODES.METHOD_NOT_ALLOWED, `This endpoint only accepts ${method} requests`);
+    return null;
+  }
+  return authenticateApiKey(req, res);
+};
+
+/**
+ * Charges `points` to the key's quota (RATE_LIMIT_BUCKETS.API unless the key
+ * sets its own). Sends a 429 and returns false once the quota is used up.
+ */
+export const chargeApiKey = (
+  req: NextApiRequest,
+  res: NextApiResponse,
+  apiKey: ApiKeyRecord,
+  points: number
+): Promise<boolean> => enforceRateLimit(req, res, 'API', points, { key: `key:${apiKey.id}`, rule: apiKey.quota });
+
+/** Charges the key's model calls to its own usage ledger and daily budget */
+export const apiKeyUsageClient = (apiKey: ApiKeyRecord): UsageClient => ({
+  key: `key:${apiKey.id}`,
+  dailyBudget: apiKey.dailyBudget,
+});
+
+/**
+ * Sends a successful response in the v1 envelope.
+ */
+export const sendV1Result = <T>(
+  res: NextApiResponse,
+  startedAt: number,
+  data: T,
+  { model, usage }: { model: string | null; usage: unknown[] }
+): void => {
+  const body: V1Response<T> = {
+    data,
+    meta: { model, usage: sumUsage(usage), latencyMs: Date.now() - startedAt },
+  };
+  res.status(200).json(body);
+};
@@ -0,0 +1,406 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { RateLimiterRes } from 'rate-limiter-flexible';
+import {
+  ERROR_CODES,
+  RATE_LIMIT_BUCKETS,
+  RATE_LIMIT_CONFIG,
+  RATE_LIMIT_COSTS,
+  RATE_LIMIT_HEADERS,
+  RATE_LIMIT_STORES,
+  type RateLimitBucket,
+  type RateLimitRule,
+  type RateLimitStoreName,
+} from '../config/constants';
+import { readEnv, readRedisEnv } from '../config/env';
+import { makeRateKey } from '../utils/api-helpers';
+import { sendApiError } from '../utils/apiErrors';
+import logger from './serverLogger';
+import { recordRateLimitRejection } from './metrics';
+
+/**
+ * Rate limiting with a pluggable counter store, selected by `RATE_LIMIT_STORE`:
+ * - `memory` (default): counters live in the process, so serverless instances
+ *   each keep their own and a client can spread requests across them
+ * - `redis`: counters shared through a Redis REST endpoint (Upstash or any
+ *   compatible proxy), for deployments with more than one instance
+ * - `file`: counters in a JSON file shared by every process on one host
+ *
+ * Each endpoint has its own bucket (RATE_LIMIT_BUCKETS) and requests consume
+ * weighted points (RATE_LIMIT_COSTS), so expensive requests use more quota.
+ * Results are rate-limiter-flexible `RateLimiterRes` objects: `consume`
+ * resolves with one while within the limit and rejects with one when over it.
+ * A rejected request's points are handed back, so it costs nothing.
+ */
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/** Counter state of one key in its current window */
+export interface RateLimitWindow {
+  consumed: number;
+  msBeforeReset: number;
+}
+
+export interface RateLimitStore {
+  name: RateLimitStoreName;
+  /**
+   * Adds `points` to the key's counter, starting a new `durationMs` window
+   * when the previous one has expired.
+   */
+  increment: (key: string, points: number, durationMs: number) => Promise<RateLimitWindow>;
+}
+
+export interface RateLimiter {
+  /**
+   * Consumes points from a bucket for a client key. `rule` replaces the
+   * bucket's default limit (e.g. a per-key quota).
+   * Resolves with the limiter state; rejects with it when the bucket is exhausted.
+   */
+  consume: (bucket: RateLimitBucket, key: string, points?: number, rule?: RateLimitRule) => Promise<RateLimiterRes>;
+}
+
+/** Who a request is counted against; defaults to the client IP and the bucket's limit */
+export interface RateLimitClient {
+  key: string;
+  rule?: RateLimitRule;
+}
+
+type StoredWindow = { consumed: number; resetAt: number };
+
+const KEY_PREFIX = 'pg_rl';
+
+const applyIncrement = (current: StoredWindow | undefined, points: number, durationMs: number, now: number) =>
+  current && current.resetAt > now
+    ? { consumed: current.consumed + points, resetAt: current.resetAt }
+    : { consumed: Math.max(0, points), resetAt: now + durationMs };
+
+// ============================================================================
+// Memory Store
+// ============================================================================
+
+/** Expired windows are swept once the map grows past this size */
+const MEMORY_SWEEP_THRESHOLD = 10000;
+
+export const createMemoryStore = (): RateLimitStore => {
+  const windows = new Map<string, StoredWindow>();
+
+  return {
+    name: RATE_LIMIT_STORES.MEMORY,
+    increment: async (key, points, durationMs) => {
+      const now = Date.now();
+      if (windows.size > MEMORY_SWEEP_THRESHOLD) {
+        windows.forEach((window, windowKey) => {
+          if (window.resetAt <= now) windows.delete(windowKey);
+        });
+      }
+
+      const next = applyIncrement(windows.get(key), points, durationMs, now);
+      windows.set(key, next);
+      return { consumed: next.consumed, msBeforeReset: next.resetAt - now };
+    },
+  };
+};
+
+// ============================================================================
+// File Store
+// ============================================================================
+
+const FILE_LOCK_RETRY_MS = 10;
+const FILE_LOCK_TIMEOUT_MS = 2000;
+/** A lock older than this is assumed to belong to a crashed process */
+const FILE_LOCK_STALE_MS = 5000;
+
+/**
+ * Holds an exclusive lock file while `task` runs so processes on the same
+ * host do not overwrite each other's counters. Also used by the usage ledger.
+ * @throws Error if the lock cannot be acquired within FILE_LOCK_TIMEOUT_MS
+ */
+export const withFileLock = async <T>(lockPath: string, task: () => Promise<T>): Promise<T> => {
+  const deadline = Date.now() + FILE_LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      const handle = await fs.open(lockPath, 'wx');
+      await handle.close();
+      break;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'EEXIST') throw error;
+      const stat = await fs.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > FILE_LOCK_STALE_MS) {
+        await fs.unlink(lockPath).catch(() => undefined);
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for lock ${lockPath}`);
+      await new Promise((resolve) => setTimeout(resolve, FILE_LOCK_RETRY_MS));
+    }
+  }
+
+  try {
+    return await task();
+  } finally {
+    await fs.unlink(lockPath).catch(() => undefined);
+  }
+};
+
+/**
+ * Stores counters in a JSON file. Expired windows are dropped on every write
+ * and the file is replaced atomically.
+ */
+export const createFileStore = (filePath: string): RateLimitStore => {
+  const lockPath = `${filePath}.lock`;
+  // Serializes increments within this process before taking the file lock
+  let queue: Promise<unknown> = Promise.resolve();
+
+  const readWindows = async (): Promise<Record<string, StoredWindow>> => {
+    try {
+      const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        logger.warn('Rate limit file unreadable, starting fresh:', error);
+      }
+      return {};
+    }
+  };
+
+  const increment = (key: string, points: number, durationMs: number) =>
+    withFileLock(lockPath, async () => {
+      const now = Date.now();
+      const windows = await readWindows();
+      const next = applyIncrement(windows[key], points, durationMs, now);
+
+      const kept: Record<string, StoredWindow> = {};
+      Object.entries(windows).forEach(([windowKey, window]) => {
+        if (window.resetAt > now) kept[windowKey] = window;
+      });
+      kept[key] = next;
+
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(kept));
+      await fs.rename(tempPath, filePath);
+      return { consumed: next.consumed, msBeforeReset: next.resetAt - now };
+    });
+
+  return {
+    name: RATE_LIMIT_STORES.FILE,
+    increment: async (key, points, durationMs) => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const result = queue.then(() => increment(key, points, durationMs));
+      queue = result.catch(() => undefined);
+      return result;
+    },
+  };
+};
+
+// ============================================================================
+// Redis Store (REST)
+// ============================================================================
+
+/** Increments the counter and sets its expiry on the first hit of a window, atomically */
+const REDIS_INCREMENT_SCRIPT = `local consumed = redis.call('INCRBY', KEYS[1], ARGV[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[2])
+  ttl = tonumber(ARGV[2])
+end
+return {consumed, ttl}`;
+
+/**
+ * Talks to Redis over the Upstash REST protocol (a JSON command array POSTed
+ * with a bearer token), which works from serverless functions without a
+ * persistent connection. A call that takes longer than `timeoutMs` is aborted
+ * and fails like an unreachable store, so the limiter's insurance store takes over.
+ */
+export const createRedisStore = (
+  url: string,
+  token: string,
+  timeoutMs: number = RATE_LIMIT_CONFIG.STORE_TIMEOUT
+): RateLimitStore => {
+  const endpoint = url.replace(/\/+$/, '');
+
+  return {
+    name: RATE_LIMIT_STORES.REDIS,
+    increment: async (key, points, durationMs) => {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(['EVAL', REDIS_INCREMENT_SCRIPT, '1', key, String(points), String(durationMs)]),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      const payload = (await response.json().catch(() => null)) as { result?: unknown; error?: string } | null;
+      if (!response.ok || !payload || payload.error || !Array.isArray(payload.result)) {
+        throw new Error(`Redis rate limit store failed (status ${response.status}): ${payload?.error || 'bad response'}`);
+      }
+
+      const [consumed, ttl] = payload.result.map(Number);
+      return { consumed, msBeforeReset: Math.max(0, ttl) };
+    },
+  };
+};
+
+// ============================================================================
+// Limiter
+// ============================================================================
+
+/**
+ * Builds a limiter over a store. When the store fails (e.g. Redis is
+ * unreachable) the `insurance` store is used instead so requests are still
+ * limited per instance rather than rejected or let through unchecked.
+ */
+export const createRateLimiter = (store: RateLimitStore, insurance?: RateLimitStore): RateLimiter => ({
+  consume: async (bucket, key, points = RATE_LIMIT_COSTS.BASE, rule = RATE_LIMIT_BUCKETS[bucket]) => {
+    const { points: limit, duration } = rule;
+    const storeKey = `${KEY_PREFIX}:${bucket.toLowerCase()}:${key}`;
+
+    let counter = store;
+    let window: RateLimitWindow;
+    try {
+      window = await store.increment(storeKey, points, duration * 1000);
+    } catch (error) {
+      if (!insurance) throw error;
+      logger.warn(`Rate limit store "${store.name}" failed, using ${insurance.name} store:`, error);
+      counter = insurance;
+      window = await counter.increment(storeKey, points, duration * 1000);
+    }
+
+    const result = new RateLimiterRes(
+      Math.max(0, limit - window.consumed),
+      window.msBeforeReset,
+      window.consumed,
+      window.consumed === points
+    );
+    if (window.consumed > limit) {
+      await counter.increment(storeKey, -points, duration * 1000).catch((error) => {
+        logger.warn(`Rate limit store "${counter.name}" failed to refund a rejected request:`, error);
+      });
+      throw result;
+    }
+    return result;
+  },
+});
+
+/**
+ * Creates the store configured through `RATE_LIMIT_STORE` (default: memory).
+ * @throws Error if the store is unknown or its settings are missing
+ */
+export const createRateLimitStoreFromEnv = (): RateLimitStore => {
+  switch (readEnv('RATE_LIMIT_STORE')) {
+    case RATE_LIMIT_STORES.MEMORY:
+      return createMemoryStore();
+    case RATE_LIMIT_STORES.FILE:
+      return createFileStore(path.resolve(readEnv('RATE_LIMIT_FILE')));
+    case RATE_LIMIT_STORES.REDIS: {
+      const { url, token } = readRedisEnv('RATE_LIMIT_STORE');
+      return createRedisStore(url, token);
+    }
+  }
+};
+
+/**
+ * Checks that a store answers by adding no points to a probe key, for the
+ * readiness check. Returns the store's name.
+ * @throws Error if the store is misconfigured or unreachable
+ */
+export const probeRateLimitStore = async (
+  store: RateLimitStore = createRateLimitStoreFromEnv()
+): Promise<RateLimitStoreName> => {
+  await store.increment(`${KEY_PREFIX}:health`, 0, 1000);
+  return store.name;
+};
+
+declare global {
+  // eslint-disable-next-line no-var
+  var __pgBucketLimiter: RateLimiter | undefined;
+}
+
+/**
+ * Returns the process-wide limiter, created on first use. Kept on `global`
+ * so Next.js hot reloads in development do not reset the counters.
+ */
+export const getRateLimiter = (): RateLimiter => {
+  if (!global.__pgBucketLimiter) {
+    const store = createRateLimitStoreFromEnv();
+    global.__pgBucketLimiter = createRateLimiter(
+      store,
+      store.name === RATE_LIMIT_STORES.MEMORY ? undefined : createMemoryStore()
+    );
+  }
+  return global.__pgBucketLimiter;
+};
+
+/**
+ * Sets the RateLimit-* headers from a limiter result, plus Retry-After when
+ * the request was rejected. Returns the seconds until the window resets.
+ */
+export const setRateLimitHeaders = (
+  res: NextApiResponse,
+  bucket: RateLimitBucket,
+  result: RateLimiterRes,
+  rejected = false,
+  rule: RateLimitRule = RATE_LIMIT_BUCKETS[bucket]
+): number => {
+  const resetSeconds = Math.max(1, Math.ceil(result.msBeforeNext / 1000));
+  res.setHeader(RATE_LIMIT_HEADERS.LIMIT, rule.points);
+  res.setHeader(RATE_LIMIT_HEADERS.REMAINING, result.remainingPoints);
+  res.setHeader(RATE_LIMIT_HEADERS.RESET, resetSeconds);
+  if (rejected) res.setHeader(RATE_LIMIT_HEADERS.RETRY_AFTER, resetSeconds);
+  return resetSeconds;
+};
+
+/**
+ * Consumes points for the requesting client from an endpoint's bucket and
+ * reports the remaining quota in the response headers.
+ * Sends a 429 when the bucket is exhausted (or a 500 when the store is
+ * misconfigured) and returns false, in which case the handler should stop.
+ */
+export const enforceRateLimit = async (
+  req: NextApiRequest,
+  res: NextApiResponse,
+  bucket: RateLimitBucket,
+  points: number = RATE_LIMIT_COSTS.BASE,
+  client: RateLimitClient = { key: makeRateKey(req) }
+): Promise<boolean> => {
+  try {
+    const result = await getRateLimiter().consume(bucket, client.key, points, client.rule);
+    setRateLimitHeaders(res, bucket, result, false, client.rule);
+    return true;
+  } catch (rejection) {
+    if (!(rejection instanceof RateLimiterRes)) {
+      logger.error('Rate limiter failed:', rejection);
+      sendApiError(
+        res,
+        ERROR_CODES.SERVER_MISCONFIGURED,
+        'Rate limiting is not configured correctly. Please contact the administrator.'
+      );
+      return false;
+    }
+    recordRateLimitRejection(bucket);
+    const retryAfter = setRateLimitHeaders(res, bucket, rejection, true, client.rule);
+    sendApiError(
+      res,
+      ERROR_CODES.RATE_LIMITED,
+      `Rate limit reached. Please wait ${retryAfter} seconds before trying again.`,
+      { retryAfter }
+    );
+    return false;
+  }
+};
+
+/**
+ * Extra points a /api/generate request costs on top of RATE_LIMIT_COSTS.BASE.
+ */
+export const getGenerationSurcharge = ({
+  refinement,
+  image,
+  variants,
+}: {
+  refinement: boolean;
+  image: boolean;
+  variants: number;
+}): number =>
+  (refinement ? RATE_LIMIT_COSTS.REFINEMENT : 0) +
+  (image ? RATE_LIMIT_COSTS.IMAGE : 0) +
+  Math.max(0, variants - 1) * RATE_LIMIT_COSTS.VARIANT;
@@ -0,0 +1,343 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import type { NextApiHandler, NextApiRequest } from 'next';
+import { LOG_CONFIG, LOG_LEVELS, type LogLevel } from '../config/constants';
+import { readEnv } from '../config/env';
+
+/**
+ * Structured server logging. Every entry is one JSON line
+ * (`{ time, level, msg, requestId?, data? }`) handed to the transports
+ * selected by `LOG_TRANSPORTS`:
+ * - `stdout` (default): one line per entry on standard output
+ * - `file`: `LOG_FILE`, rotated once it reaches `LOG_FILE_MAX_BYTES`
+ *
+ * `LOG_LEVEL` sets the lowest level written (default: `debug` in development,
+ * `silent` in tests, `info` otherwise). Entries are redacted before they are
+ * written: provider and API keys, bearer tokens and secrets are removed,
+ * base64 images are replaced by their size and user text is cut to a prefix.
+ * API routes wrapped in `withRequestLogging` tag their entries with the
+ * request ID they return in `X-Request-Id`.
+ *
+ * Browser code keeps using `utils/logger`, which must not pull in `fs`.
+ */
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export interface LogEntry {
+  time: string;
+  level: Exclude<LogLevel, 'silent'>;
+  msg: string;
+  requestId?: string;
+  data?: unknown;
+}
+
+/** Receives every entry at or above the configured level, already serialized */
+export type LogTransport = (line: string, entry: LogEntry) => void;
+
+export interface LoggerOptions {
+  level?: LogLevel;
+  transports?: LogTransport[];
+}
+
+type LogMethod = (message: string, ...details: unknown[]) => void;
+
+export interface ServerLogger {
+  debug: LogMethod;
+  info: LogMethod;
+  /** Same as `info`, for parity with `utils/logger` */
+  log: LogMethod;
+  warn: LogMethod;
+  error: LogMethod;
+}
+
+const LEVEL_ORDER: Record<LogLevel, number> = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+
+// ============================================================================
+// Redaction
+// ============================================================================
+
+const REDACTED = '[REDACTED]';
+
+/** Keys whose values are never logged */
+const SECRET_KEY = /^(authorization|cookie|x-api-key|api[-_]?key|apikey|provider[-_]?key|token|secret|password|webhook[-_]?url)$/i;
+
+/** Keys holding text written by users, logged only up to USER_TEXT_PREFIX characters */
+const USER_TEXT_KEYS = new Set([
+  'idea',
+  'directions',
+  'instruction',
+  'prompt',
+  'userPrompt',
+  'refinedBrief',
+  'refinedPrompt',
+  'content',
+  'text',
+]);
+
+/** Secrets and images recognised inside any string */
+const STRING_PATTERNS: Array<[RegExp, (match: string, ...groups: string[]) => string]> = [
+  [/\bBearer\s+[^\s"',]+/gi, () => `Bearer ${REDACTED}`],
+  [/\bsk-[A-Za-z0-9_-]{16,}/g, () => `sk-${REDACTED}`],
+  [/\bpgk_[A-Za-z0-9_-]{8,}/g, () => `pgk_${REDACTED}`],
+  [/data:([\w/+.-]+);base64,[A-Za-z0-9+/=]+/g, (match, type) => `data:${type};base64,[${match.length} chars]`],
+  [/[A-Za-z0-9+/]{200,}={0,2}/g, (match) => `[base64 ${match.length} chars]`],
+];
+
+const truncate = (value: string, max: number) =>
+  value.length > max ? `${value.slice(0, max)}… [${value.length} chars]` : value;
+
+/** Removes secrets and base64 data from a string and caps its length */
+export const redactString = (value: string, max: number = LOG_CONFIG.MAX_STRING_LENGTH): string =>
+  truncate(
+    STRING_PATTERNS.reduce((text, [pattern, replace]) => text.replace(pattern, replace), value),
+    max
+  );
+
+const serializeError = (error: Error): Record<string, unknown> => {
+  const { code, status } = error as Error & { code?: unknown; status?: unknown };
+  return {
+    name: error.name,
+    message: error.message,
+    ...(code !== undefined && { code }),
+    ...(status !== undefined && { status }),
+    stack: error.stack,
+  };
+};
+
+/**
+ * Returns a copy of `value` that is safe to log: secrets under known keys or
+ * in known formats are removed, base64 images are replaced by their length,
+ * user text is cut to a prefix and errors become plain objects.
+ */
+export const redact = (value: unknown, key = '', depth = 0, seen = new WeakSet<object>()): unknown => {
+  if (SECRET_KEY.test(key) && value !== null && value !== undefined && value !== '') return REDACTED;
+  if (typeof value === 'string') {
+    return redactString(value, USER_TEXT_KEYS.has(key) ? LOG_CONFIG.USER_TEXT_PREFIX : LOG_CONFIG.MAX_STRING_LENGTH);
+  }
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'function' || typeof value === 'symbol') return undefined;
+  if (value === null || typeof value !== 'object') return value;
+
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= LOG_CONFIG.MAX_DEPTH) return '[Truncated]';
+  seen.add(value);
+
+  if (value instanceof Error) return redact(serializeError(value), key, depth, seen);
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  // Arrays of user text (variants, messages) are user text too
+  if (Array.isArray(value)) return value.map((item) => redact(item, key, depth + 1, seen));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([childKey, child]) => [childKey, redact(child, childKey, depth + 1, seen)])
+  );
+};
+
+// ============================================================================
+// Transports
+// ============================================================================
+
+export const createStdoutTransport = (): LogTransport => (line) => {
+  process.stdout.write(`${line}\n`);
+};
+
+/**
+ * Appends entries to `file`. Once the file would exceed `maxBytes` it is
+ * renamed to `<file>.1` (older files shift up to `<file>.<maxFiles>`, the
+ * oldest is dropped) and a new file is started.
+ */
+export const createRotatingFileTransport = ({
+  file,
+  maxBytes = LOG_CONFIG.FILE_MAX_BYTES,
+  maxFiles = LOG_CONFIG.FILE_MAX_FILES,
+}: {
+  file: string;
+  maxBytes?: number;
+  maxFiles?: number;
+}): LogTransport => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+  const open = () => {
+    // Opened synchronously so a rename right after still moves every write with the file
+    const stream = fs.createWriteStream(file, { fd: fs.openSync(file, 'a') });
+    // A full disk must not take the server down with it
+    stream.on('error', (error) => console.error('Log file transport failed:', error.message));
+    return stream;
+  };
+  let stream = open();
+
+  const rotate = () => {
+    // Writes still buffered in the old stream land in the renamed file
+    stream.end();
+    for (let index = maxFiles; index >= 1; index--) {
+      const from = index === 1 ? file : `${file}.${index - 1}`;
+      if (fs.existsSync(from)) fs.renameSync(from, `${file}.${index}`);
+    }
+    stream = open();
+    size = 0;
+  };
+
+  return (line) => {
+    const bytes = Buffer.byteLength(line) + 1;
+    if (size > 0 && size + bytes > maxBytes) {
+      try {
+        rotate();
+      } catch (error) {
+        console.error('Log file rotation failed:', (error as Error).message);
+      }
+    }
+    stream.write(`${line}\n`);
+    size += bytes;
+  };
+};
+
+/**
+ * Creates the transports listed in `LOG_TRANSPORTS` (default: stdout).
+ * @throws Error if a transport is unknown or its settings are invalid
+ */
+export const createTransportsFromEnv = (): LogTransport[] =>
+  readEnv('LOG_TRANSPORTS').map((name) => {
+    switch (name) {
+      case 'stdout':
+        return createStdoutTransport();
+      case 'file':
+        return createRotatingFileTransport({
+          file: path.resolve(readEnv('LOG_FILE')),
+          maxBytes: readEnv('LOG_FILE_MAX_BYTES'),
+          maxFiles: readEnv('LOG_FILE_MAX_FILES'),
+        });
+    }
+  });
+
+const levelFromEnv = (): LogLevel => {
+  let level: LogLevel | undefined;
+  try {
+    level = readEnv('LOG_LEVEL');
+  } catch (error) {
+    console.error('Invalid LOG_LEVEL, using the default:', (error as Error).message);
+  }
+  if (level) return level;
+  if (process.env.NODE_ENV === 'development') return LOG_LEVELS.DEBUG;
+  return process.env.NODE_ENV === 'test' ? LOG_LEVELS.SILENT : LOG_LEVELS.INFO;
+};
+
+// ============================================================================
+// Logger
+// ============================================================================
+
+type LoggerState = { level: LogLevel; transports: LogTransport[] };
+
+declare global {
+  // eslint-disable-next-line no-var
+  var __pgLogger: LoggerState | undefined;
+}
+
+const requestContext = new AsyncLocalStorage<{ requestId: string }>();
+
+/**
+ * Returns the logger configuration, read from the environment on first use.
+ * Kept on `global` so Next.js hot reloads in development do not reopen log files.
+ */
+const getLoggerState = (): LoggerState => {
+  if (!global.__pgLogger) {
+    let transports: LogTransport[];
+    try {
+      transports = createTransportsFromEnv();
+    } catch (error) {
+      console.error('Invalid log transport settings, logging to stdout:', (error as Error).message);
+      transports = [createStdoutTransport()];
+    }
+    global.__pgLogger = { level: levelFromEnv(), transports };
+  }
+  return global.__pgLogger;
+};
+
+/**
+ * Overrides the level or transports read from the environment (the CLI sends
+ * logs to stderr, tests capture them). Omitted options keep their value.
+ */
+export const configureLogger = ({ level, transports }: LoggerOptions): void => {
+  const state = getLoggerState();
+  global.__pgLogger = { level: level ?? state.level, transports: transports ?? state.transports };
+};
+
+/** ID of the API request being handled, if any */
+export const getRequestId = (): string | undefined => requestContext.getStore()?.requestId;
+
+const write = (level: LogEntry['level'], message: string, details: unknown[]) => {
+  const state = getLoggerState();
+  if (LEVEL_ORDER[level] < LEVEL_ORDER[state.level]) return;
+
+  const entry: LogEntry = { time: new Date().toISOString(), level, msg: redactString(String(message)) };
+  const requestId = getRequestId();
+  if (requestId) entry.requestId = requestId;
+  if (details.length > 0) entry.data = redact(details.length === 1 ? details[0] : details);
+
+  const line = JSON.stringify(entry);
+  state.transports.forEach((transport) => {
+    try {
+      transport(line, entry);
+    } catch (error) {
+      console.error('Log transport failed:', (error as Error).message);
+    }
+  });
+};
+
+const logger: ServerLogger = {
+  debug: (message, ...details) => write(LOG_LEVELS.DEBUG, message, details),
+  info: (message, ...details) => write(LOG_LEVELS.INFO, message, details),
+  log: (message, ...details) => write(LOG_LEVELS.INFO, message, details),
+  warn: (message, ...details) => write(LOG_LEVELS.WARN, message, details),
+  error: (message, ...details) => write(LOG_LEVELS.ERROR, message, details),
+};
+
+export default logger;
+
+// ============================================================================
+// Request Logging
+// ============================================================================
+
+/** Request IDs accepted from a proxy in front of the app */
+const INCOMING_REQUEST_ID = /^[A-Za-z0-9._:-]{8,128}$/;
+
+const readIncomingRequestId = (req: NextApiRequest): string | null => {
+  const header = req.headers[LOG_CONFIG.REQUEST_ID_HEADER.toLowerCase()];
+  const value = Array.isArray(header) ? header[0] : header;
+  return value && INCOMING_REQUEST_ID.test(value) ? value : null;
+};
+
+/**
+ * Wraps an API route: the request gets an ID (a well-formed incoming
+ * `X-Request-Id` is kept, otherwise a new UUID), returned in the
+ * `X-Request-Id` response header and attached to every entry logged while
+ * handling it, including background work it starts. One entry per request
+ * records its method, path, status and duration.
+ */
+export const withRequestLogging =
+  <T>(handler: NextApiHandler<T>): NextApiHandler<T> =>
+  (req, res) => {
+    const requestId = readIncomingRequestId(req) ?? randomUUID();
+    const startedAt = Date.now();
+    res.setHeader(LOG_CONFIG.REQUEST_ID_HEADER, requestId);
+
+    // Event listeners run outside the request's context, so it is entered again
+    res.once('close', () =>
+      requestContext.run({ requestId }, () => {
+        const summary = {
+          method: req.method,
+          path: (req.url || '').split('?')[0],
+          status: res.statusCode,
+          durationMs: Date.now() - startedAt,
+        };
+        if (res.writableFinished) logger.info('Request completed', summary);
+        else logger.warn('Request closed before the response was finished', summary);
+      })
+    );
+
+    return requestContext.run({ requestId }, () => handler(req, res));
+  };
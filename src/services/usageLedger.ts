@@ -0,0 +1,447 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { promises as fs } from 'fs';
+import path from 'path';
+import type { NextApiHandler, NextApiRequest, NextApiResponse } from 'next';
+import {
+  ERROR_CODES,
+  USAGE_BUDGET_MODES,
+  USAGE_CONFIG,
+  USAGE_STORES,
+  type UsageStoreName,
+} from '../config/constants';
+import { readEnv, readRedisEnv } from '../config/env';
+import { makeRateKey } from '../utils/api-helpers';
+import { sendApiError } from '../utils/apiErrors';
+import type { UsageBudget, UsageResponse } from '../utils/promptApiClient';
+import {
+  addUsageCounts,
+  countModelCall,
+  emptyUsageCounts,
+  usageDay,
+  type PriceTable,
+  type UsageCounts,
+} from '../utils/usageCost';
+import { withFileLock } from './rateLimit';
+import logger from './serverLogger';
+
+/**
+ * Usage ledger: adds up the tokens and estimated cost of every model call per
+ * client and UTC day, and enforces the optional daily budget.
+ *
+ * Clients are keyed like the rate limiter: browsers by their IP and user
+ * agent, /api/v1 callers by their API key. Routes bind the client to the
+ * request with `trackUsage` (or `withUsageTracking`) and every model call made
+ * inside is recorded by `recordModelUsage`. Costs are estimated from the price
+ * table (USAGE_CONFIG.DEFAULT_PRICES merged with the MODEL_PRICES JSON).
+ *
+ * Totals live in a store selected by `USAGE_STORE`:
+ * - `memory` (default): per process, so serverless instances each see part of it
+ * - `file`: a JSON file shared by every process on one host
+ * - `redis`: a Redis REST endpoint (Upstash or compatible)
+ *
+ * `USAGE_DAILY_BUDGET` (USD) caps what each client may spend per day; API keys
+ * can set their own `dailyBudget`. With `USAGE_BUDGET_MODE=block` (default)
+ * requests are rejected once it is spent, with `warn` they are only logged.
+ */
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/** Numeric fields of one ledger record */
+export type UsageFields = Record<string, number>;
+
+export interface UsageStore {
+  name: UsageStoreName;
+  /** Adds to the fields of a record, which expires `ttlMs` after its first write */
+  increment: (key: string, fields: UsageFields, ttlMs: number) => Promise<void>;
+  /** Fields of a record (empty once it expired) */
+  read: (key: string) => Promise<UsageFields>;
+}
+
+/** Who a request's model calls are charged to */
+export interface UsageClient {
+  key: string;
+  /** Daily budget in USD replacing USAGE_DAILY_BUDGET */
+  dailyBudget?: number;
+}
+
+/** A client's totals for one UTC day */
+export type UsageDay = Omit<UsageResponse, 'budget' | 'prices'>;
+
+export interface UsageLedger {
+  store: UsageStore;
+  prices: PriceTable;
+  /** Adds one model call to a client's totals for today */
+  record: (clientKey: string, model: string, counts: UsageCounts) => Promise<void>;
+  /** A client's totals for a day (today by default) */
+  getDay: (clientKey: string, day?: string) => Promise<UsageDay>;
+}
+
+const KEY_PREFIX = 'pg_usage';
+
+/** Separates the model from the counter in field names (model ids contain `/` and `:`) */
+const FIELD_SEPARATOR = '|';
+
+const COUNT_NAMES = Object.keys(emptyUsageCounts()) as Array<keyof UsageCounts>;
+
+// ============================================================================
+// Memory Store
+// ============================================================================
+
+/** Expired records are swept once the map grows past this size */
+const MEMORY_SWEEP_THRESHOLD = 10000;
+
+type StoredRecord = { fields: UsageFields; expiresAt: number };
+
+const applyIncrement = (current: StoredRecord | undefined, fields: UsageFields, ttlMs: number, now: number) => {
+  const next: StoredRecord =
+    current && current.expiresAt > now
+      ? { fields: { ...current.fields }, expiresAt: current.expiresAt }
+      : { fields: {}, expiresAt: now + ttlMs };
+  Object.entries(fields).forEach(([field, value]) => {
+    next.fields[field] = (next.fields[field] ?? 0) + value;
+  });
+  return next;
+};
+
+export const createMemoryUsageStore = (): UsageStore => {
+  const records = new Map<string, StoredRecord>();
+
+  return {
+    name: USAGE_STORES.MEMORY,
+    increment: async (key, fields, ttlMs) => {
+      const now = Date.now();
+      if (records.size > MEMORY_SWEEP_THRESHOLD) {
+        records.forEach((record, recordKey) => {
+          if (record.expiresAt <= now) records.delete(recordKey);
+        });
+      }
+      records.set(key, applyIncrement(records.get(key), fields, ttlMs, now));
+    },
+    read: async (key) => {
+      const record = records.get(key);
+      return record && record.expiresAt > Date.now() ? { ...record.fields } : {};
+    },
+  };
+};
+
+// ============================================================================
+// File Store
+// ============================================================================
+
+/**
+ * Stores records in one JSON file, locked like the rate limit file store.
+ * Expired records are dropped on every write.
+ */
+export const createFileUsageStore = (filePath: string): UsageStore => {
+  const lockPath = `${filePath}.lock`;
+  // Serializes writes within this process before taking the file lock
+  let queue: Promise<unknown> = Promise.resolve();
+
+  const readRecords = async (): Promise<Record<string, StoredRecord>> => {
+    try {
+      const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        logger.warn('Usage ledger file unreadable, starting fresh:', error);
+      }
+      return {};
+    }
+  };
+
+  const increment = (key: string, fields: UsageFields, ttlMs: number) =>
+    withFileLock(lockPath, async () => {
+      const now = Date.now();
+      const records = await readRecords();
+
+      const kept: Record<string, StoredRecord> = {};
+      Object.entries(records).forEach(([recordKey, record]) => {
+        if (record.expiresAt > now) kept[recordKey] = record;
+      });
+      kept[key] = applyIncrement(kept[key], fields, ttlMs, now);
+
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(kept));
+      await fs.rename(tempPath, filePath);
+    });
+
+  return {
+    name: USAGE_STORES.FILE,
+    increment: async (key, fields, ttlMs) => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const result = queue.then(() => increment(key, fields, ttlMs));
+      queue = result.catch(() => undefined);
+      return result;
+    },
+    read: async (key) => {
+      const record = (await readRecords())[key];
+      return record && record.expiresAt > Date.now() ? { ...record.fields } : {};
+    },
+  };
+};
+
+// ============================================================================
+// Redis Store (REST)
+// ============================================================================
+
+/** Adds every field pair and sets the expiry on the first write, atomically */
+const REDIS_INCREMENT_SCRIPT = `for i = 2, #ARGV, 2 do
+  redis.call('HINCRBYFLOAT', KEYS[1], ARGV[i], ARGV[i + 1])
+end
+if redis.call('PTTL', KEYS[1]) < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return 1`;
+
+/**
+ * Stores records as Redis hashes over the Upstash REST protocol, the same
+ * transport as the redis rate limit and job stores.
+ */
+export const createRedisUsageStore = (url: string, token: string): UsageStore => {
+  const endpoint = url.replace(/\/+$/, '');
+
+  const command = async (args: string[]): Promise<unknown> => {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+    });
+    const payload = (await response.json().catch(() => null)) as { result?: unknown; error?: string } | null;
+    if (!response.ok || !payload || payload.error) {
+      throw new Error(`Redis usage store failed (status ${response.status}): ${payload?.error || 'bad response'}`);
+    }
+    return payload.result;
+  };
+
+  return {
+    name: USAGE_STORES.REDIS,
+    increment: async (key, fields, ttlMs) => {
+      const pairs = Object.entries(fields).flatMap(([field, value]) => [field, String(value)]);
+      await command(['EVAL', REDIS_INCREMENT_SCRIPT, '1', key, String(ttlMs), ...pairs]);
+    },
+    read: async (key) => {
+      const result = await command(['HGETALL', key]);
+      const fields: UsageFields = {};
+      if (!Array.isArray(result)) return fields;
+      for (let index = 0; index + 1 < result.length; index += 2) {
+        const value = Number(result[index + 1]);
+        if (Number.isFinite(value)) fields[String(result[index])] = value;
+      }
+      return fields;
+    },
+  };
+};
+
+// ============================================================================
+// Ledger
+// ============================================================================
+
+const toFields = (model: string, counts: UsageCounts): UsageFields =>
+  Object.fromEntries(COUNT_NAMES.map((name) => [`${model}${FIELD_SEPARATOR}${name}`, counts[name]]));
+
+/**
+ * Turns the fields of a ledger record back into totals per model.
+ */
+export const summarizeUsageFields = (day: string, fields: UsageFields): UsageDay => {
+  const models: Record<string, UsageCounts> = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    const separator = field.lastIndexOf(FIELD_SEPARATOR);
+    const model = field.slice(0, separator);
+    const name = field.slice(separator + 1) as keyof UsageCounts;
+    if (separator <= 0 || !COUNT_NAMES.includes(name)) return;
+    models[model] = models[model] ?? emptyUsageCounts();
+    models[model][name] = value;
+  });
+
+  return { day, totals: Object.values(models).reduce(addUsageCounts, emptyUsageCounts()), models };
+};
+
+export const createUsageLedger = (
+  store: UsageStore,
+  prices: PriceTable = USAGE_CONFIG.DEFAULT_PRICES,
+  now: () => number = Date.now
+): UsageLedger => {
+  const recordKey = (clientKey: string, day: string) => `${KEY_PREFIX}:${day}:${clientKey}`;
+
+  return {
+    store,
+    prices,
+    record: (clientKey, model, counts) =>
+      store.increment(recordKey(clientKey, usageDay(now())), toFields(model, counts), USAGE_CONFIG.RETENTION),
+    getDay: async (clientKey, day = usageDay(now())) =>
+      summarizeUsageFields(day, await store.read(recordKey(clientKey, day))),
+  };
+};
+
+/**
+ * Creates the store configured through `USAGE_STORE` (default: memory).
+ * @throws Error if the store is unknown or its settings are missing
+ */
+export const createUsageStoreFromEnv = (): UsageStore => {
+  switch (readEnv('USAGE_STORE')) {
+    case USAGE_STORES.MEMORY:
+      return createMemoryUsageStore();
+    case USAGE_STORES.FILE:
+      return createFileUsageStore(path.resolve(readEnv('USAGE_STORE_FILE')));
+    case USAGE_STORES.REDIS: {
+      const { url, token } = readRedisEnv('USAGE_STORE');
+      return createRedisUsageStore(url, token);
+    }
+  }
+};
+
+/**
+ * Default prices with the `MODEL_PRICES` overrides applied.
+ * @throws Error if MODEL_PRICES is not a valid price table
+ */
+export const getPricesFromEnv = (): PriceTable => ({
+  ...USAGE_CONFIG.DEFAULT_PRICES,
+  ...readEnv('MODEL_PRICES'),
+});
+
+declare global {
+  // eslint-disable-next-line no-var
+  var __pgUsageLedger: UsageLedger | undefined;
+}
+
+/**
+ * Returns the process-wide ledger, created on first use. Kept on `global`
+ * so Next.js hot reloads in development do not reset the totals.
+ * @throws Error if the store or price table is misconfigured
+ */
+export const getUsageLedger = (): UsageLedger => {
+  if (!global.__pgUsageLedger) {
+    global.__pgUsageLedger = createUsageLedger(createUsageStoreFromEnv(), getPricesFromEnv());
+  }
+  return global.__pgUsageLedger;
+};
+
+// ============================================================================
+// Request Tracking
+// ============================================================================
+
+const usageContext = new AsyncLocalStorage<UsageClient>();
+
+/** Charges browser requests to the same key the rate limiter counts them under */
+export const browserUsageClient = (req: NextApiRequest): UsageClient => ({ key: makeRateKey(req) });
+
+/**
+ * Runs `task` with every model call inside it charged to `client`.
+ * Background work (jobs, batch rows) calls this itself since it outlives the request.
+ */
+export const trackUsage = <T>(client: UsageClient, task: () => Promise<T>): Promise<T> =>
+  usageContext.run(client, task);
+
+/**
+ * Wraps a browser-facing API route so its model calls are charged to the
+ * requesting browser.
+ */
+export const withUsageTracking =
+  <T>(handler: NextApiHandler<T>): NextApiHandler<T> =>
+  (req, res) =>
+    trackUsage(browserUsageClient(req), async () => handler(req, res));
+
+/**
+ * Adds a model call to the ledger of the client being tracked. Calls made
+ * outside `trackUsage` (e.g. from the CLI) are not recorded. Ledger failures
+ * are logged and never fail the request.
+ */
+export const recordModelUsage = (model: string, usage: unknown): void => {
+  const client = usageContext.getStore();
+  if (!client) return;
+
+  try {
+    const ledger = getUsageLedger();
+    const counts = countModelCall(model, usage, ledger.prices);
+    if (!counts) return;
+    ledger.record(client.key, model, counts).catch((error) => logger.warn('Failed to record usage:', error));
+  } catch (error) {
+    logger.error('Usage ledger is misconfigured:', error);
+  }
+};
+
+// ============================================================================
+// Daily Budget
+// ============================================================================
+
+/** Next midnight UTC after a timestamp */
+const nextUtcMidnight = (timestamp: number): Date => {
+  const date = new Date(timestamp);
+  date.setUTCHours(24, 0, 0, 0);
+  return date;
+};
+
+/**
+ * Budget state of a client given its totals for today.
+ * Returns null when no budget applies to the client.
+ */
+export const getUsageBudget = (client: UsageClient, today: UsageDay, now = Date.now()): UsageBudget | null => {
+  const limit = client.dailyBudget ?? readEnv('USAGE_DAILY_BUDGET');
+  if (limit === undefined) return null;
+  const spent = today.totals.cost;
+
+  return {
+    limit,
+    spent,
+    remaining: Math.max(0, limit - spent),
+    exceeded: spent >= limit,
+    mode: readEnv('USAGE_BUDGET_MODE'),
+    resetsAt: nextUtcMidnight(now).toISOString(),
+  };
+};
+
+/**
+ * Reads the client's budget state for today from the ledger.
+ * Returns null when no budget applies to the client.
+ * @throws Error if the ledger store fails
+ */
+export const readUsageBudget = async (client: UsageClient): Promise<UsageBudget | null> => {
+  if (client.dailyBudget === undefined && readEnv('USAGE_DAILY_BUDGET') === undefined) return null;
+  return getUsageBudget(client, await getUsageLedger().getDay(client.key));
+};
+
+/** Client-facing message for a spent budget */
+export const budgetExceededMessage = (budget: UsageBudget): string =>
+  `The daily budget of $${budget.limit.toFixed(2)} is used up. It resets at midnight UTC.`;
+
+/**
+ * Checks the client's daily budget before a generation. Sends a 429 and
+ * returns false when it is spent in `block` mode, in which case the handler
+ * should stop. A failing ledger lets the request through.
+ */
+export const enforceUsageBudget = async (res: NextApiResponse, client: UsageClient): Promise<boolean> => {
+  let budget: UsageBudget | null;
+  try {
+    budget = await readUsageBudget(client);
+  } catch (error) {
+    logger.error('Usage ledger failed, skipping the budget check:', error);
+    return true;
+  }
+  if (!budget?.exceeded) return true;
+
+  if (budget.mode === USAGE_BUDGET_MODES.WARN) {
+    logger.warn('Daily usage budget exceeded:', { limit: budget.limit, spent: budget.spent });
+    return true;
+  }
+
+  const retryAfter = Math.max(1, Math.ceil((Date.parse(budget.resetsAt) - Date.now()) / 1000));
+  sendApiError(res, ERROR_CODES.BUDGET_EXCEEDED, budgetExceededMessage(budget), { retryAfter });
+  return false;
+};
+
+// ============================================================================
+// Reports
+// ============================================================================
+
+/**
+ * Today's totals, budget and prices for a client, as served by /api/usage
+ * and /api/v1/usage.
+ * @throws Error if the ledger is misconfigured or its store fails
+ */
+export const buildUsageReport = async (client: UsageClient): Promise<UsageResponse> => {
+  const ledger = getUsageLedger();
+  const today = await ledger.getDay(client.key);
+  return { ...today, budget: getUsageBudget(client, today), prices: ledger.prices };
+};
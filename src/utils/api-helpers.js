@@ -1,44 +1,9 @@
-import { RateLimiterMemory } from 'rate-limiter-flexible';
 import { createHash } from 'crypto';
-import { API_CONFIG } from '../config/constants';
-
-/**
- * In-memory rate limiter for API requests.
- *
- * IMPORTANT LIMITATION: This rate limiter uses in-memory storage, which means:
- * - In serverless environments (Vercel, AWS Lambda), each instance has its own memory
- * - Users can potentially bypass rate limits by hitting different serverless instances
- * - For production with strict rate limiting requirements, consider using a distributed
- *   store like Redis or Upstash:
- *
- *   import { RateLimiterRedis } from 'rate-limiter-flexible';
- *   import Redis from 'ioredis';
- *
- *   const redisClient = new Redis(process.env.REDIS_URL);
- *   const rateLimiter = new RateLimiterRedis({
- *     storeClient: redisClient,
- *     points: API_CONFIG.RATE_LIMIT_POINTS,
- *     duration: API_CONFIG.RATE_LIMIT_DURATION,
- *     keyPrefix: 'pg_rl',
- *   });
- *
- * For this application, in-memory rate limiting provides reasonable protection
- * against casual abuse while keeping infrastructure simple.
- */
-const rateLimiter =
-  global.__pgRateLimiter ||
-  new RateLimiterMemory({
-    points: API_CONFIG.RATE_LIMIT_POINTS,
-    duration: API_CONFIG.RATE_LIMIT_DURATION,
-  });
-
-if (!global.__pgRateLimiter) {
-  global.__pgRateLimiter = rateLimiter;
-}
+import { readEnv } from '../config/env';
 
 // Helper: derive client IP robustly
 const getClientIp = (req) => {
-  const trustProxy = process.env.VERCEL === '1' || process.env.TRUST_PROXY === 'true';
+  const trustProxy = readEnv('VERCEL') || readEnv('TRUST_PROXY');
 
   const headerCandidates = [
     'cf-connecting-ip',
@@ -113,5 +78,5 @@ const makeRateKey = (req) => {
   return createHash('sha256').update(`${ip}:${ua}`).digest('hex');
 };
 
-export { getClientIp, makeRateKey, rateLimiter };
+export { getClientIp, makeRateKey };
 
@@ -0,0 +1,67 @@
+/**
+ * Common error envelope returned by every API route. Clients branch on the
+ * machine-readable `code`; `error` and `message` stay human-readable.
+ */
+
+import type { NextApiResponse } from 'next';
+import type { ErrorCode } from '../config/constants';
+
+export interface ApiErrorBody {
+  /** Machine-readable error code (see ERROR_CODES) */
+  code: ErrorCode;
+  /** Short error title */
+  error: string;
+  /** User-facing explanation */
+  message: string;
+  /** Seconds to wait before retrying (rate limited and over-budget responses only) */
+  retryAfter?: number;
+}
+
+/** HTTP status and error title for each code */
+export const API_ERROR_DEFINITIONS: Record<ErrorCode, { status: number; error: string }> = {
+  METHOD_NOT_ALLOWED: { status: 405, error: 'Method not allowed' },
+  INVALID_REQUEST: { status: 400, error: 'Bad request' },
+  INPUT_TOO_LONG: { status: 400, error: 'Input too long' },
+  PAYLOAD_TOO_LARGE: { status: 413, error: 'Payload too large' },
+  IMAGE_PROCESSING_FAILED: { status: 500, error: 'Image processing error' },
+  UNAUTHORIZED: { status: 401, error: 'Unauthorized' },
+  NOT_FOUND: { status: 404, error: 'Not found' },
+  RATE_LIMITED: { status: 429, error: 'Too many requests' },
+  BUDGET_EXCEEDED: { status: 429, error: 'Budget exceeded' },
+  CONTENT_BLOCKED: { status: 422, error: 'Content blocked' },
+  SERVER_MISCONFIGURED: { status: 500, error: 'Server configuration error' },
+  // Our credentials are the problem, not the client's, hence a 500
+  UPSTREAM_AUTH: { status: 500, error: 'Authentication error' },
+  UPSTREAM_RATE_LIMITED: { status: 429, error: 'Rate limit exceeded' },
+  UPSTREAM_UNAVAILABLE: { status: 500, error: 'External service error' },
+  UPSTREAM_TIMEOUT: { status: 504, error: 'Gateway timeout' },
+  SCHEMA_INVALID: { status: 500, error: 'Invalid response' },
+  STREAM_INTERRUPTED: { status: 502, error: 'External service error' },
+  INTERNAL_ERROR: { status: 500, error: 'Internal server error' },
+};
+
+/**
+ * Builds the error envelope for a code.
+ */
+export const buildApiError = (
+  code: ErrorCode,
+  message: string,
+  extra: Pick<ApiErrorBody, 'retryAfter'> = {}
+): ApiErrorBody => ({
+  code,
+  error: API_ERROR_DEFINITIONS[code].error,
+  message,
+  ...extra,
+});
+
+/**
+ * Responds with the error envelope and the status defined for its code.
+ */
+export const sendApiError = (
+  res: NextApiResponse,
+  code: ErrorCode,
+  message: string,
+  extra?: Pick<ApiErrorBody, 'retryAfter'>
+): void => {
+  res.status(API_ERROR_DEFINITIONS[code].status).json(buildApiError(code, message, extra));
+};
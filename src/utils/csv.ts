@@ -0,0 +1,70 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing for batch uploads and result
+ * downloads. Fields may be quoted; quoted fields can hold commas, newlines
+ * and doubled quotes.
+ */
+
+/**
+ * Splits CSV text into rows of fields. Blank lines are skipped.
+ * @throws Error if a quoted field is never closed
+ */
+export const parseCsv = (text: string): string[][] => {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let inQuotes = false;
+  let index = text.charCodeAt(0) === 0xfeff ? 1 : 0; // skip a BOM written by spreadsheet apps
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (; index < text.length; index++) {
+    const char = text[index];
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) throw new Error('Unterminated quoted field');
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+// Spreadsheet apps run cells starting with these as formulas, some after trimming leading spaces
+const FORMULA_PREFIX = /^[\t\r]|^\s*[=+\-@]/;
+
+/**
+ * Serializes one field, quoting it when needed. Values that a spreadsheet
+ * would evaluate as a formula are prefixed with a single quote.
+ */
+const formatCsvField = (value: string): string => {
+  const safe = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+/**
+ * Serializes rows of fields as CSV with CRLF line endings.
+ */
+export const toCsv = (rows: string[][]): string =>
+  rows.map((row) => row.map(formatCsvField).join(',')).join('\r\n') + '\r\n';
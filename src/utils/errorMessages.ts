@@ -3,7 +3,73 @@
  * Provides specific, actionable error messages based on error types.
  */
 
-import { ERROR_MESSAGES } from '../config/constants';
+import { ERROR_CODES, ERROR_MESSAGES, type ErrorCode } from '../config/constants';
+
+/** What the user can do about an error */
+export type ErrorRecovery = 'retry' | 'wait' | 'edit-input' | 'none';
+
+/**
+ * Error returned by one of our API routes. Carries the machine-readable code
+ * from the error envelope so callers never have to parse the message.
+ */
+export class ApiError extends Error {
+  readonly code: ErrorCode;
+  readonly status: number;
+  /** Seconds to wait before retrying (rate limited responses only) */
+  readonly retryAfter: number | null;
+
+  constructor(code: ErrorCode, message: string, status: number, retryAfter: number | null = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const isErrorCode = (value: unknown): value is ErrorCode =>
+  typeof value === 'string' && Object.values<string>(ERROR_CODES).includes(value);
+
+/**
+ * Builds the error for a failed API response from its JSON body.
+ * Bodies without a known `code` (e.g. proxy error pages) become plain Errors
+ * so they fall through to the message patterns.
+ */
+export const toApiError = (body: unknown, status: number, fallbackMessage: string): Error => {
+  const { code, message, retryAfter } = (body && typeof body === 'object' ? body : {}) as {
+    code?: unknown;
+    message?: unknown;
+    retryAfter?: unknown;
+  };
+  const text = typeof message === 'string' && message ? message : fallbackMessage;
+  if (!isErrorCode(code)) return new Error(text);
+  return new ApiError(code, text, status, typeof retryAfter === 'number' ? retryAfter : null);
+};
+
+/**
+ * Message and recovery action per error code. A null message shows the
+ * server's own message, which is more specific for input errors.
+ */
+const ERROR_CODE_HANDLING: Record<ErrorCode, { message: string | null; recovery: ErrorRecovery }> = {
+  METHOD_NOT_ALLOWED: { message: ERROR_MESSAGES.GENERIC, recovery: 'none' },
+  INVALID_REQUEST: { message: null, recovery: 'edit-input' },
+  INPUT_TOO_LONG: { message: null, recovery: 'edit-input' },
+  PAYLOAD_TOO_LARGE: { message: ERROR_MESSAGES.IMAGE, recovery: 'edit-input' },
+  IMAGE_PROCESSING_FAILED: { message: ERROR_MESSAGES.IMAGE, recovery: 'edit-input' },
+  UNAUTHORIZED: { message: null, recovery: 'none' },
+  NOT_FOUND: { message: null, recovery: 'none' },
+  RATE_LIMITED: { message: ERROR_MESSAGES.RATE_LIMITED, recovery: 'wait' },
+  BUDGET_EXCEEDED: { message: null, recovery: 'none' },
+  CONTENT_BLOCKED: { message: null, recovery: 'edit-input' },
+  SERVER_MISCONFIGURED: { message: null, recovery: 'none' },
+  UPSTREAM_AUTH: { message: null, recovery: 'none' },
+  UPSTREAM_RATE_LIMITED: { message: null, recovery: 'retry' },
+  UPSTREAM_UNAVAILABLE: { message: ERROR_MESSAGES.SERVER, recovery: 'retry' },
+  UPSTREAM_TIMEOUT: { message: ERROR_MESSAGES.TIMEOUT, recovery: 'retry' },
+  SCHEMA_INVALID: { message: ERROR_MESSAGES.INVALID_OUTPUT, recovery: 'retry' },
+  STREAM_INTERRUPTED: { message: ERROR_MESSAGES.STREAM_INTERRUPTED, recovery: 'retry' },
+  INTERNAL_ERROR: { message: ERROR_MESSAGES.SERVER, recovery: 'retry' },
+};
 
 /**
  * Error keywords and their corresponding user-friendly messages.
@@ -42,12 +108,17 @@ const ERROR_PATTERNS: Array<{ keywords: string[]; message: string }> = [
 
 /**
  * Converts an error into a user-friendly message.
- * Analyzes the error message content to provide specific, actionable feedback.
+ * API errors are mapped by code; anything else is matched against the
+ * message patterns above.
  *
  * @param error - The error object or string to convert
  * @returns A user-friendly error message string
  */
 export const getErrorMessage = (error: unknown): string => {
+  if (error instanceof ApiError) {
+    return ERROR_CODE_HANDLING[error.code].message ?? error.message;
+  }
+
   // Extract the error message string
   let errorText = '';
 
@@ -71,6 +142,15 @@ export const getErrorMessage = (error: unknown): string => {
   return ERROR_MESSAGES.GENERIC;
 };
 
+/**
+ * Returns what the user can do about an error. Errors that did not come from
+ * our API (network failures, dropped streams) are worth retrying.
+ */
+export const getErrorRecovery = (error: unknown): ErrorRecovery => {
+  if (error instanceof ApiError) return ERROR_CODE_HANDLING[error.code].recovery;
+  return isAbortError(error) ? 'none' : 'retry';
+};
+
 /**
  * Checks if an error is an abort/cancellation error (user cancelled the request).
  * These should typically be handled silently.
@@ -86,6 +166,7 @@ export const isAbortError = (error: unknown): boolean => {
  * Checks if an error is a rate limit error.
  */
 export const isRateLimitError = (error: unknown): boolean => {
+  if (error instanceof ApiError) return error.code === ERROR_CODES.RATE_LIMITED;
   const message = getErrorMessage(error);
   return message === ERROR_MESSAGES.RATE_LIMITED;
 };
@@ -1,6 +1,7 @@
 /**
- * Environment-based logging utility
- * Only logs in development mode to prevent information leakage in production
+ * Environment-based logging utility for browser code
+ * Only logs in development mode to prevent information leakage in production.
+ * Server code (API routes and services) uses services/serverLogger instead.
  */
 
 const isDev = process.env.NODE_ENV === 'development';
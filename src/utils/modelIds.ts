@@ -0,0 +1,19 @@
+/**
+ * Model ID validation shared by the environment schema (LLM_MODEL,
+ * MODEL_PRICES) and the readiness check of the configured model chains.
+ */
+import { LLM_PROVIDERS, type LlmProviderName } from '../config/constants';
+
+/** OpenRouter model IDs: `vendor/model` with an optional `:variant` such as `:free` */
+const MODEL_ID_PATTERN = /^[a-z0-9][a-z0-9._-]*\/[a-z0-9][a-z0-9._-]*(:[a-z0-9._-]+)?$/i;
+
+/**
+ * Model names of openai-compatible servers: a bare name or a `vendor/model`
+ * path, with an optional `:tag` (Ollama's `llama3.1:8b`, vLLM's Hugging Face IDs)
+ */
+const LOCAL_MODEL_ID_PATTERN = /^[a-z0-9][a-z0-9._-]*(\/[a-z0-9][a-z0-9._-]*)*(:[a-z0-9._-]+)?$/i;
+
+/** Whether `model` is a well-formed model ID for the provider (OpenRouter by default) */
+export const isValidModelId = (model: unknown, provider: LlmProviderName = LLM_PROVIDERS.OPENROUTER): boolean =>
+  typeof model === 'string' &&
+  (provider === LLM_PROVIDERS.OPENAI_COMPATIBLE ? LOCAL_MODEL_ID_PATTERN : MODEL_ID_PATTERN).test(model);
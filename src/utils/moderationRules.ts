@@ -0,0 +1,91 @@
+/**
+ * Blocklist rules of the input moderation stage (services/moderation).
+ * Kept free of server imports so config/env can validate MODERATION_BLOCKLIST.
+ */
+
+import { MODERATION_ACTIONS, type ModerationAction } from '../config/constants';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export interface ModerationRule {
+  /** Case-insensitive regular expression, e.g. `\\b(1[0-7]|[1-9])[- ]?year[- ]?old\\b` */
+  pattern: string;
+  action: ModerationAction;
+  /** Why the rule exists; blocked clients see it in the error message */
+  reason: string;
+  /** Text replacing each match when the action is rewrite (matches are removed by default) */
+  replacement?: string;
+}
+
+/** One rule matching one field of a request */
+export interface RuleMatch {
+  rule: ModerationRule;
+  field: string;
+  /** The matched text */
+  match: string;
+}
+
+const isAction = (value: unknown): value is ModerationAction =>
+  typeof value === 'string' && Object.values<string>(MODERATION_ACTIONS).includes(value);
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Validates a rule list, e.g. the MODERATION_BLOCKLIST environment variable.
+ * @throws Error if it is not an array of rules with a valid pattern, action and reason
+ */
+export const parseModerationRules = (value: unknown): ModerationRule[] => {
+  if (!Array.isArray(value)) throw new Error('Moderation rules must be a JSON array');
+  return value.map((entry, index) => {
+    const rule = (entry ?? {}) as Partial<ModerationRule>;
+    if (typeof rule.pattern !== 'string' || !rule.pattern) throw new Error(`Rule #${index} has no pattern`);
+    try {
+      new RegExp(rule.pattern, 'i');
+    } catch {
+      throw new Error(`Rule #${index} has an invalid pattern`);
+    }
+    if (!isAction(rule.action)) {
+      throw new Error(`Rule #${index} must have an action of ${Object.values(MODERATION_ACTIONS).join(', ')}`);
+    }
+    if (typeof rule.reason !== 'string' || !rule.reason.trim()) throw new Error(`Rule #${index} has no reason`);
+    if (rule.replacement !== undefined && typeof rule.replacement !== 'string') {
+      throw new Error(`Rule #${index} has an invalid replacement`);
+    }
+    return {
+      pattern: rule.pattern,
+      action: rule.action,
+      reason: rule.reason.trim(),
+      ...(rule.replacement !== undefined ? { replacement: rule.replacement } : {}),
+    };
+  });
+};
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+/**
+ * Every rule that matches one of the fields, in rule order.
+ */
+export const findRuleMatches = (fields: Record<string, string>, rules: ModerationRule[]): RuleMatch[] =>
+  rules.flatMap((rule) =>
+    Object.entries(fields).flatMap(([field, text]) => {
+      const match = new RegExp(rule.pattern, 'i').exec(text);
+      return match ? [{ rule, field, match: match[0] }] : [];
+    })
+  );
+
+/**
+ * Applies a rewrite rule to every match in the text and tidies the spacing
+ * left behind by removed matches.
+ */
+export const applyRewriteRule = (text: string, rule: ModerationRule): string =>
+  text
+    .replace(new RegExp(rule.pattern, 'gi'), rule.replacement ?? '')
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/ +([,.;:!?])/g, '$1')
+    .trim();
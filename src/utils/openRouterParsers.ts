@@ -38,7 +38,29 @@ export interface JsonPromptPayload {
   camera: JsonPromptCamera;
 }
 
-export type StructuredPayload = PromptTextPayload | JsonPromptPayload;
+export interface VideoShot {
+  /** 1-based shot number */
+  shot: number;
+  start_seconds: number;
+  end_seconds: number;
+  description: string;
+  camera_motion: string;
+  /** Transition into the next shot */
+  transition: string;
+}
+
+export interface VideoStoryboardPayload {
+  /** One-paragraph summary of the whole clip */
+  scene: string;
+  duration_seconds: number;
+  fps: number;
+  aspect_ratio: string;
+  style: string;
+  camera_motion: string;
+  shots: VideoShot[];
+}
+
+export type StructuredPayload = PromptTextPayload | JsonPromptPayload | VideoStoryboardPayload;
 
 export interface ChatCompletionChoice {
   message?: { content?: unknown };
@@ -49,6 +71,11 @@ export interface ChatCompletionResponse {
   usage?: unknown;
 }
 
+export interface ChatCompletionChunk {
+  choices?: Array<{ delta?: { content?: unknown } }>;
+  usage?: unknown;
+}
+
 // ============================================================================
 // Parsing Functions
 // ============================================================================
@@ -79,8 +106,21 @@ export const extractMessageText = (content: unknown): string => {
   return '';
 };
 
+/**
+ * Recovers the JSON object from model output that wraps it in markdown fences
+ * or surrounding prose. Returns the input unchanged when no object is found.
+ */
+export const extractJsonText = (raw: string): string => {
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const text = fenced ? fenced[1] : raw;
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return start !== -1 && end > start ? text.slice(start, end + 1) : text.trim();
+};
+
 /**
  * Parses structured JSON content from an OpenRouter response.
+ * Falls back to stripping markdown fences and surrounding text before giving up.
  * @throws Error if the content is empty or not valid JSON
  */
 export const parseStructuredContent = <T extends StructuredPayload>(content: unknown): T => {
@@ -88,7 +128,13 @@ export const parseStructuredContent = <T extends StructuredPayload>(content: unk
   if (!raw) {
     throw new Error('Empty AI response');
   }
-  return JSON.parse(raw) as T;
+  try {
+    return JSON.parse(raw) as T;
+  } catch (error) {
+    const extracted = extractJsonText(raw);
+    if (extracted === raw) throw error;
+    return JSON.parse(extracted) as T;
+  }
 };
 
 /**
@@ -135,6 +181,131 @@ export const ensureJsonPrompt = (payload: StructuredPayload): JsonPromptPayload
   return jsonPayload as JsonPromptPayload;
 };
 
+/** Allowed drift between the last shot's end and the declared duration (seconds) */
+const STORYBOARD_TIMING_TOLERANCE = 0.5;
+
+const isPositiveNumber = (value: unknown): value is number =>
+  typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Validates a video storyboard payload, including shot timing: shots must be
+ * ordered, must not overlap and must fit within the clip duration.
+ * @throws Error describing the first problem found
+ */
+export const ensureVideoStoryboard = (payload: StructuredPayload): VideoStoryboardPayload => {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new Error('Invalid video storyboard payload');
+  }
+
+  const storyboard = payload as Partial<VideoStoryboardPayload>;
+  if (
+    typeof storyboard.scene !== 'string' ||
+    !isPositiveNumber(storyboard.duration_seconds) ||
+    !isPositiveNumber(storyboard.fps) ||
+    typeof storyboard.aspect_ratio !== 'string' ||
+    typeof storyboard.style !== 'string' ||
+    typeof storyboard.camera_motion !== 'string' ||
+    !Array.isArray(storyboard.shots) ||
+    storyboard.shots.length === 0
+  ) {
+    throw new Error('Invalid video storyboard payload');
+  }
+
+  let previousEnd = 0;
+  storyboard.shots.forEach((shot, index) => {
+    if (
+      !shot ||
+      typeof shot.description !== 'string' ||
+      typeof shot.camera_motion !== 'string' ||
+      typeof shot.transition !== 'string' ||
+      typeof shot.start_seconds !== 'number' ||
+      typeof shot.end_seconds !== 'number'
+    ) {
+      throw new Error(`Invalid shot ${index + 1} in video storyboard`);
+    }
+    if (shot.start_seconds < previousEnd || shot.end_seconds <= shot.start_seconds) {
+      throw new Error(`Shot ${index + 1} timing overlaps or is out of order`);
+    }
+    previousEnd = shot.end_seconds;
+  });
+
+  if (previousEnd > storyboard.duration_seconds + STORYBOARD_TIMING_TOLERANCE) {
+    throw new Error('Video storyboard shots run past the clip duration');
+  }
+
+  return storyboard as VideoStoryboardPayload;
+};
+
+// ============================================================================
+// Streaming Helpers
+// ============================================================================
+
+/**
+ * Parses one `data:` payload from an OpenRouter stream.
+ * Returns null for the terminal "[DONE]" marker or unparseable chunks.
+ */
+export const parseStreamChunk = (data: string): ChatCompletionChunk | null => {
+  const trimmed = data.trim();
+  if (!trimmed || trimmed === '[DONE]') return null;
+  try {
+    return JSON.parse(trimmed) as ChatCompletionChunk;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Extracts the text delta from a parsed OpenRouter stream chunk.
+ */
+export const extractStreamDelta = (chunk: ChatCompletionChunk | null): string => {
+  const content = chunk?.choices?.[0]?.delta?.content;
+  return typeof content === 'string' ? content : '';
+};
+
+const JSON_ESCAPES: Record<string, string> = {
+  '"': '"',
+  '\\': '\\',
+  '/': '/',
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t',
+};
+
+/**
+ * Best-effort extraction of the `prompt` string from an incomplete JSON document,
+ * e.g. `{"prompt":"A misty valley at da`. Used to render text prompts while the
+ * structured response is still streaming. Returns '' until the value starts.
+ */
+export const extractPartialPrompt = (raw: string): string => {
+  const match = /"prompt"\s*:\s*"/.exec(raw);
+  if (!match) return '';
+
+  let result = '';
+  for (let i = match.index + match[0].length; i < raw.length; i++) {
+    const char = raw[i];
+    if (char === '"') break;
+    if (char !== '\\') {
+      result += char;
+      continue;
+    }
+
+    const next = raw[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = raw.slice(i + 2, i + 6);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+      result += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      result += JSON_ESCAPES[next] ?? next;
+      i += 1;
+    }
+  }
+  return result;
+};
+
 /**
  * Type guard to check if a payload is a text prompt
  */
@@ -146,5 +317,12 @@ export const isTextPrompt = (payload: StructuredPayload): payload is PromptTextP
  * Type guard to check if a payload is a JSON prompt
  */
 export const isJsonPrompt = (payload: StructuredPayload): payload is JsonPromptPayload => {
-  return typeof (payload as JsonPromptPayload).scene === 'string';
+  return typeof (payload as JsonPromptPayload).scene === 'string' && !isVideoStoryboard(payload);
+};
+
+/**
+ * Type guard to check if a payload is a video storyboard
+ */
+export const isVideoStoryboard = (payload: StructuredPayload): payload is VideoStoryboardPayload => {
+  return Array.isArray((payload as VideoStoryboardPayload).shots);
 };
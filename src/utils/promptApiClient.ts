@@ -0,0 +1,494 @@
+/**
+ * Typed client for the prompt API routes (/api/generate, /api/jobs,
+ * /api/edit, /api/surprise, /api/usage and /api/batch). Request and response types are
+ * shared with the routes and described by the OpenAPI document at
+ * /api/openapi.json.
+ */
+import {
+  GENERATION_STAGES,
+  JOB_CONFIG,
+  JOB_STATUSES,
+  type BatchFormat,
+  type BatchJobStatus,
+  type BatchRowStatus,
+  type ErrorCode,
+  type GenerationStage,
+  type JobStatus,
+  type OutputFormat,
+  type PromptMode,
+  type UsageBudgetMode,
+  type WebhookStatus,
+} from '../config/constants';
+import type { GeneratedPrompt } from '../config/promptModes';
+import { API_ERROR_DEFINITIONS, type ApiErrorBody } from './apiErrors';
+import { toApiError } from './errorMessages';
+import type { FormattedPrompt } from './promptFormatters';
+import { createSseParser, STREAM_EVENTS } from './sse';
+import type { PriceTable, UsageCounts } from './usageCost';
+
+// ============================================================================
+// Request Types
+// ============================================================================
+
+/** JSON body of /api/generate (the same fields are sent as multipart with an image) */
+export interface GenerateRequestBody {
+  idea?: string;
+  directions?: string;
+  mode?: PromptMode;
+  /** @deprecated Send `mode` instead */
+  isJsonMode?: boolean;
+  /** @deprecated Send `mode` instead */
+  isTestMode?: boolean;
+  /** @deprecated Send `mode` instead */
+  isVideoPrompt?: boolean;
+  /** Run the refinement stage before the final one */
+  isMultiPrompt?: boolean;
+  /** Stream the final stage as Server-Sent Events (single results only) */
+  stream?: boolean;
+  variants?: number;
+  stage?: GenerationStage;
+  refinementModel?: string;
+  /** Reviewed brief from a `refine` stage request; skips refinement */
+  refinedBrief?: string;
+  outputFormat?: OutputFormat;
+  /** Run as a background job: answers 202 with the job instead of the result (not with `stream` or stage `refine`) */
+  async?: boolean;
+  /** Called with the finished job (async requests only) */
+  webhookUrl?: string;
+}
+
+export interface GenerateRequest extends Omit<GenerateRequestBody, 'stream' | 'stage' | 'async' | 'webhookUrl'> {
+  /** Reference image; switches the request to multipart/form-data */
+  image?: Blob | null;
+}
+
+/** JSON body of /api/edit */
+export interface EditRequestBody {
+  idea?: string;
+  directions?: string;
+  /** The prompt being revised, as returned by /api/generate (JSON modes may send it as a string) */
+  prompt?: GeneratedPrompt;
+  instruction?: string;
+  mode?: PromptMode;
+  outputFormat?: OutputFormat;
+}
+
+/** JSON body of POST /api/batch */
+export interface BatchSubmitRequest {
+  /** Text of the uploaded CSV or JSONL file */
+  content: string;
+  /** Original file name, shown with the job and used to detect the format */
+  filename?: string;
+  /** Detected from the file name or content when omitted */
+  format?: BatchFormat;
+  /** Mode for rows that do not name one */
+  mode?: PromptMode;
+}
+
+// ============================================================================
+// Response Types
+// ============================================================================
+
+export interface GenerateResponse {
+  success: true;
+  prompt: GeneratedPrompt;
+  mode: PromptMode;
+  usage: unknown;
+  model: string;
+  refinementModel: string | null;
+  refinedBrief: string | null;
+  formatted: FormattedPrompt | null;
+}
+
+export interface GenerateVariantsResponse {
+  success: true;
+  /** Same as `variants[0]` */
+  prompt: GeneratedPrompt;
+  variants: GeneratedPrompt[];
+  mode: PromptMode;
+  usage: unknown[];
+  model: string;
+  models: string[];
+  refinementModel: string | null;
+  refinedBrief: string | null;
+  formatted: FormattedPrompt[] | null;
+}
+
+export interface RefineResponse {
+  success: true;
+  refinedBrief: string;
+  refinementModel: string;
+  usage: unknown;
+}
+
+export interface EditResponse {
+  success: true;
+  prompt: GeneratedPrompt;
+  mode: PromptMode;
+  usage: unknown;
+  model: string;
+  formatted: FormattedPrompt | null;
+}
+
+export interface SurpriseResponse {
+  prompt: string;
+  usage: unknown;
+  model: string;
+}
+
+/** Async generation job, returned by /api/generate with `async` and by GET /api/jobs/{id} */
+export interface JobResponse {
+  id: string;
+  status: JobStatus;
+  /** Body a synchronous /api/generate request would have returned (succeeded jobs only) */
+  result: GenerateResponse | GenerateVariantsResponse | null;
+  /** Error envelope of a failed job */
+  error: ApiErrorBody | null;
+  /** Delivery state of the webhook (null when the request had none) */
+  webhook: { status: WebhookStatus; attempts: number } | null;
+  createdAt: string;
+  updatedAt: string;
+  finishedAt: string | null;
+}
+
+/** Progress of a batch job */
+export interface BatchJobSummary {
+  id: string;
+  status: BatchJobStatus;
+  filename: string | null;
+  /** Row counts by status; `total` includes rows rejected while parsing */
+  counts: Record<BatchRowStatus, number> & { total: number };
+  /** Jobs ahead of this one while it is queued */
+  queuePosition: number | null;
+  /** Seconds until the generation quota resets while rows wait for it */
+  waitingSeconds: number | null;
+  createdAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+}
+
+/** Status of one row; prompts are only included in the result downloads */
+export interface BatchRowState {
+  /** 1-based position among the file's rows */
+  row: number;
+  status: BatchRowStatus;
+  error: { code: ErrorCode; message: string } | null;
+}
+
+/** Response of POST /api/batch, DELETE /api/batch/{id} and GET /api/batch/{id} */
+export interface BatchJobResponse {
+  job: BatchJobSummary;
+  rows: BatchRowState[];
+}
+
+/** Daily budget state of a client */
+export interface UsageBudget {
+  /** Daily budget in USD */
+  limit: number;
+  /** Estimated USD spent today */
+  spent: number;
+  /** USD left today (0 once exceeded) */
+  remaining: number;
+  exceeded: boolean;
+  mode: UsageBudgetMode;
+  /** When the budget resets (midnight UTC) */
+  resetsAt: string;
+}
+
+/** Today's usage of the requesting client, returned by GET /api/usage */
+export interface UsageResponse {
+  /** UTC date (YYYY-MM-DD) */
+  day: string;
+  totals: UsageCounts;
+  /** Totals by model id */
+  models: Record<string, UsageCounts>;
+  /** Null when no daily budget is configured */
+  budget: UsageBudget | null;
+  /** Prices the costs are estimated from (USD per million tokens) */
+  prices: PriceTable;
+}
+
+// ============================================================================
+// Client
+// ============================================================================
+
+export interface PromptApiClientOptions {
+  /** Prefix for the API paths (same origin when omitted) */
+  baseUrl?: string;
+}
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+  /** Called with the response before its body is read, e.g. to record rate limit headers */
+  onResponse?: (response: Response) => void;
+}
+
+export interface WaitForJobOptions extends RequestOptions {
+  /** Milliseconds between polls */
+  interval?: number;
+  /** Called with the job after every poll */
+  onUpdate?: (job: JobResponse) => void;
+}
+
+export interface StreamOptions extends RequestOptions {
+  /** Called once the server starts streaming */
+  onOpen?: () => void;
+  /** Called with the accumulated raw model output after every delta */
+  onDelta?: (raw: string) => void;
+}
+
+export interface PromptApiClient {
+  /** Final generation; returns every variant when `variants` is above 1 */
+  generate: (
+    request: GenerateRequest,
+    options?: RequestOptions
+  ) => Promise<GenerateResponse | GenerateVariantsResponse>;
+  /**
+   * Single final generation streamed token by token. Resolves with the
+   * validated result, which may differ from the streamed text after a repair.
+   */
+  generateStream: (request: Omit<GenerateRequest, 'variants'>, options?: StreamOptions) => Promise<GenerateResponse>;
+  /** Starts a background generation; follow it with `getJob` or `waitForJob` */
+  generateAsync: (request: GenerateRequest & { webhookUrl?: string }, options?: RequestOptions) => Promise<JobResponse>;
+  getJob: (id: string, options?: RequestOptions) => Promise<JobResponse>;
+  /**
+   * Polls a job until it finishes. Resolves with its result; rejects with an
+   * ApiError carrying the job's error code when it failed.
+   */
+  waitForJob: (id: string, options?: WaitForJobOptions) => Promise<GenerateResponse | GenerateVariantsResponse>;
+  /** Refinement stage only, for review before `generate` with `refinedBrief` */
+  refine: (request: GenerateRequest, options?: RequestOptions) => Promise<RefineResponse>;
+  edit: (request: EditRequestBody, options?: RequestOptions) => Promise<EditResponse>;
+  surprise: (options?: RequestOptions) => Promise<SurpriseResponse>;
+  /** Today's usage and budget of this browser, with the price table */
+  usage: (options?: RequestOptions) => Promise<UsageResponse>;
+  /** Starts a batch job for an uploaded file */
+  submitBatch: (request: BatchSubmitRequest, options?: RequestOptions) => Promise<BatchJobResponse>;
+  getBatch: (id: string, options?: RequestOptions) => Promise<BatchJobResponse>;
+  /** Cancels the job's pending rows; rows already generating still finish */
+  cancelBatch: (id: string, options?: RequestOptions) => Promise<BatchJobResponse>;
+  /** Download URL of a job's results so far */
+  batchResultsUrl: (id: string, format: BatchFormat) => string;
+}
+
+const FALLBACK_MESSAGES = {
+  generate: 'Failed to generate prompt',
+  refine: 'Failed to refine prompt',
+  edit: 'Failed to revise prompt',
+  surprise: 'Failed to get a surprise prompt.',
+  batch: 'Failed to load the batch job',
+  job: 'Failed to load the generation job',
+  usage: 'Failed to load usage',
+} as const;
+
+/**
+ * Encodes a /api/generate request as multipart when an image is attached,
+ * JSON otherwise. Undefined and empty fields are omitted.
+ */
+const encodeGenerateRequest = ({ image, ...fields }: GenerateRequestBody & { image?: Blob | null }): RequestInit => {
+  if (image) {
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') formData.append(key, String(value));
+    });
+    formData.append('image', image);
+    return { method: 'POST', body: formData };
+  }
+  return {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(fields),
+  };
+};
+
+const isJsonResponse = (response: Response): boolean =>
+  (response.headers.get('content-type') || '').includes('application/json');
+
+/**
+ * Reads a JSON response body.
+ * @throws ApiError with the server's error code for non-2xx responses
+ */
+const readJson = async <T>(response: Response, fallbackMessage: string): Promise<T> => {
+  if (!isJsonResponse(response)) {
+    // Proxies and platform errors answer with text or HTML
+    const text = await response.text();
+    throw new Error((!response.ok && text) || fallbackMessage);
+  }
+  const data = await response.json();
+  if (!response.ok) throw toApiError(data, response.status, fallbackMessage);
+  return data as T;
+};
+
+/** Resolves after `ms`, or rejects with an AbortError when the signal fires first */
+const delay = (ms: number, signal?: AbortSignal): Promise<void> =>
+  new Promise((resolve, reject) => {
+    const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+    if (signal?.aborted) return reject(abortError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+/**
+ * Reads the /api/generate event stream. Resolves with the `done` payload.
+ * @throws ApiError with the server's error code if the stream reports an error
+ */
+const readGenerateStream = async (response: Response, onDelta?: (raw: string) => void): Promise<GenerateResponse> => {
+  if (!response.body) throw new Error(FALLBACK_MESSAGES.generate);
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let raw = '';
+  let result: GenerateResponse | null = null;
+  let streamError: Error | null = null;
+
+  const parser = createSseParser(({ event, data }) => {
+    let payload: unknown;
+    try {
+      payload = JSON.parse(data);
+    } catch {
+      return;
+    }
+    if (event === STREAM_EVENTS.DELTA) {
+      const { text } = payload as { text?: unknown };
+      if (typeof text !== 'string') return;
+      raw += text;
+      onDelta?.(raw);
+    } else if (event === STREAM_EVENTS.DONE) {
+      result = payload as GenerateResponse;
+    } else if (event === STREAM_EVENTS.ERROR) {
+      streamError = toApiError(payload, response.status, FALLBACK_MESSAGES.generate);
+    }
+  });
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parser.push(decoder.decode(value, { stream: true }));
+  }
+  parser.push(decoder.decode());
+  parser.flush();
+
+  if (streamError) throw streamError;
+  if (!result) throw new Error('Stream ended before the prompt was complete');
+  return result;
+};
+
+/**
+ * Creates a client for the prompt API. Failed requests reject with an
+ * ApiError carrying the error envelope's code (see utils/errorMessages).
+ */
+export const createPromptApiClient = ({ baseUrl = '' }: PromptApiClientOptions = {}): PromptApiClient => {
+  const send = async (path: string, init: RequestInit, { signal, onResponse }: RequestOptions): Promise<Response> => {
+    const response = await fetch(`${baseUrl}${path}`, { ...init, signal });
+    onResponse?.(response);
+    return response;
+  };
+
+  const getJob: PromptApiClient['getJob'] = async (id, options = {}) => {
+    const response = await send(`/api/jobs/${encodeURIComponent(id)}`, { method: 'GET' }, options);
+    return readJson<JobResponse>(response, FALLBACK_MESSAGES.job);
+  };
+
+  return {
+    generate: async (request, options = {}) => {
+      const response = await send('/api/generate', encodeGenerateRequest(request), options);
+      return readJson<GenerateResponse | GenerateVariantsResponse>(response, FALLBACK_MESSAGES.generate);
+    },
+
+    generateAsync: async (request, options = {}) => {
+      const response = await send('/api/generate', encodeGenerateRequest({ ...request, async: true }), options);
+      return readJson<JobResponse>(response, FALLBACK_MESSAGES.generate);
+    },
+
+    getJob,
+
+    waitForJob: async (id, { interval = JOB_CONFIG.POLL_INTERVAL, onUpdate, ...options } = {}) => {
+      for (;;) {
+        const job = await getJob(id, options);
+        onUpdate?.(job);
+        if (job.status === JOB_STATUSES.SUCCEEDED && job.result) return job.result;
+        if (job.status === JOB_STATUSES.FAILED) {
+          const status = job.error ? API_ERROR_DEFINITIONS[job.error.code].status : 500;
+          throw toApiError(job.error, status, FALLBACK_MESSAGES.generate);
+        }
+        await delay(interval, options.signal);
+      }
+    },
+
+    generateStream: async (request, { onOpen, onDelta, ...options } = {}) => {
+      const response = await send('/api/generate', encodeGenerateRequest({ ...request, stream: true }), options);
+      // Errors before the first token arrive as regular JSON responses
+      if (!response.ok || isJsonResponse(response)) {
+        return readJson<GenerateResponse>(response, FALLBACK_MESSAGES.generate);
+      }
+      onOpen?.();
+      return readGenerateStream(response, onDelta);
+    },
+
+    refine: async (request, options = {}) => {
+      const response = await send(
+        '/api/generate',
+        encodeGenerateRequest({ ...request, stage: GENERATION_STAGES.REFINE }),
+        options
+      );
+      const data = await readJson<RefineResponse>(response, FALLBACK_MESSAGES.refine);
+      if (typeof data.refinedBrief !== 'string' || !data.refinedBrief) throw new Error(FALLBACK_MESSAGES.refine);
+      return data;
+    },
+
+    edit: async (request, options = {}) => {
+      const response = await send(
+        '/api/edit',
+        { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(request) },
+        options
+      );
+      return readJson<EditResponse>(response, FALLBACK_MESSAGES.edit);
+    },
+
+    surprise: async (options = {}) => {
+      const response = await send('/api/surprise', { method: 'POST' }, options);
+      return readJson<SurpriseResponse>(response, FALLBACK_MESSAGES.surprise);
+    },
+
+    usage: async (options = {}) => {
+      const response = await send('/api/usage', { method: 'GET' }, options);
+      return readJson<UsageResponse>(response, FALLBACK_MESSAGES.usage);
+    },
+
+    submitBatch: async (request, options = {}) => {
+      const response = await send(
+        '/api/batch',
+        { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(request) },
+        options
+      );
+      return readJson<BatchJobResponse>(response, FALLBACK_MESSAGES.batch);
+    },
+
+    getBatch: async (id, options = {}) => {
+      const response = await send(`/api/batch/${encodeURIComponent(id)}`, { method: 'GET' }, options);
+      return readJson<BatchJobResponse>(response, FALLBACK_MESSAGES.batch);
+    },
+
+    cancelBatch: async (id, options = {}) => {
+      const response = await send(`/api/batch/${encodeURIComponent(id)}`, { method: 'DELETE' }, options);
+      return readJson<BatchJobResponse>(response, FALLBACK_MESSAGES.batch);
+    },
+
+    batchResultsUrl: (id, format) => `${baseUrl}/api/batch/${encodeURIComponent(id)}/results?format=${format}`,
+  };
+};
+
+/** Client for the API routes of this app */
+export const promptApi = createPromptApiClient();
+
+/** Whether a /api/generate response carries variants */
+export const hasVariants = (
+  response: GenerateResponse | GenerateVariantsResponse
+): response is GenerateVariantsResponse => 'variants' in response && Array.isArray(response.variants);
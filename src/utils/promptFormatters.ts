@@ -0,0 +1,241 @@
+/**
+ * Formatters that turn a validated prompt into the syntax of a specific
+ * image generator. Shared by the "copy as" menu and the `outputFormat`
+ * option of /api/generate.
+ */
+import { OUTPUT_FORMATS, type OutputFormat } from '../config/constants';
+import type { GeneratedPrompt } from '../config/promptModes';
+import type { JsonPromptPayload, VideoStoryboardPayload } from './openRouterParsers';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export interface FormattedPrompt {
+  format: OutputFormat;
+  /** Positive prompt in the target's syntax */
+  prompt: string;
+  /** Separate negative prompt, for targets that take one */
+  negativePrompt?: string;
+}
+
+export interface FormatOptions {
+  /** Aspect ratio such as "16:9"; detected from the prompt when omitted */
+  aspectRatio?: string;
+  /** Midjourney --stylize value (0-1000) */
+  stylize?: number;
+  /** Terms to exclude; defaults to DEFAULT_NEGATIVE_TERMS */
+  negativeTerms?: string[];
+}
+
+export const OUTPUT_FORMAT_LABELS: Record<OutputFormat, string> = {
+  [OUTPUT_FORMATS.RAW]: 'RAW',
+  [OUTPUT_FORMATS.MIDJOURNEY]: 'MIDJOURNEY',
+  [OUTPUT_FORMATS.STABLE_DIFFUSION]: 'STABLE_DIFFUSION',
+  [OUTPUT_FORMATS.FLUX]: 'FLUX',
+  [OUTPUT_FORMATS.DALLE]: 'DALL·E',
+};
+
+export const DEFAULT_NEGATIVE_TERMS = ['text', 'watermark', 'signature', 'blurry', 'lowres', 'deformed'];
+
+const MIDJOURNEY_DEFAULT_STYLIZE = 250;
+/** DALL·E 3 rejects prompts longer than this */
+const DALLE_MAX_LENGTH = 4000;
+const SD_SUBJECT_WEIGHT = 1.2;
+const SD_STYLE_WEIGHT = 1.1;
+
+// ============================================================================
+// Normalization
+// ============================================================================
+
+const isStoryboardPayload = (prompt: GeneratedPrompt): prompt is VideoStoryboardPayload =>
+  typeof prompt === 'object' && prompt !== null && Array.isArray((prompt as VideoStoryboardPayload).shots);
+
+const isJsonPayload = (prompt: GeneratedPrompt): prompt is JsonPromptPayload =>
+  typeof prompt === 'object' && prompt !== null && typeof prompt.scene === 'string' && !isStoryboardPayload(prompt);
+
+/** Collapses whitespace and trims trailing punctuation from a fragment */
+const clean = (text: string | undefined): string =>
+  (text || '').replace(/\s+/g, ' ').trim().replace(/[.,;:\s]+$/, '');
+
+const joinSentences = (parts: Array<string | undefined>): string =>
+  parts
+    .map(clean)
+    .filter(Boolean)
+    .map((part) => `${part}.`)
+    .join(' ');
+
+/**
+ * Renders a JSON prompt payload as natural-language prose.
+ */
+export const describeJsonPrompt = (payload: JsonPromptPayload): string => {
+  const { camera } = payload;
+  const subjects = (payload.subjects || []).map((subject) =>
+    [subject.description, subject.action, subject.position].map(clean).filter(Boolean).join(', ')
+  );
+  const cameraDetails = camera
+    ? [camera.angle, camera.lens && `${clean(camera.lens)} lens`, camera.depth_of_field].map(clean).filter(Boolean).join(', ')
+    : '';
+
+  return joinSentences([
+    payload.scene,
+    ...subjects,
+    payload.style && `${clean(payload.style)} style`,
+    payload.lighting && `Lighting: ${clean(payload.lighting)}`,
+    payload.mood && `Mood: ${clean(payload.mood)}`,
+    payload.background && `Background: ${clean(payload.background)}`,
+    payload.composition && `Composition: ${clean(payload.composition)}`,
+    cameraDetails && `Camera: ${cameraDetails}`,
+    payload.color_palette?.length ? `Color palette: ${payload.color_palette.map(clean).join(', ')}` : '',
+  ]);
+};
+
+/**
+ * Renders a video storyboard as prose: the clip summary followed by each shot.
+ */
+export const describeStoryboard = (storyboard: VideoStoryboardPayload): string =>
+  joinSentences([
+    storyboard.scene,
+    storyboard.style && `${clean(storyboard.style)} style`,
+    ...storyboard.shots.map(
+      (shot, index) =>
+        `Shot ${index + 1} (${shot.start_seconds}-${shot.end_seconds}s): ${[shot.description, shot.camera_motion]
+          .map(clean)
+          .filter(Boolean)
+          .join(', ')}`
+    ),
+  ]);
+
+/**
+ * Returns the prompt as a single natural-language paragraph.
+ */
+const toProse = (prompt: GeneratedPrompt): string => {
+  if (isStoryboardPayload(prompt)) return describeStoryboard(prompt);
+  if (isJsonPayload(prompt)) return describeJsonPrompt(prompt);
+  return (prompt || '').replace(/\s+/g, ' ').trim();
+};
+
+/** Ratios recognized in prompt text; anything else (e.g. "5:30 pm") is ignored */
+const KNOWN_ASPECT_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '2:1', '1:2', '21:9'];
+
+/**
+ * Finds an aspect ratio such as "16:9" mentioned in the prompt.
+ */
+const detectAspectRatio = (text: string): string | undefined =>
+  (text.match(/\b\d{1,2}:\d{1,2}\b/g) || []).find((ratio) => KNOWN_ASPECT_RATIOS.includes(ratio));
+
+// ============================================================================
+// Target Formatters
+// ============================================================================
+
+const formatMidjourney = (prompt: GeneratedPrompt, options: FormatOptions): FormattedPrompt => {
+  // Strip any "--param" the model may have written so ours are the only ones
+  const body = toProse(prompt).replace(/\s--\w+(\s+[^\s-][^\s]*)?/g, '').trim();
+  const aspectRatio =
+    options.aspectRatio || (isStoryboardPayload(prompt) ? prompt.aspect_ratio : undefined) || detectAspectRatio(body);
+  const negativeTerms = options.negativeTerms ?? DEFAULT_NEGATIVE_TERMS;
+  const params = [
+    aspectRatio && `--ar ${aspectRatio}`,
+    `--stylize ${options.stylize ?? MIDJOURNEY_DEFAULT_STYLIZE}`,
+    negativeTerms.length > 0 && `--no ${negativeTerms.join(', ')}`,
+  ].filter(Boolean);
+
+  return { format: OUTPUT_FORMATS.MIDJOURNEY, prompt: `${body} ${params.join(' ')}` };
+};
+
+/** Escapes characters that Stable Diffusion reads as attention syntax */
+const escapeSdToken = (token: string): string => token.replace(/([()[\]\\])/g, '\\$1');
+
+const weightToken = (token: string, weight: number): string =>
+  token ? `(${escapeSdToken(token)}:${weight})` : '';
+
+const formatStableDiffusion = (prompt: GeneratedPrompt, options: FormatOptions): FormattedPrompt => {
+  let tokens: string[];
+  if (isJsonPayload(prompt)) {
+    const { camera } = prompt;
+    tokens = [
+      weightToken(clean(prompt.scene), SD_SUBJECT_WEIGHT),
+      ...(prompt.subjects || []).map((subject) => weightToken(clean(subject.description), SD_SUBJECT_WEIGHT)),
+      ...(prompt.subjects || []).map((subject) => escapeSdToken(clean(subject.action))),
+      prompt.style ? weightToken(clean(prompt.style), SD_STYLE_WEIGHT) : '',
+      escapeSdToken(clean(prompt.lighting)),
+      escapeSdToken(clean(prompt.mood)),
+      escapeSdToken(clean(prompt.background)),
+      escapeSdToken(clean(prompt.composition)),
+      camera ? escapeSdToken(clean(camera.lens)) : '',
+      camera ? escapeSdToken(clean(camera.depth_of_field)) : '',
+      ...(prompt.color_palette || []).map((color) => escapeSdToken(clean(color))),
+    ];
+  } else {
+    // The lead clause carries the subject; the rest become plain tokens
+    const clauses = toProse(prompt)
+      .split(/[.;]\s+|,\s+/)
+      .map(clean)
+      .filter(Boolean);
+    tokens = clauses.map((clause, index) =>
+      index === 0 ? weightToken(clause, SD_SUBJECT_WEIGHT) : escapeSdToken(clause)
+    );
+  }
+
+  return {
+    format: OUTPUT_FORMATS.STABLE_DIFFUSION,
+    prompt: [...tokens, 'highly detailed'].filter(Boolean).join(', '),
+    negativePrompt: (options.negativeTerms ?? DEFAULT_NEGATIVE_TERMS).join(', '),
+  };
+};
+
+const formatFlux = (prompt: GeneratedPrompt): FormattedPrompt => ({
+  // Flux follows long natural-language prompts and has no negative prompt
+  format: OUTPUT_FORMATS.FLUX,
+  prompt: toProse(prompt),
+});
+
+const formatDalle = (prompt: GeneratedPrompt): FormattedPrompt => {
+  const prose = toProse(prompt);
+  return {
+    format: OUTPUT_FORMATS.DALLE,
+    prompt: prose.length > DALLE_MAX_LENGTH ? prose.slice(0, DALLE_MAX_LENGTH).replace(/\s+\S*$/, '') : prose,
+  };
+};
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Type guard for format ids received from clients.
+ */
+export const isOutputFormat = (value: unknown): value is OutputFormat =>
+  typeof value === 'string' && Object.values<string>(OUTPUT_FORMATS).includes(value);
+
+/**
+ * Formats a validated prompt for the given target generator.
+ */
+export const formatPrompt = (
+  prompt: GeneratedPrompt,
+  format: OutputFormat,
+  options: FormatOptions = {}
+): FormattedPrompt => {
+  switch (format) {
+    case OUTPUT_FORMATS.MIDJOURNEY:
+      return formatMidjourney(prompt, options);
+    case OUTPUT_FORMATS.STABLE_DIFFUSION:
+      return formatStableDiffusion(prompt, options);
+    case OUTPUT_FORMATS.FLUX:
+      return formatFlux(prompt);
+    case OUTPUT_FORMATS.DALLE:
+      return formatDalle(prompt);
+    default:
+      return {
+        format: OUTPUT_FORMATS.RAW,
+        prompt: typeof prompt === 'string' ? prompt : JSON.stringify(prompt, null, 2),
+      };
+  }
+};
+
+/**
+ * Renders a formatted prompt as clipboard text. Negative prompts use the
+ * "Negative prompt:" line that Stable Diffusion UIs recognize on paste.
+ */
+export const formattedPromptToText = (formatted: FormattedPrompt): string =>
+  formatted.negativePrompt ? `${formatted.prompt}\nNegative prompt: ${formatted.negativePrompt}` : formatted.prompt;
@@ -0,0 +1,197 @@
+/**
+ * Prompt injection defences shared by the prompt routes and the pipeline:
+ * - delimiting: user text is sent between tags the system prompts explain
+ *   (USER_TEXT_SYSTEM_PROMPT), so it reads as a description, not instructions
+ * - heuristics: patterns of common injection attempts, logged by moderation
+ * - echo check: a canary on model output that spots a system prompt being
+ *   repeated back, so the response can be stopped before it reaches the user;
+ *   streamed output is checked delta by delta (createSystemPromptEchoTracker)
+ */
+import { PROMPT_GUARD_CONFIG } from '../config/constants';
+import {
+  EDIT_SYSTEM_PROMPT,
+  MODERATION_SYSTEM_PROMPT,
+  REFINEMENT_SYSTEM_PROMPT,
+  SURPRISE_SYSTEM_PROMPT,
+  USER_TEXT_SYSTEM_PROMPT,
+} from '../config/prompts';
+import { PROMPT_MODE_LIST } from '../config/promptModes';
+
+// ============================================================================
+// Delimiting
+// ============================================================================
+
+/** Tags wrapping each kind of user text in the model requests */
+export type UserTextTag = 'user_idea' | 'user_directions' | 'user_brief' | 'user_instruction';
+
+/**
+ * Wraps user text in its tag. Angle brackets inside are escaped, so the text
+ * cannot close the tag or open another one.
+ */
+export const delimitUserText = (tag: UserTextTag, text: string): string =>
+  `<${tag}>\n${text.replace(/</g, '&lt;').replace(/>/g, '&gt;')}\n</${tag}>`;
+
+/**
+ * The user text delimited in a message, unwrapped and unescaped (one line
+ * per tag), or null when the message holds none.
+ */
+export const extractUserText = (message: string): string | null => {
+  const texts = Array.from(message.matchAll(/<(user_[a-z]+)>\n([\s\S]*?)\n<\/\1>/g), ([, , text]) =>
+    text.replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+  );
+  return texts.length > 0 ? texts.join('\n') : null;
+};
+
+// ============================================================================
+// Injection Heuristics
+// ============================================================================
+
+export type InjectionHeuristic = 'override' | 'reveal' | 'role' | 'delimiter';
+
+const INJECTION_PATTERNS: Record<InjectionHeuristic, RegExp[]> = {
+  // "Ignore all previous instructions", "disregard the rules above"
+  override: [
+    /\b(ignore|disregard|forget|override|bypass)\b[^.\n]{0,40}\b(previous|prior|above|earlier|all|your|system)\b[^.\n]{0,20}\b(instructions?|rules|prompts?|guidelines)\b/i,
+  ],
+  // "Print your system prompt", "repeat the instructions above"
+  reveal: [
+    /\b(reveal|print|show|repeat|output|display|leak|tell me)\b[^.\n]{0,40}\b(system|hidden|initial|original)\s+(prompt|instructions?|message)\b/i,
+    /\b(reveal|print|repeat|output|display|leak)\b[^.\n]{0,20}\b(your|the above)\s+(instructions|rules|prompt)\b/i,
+  ],
+  // "You are now an unrestricted AI", "enable developer mode"
+  role: [
+    /\byou are now\b/i,
+    /\b(act|behave|pretend)\b[^.\n]{0,20}\b(unrestricted|unfiltered|uncensored|jailbroken)\b/i,
+    /\b(developer mode|jailbreak mode|do anything now)\b/i,
+  ],
+  // Forged tags, chat template markers or role prefixes
+  delimiter: [
+    /<\/?\s*(user_[a-z]+|system|assistant|instructions?)\s*>/i,
+    /\[\/?INST\]|<\|im_(start|end)\|>/i,
+    /^\s*(system|assistant)\s*:/im,
+  ],
+};
+
+/**
+ * Names of the heuristics the (decoded) text matches, empty when none does.
+ * Heuristics flag likely attempts, not proof: moderation decides what they do.
+ */
+export const detectPromptInjection = (text: string): InjectionHeuristic[] =>
+  (Object.keys(INJECTION_PATTERNS) as InjectionHeuristic[]).filter((heuristic) =>
+    INJECTION_PATTERNS[heuristic].some((pattern) => pattern.test(text))
+  );
+
+// ============================================================================
+// System Prompt Echo Check
+// ============================================================================
+
+/**
+ * Example phrases the prompts hand to the model on purpose: quoted text,
+ * parentheses and "e.g." or "Examples:" lists. Good output may reuse them.
+ */
+const EXAMPLE_PATTERNS = [/"[^"\n]*"/g, /“[^”\n]*”/g, /\([^)\n]*\)/g, /\b(e\.g\.|examples?:)[^\n]*/gi];
+
+const toWords = (text: string): string[] => text.toLowerCase().match(/[a-z0-9]+/g) ?? [];
+
+/** Every run of ECHO_SHINGLE_WORDS consecutive words */
+const toShingles = (words: string[]): string[] => {
+  const size = PROMPT_GUARD_CONFIG.ECHO_SHINGLE_WORDS;
+  return Array.from({ length: Math.max(words.length - size + 1, 0) }, (_, index) =>
+    words.slice(index, index + size).join(' ')
+  );
+};
+
+/** Shingles of a system prompt, without the example phrases and never across one */
+const toPromptShingles = (prompt: string): Set<string> => {
+  const stripped = EXAMPLE_PATTERNS.reduce((text, pattern) => text.replace(pattern, '\n'), prompt);
+  return new Set(stripped.split('\n').flatMap((segment) => toShingles(toWords(segment))));
+};
+
+let guardedPrompts: { name: string; shingles: Set<string> }[] | null = null;
+
+/** Every system prompt a model may see, built once */
+const getGuardedPrompts = () => {
+  if (guardedPrompts) return guardedPrompts;
+  guardedPrompts = [
+    ...PROMPT_MODE_LIST.map((mode) => ({ name: `mode:${mode.id}`, prompt: mode.systemPrompt })),
+    { name: 'refinement', prompt: REFINEMENT_SYSTEM_PROMPT },
+    { name: 'edit', prompt: EDIT_SYSTEM_PROMPT },
+    { name: 'surprise', prompt: SURPRISE_SYSTEM_PROMPT },
+    { name: 'moderation', prompt: MODERATION_SYSTEM_PROMPT },
+    { name: 'user_text', prompt: USER_TEXT_SYSTEM_PROMPT },
+  ].map(({ name, prompt }) => ({ name, shingles: toPromptShingles(prompt) }));
+  return guardedPrompts;
+};
+
+/**
+ * Name of the system prompt the output repeats (e.g. `mode:default`), or null.
+ * Output counts as an echo once it shares ECHO_MIN_MATCHES runs of
+ * ECHO_SHINGLE_WORDS words with one prompt, ignoring case and punctuation.
+ */
+export const findSystemPromptEcho = (output: string): string | null => {
+  const shingles = new Set(toShingles(toWords(output)));
+  if (shingles.size === 0) return null;
+
+  for (const { name, shingles: promptShingles } of getGuardedPrompts()) {
+    let matches = 0;
+    for (const shingle of shingles) {
+      if (promptShingles.has(shingle) && ++matches >= PROMPT_GUARD_CONFIG.ECHO_MIN_MATCHES) return name;
+    }
+  }
+  return null;
+};
+
+/** Checks streamed output one delta at a time, see createSystemPromptEchoTracker */
+export interface SystemPromptEchoTracker {
+  /** Adds the next delta; returns the name of the prompt the output so far echoes, or null */
+  push: (delta: string) => string | null;
+}
+
+/**
+ * Incremental findSystemPromptEcho for streamed output. Only the shingles a
+ * delta completes are checked: the last ECHO_SHINGLE_WORDS - 1 words plus the
+ * delta's words, so checking a whole stream stays linear in its length.
+ * A word the delta may not have finished is checked too, without being
+ * counted, so a delta completing an echo is caught before it is relayed.
+ */
+export const createSystemPromptEchoTracker = (): SystemPromptEchoTracker => {
+  const size = PROMPT_GUARD_CONFIG.ECHO_SHINGLE_WORDS;
+  const prompts = getGuardedPrompts();
+  const matches = new Map<string, number>();
+  // Shingles already counted, kept only when some prompt contains them
+  const counted = new Set<string>();
+  let recent: string[] = [];
+  let partial = '';
+
+  /** Name of the first prompt the shingle brings to ECHO_MIN_MATCHES, counting it only when `commit` is set */
+  const check = (shingle: string, commit: boolean): string | null => {
+    if (counted.has(shingle)) return null;
+    let echoed: string | null = null;
+    for (const { name, shingles } of prompts) {
+      if (!shingles.has(shingle)) continue;
+      const count = (matches.get(name) ?? 0) + 1;
+      if (commit) matches.set(name, count);
+      if (count >= PROMPT_GUARD_CONFIG.ECHO_MIN_MATCHES) echoed ??= name;
+    }
+    if (commit && prompts.some(({ shingles }) => shingles.has(shingle))) counted.add(shingle);
+    return echoed;
+  };
+
+  return {
+    push: (delta) => {
+      const text = partial + delta.toLowerCase();
+      // A trailing word may go on in the next delta
+      partial = text.match(/[a-z0-9]+$/)?.[0] ?? '';
+      let echoed: string | null = null;
+
+      for (const word of toWords(text.slice(0, text.length - partial.length))) {
+        recent = [...recent.slice(1 - size), word];
+        if (recent.length === size) echoed ??= check(recent.join(' '), true);
+      }
+      if (!echoed && partial && recent.length >= size - 1) {
+        echoed = check([...recent.slice(1 - size), partial].join(' '), false);
+      }
+      return echoed;
+    },
+  };
+};
@@ -0,0 +1,52 @@
+/**
+ * Client-side helpers for the RateLimit headers sent by the API routes.
+ */
+
+import { RATE_LIMIT_HEADERS } from '../config/constants';
+
+/**
+ * Limiter state reported by one API response.
+ */
+export interface RateLimitInfo {
+  /** Points per window */
+  limit: number;
+  /** Points left in the current window */
+  remaining: number;
+  /** Seconds until the window resets */
+  resetSeconds: number;
+  /** Seconds to wait before retrying (429 responses only) */
+  retryAfterSeconds: number | null;
+}
+
+const readNumber = (headers: Headers, name: string): number | null => {
+  const value = headers.get(name);
+  if (value === null || value.trim() === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+};
+
+/**
+ * Reads the RateLimit headers of an API response.
+ * Returns null when the response does not carry them.
+ */
+export const readRateLimitHeaders = (headers: Headers): RateLimitInfo | null => {
+  const limit = readNumber(headers, RATE_LIMIT_HEADERS.LIMIT);
+  const remaining = readNumber(headers, RATE_LIMIT_HEADERS.REMAINING);
+  if (limit === null || remaining === null) return null;
+
+  return {
+    limit,
+    remaining,
+    resetSeconds: readNumber(headers, RATE_LIMIT_HEADERS.RESET) ?? 0,
+    retryAfterSeconds: readNumber(headers, RATE_LIMIT_HEADERS.RETRY_AFTER),
+  };
+};
+
+/**
+ * Seconds a client should hold off after a response: the Retry-After delay
+ * for a 429, the time to the window reset when no points are left, else 0.
+ */
+export const getCooldownSeconds = (status: number, info: RateLimitInfo): number => {
+  if (status === 429) return info.retryAfterSeconds ?? info.resetSeconds;
+  return info.remaining <= 0 ? info.resetSeconds : 0;
+};
@@ -0,0 +1,108 @@
+/**
+ * Server-Sent Events helpers shared by the API routes and the browser client.
+ * The same parser reads OpenRouter's upstream stream and our own relay stream.
+ */
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export interface SseEvent {
+  /** Event name (defaults to "message" per the SSE spec) */
+  event: string;
+  /** Raw data payload; multi-line data fields are joined with "\n" */
+  data: string;
+}
+
+export interface SseParser {
+  /** Feeds a decoded text chunk into the parser */
+  push: (chunk: string) => void;
+  /** Flushes a trailing event that was not terminated by a blank line */
+  flush: () => void;
+}
+
+/** Events emitted by /api/generate when streaming is requested */
+export const STREAM_EVENTS = {
+  DELTA: 'delta',
+  DONE: 'done',
+  ERROR: 'error',
+} as const;
+
+export const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache, no-transform',
+  Connection: 'keep-alive',
+  // Disable proxy buffering (nginx) so tokens reach the browser immediately
+  'X-Accel-Buffering': 'no',
+} as const;
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Creates an incremental SSE parser. Chunks may split lines or events at
+ * arbitrary positions; complete events are emitted through `onEvent`.
+ * Comment lines (starting with ":") are ignored.
+ */
+export const createSseParser = (onEvent: (event: SseEvent) => void): SseParser => {
+  let buffer = '';
+  let eventName = '';
+  let dataLines: string[] = [];
+
+  const dispatch = () => {
+    if (dataLines.length > 0) {
+      onEvent({ event: eventName || 'message', data: dataLines.join('\n') });
+    }
+    eventName = '';
+    dataLines = [];
+  };
+
+  const processLine = (line: string) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) return;
+
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+    let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'event') eventName = value;
+    else if (field === 'data') dataLines.push(value);
+  };
+
+  return {
+    push: (chunk: string) => {
+      buffer += chunk;
+      let newlineIndex = buffer.search(/\r\n|\r|\n/);
+      while (newlineIndex !== -1) {
+        const line = buffer.slice(0, newlineIndex);
+        const newlineLength = buffer.startsWith('\r\n', newlineIndex) ? 2 : 1;
+        buffer = buffer.slice(newlineIndex + newlineLength);
+        processLine(line);
+        newlineIndex = buffer.search(/\r\n|\r|\n/);
+      }
+    },
+    flush: () => {
+      if (buffer) {
+        processLine(buffer);
+        buffer = '';
+      }
+      dispatch();
+    },
+  };
+};
+
+// ============================================================================
+// Formatting
+// ============================================================================
+
+/**
+ * Serializes a named event with a JSON payload in SSE wire format.
+ */
+export const formatSseEvent = (event: string, data: unknown): string => {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+};
@@ -0,0 +1,94 @@
+/**
+ * Token and cost accounting shared by the server usage ledger
+ * (services/usageLedger) and the browser's session usage meter.
+ */
+
+import { LLM_PROVIDERS, USAGE_CONFIG } from '../config/constants';
+import { isValidModelId } from './modelIds';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export interface ModelPrice {
+  /** USD per million prompt tokens */
+  prompt: number;
+  /** USD per million completion tokens */
+  completion: number;
+}
+
+/** Prices by model id */
+export type PriceTable = Record<string, ModelPrice>;
+
+/** Model calls, tokens and estimated cost added up */
+export interface UsageCounts {
+  calls: number;
+  promptTokens: number;
+  completionTokens: number;
+  /** Estimated cost in USD */
+  cost: number;
+}
+
+export const emptyUsageCounts = (): UsageCounts => ({ calls: 0, promptTokens: 0, completionTokens: 0, cost: 0 });
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const readCount = (value: unknown): number => (typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : 0);
+
+const isPrice = (value: unknown): boolean => Number.isFinite(value) && (value as number) >= 0;
+
+/**
+ * Validates a price table, e.g. the MODEL_PRICES environment variable.
+ * @throws Error if it is not an object of `{ prompt, completion }` prices
+ */
+export const parsePriceTable = (value: unknown): PriceTable => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error('Price table must be a JSON object');
+  return Object.fromEntries(
+    Object.entries(value).map(([model, price]) => {
+      // Local models can be priced too, so keys take the openai-compatible form, a superset of OpenRouter IDs
+      if (!isValidModelId(model, LLM_PROVIDERS.OPENAI_COMPATIBLE)) throw new Error(`"${model}" is not a model ID`);
+      const { prompt, completion } = (price ?? {}) as Partial<ModelPrice>;
+      if (!isPrice(prompt) || !isPrice(completion)) {
+        throw new Error(`Price of "${model}" must have non-negative "prompt" and "completion" numbers`);
+      }
+      return [model, { prompt, completion } as ModelPrice];
+    })
+  );
+};
+
+/**
+ * Counts one model call from a provider `usage` object. The cost comes from
+ * the price table; models missing from it use the cost the provider reported
+ * (OpenRouter's `usage.cost`), if any. Returns null when the call reported no
+ * usage at all.
+ */
+export const countModelCall = (
+  model: string,
+  usage: unknown,
+  prices: PriceTable = USAGE_CONFIG.DEFAULT_PRICES
+): UsageCounts | null => {
+  if (!usage || typeof usage !== 'object') return null;
+  const { prompt_tokens, completion_tokens, cost } = usage as Record<string, unknown>;
+  const promptTokens = readCount(prompt_tokens);
+  const completionTokens = readCount(completion_tokens);
+  const price = prices[model];
+
+  return {
+    calls: 1,
+    promptTokens,
+    completionTokens,
+    cost: price ? (promptTokens * price.prompt + completionTokens * price.completion) / 1_000_000 : readCount(cost),
+  };
+};
+
+export const addUsageCounts = (a: UsageCounts, b: UsageCounts): UsageCounts => ({
+  calls: a.calls + b.calls,
+  promptTokens: a.promptTokens + b.promptTokens,
+  completionTokens: a.completionTokens + b.completionTokens,
+  cost: a.cost + b.cost,
+});
+
+/** UTC date (YYYY-MM-DD) of a timestamp; budgets reset when it changes */
+export const usageDay = (timestamp: number = Date.now()): string => new Date(timestamp).toISOString().slice(0, 10);